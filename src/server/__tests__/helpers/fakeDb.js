@@ -0,0 +1,166 @@
+// In-memory stand-in for a pg Pool in service tests. The test keeps its tables as
+// plain arrays and answers each statement with a handler registered against an
+// SQL pattern; a statement nothing handles fails the test. Transactions behave
+// enough like Postgres to exercise concurrency:
+// - lockRows() takes row locks for SELECT ... FOR UPDATE, waiting for the holder
+//   to commit or roll back, or passing over held rows with SKIP LOCKED
+// - lock() is a transaction-scoped advisory lock (pg_advisory_xact_lock)
+// - writes made through insert(), update() and remove() are undone on ROLLBACK
+// Every statement yields to the event loop first, so concurrent callers interleave.
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+const createFakeDb = () => {
+  const handlers = [];
+  const locks = new Map();
+  let nextTxId = 1;
+
+  const release = (tx) => {
+    locks.forEach((lock, key) => {
+      if (lock.owner !== tx.id) return;
+      const waiter = lock.queue.shift();
+      if (waiter) {
+        lock.owner = waiter.txId;
+        waiter.resolve();
+      } else {
+        locks.delete(key);
+      }
+    });
+  };
+
+  const createTx = () => {
+    const undo = [];
+    const tx = {
+      id: nextTxId++,
+
+      // Wait for the key, queueing behind earlier waiters
+      lock: (key) => {
+        const lock = locks.get(key);
+        if (!lock) {
+          locks.set(key, { owner: tx.id, queue: [] });
+          return Promise.resolve();
+        }
+        if (lock.owner === tx.id) return Promise.resolve();
+        return new Promise(resolve => lock.queue.push({ txId: tx.id, resolve }));
+      },
+
+      tryLock: (key) => {
+        const lock = locks.get(key);
+        if (lock && lock.owner !== tx.id) return false;
+        if (!lock) locks.set(key, { owner: tx.id, queue: [] });
+        return true;
+      },
+
+      // Lock candidate rows the way the statement asks. Rows are re-checked with
+      // `matches` once a wait ends, as Postgres re-evaluates a row after blocking.
+      lockRows: async (sql, candidates, keyOf, { matches = () => true, limit = Infinity } = {}) => {
+        if (!/FOR UPDATE/.test(sql)) return candidates.slice(0, limit);
+
+        const skipLocked = /SKIP LOCKED/.test(sql);
+        const held = [];
+        for (const row of candidates) {
+          if (held.length >= limit) break;
+          if (skipLocked) {
+            if (tx.tryLock(keyOf(row))) held.push(row);
+            continue;
+          }
+          await tx.lock(keyOf(row));
+          if (matches(row)) held.push(row);
+        }
+        return held;
+      },
+
+      insert: (table, row) => {
+        table.push(row);
+        undo.push(() => table.splice(table.indexOf(row), 1));
+        return row;
+      },
+
+      update: (row, changes) => {
+        const previous = Object.fromEntries(Object.keys(changes).map(key => [key, row[key]]));
+        Object.assign(row, changes);
+        undo.push(() => Object.assign(row, previous));
+        return row;
+      },
+
+      remove: (table, row) => {
+        const index = table.indexOf(row);
+        if (index === -1) return;
+        table.splice(index, 1);
+        undo.push(() => table.splice(index, 0, row));
+      },
+
+      rollback: () => {
+        undo.splice(0).reverse().forEach(revert => revert());
+      },
+
+      commit: () => {
+        undo.length = 0;
+      }
+    };
+    return tx;
+  };
+
+  const run = async (tx, sql, params = []) => {
+    await nextTick();
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+    if (!handler) {
+      throw new Error(`Unexpected statement: ${sql.replace(/\s+/g, ' ').trim()}`);
+    }
+    const rows = (await handler[1](params, tx, sql)) || [];
+    return { rows, rowCount: rows.length };
+  };
+
+  const connect = async () => {
+    let tx = null;
+    return {
+      query: async (sql, params) => {
+        const statement = sql.trim();
+        if (statement === 'BEGIN') {
+          tx = createTx();
+          return { rows: [] };
+        }
+        if (statement === 'COMMIT' || statement === 'ROLLBACK') {
+          if (tx) {
+            if (statement === 'COMMIT') tx.commit();
+            else tx.rollback();
+            release(tx);
+            tx = null;
+          }
+          return { rows: [] };
+        }
+        if (tx) return run(tx, sql, params);
+
+        // Outside a transaction each statement commits on its own
+        const single = createTx();
+        try {
+          return await run(single, sql, params);
+        } finally {
+          release(single);
+        }
+      },
+      release: () => {}
+    };
+  };
+
+  const pool = {
+    query: async (sql, params) => (await connect()).query(sql, params),
+    connect
+  };
+
+  return {
+    pool,
+    // Answer statements matching `pattern` with handler(params, tx, sql) => rows
+    handle: (pattern, handler) => {
+      handlers.push([pattern, handler]);
+    }
+  };
+};
+
+// Builds rows from shared defaults, e.g. const groupRow = rowFactory({ ... })
+const rowFactory = (defaults) => (overrides = {}) => ({
+  ...(typeof defaults === 'function' ? defaults() : defaults),
+  ...overrides
+});
+
+module.exports = { createFakeDb, rowFactory };
@@ -0,0 +1,90 @@
+// Community group tables for tests of groupService and the services built on it
+
+const { createFakeDb, rowFactory } = require('./fakeDb');
+
+const GROUP_ID = 'group-1';
+
+const groupRow = rowFactory({
+  id: GROUP_ID,
+  member_count: 0,
+  max_members: 10,
+  privacy_level: 'public',
+  verification_required: false,
+  leader_id: 'leader-1',
+  is_active: true
+});
+
+let membershipIds = 0;
+const membershipRow = rowFactory(() => ({
+  id: `membership-${++membershipIds}`,
+  group_id: GROUP_ID,
+  role: 'member',
+  joined_at: new Date(Date.now() + membershipIds),
+  left_at: null,
+  removed_by: null,
+  invited_by: null
+}));
+
+// groups and group_memberships in a fake database, answering the statements
+// groupService runs. Pass a db to add more tables alongside.
+const createGroupDb = (db = createFakeDb()) => {
+  const groups = [];
+  const memberships = [];
+  const active = (groupId, userId) => memberships.find(m => m.group_id === groupId && m.user_id === userId && !m.left_at);
+
+  db.handle(/FROM groups\s+WHERE id = \$1 AND is_active = TRUE/, ([groupId], tx, sql) => tx.lockRows(
+    sql,
+    groups.filter(group => group.id === groupId && group.is_active),
+    group => `groups:${group.id}`,
+    { matches: group => group.is_active }
+  ));
+  db.handle(/SELECT left_at, removed_by\s+FROM group_memberships/, ([groupId, userId]) => memberships
+    .filter(m => m.group_id === groupId && m.user_id === userId)
+    .sort((a, b) => b.joined_at - a.joined_at)
+    .slice(0, 1));
+  db.handle(/INSERT INTO group_memberships/, ([groupId, userId, invitedBy], tx) => {
+    tx.insert(memberships, membershipRow({ group_id: groupId, user_id: userId, invited_by: invitedBy }));
+  });
+  db.handle(/SET member_count = \(\s*SELECT COUNT\(\*\) FROM group_memberships/, ([groupId], tx) => {
+    const count = memberships.filter(m => m.group_id === groupId && !m.left_at).length;
+    tx.update(groups.find(group => group.id === groupId), { member_count: count });
+  });
+  db.handle(/SELECT id FROM group_memberships WHERE group_id = \$1 AND user_id = \$2 AND left_at IS NULL/, ([groupId, userId]) => {
+    const membership = active(groupId, userId);
+    return membership ? [membership] : [];
+  });
+  db.handle(/FROM group_memberships\s+WHERE group_id = \$1 AND user_id = ANY/, ([groupId, userIds]) => userIds
+    .map(userId => active(groupId, userId))
+    .filter(Boolean));
+  db.handle(/UPDATE group_memberships SET left_at = NOW\(\)(, removed_by = \$2)? WHERE id = \$1/, ([id, removedBy], tx) => {
+    tx.update(memberships.find(m => m.id === id), { left_at: new Date(), removed_by: removedBy || null });
+  });
+  db.handle(/SELECT gm.role, gm.joined_at\s+FROM group_memberships gm/, ([groupId, userId]) => {
+    const membership = active(groupId, userId);
+    const group = groups.find(row => row.id === groupId);
+    return membership && group && group.is_active ? [membership] : [];
+  });
+  db.handle(/UPDATE groups SET is_active = FALSE/, ([groupId], tx) => {
+    tx.update(groups.find(group => group.id === groupId), { is_active: false });
+  });
+
+  // Seed a group with `count` active members, leader-1 among them
+  const seed = (overrides = {}, count = 1) => {
+    groups.push(groupRow({ member_count: count, ...overrides }));
+    memberships.push(membershipRow({ user_id: 'leader-1', role: 'leader' }));
+    for (let i = 2; i <= count; i++) {
+      memberships.push(membershipRow({ user_id: `member-${i}` }));
+    }
+  };
+
+  return {
+    db,
+    groups,
+    memberships,
+    seed,
+    group: () => groups.find(group => group.id === GROUP_ID),
+    activeMembers: () => memberships.filter(m => m.group_id === GROUP_ID && !m.left_at).map(m => m.user_id)
+  };
+};
+
+module.exports = { GROUP_ID, groupRow, membershipRow, createGroupDb };
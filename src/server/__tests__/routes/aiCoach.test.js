@@ -0,0 +1,47 @@
+jest.mock('../../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: '4f1c2a9e-8b7d-4c3e-9a1f-2b3c4d5e6f70', role: 'user' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next(),
+  userRateLimit: () => (req, res, next) => next()
+}));
+jest.mock('../../services/conversationService', () => ({
+  getOrCreateConversation: jest.fn(),
+  getConversationMessages: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const conversationService = require('../../services/conversationService');
+const aiCoachRoutes = require('../../routes/aiCoach');
+
+const app = express();
+app.use(express.json());
+app.use('/api/ai-coach', aiCoachRoutes);
+
+describe('GET /api/ai-coach/conversations/:conversationId', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects a malformed conversation ID before it reaches the database', async () => {
+    const res = await request(app).get('/api/ai-coach/conversations/not-a-uuid');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual({ conversationId: 'Valid conversation ID required' });
+    expect(conversationService.getOrCreateConversation).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for a conversation the user does not own', async () => {
+    conversationService.getOrCreateConversation.mockResolvedValue(null);
+
+    const res = await request(app).get('/api/ai-coach/conversations/9b2e4c1a-3d5f-4a6b-8c7d-0e1f2a3b4c5d');
+
+    expect(res.status).toBe(404);
+    expect(conversationService.getOrCreateConversation).toHaveBeenCalledWith(
+      '4f1c2a9e-8b7d-4c3e-9a1f-2b3c4d5e6f70',
+      '9b2e4c1a-3d5f-4a6b-8c7d-0e1f2a3b4c5d'
+    );
+  });
+});
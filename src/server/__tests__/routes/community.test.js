@@ -0,0 +1,88 @@
+let mockUser;
+
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { ...mockUser };
+    next();
+  },
+  requireRole: () => (req, res, next) => next(),
+  requireVerification: () => (req, res, next) => next(),
+  userRateLimit: () => (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { getPool } = require('../../config/database');
+const groupService = require('../../services/groupService');
+const sanctionService = require('../../services/sanctionService');
+const communityRoutes = require('../../routes/community');
+
+const GROUP_ID = '0c6f3b1e-2a4d-4e5f-8a9b-1c2d3e4f5a6b';
+const app = express();
+app.use(express.json());
+app.use('/api/community', communityRoutes);
+
+describe('PUT /api/community/groups/:groupId/moderation/settings', () => {
+  let pool;
+  let saved;
+
+  const putThresholds = (thresholds) => request(app)
+    .put(`/api/community/groups/${GROUP_ID}/moderation/settings`)
+    .send({ thresholds });
+
+  beforeEach(() => {
+    saved = null;
+    mockUser = { id: 'user-1', role: 'user' };
+    pool = {
+      query: jest.fn(async (sql, params) => {
+        if (/SELECT moderation_settings FROM groups/.test(sql)) return { rows: [{ moderation_settings: {} }] };
+        saved = JSON.parse(params[1]);
+        return { rows: [] };
+      })
+    };
+    getPool.mockReturnValue(pool);
+    jest.spyOn(groupService, 'getMembership').mockResolvedValue({ role: 'co_leader' });
+    jest.spyOn(sanctionService, 'getActive').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    groupService.getMembership.mockRestore();
+    sanctionService.getActive.mockRestore();
+  });
+
+  it('lets a co-leader hold self-harm posts sooner', async () => {
+    const res = await putThresholds({ self_harm: { hold: 0.3 } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.settings.thresholds.self_harm).toEqual({ hold: 0.3, reject: null });
+    expect(saved.thresholds.self_harm.hold).toBe(0.3);
+  });
+
+  it('refuses a self-harm hold above the platform maximum', async () => {
+    const res = await putThresholds({ self_harm: { hold: 1 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(['self_harm: hold must be at most 0.5']);
+    expect(saved).toBeNull();
+  });
+
+  it('leaves threshold changes to leaders, not group moderators', async () => {
+    groupService.getMembership.mockResolvedValue({ role: 'moderator' });
+
+    const res = await putThresholds({ spam: { hold: 0.7 } });
+
+    expect(res.status).toBe(403);
+    expect(saved).toBeNull();
+  });
+
+  it('lets platform moderators change thresholds in any group', async () => {
+    mockUser = { id: 'staff-1', role: 'moderator' };
+    groupService.getMembership.mockResolvedValue(null);
+
+    const res = await putThresholds({ spam: { hold: 0.7 } });
+
+    expect(res.status).toBe(200);
+    expect(saved.thresholds.spam).toEqual({ hold: 0.7, reject: 0.9 });
+  });
+});
@@ -0,0 +1,113 @@
+const CircuitBreaker = require('../../services/circuitBreaker');
+
+const { CLOSED, OPEN, HALF_OPEN } = CircuitBreaker.STATES;
+
+describe('CircuitBreaker', () => {
+  let breaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T12:00:00Z') });
+    breaker = new CircuitBreaker('test', {
+      windowMs: 60000,
+      failureThreshold: 0.5,
+      minRequests: 4,
+      openDurationMs: 30000
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const fail = (times = 1) => {
+    for (let i = 0; i < times; i++) breaker.recordFailure(new Error('timeout'), 100);
+  };
+  const succeed = (times = 1) => {
+    for (let i = 0; i < times; i++) breaker.recordSuccess(50);
+  };
+
+  it('stays closed until the window has enough requests', () => {
+    fail(3);
+
+    expect(breaker.state).toBe(CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('opens once the failure rate reaches the threshold', () => {
+    succeed(2);
+    fail(1);
+    expect(breaker.state).toBe(CLOSED);
+
+    fail(1);
+
+    expect(breaker.state).toBe(OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.toJSON()).toMatchObject({
+      state: OPEN,
+      nextAttemptAt: '2024-01-01T12:00:30.000Z',
+      lastFailure: { message: 'timeout' }
+    });
+  });
+
+  it('stays closed while failures are below the threshold', () => {
+    succeed(3);
+    fail(2);
+
+    expect(breaker.state).toBe(CLOSED);
+    expect(breaker.getWindowStats()).toMatchObject({ total: 5, failures: 2, failureRate: 0.4 });
+  });
+
+  it('forgets outcomes that fall out of the window', () => {
+    fail(3);
+    jest.advanceTimersByTime(61000);
+    fail(1);
+
+    expect(breaker.getWindowStats().total).toBe(1);
+    expect(breaker.state).toBe(CLOSED);
+  });
+
+  describe('after opening', () => {
+    beforeEach(() => {
+      fail(4);
+      expect(breaker.state).toBe(OPEN);
+    });
+
+    it('rejects requests until the open period has passed', () => {
+      jest.advanceTimersByTime(29999);
+      expect(breaker.allowRequest()).toBe(false);
+
+      jest.advanceTimersByTime(1);
+      expect(breaker.allowRequest()).toBe(true);
+      expect(breaker.state).toBe(HALF_OPEN);
+    });
+
+    it('lets only one trial request through while half-open', () => {
+      jest.advanceTimersByTime(30000);
+
+      expect(breaker.allowRequest()).toBe(true);
+      expect(breaker.allowRequest()).toBe(false);
+    });
+
+    it('closes with a clean window when the trial succeeds', () => {
+      jest.advanceTimersByTime(30000);
+      breaker.allowRequest();
+      succeed();
+
+      expect(breaker.state).toBe(CLOSED);
+      expect(breaker.getWindowStats().total).toBe(0);
+      expect(breaker.allowRequest()).toBe(true);
+    });
+
+    it('re-opens for another full period when the trial fails', () => {
+      jest.advanceTimersByTime(30000);
+      breaker.allowRequest();
+      fail();
+
+      expect(breaker.state).toBe(OPEN);
+      jest.advanceTimersByTime(29999);
+      expect(breaker.allowRequest()).toBe(false);
+      jest.advanceTimersByTime(1);
+      expect(breaker.allowRequest()).toBe(true);
+    });
+  });
+});
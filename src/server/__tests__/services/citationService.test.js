@@ -0,0 +1,88 @@
+const citationService = require('../../services/citationService');
+
+const sources = [
+  {
+    id: 'lesson-1',
+    chunkId: 'chunk-1',
+    title: 'Body scan',
+    courseId: 'course-1',
+    courseTitle: 'Foundations',
+    source: 'content',
+    chunkIndex: 0,
+    startOffset: 100,
+    endOffset: 260,
+    content: 'Lie down comfortably. Move attention slowly from the feet upward, noticing sensation in each region without judging it.'
+  },
+  {
+    id: 'lesson-2',
+    chunkId: 'chunk-7',
+    title: 'Breath counting',
+    courseId: 'course-1',
+    courseTitle: 'Foundations',
+    source: 'transcript',
+    chunkIndex: 3,
+    startOffset: 0,
+    endOffset: 90,
+    content: 'Count each exhale from one to ten. When counting slips, begin again at one.'
+  }
+];
+
+describe('citationService.extract', () => {
+  it('keeps a marker whose source supports the claim and resolves it to a quote', () => {
+    const { text, citations } = citationService.extract(
+      'Move attention slowly from your feet upward, noticing each sensation [1]. Take your time.',
+      sources
+    );
+
+    expect(text).toBe('Move attention slowly from your feet upward, noticing each sensation [1]. Take your time.');
+    expect(citations).toHaveLength(1);
+    const [citation] = citations;
+    expect(citation).toMatchObject({
+      marker: 1,
+      lessonId: 'lesson-1',
+      chunkId: 'chunk-1',
+      quote: 'Move attention slowly from the feet upward, noticing sensation in each region without judging it.'
+    });
+    const content = sources[0].content;
+    expect(content.slice(citation.startOffset - 100, citation.endOffset - 100)).toBe(citation.quote);
+    expect(citation.link).toBe(`/courses/course-1/lessons/lesson-1?source=content&start=${citation.startOffset}&end=${citation.endOffset}`);
+  });
+
+  it('drops markers that point past the numbered sources', () => {
+    const { text, citations } = citationService.extract('Count each exhale up to ten [5].', sources);
+
+    expect(text).toBe('Count each exhale up to ten.');
+    expect(citations).toEqual([]);
+  });
+
+  it('drops markers whose source does not support the claim', () => {
+    const { text, citations } = citationService.extract('Count each exhale up to ten [1].', sources);
+
+    expect(text).toBe('Count each exhale up to ten.');
+    expect(citations).toEqual([]);
+  });
+
+  it('filters a grouped marker down to the sources that support the claim', () => {
+    const { text, citations } = citationService.extract('Count each exhale and begin again at one when counting slips [1, 2].', sources);
+
+    expect(text).toBe('Count each exhale and begin again at one when counting slips [2].');
+    expect(citations.map(citation => citation.marker)).toEqual([2]);
+    expect(citations[0].source).toBe('transcript');
+  });
+
+  it('lists each source once, in marker order', () => {
+    const { citations } = citationService.extract(
+      'Count each exhale from one to ten [2]. Notice sensation in your feet, moving attention upward [1]. When counting slips, begin again [2].',
+      sources
+    );
+
+    expect(citations.map(citation => citation.marker)).toEqual([1, 2]);
+  });
+
+  it('strips every marker when there are no sources', () => {
+    expect(citationService.extract('Breathe slowly [1] and rest [2, 3].', [])).toEqual({
+      text: 'Breathe slowly and rest.',
+      citations: []
+    });
+  });
+});
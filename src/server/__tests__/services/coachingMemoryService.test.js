@@ -0,0 +1,127 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../services/llmService', () => ({
+  LLMService: {
+    complete: jest.fn(),
+    estimateTokens: jest.fn(text => Math.ceil(text.length / 4))
+  }
+}));
+jest.mock('../../services/usageService', () => ({
+  recordUsage: jest.fn(),
+  describeUsage: jest.fn(() => ({ provider: 'mock', inputTokens: 10, outputTokens: 10 }))
+}));
+
+const { getPool } = require('../../config/database');
+const { LLMService } = require('../../services/llmService');
+const coachingMemoryService = require('../../services/coachingMemoryService');
+
+const CONVERSATION_ID = 'conversation-1';
+const USER_ID = 'user-1';
+
+const turns = (count, length) => Array.from({ length: count }, (_, index) => ({
+  id: `message-${index}`,
+  sender: index % 2 === 0 ? 'user' : 'assistant',
+  content: `My name is Sam and I live on Elm Street. ${'I keep losing focus while meditating. '.repeat(length)}`,
+  created_at: new Date(Date.UTC(2024, 0, 1, 12, index))
+}));
+
+describe('coachingMemoryService.maybeSummarize', () => {
+  let pool;
+  let conversation;
+  let messages;
+  let leaseHeld;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    conversation = { id: CONVERSATION_ID, context_summary: 'The user is new to meditation.', summarized_until: null };
+    messages = turns(10, 20);
+    leaseHeld = false;
+
+    pool = {
+      query: jest.fn(async (sql, params) => {
+        if (/SELECT id, context_summary, summarized_until/.test(sql)) return { rows: [conversation] };
+        if (/FROM conversation_messages/.test(sql)) return { rows: messages };
+        if (/SET summary_started_at = NOW\(\)/.test(sql)) {
+          if (leaseHeld) return { rows: [] };
+          leaseHeld = true;
+          return { rows: [conversation] };
+        }
+        if (/SET summary_started_at = NULL/.test(sql)) {
+          leaseHeld = false;
+          return { rows: [] };
+        }
+        if (/SET context_summary = \$1/.test(sql)) {
+          conversation = { ...conversation, context_summary: params[0], summarized_until: params[1] };
+          return { rows: [] };
+        }
+        return { rows: [] };
+      })
+    };
+    getPool.mockReturnValue(pool);
+  });
+
+  const memoryWrites = () => pool.query.mock.calls.filter(([sql]) => /INSERT INTO user_coaching_memory/.test(sql));
+
+  it('leaves short conversations alone without taking the lease', async () => {
+    messages = turns(4, 1);
+
+    await expect(coachingMemoryService.maybeSummarize(CONVERSATION_ID, USER_ID)).resolves.toBe(false);
+    expect(pool.query.mock.calls.some(([sql]) => /summary_started_at/.test(sql))).toBe(false);
+    expect(LLMService.complete).not.toHaveBeenCalled();
+  });
+
+  it('folds older turns into the summary and releases the lease', async () => {
+    LLMService.complete.mockResolvedValue({
+      response: '{"summary": "The user struggles to stay focused.", "memories": [{"category": "struggle", "content": "Loses focus while meditating."}]}'
+    });
+
+    await expect(coachingMemoryService.maybeSummarize(CONVERSATION_ID, USER_ID)).resolves.toBe(true);
+
+    expect(conversation.context_summary).toBe('The user struggles to stay focused.');
+    expect(conversation.summarized_until).toEqual(messages[messages.length - 1 - coachingMemoryService.keepRecent].created_at);
+    expect(memoryWrites()).toHaveLength(1);
+    expect(leaseHeld).toBe(false);
+  });
+
+  it('skips a conversation another instance is already summarizing', async () => {
+    leaseHeld = true;
+
+    await expect(coachingMemoryService.maybeSummarize(CONVERSATION_ID, USER_ID)).resolves.toBe(false);
+    expect(LLMService.complete).not.toHaveBeenCalled();
+    expect(conversation.context_summary).toBe('The user is new to meditation.');
+  });
+
+  it('lets only one of two concurrent calls summarize', async () => {
+    let finish;
+    LLMService.complete.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+
+    const first = coachingMemoryService.maybeSummarize(CONVERSATION_ID, USER_ID);
+    await new Promise(resolve => setImmediate(resolve));
+    const second = await coachingMemoryService.maybeSummarize(CONVERSATION_ID, USER_ID);
+    finish({ response: '{"summary": "The user struggles to stay focused.", "memories": []}' });
+
+    expect(second).toBe(false);
+    await expect(first).resolves.toBe(true);
+    expect(LLMService.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves the summary and memory unchanged when the model fails', async () => {
+    LLMService.complete.mockRejectedValue(new Error('LLM completion unavailable: timeout'));
+
+    await expect(coachingMemoryService.maybeSummarize(CONVERSATION_ID, USER_ID)).resolves.toBe(false);
+
+    expect(conversation).toEqual({ id: CONVERSATION_ID, context_summary: 'The user is new to meditation.', summarized_until: null });
+    expect(memoryWrites()).toHaveLength(0);
+    const written = pool.query.mock.calls.flatMap(([, params]) => params || []);
+    expect(written.some(value => typeof value === 'string' && value.includes('Elm Street'))).toBe(false);
+    expect(leaseHeld).toBe(false);
+  });
+
+  it('leaves the summary unchanged when the model returns no usable summary', async () => {
+    LLMService.complete.mockResolvedValue({ response: 'Sorry, I cannot help with that.' });
+
+    await expect(coachingMemoryService.maybeSummarize(CONVERSATION_ID, USER_ID)).resolves.toBe(false);
+
+    expect(conversation.summarized_until).toBeNull();
+    expect(leaseHeld).toBe(false);
+  });
+});
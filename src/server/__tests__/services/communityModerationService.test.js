@@ -0,0 +1,199 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../services/groupMessageService', () => ({
+  notifySender: jest.fn(),
+  broadcast: jest.fn(),
+  withdraw: jest.fn(),
+  formatMessage: jest.fn(row => ({
+    id: row.id, groupId: row.group_id, sender: { id: row.user_id }, moderationStatus: row.moderation_status
+  }))
+}));
+jest.mock('../../services/reportService', () => ({ resolveForMessage: jest.fn() }));
+jest.mock('../../services/trustService', () => ({ recordEvent: jest.fn() }));
+jest.mock('../../services/sanctionService', () => ({
+  getStanding: jest.fn(),
+  hasMessageHold: jest.fn(() => false),
+  recordStrike: jest.fn()
+}));
+
+const { getPool } = require('../../config/database');
+const { createFakeDb, rowFactory } = require('../helpers/fakeDb');
+const groupMessageService = require('../../services/groupMessageService');
+const sanctionService = require('../../services/sanctionService');
+const reportService = require('../../services/reportService');
+const communityModerationService = require('../../services/communityModerationService');
+
+const message = { id: 'message-1', groupId: 'group-1', sender: { id: 'user-1' }, content: 'hello', moderationStatus: 'pending' };
+
+describe('communityModerationService', () => {
+  let pool;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool = { query: jest.fn() };
+    getPool.mockReturnValue(pool);
+  });
+
+  describe('decide', () => {
+    const thresholds = communityModerationService.resolveThresholds({
+      thresholds: { self_harm: { hold: 0.4, reject: 0.5 } }
+    });
+
+    it('never auto-rejects self-harm, whatever the group settings say', () => {
+      expect(thresholds.self_harm).toEqual({ hold: 0.4, reject: null });
+      expect(communityModerationService.decide([{ category: 'self_harm', score: 0.99 }], thresholds))
+        .toEqual({ decision: 'flagged', reasons: ['self_harm.hold'] });
+    });
+
+    it('caps a stored self-harm hold at the platform maximum', () => {
+      expect(communityModerationService.resolveThresholds({ thresholds: { self_harm: { hold: 1 } } }).self_harm)
+        .toEqual({ hold: 0.5, reject: null });
+    });
+
+    it('lets a rejection outrank a hold, and holds when a classifier failed', () => {
+      expect(communityModerationService.decide([
+        { category: 'spam', score: 0.6 },
+        { category: 'harassment', score: 0.95 }
+      ], thresholds).decision).toBe('rejected');
+      expect(communityModerationService.decide([{ category: 'pii', score: null }], thresholds))
+        .toEqual({ decision: 'flagged', reasons: ['pii.classifier_error'] });
+    });
+  });
+
+  describe('submit', () => {
+    it('holds the message for a moderator when moderation throws', async () => {
+      sanctionService.getStanding.mockRejectedValue(new Error('connection reset'));
+      pool.query.mockResolvedValue({ rows: [{ id: message.id }] });
+
+      await communityModerationService.submit(message, message.sender);
+
+      const [sql, params] = pool.query.mock.calls.find(([text]) => /UPDATE group_messages/.test(text));
+      expect(sql).toMatch(/moderation_status = 'flagged'[\s\S]*WHERE id = \$1 AND moderation_status = 'pending'/);
+      expect(JSON.parse(params[1]).classification.reasons).toEqual(['moderation_error']);
+      expect(groupMessageService.notifySender).toHaveBeenCalledWith(
+        expect.objectContaining({ id: message.id, moderationStatus: 'flagged' }),
+        { reason: 'automated_review' }
+      );
+    });
+
+    it('leaves a message a moderator already decided alone', async () => {
+      sanctionService.getStanding.mockRejectedValue(new Error('connection reset'));
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await communityModerationService.submit(message, message.sender);
+
+      expect(groupMessageService.notifySender).not.toHaveBeenCalled();
+    });
+
+    it('never rejects, even when holding the message fails too', async () => {
+      sanctionService.getStanding.mockRejectedValue(new Error('connection reset'));
+      pool.query.mockRejectedValue(new Error('database unavailable'));
+
+      await expect(communityModerationService.submit(message, message.sender)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('flagStalePending', () => {
+    it('holds messages left pending and tells their senders', async () => {
+      pool.query.mockResolvedValue({ rows: [{ id: 'message-2', group_id: 'group-1', user_id: 'user-2' }] });
+
+      await expect(communityModerationService.flagStalePending()).resolves.toBe(1);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toMatch(/moderation_status = 'pending'\s+AND m\.created_at < NOW\(\) - make_interval\(mins => \$1\)/);
+      expect(params[0]).toBe(5);
+      expect(groupMessageService.notifySender).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'message-2' }),
+        { reason: 'automated_review' }
+      );
+    });
+  });
+
+  describe('listQueue', () => {
+    it('includes messages stuck in pending', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await communityModerationService.listQueue('group-1');
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toMatch(/m\.moderation_status = 'pending' AND m\.created_at < NOW\(\) - make_interval\(mins => \$3\)/);
+      expect(params).toEqual(['group-1', 50, 5]);
+    });
+  });
+
+  describe('review', () => {
+    const moderator = { id: 'moderator-1' };
+    const messageRow = rowFactory({ group_id: 'group-1', user_id: 'user-1', moderation_status: 'flagged', first_name: 'Ada', last_name: 'L' });
+    let messages;
+    let openReports;
+
+    // group_messages and open reports, answering review()'s statements
+    beforeEach(() => {
+      const db = createFakeDb();
+      messages = [];
+      openReports = new Set();
+
+      db.handle(/WITH previous AS[\s\S]*UPDATE group_messages m/, async ([id, groupId, status, moderatorId], tx) => {
+        const row = messages.find(entry => entry.id === id && entry.group_id === groupId);
+        if (!row) return [];
+        await tx.lock(`message:${id}`);
+        const previous = row.moderation_status;
+        const reviewable = ['pending', 'flagged'].includes(previous) || (previous === 'approved' && openReports.has(id));
+        if (row.user_id === moderatorId || !reviewable) return [];
+        return [{ ...tx.update(row, { moderation_status: status, reviewed_by: moderatorId }), previous_status: previous }];
+      });
+      db.handle(/SELECT user_id FROM group_messages WHERE id = \$1 AND group_id = \$2/, ([id, groupId]) =>
+        messages.filter(entry => entry.id === id && entry.group_id === groupId));
+
+      getPool.mockReturnValue(db.pool);
+    });
+
+    it('approves a held message and shows it to the group', async () => {
+      messages.push(messageRow({ id: 'message-1' }));
+
+      const { message: reviewed } = await communityModerationService.review('group-1', 'message-1', moderator, { decision: 'approve' });
+
+      expect(reviewed).toMatchObject({ id: 'message-1', moderationStatus: 'approved' });
+      expect(messages[0].reviewed_by).toBe(moderator.id);
+      expect(groupMessageService.broadcast).toHaveBeenCalledWith(reviewed);
+      expect(reportService.resolveForMessage).toHaveBeenCalledWith('message-1', moderator, { status: 'dismissed', note: null });
+    });
+
+    it('does not let a moderator review their own held message', async () => {
+      messages.push(messageRow({ id: 'message-1', user_id: moderator.id }));
+
+      await expect(communityModerationService.review('group-1', 'message-1', moderator, { decision: 'approve' }))
+        .resolves.toEqual({ error: 'own_message' });
+      expect(messages[0].moderation_status).toBe('flagged');
+      expect(groupMessageService.broadcast).not.toHaveBeenCalled();
+    });
+
+    it('does not let a moderator clear reports on their own visible message', async () => {
+      messages.push(messageRow({ id: 'message-1', user_id: moderator.id, moderation_status: 'approved' }));
+      openReports.add('message-1');
+
+      await expect(communityModerationService.review('group-1', 'message-1', moderator, { decision: 'approve' }))
+        .resolves.toEqual({ error: 'own_message' });
+      expect(reportService.resolveForMessage).not.toHaveBeenCalled();
+    });
+
+    it('lets another moderator withdraw a reported message', async () => {
+      messages.push(messageRow({ id: 'message-1', moderation_status: 'approved' }));
+      openReports.add('message-1');
+
+      const { message: reviewed } = await communityModerationService.review('group-1', 'message-1', moderator, { decision: 'reject' });
+
+      expect(reviewed.moderationStatus).toBe('rejected');
+      expect(groupMessageService.withdraw).toHaveBeenCalledWith(reviewed);
+      expect(sanctionService.recordStrike).toHaveBeenCalledWith('user-1', 'message_rejected', expect.objectContaining({ sourceId: 'message-1' }));
+    });
+
+    it('reports a message that is gone or already decided as not found', async () => {
+      messages.push(messageRow({ id: 'message-1', moderation_status: 'approved' }));
+
+      await expect(communityModerationService.review('group-1', 'message-1', moderator, { decision: 'reject' }))
+        .resolves.toEqual({ error: 'not_found' });
+      await expect(communityModerationService.review('group-1', 'message-9', moderator, { decision: 'reject' }))
+        .resolves.toEqual({ error: 'not_found' });
+    });
+  });
+});
@@ -0,0 +1,242 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../services/crisisNotifiers', () => ({ createDefaultNotifiers: jest.fn(() => new Map()) }));
+
+const { getPool } = require('../../config/database');
+const { createFakeDb, rowFactory } = require('../helpers/fakeDb');
+const crisisEscalationService = require('../../services/crisisEscalationService');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000);
+
+const queueRow = rowFactory(() => ({
+  priority: 'urgent',
+  risk_score: '0.92',
+  status: 'pending',
+  sla_due_at: minutesFromNow(15),
+  page_count: 0,
+  last_paged_at: null,
+  next_page_at: null,
+  acknowledged_at: null,
+  timeline: [],
+  created_at: new Date()
+}));
+
+const coachOnCall = { id: 'coach-1', email: 'coach@example.com', phone: '+15550001', channels: ['email', 'sms'] };
+const admin = { id: 'admin-1', email: 'admin@example.com', phone: null, channels: ['email'] };
+
+// human_review_queue plus the on-call roster and admin list paging reads
+const createPagingDb = ({ onCall = [coachOnCall], admins = [admin] } = {}) => {
+  const db = createFakeDb();
+  const items = [];
+  const find = (id) => items.find(item => item.id === id);
+
+  db.handle(/SET page_count = page_count \+ 1/, async ([id, maxPages, intervalMinutes], tx) => {
+    const item = find(id);
+    if (!item) return [];
+    await tx.lock(`queue:${id}`);
+    if (item.acknowledged_at || !['pending', 'escalated'].includes(item.status)) return [];
+    const pageCount = item.page_count + 1;
+    return [tx.update(item, {
+      page_count: pageCount,
+      last_paged_at: new Date(),
+      next_page_at: pageCount < maxPages ? minutesFromNow(intervalMinutes) : null
+    })];
+  });
+  db.handle(/SET timeline = timeline \|\| \$2::jsonb, updated_at = NOW\(\)\s+WHERE id = \$1\s*$/, ([id, events], tx) => {
+    const item = find(id);
+    tx.update(item, { timeline: [...item.timeline, ...JSON.parse(events)] });
+  });
+  db.handle(/FROM crisis_on_call oc\s+JOIN users u/, () => onCall);
+  db.handle(/WHERE ur\.name = 'admin'/, () => admins);
+  db.handle(/SELECT id FROM human_review_queue[\s\S]*next_page_at <= NOW\(\)/, (params, tx, sql) => {
+    const due = items
+      .filter(item => !item.acknowledged_at && item.next_page_at && item.next_page_at <= new Date() &&
+        ['pending', 'escalated'].includes(item.status))
+      .sort((a, b) => a.next_page_at - b.next_page_at);
+    return tx.lockRows(sql, due, item => `queue:${item.id}`).then(rows => rows.map(({ id }) => ({ id })));
+  });
+  db.handle(/SET next_page_at = NOW\(\) \+ make_interval\(mins => \$2\)\s+WHERE id = ANY/, ([ids, intervalMinutes], tx) => {
+    ids.forEach(id => tx.update(find(id), { next_page_at: minutesFromNow(intervalMinutes) }));
+  });
+
+  return { db, items, add: (overrides) => items.push(queueRow(overrides)) };
+};
+
+const recordingNotifier = (name, { reachable = () => true, fails = false } = {}) => ({
+  name,
+  sent: [],
+  canReach: reachable,
+  async send(recipient, alert) {
+    if (fails) throw new Error(`${name} gateway down`);
+    this.sent.push({ recipientId: recipient.id, page: alert.page, itemId: alert.itemId });
+    return { status: 'sent' };
+  }
+});
+
+describe('crisisEscalationService', () => {
+  let store;
+  let email;
+  let sms;
+
+  const usePagingDb = (options) => {
+    store = createPagingDb(options);
+    getPool.mockReturnValue(store.db.pool);
+  };
+
+  beforeEach(() => {
+    usePagingDb();
+    email = recordingNotifier('email', { reachable: recipient => !!recipient.email });
+    sms = recordingNotifier('sms', { reachable: recipient => !!recipient.phone });
+    crisisEscalationService.notifiers = new Map([['email', email], ['sms', sms]]);
+    crisisEscalationService.io = null;
+  });
+
+  describe('page', () => {
+    it('pages the on-call coach on every channel and schedules the next page', async () => {
+      store.add({ id: 'item-1' });
+
+      const alert = await crisisEscalationService.page('item-1');
+
+      expect(alert).toMatchObject({ itemId: 'item-1', page: 1, reason: 'queued', riskScore: 0.92, priority: 'urgent' });
+      expect(alert.consoleUrl).toMatch(/\/crisis-review\/item-1$/);
+      expect(email.sent).toEqual([{ recipientId: 'coach-1', page: 1, itemId: 'item-1' }]);
+      expect(sms.sent).toEqual([{ recipientId: 'coach-1', page: 1, itemId: 'item-1' }]);
+
+      const [item] = store.items;
+      expect(item.page_count).toBe(1);
+      expect(item.next_page_at - Date.now()).toBeGreaterThan((crisisEscalationService.pageIntervalMinutes - 1) * 60000);
+      expect(item.timeline.map(event => [event.type, event.channel, event.status])).toEqual([
+        ['paged', undefined, undefined],
+        ['notified', 'email', 'sent'],
+        ['notified', 'sms', 'sent']
+      ]);
+    });
+
+    it('stops scheduling pages once the last page goes out', async () => {
+      store.add({ id: 'item-1', page_count: crisisEscalationService.maxPages - 1 });
+
+      const alert = await crisisEscalationService.page('item-1', 'repage');
+
+      expect(alert.page).toBe(crisisEscalationService.maxPages);
+      expect(store.items[0].next_page_at).toBeNull();
+    });
+
+    it('sends nothing for an acknowledged or resolved item', async () => {
+      store.add({ id: 'item-1', acknowledged_at: new Date() });
+      store.add({ id: 'item-2', status: 'completed' });
+
+      await expect(crisisEscalationService.page('item-1')).resolves.toBeNull();
+      await expect(crisisEscalationService.page('item-2')).resolves.toBeNull();
+      expect(email.sent).toEqual([]);
+      expect(store.items.map(item => item.page_count)).toEqual([0, 0]);
+    });
+
+    it('pushes the alert to connected reviewer consoles', async () => {
+      const emit = jest.fn();
+      crisisEscalationService.io = {
+        in: () => ({ fetchSockets: async () => [{ id: 'socket-1' }] }),
+        to: jest.fn(() => ({ emit }))
+      };
+      store.add({ id: 'item-1' });
+
+      await crisisEscalationService.page('item-1');
+
+      expect(crisisEscalationService.io.to).toHaveBeenCalledWith(crisisEscalationService.reviewerRoom);
+      expect(emit).toHaveBeenCalledWith('crisis:alert', expect.objectContaining({ itemId: 'item-1', page: 1 }));
+      expect(store.items[0].timeline).toContainEqual(expect.objectContaining({ channel: 'socket', status: 'sent', recipients: 1 }));
+    });
+  });
+
+  describe('getRecipients', () => {
+    it('sends the first page to on-call coaches only', async () => {
+      await expect(crisisEscalationService.getRecipients('queued', 1)).resolves.toEqual([coachOnCall]);
+    });
+
+    it('adds admins from the second page, once each', async () => {
+      usePagingDb({ onCall: [coachOnCall, admin], admins: [admin, { ...admin, id: 'admin-2' }] });
+
+      const recipients = await crisisEscalationService.getRecipients('repage', 2);
+
+      expect(recipients.map(recipient => recipient.id)).toEqual(['coach-1', 'admin-1', 'admin-2']);
+    });
+
+    it('sends reviewer escalations to admins only', async () => {
+      await expect(crisisEscalationService.getRecipients('escalated', 1)).resolves.toEqual([admin]);
+    });
+
+    it('pages admins straight away when nobody is on call', async () => {
+      usePagingDb({ onCall: [] });
+
+      await expect(crisisEscalationService.getRecipients('queued', 1)).resolves.toEqual([admin]);
+    });
+  });
+
+  describe('fanOut', () => {
+    const alert = { itemId: 'item-1', page: 1 };
+
+    it('marks channels that cannot reach the recipient as unreachable', async () => {
+      const events = await crisisEscalationService.fanOut([{ ...admin, channels: ['email', 'sms', 'pager'] }], alert);
+
+      expect(events.map(event => [event.channel, event.status])).toEqual([
+        ['email', 'sent'],
+        ['sms', 'unreachable'],
+        ['pager', 'unreachable']
+      ]);
+    });
+
+    it('keeps delivering when one channel fails', async () => {
+      crisisEscalationService.registerNotifier(recordingNotifier('email', { fails: true }));
+
+      const events = await crisisEscalationService.fanOut([coachOnCall], alert);
+
+      expect(events).toEqual([
+        expect.objectContaining({ type: 'notified', channel: 'email', status: 'failed', error: 'email gateway down' }),
+        expect.objectContaining({ type: 'notified', channel: 'sms', status: 'sent', recipientId: 'coach-1' })
+      ]);
+      expect(sms.sent).toHaveLength(1);
+    });
+  });
+
+  describe('repageUnacknowledged', () => {
+    it('re-pages due items and widens to admins', async () => {
+      store.add({ id: 'item-1', page_count: 1, next_page_at: minutesFromNow(-1) });
+      store.add({ id: 'item-2', page_count: 1, next_page_at: minutesFromNow(10) });
+      store.add({ id: 'item-3', page_count: 1, next_page_at: minutesFromNow(-1), acknowledged_at: new Date() });
+
+      await expect(crisisEscalationService.repageUnacknowledged()).resolves.toBe(1);
+
+      expect(store.items.map(item => item.page_count)).toEqual([2, 1, 1]);
+      expect(email.sent.map(sent => sent.recipientId)).toEqual(['coach-1', 'admin-1']);
+    });
+
+    it('pages each due item once when several instances run the job together', async () => {
+      store.add({ id: 'item-1', page_count: 1, next_page_at: minutesFromNow(-2) });
+      store.add({ id: 'item-2', page_count: 1, next_page_at: minutesFromNow(-1) });
+
+      const counts = await Promise.all([
+        crisisEscalationService.repageUnacknowledged(),
+        crisisEscalationService.repageUnacknowledged()
+      ]);
+
+      expect(counts.reduce((sum, count) => sum + count, 0)).toBe(2);
+      expect(store.items.map(item => item.page_count)).toEqual([2, 2]);
+    });
+
+    it('keeps paging the remaining items when one page fails', async () => {
+      store.add({ id: 'item-1', page_count: 1, next_page_at: minutesFromNow(-2) });
+      store.add({ id: 'item-2', page_count: 1, next_page_at: minutesFromNow(-1) });
+      const page = crisisEscalationService.page.bind(crisisEscalationService);
+      jest.spyOn(crisisEscalationService, 'page')
+        .mockRejectedValueOnce(new Error('smtp down'))
+        .mockImplementation(page);
+
+      try {
+        await expect(crisisEscalationService.repageUnacknowledged()).resolves.toBe(2);
+      } finally {
+        crisisEscalationService.page.mockRestore();
+      }
+
+      expect(store.items.map(item => item.page_count)).toEqual([1, 2]);
+      expect(store.items[0].next_page_at).not.toBeNull();
+    });
+  });
+});
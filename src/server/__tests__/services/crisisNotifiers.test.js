@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { EmailNotifier, SmsNotifier, WebhookNotifier } = require('../../services/crisisNotifiers');
+
+const alert = {
+  itemId: 'item-1',
+  priority: 'urgent',
+  riskScore: 0.92,
+  page: 2,
+  slaDueAt: '2026-01-01T12:00:00.000Z',
+  consoleUrl: 'https://app.example.com/crisis-review/item-1'
+};
+const recipient = { id: 'coach-1', email: 'coach@example.com', phone: null };
+
+describe('crisis notifiers', () => {
+  it('keeps stubbed pages in memory instead of sending them', async () => {
+    const notifier = new EmailNotifier({ stub: true });
+
+    await expect(notifier.send(recipient, alert)).resolves.toEqual({ status: 'stubbed' });
+    expect(notifier.sent).toEqual([expect.objectContaining({ recipientId: 'coach-1', alert })]);
+  });
+
+  it('only reaches recipients with an address for the channel', () => {
+    expect(new EmailNotifier({ stub: true }).canReach(recipient)).toBe(true);
+    expect(new SmsNotifier({ stub: true }).canReach(recipient)).toBe(false);
+  });
+
+  it('pages without any conversation content', () => {
+    const text = new SmsNotifier({ stub: true }).formatText(alert);
+
+    expect(text).toBe('[URGENT] Crisis review needed (page 2). Risk 0.92, SLA due 2026-01-01T12:00:00.000Z. ' +
+      'https://app.example.com/crisis-review/item-1');
+  });
+
+  describe('WebhookNotifier', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('signs the body with the shared secret', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true });
+      const notifier = new WebhookNotifier({ stub: false, url: 'https://hooks.example.com/page', secret: 's3cret' });
+
+      await expect(notifier.send(recipient, alert)).resolves.toEqual({ status: 'sent' });
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://hooks.example.com/page');
+      expect(JSON.parse(request.body)).toMatchObject({ event: 'crisis.review_needed', recipientId: 'coach-1', itemId: 'item-1' });
+      expect(request.headers['X-Signature']).toBe(crypto.createHmac('sha256', 's3cret').update(request.body).digest('hex'));
+    });
+
+    it('fails the delivery when the endpoint rejects it', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+      const notifier = new WebhookNotifier({ stub: false, url: 'https://hooks.example.com/page' });
+
+      await expect(notifier.send(recipient, alert)).rejects.toThrow('Webhook responded with 503');
+    });
+  });
+});
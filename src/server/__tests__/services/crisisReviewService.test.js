@@ -0,0 +1,220 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+
+const { getPool } = require('../../config/database');
+const { createFakeDb, rowFactory } = require('../helpers/fakeDb');
+const crisisReviewService = require('../../services/crisisReviewService');
+
+const coach = { id: 'coach-1', role: 'coach' };
+const otherCoach = { id: 'coach-2', role: 'coach' };
+const admin = { id: 'admin-1', role: 'admin' };
+
+const PRIORITY_RANK = { urgent: 4, high: 3, medium: 2, low: 1 };
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000);
+
+const queueRow = rowFactory(() => ({
+  user_id: 'user-1',
+  conversation_id: null,
+  message_id: null,
+  risk_score: '0.85',
+  priority: 'high',
+  status: 'pending',
+  sla_due_at: minutesFromNow(60),
+  claimed_by: null,
+  claimed_at: null,
+  claim_expires_at: null,
+  escalated_at: null,
+  outcome: null,
+  notes: null,
+  acknowledged_by: null,
+  acknowledged_at: null,
+  created_at: minutesFromNow(-5)
+}));
+
+// human_review_queue, answering the statements crisisReviewService runs
+const createQueueDb = () => {
+  const db = createFakeDb();
+  const items = [];
+  const find = (id) => items.find(item => item.id === id);
+  const lockRow = async (tx, item) => {
+    if (item) await tx.lock(`queue:${item.id}`);
+    return item;
+  };
+  const claimFields = (reviewerId, leaseMinutes) => ({
+    status: 'in_review',
+    claimed_by: reviewerId,
+    claimed_at: new Date(),
+    claim_expires_at: minutesFromNow(leaseMinutes)
+  });
+  const isHeldBy = (item, reviewerId) => item.status === 'in_review' && item.claimed_by === reviewerId &&
+    item.claim_expires_at >= new Date();
+
+  db.handle(/SELECT id FROM human_review_queue\s+WHERE status = ANY/, ([statuses], tx, sql) => {
+    const claimable = (item) => statuses.includes(item.status) || (item.status === 'in_review' && item.claim_expires_at < new Date());
+    const ordered = items.filter(claimable).sort((a, b) => (PRIORITY_RANK[b.priority] - PRIORITY_RANK[a.priority]) ||
+      (a.sla_due_at - b.sla_due_at) || (a.created_at - b.created_at));
+    return tx.lockRows(sql, ordered, item => `queue:${item.id}`, { matches: claimable, limit: 1 });
+  });
+  db.handle(/SET status = 'in_review'[\s\S]*WHERE q\.id = \$1\s+AND \(/, async ([id, reviewerId, leaseMinutes, statuses], tx) => {
+    const item = await lockRow(tx, find(id));
+    const claimable = item && (statuses.includes(item.status) ||
+      (item.status === 'in_review' && (item.claim_expires_at < new Date() || item.claimed_by === reviewerId)));
+    return claimable ? [tx.update(item, claimFields(reviewerId, leaseMinutes))] : [];
+  });
+  db.handle(/SET status = 'in_review'[\s\S]*WHERE q\.id = \$1\s+RETURNING/, async ([id, reviewerId, leaseMinutes], tx) => {
+    const item = await lockRow(tx, find(id));
+    return [tx.update(item, claimFields(reviewerId, leaseMinutes))];
+  });
+  db.handle(/WHERE q\.id = \$1 AND q\.status = 'in_review' AND q\.claimed_by = \$2 AND q\.claim_expires_at >= NOW\(\)/, async (params, tx, sql) => {
+    const [id, reviewerId] = params;
+    const item = await lockRow(tx, find(id));
+    if (!item || !isHeldBy(item, reviewerId)) return [];
+
+    const released = { claimed_by: null, claimed_at: null, claim_expires_at: null };
+    if (/status = 'completed'/.test(sql)) {
+      return [tx.update(item, { ...released, status: 'completed', outcome: params[2], reviewed_by: reviewerId })];
+    }
+    if (/CASE WHEN q\.escalated_at IS NOT NULL/.test(sql)) {
+      return [tx.update(item, { ...released, status: item.escalated_at ? 'escalated' : 'pending' })];
+    }
+    if (/notes = COALESCE/.test(sql)) {
+      return [tx.update(item, { notes: [item.notes, params[2]].filter(Boolean).join('\n'), claim_expires_at: minutesFromNow(params[3]) })];
+    }
+    throw new Error('Unhandled claimed-item update');
+  });
+  db.handle(/SELECT id FROM human_review_queue WHERE id = \$1/, ([id]) => items.filter(item => item.id === id));
+
+  return { db, items, add: (overrides) => items.push(queueRow(overrides)) };
+};
+
+describe('crisisReviewService claims', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createQueueDb();
+    getPool.mockReturnValue(store.db.pool);
+  });
+
+  describe('claim', () => {
+    it('holds the item for the reviewer for the lease period', async () => {
+      store.add({ id: 'item-1' });
+
+      const { item } = await crisisReviewService.claim('item-1', coach);
+
+      expect(item).toMatchObject({ id: 'item-1', status: 'in_review', claimedBy: coach.id, riskScore: 0.85 });
+      const leaseMs = new Date(item.claimExpiresAt) - Date.now();
+      expect(leaseMs).toBeGreaterThan((crisisReviewService.claimLeaseMinutes - 1) * 60000);
+      expect(leaseMs).toBeLessThanOrEqual(crisisReviewService.claimLeaseMinutes * 60000);
+    });
+
+    it('lets only one of two reviewers claiming at once take the item', async () => {
+      store.add({ id: 'item-1' });
+
+      const results = await Promise.all([
+        crisisReviewService.claim('item-1', coach),
+        crisisReviewService.claim('item-1', otherCoach)
+      ]);
+
+      expect(results.filter(result => result.item)).toHaveLength(1);
+      expect(results.filter(result => result.error === 'not_claimable')).toHaveLength(1);
+      expect(store.items[0].claimed_by).toBe(results[0].item ? coach.id : otherCoach.id);
+    });
+
+    it('returns an item to the queue once its lease runs out', async () => {
+      store.add({ id: 'item-1' });
+      await crisisReviewService.claim('item-1', coach);
+      await expect(crisisReviewService.claim('item-1', otherCoach)).resolves.toEqual({ error: 'not_claimable' });
+
+      store.items[0].claim_expires_at = minutesFromNow(-1);
+
+      await expect(crisisReviewService.claim('item-1', otherCoach)).resolves.toMatchObject({ item: { claimedBy: otherCoach.id } });
+      await expect(crisisReviewService.resolve('item-1', coach, { outcome: 'false_positive' }))
+        .resolves.toEqual({ error: 'not_claimed' });
+      expect(store.items[0].status).toBe('in_review');
+    });
+
+    it('keeps escalated items for admins', async () => {
+      store.add({ id: 'item-1', status: 'escalated', escalated_at: new Date() });
+
+      await expect(crisisReviewService.claim('item-1', coach)).resolves.toEqual({ error: 'not_claimable' });
+      await expect(crisisReviewService.claim('item-1', admin)).resolves.toMatchObject({ item: { claimedBy: admin.id } });
+    });
+
+    it('reports a missing item as not found', async () => {
+      await expect(crisisReviewService.claim('item-9', coach)).resolves.toEqual({ error: 'not_found' });
+    });
+  });
+
+  describe('claimNext', () => {
+    it('takes the most urgent item, then the one closest to its SLA', async () => {
+      store.add({ id: 'low', priority: 'low', sla_due_at: minutesFromNow(1) });
+      store.add({ id: 'high-later', priority: 'high', sla_due_at: minutesFromNow(50) });
+      store.add({ id: 'high-sooner', priority: 'high', sla_due_at: minutesFromNow(10) });
+
+      const picked = [];
+      for (const reviewer of [coach, otherCoach, admin]) {
+        picked.push((await crisisReviewService.claimNext(reviewer)).id);
+      }
+
+      expect(picked).toEqual(['high-sooner', 'high-later', 'low']);
+    });
+
+    it('gives reviewers pulling at the same time different items', async () => {
+      store.add({ id: 'item-1', priority: 'urgent' });
+      store.add({ id: 'item-2', priority: 'high' });
+
+      const [first, second, third] = await Promise.all([
+        crisisReviewService.claimNext(coach),
+        crisisReviewService.claimNext(otherCoach),
+        crisisReviewService.claimNext(admin)
+      ]);
+
+      expect([first.id, second.id].sort()).toEqual(['item-1', 'item-2']);
+      expect(first.claimedBy).toBe(coach.id);
+      expect(second.claimedBy).toBe(otherCoach.id);
+      expect(third).toBeNull();
+    });
+
+    it('picks up items whose claim has lapsed', async () => {
+      store.add({ id: 'item-1', status: 'in_review', claimed_by: otherCoach.id, claim_expires_at: minutesFromNow(-1) });
+
+      await expect(crisisReviewService.claimNext(coach)).resolves.toMatchObject({ id: 'item-1', claimedBy: coach.id });
+    });
+
+    it('returns null when the queue is empty', async () => {
+      store.add({ id: 'item-1', status: 'completed' });
+
+      await expect(crisisReviewService.claimNext(coach)).resolves.toBeNull();
+    });
+  });
+
+  describe('actions on a claimed item', () => {
+    beforeEach(async () => {
+      store.add({ id: 'item-1' });
+      await crisisReviewService.claim('item-1', coach);
+    });
+
+    it('resolves only for the reviewer holding the claim', async () => {
+      await expect(crisisReviewService.resolve('item-1', otherCoach, { outcome: 'false_positive' }))
+        .resolves.toEqual({ error: 'not_claimed' });
+
+      const { item } = await crisisReviewService.resolve('item-1', coach, { outcome: 'supportive_outreach' });
+
+      expect(item).toMatchObject({ status: 'completed', outcome: 'supportive_outreach', claimedBy: null });
+    });
+
+    it('puts a released item back in the queue', async () => {
+      await crisisReviewService.release('item-1', coach);
+
+      await expect(crisisReviewService.claimNext(otherCoach)).resolves.toMatchObject({ id: 'item-1', claimedBy: otherCoach.id });
+    });
+
+    it('renews the lease when a note is added', async () => {
+      store.items[0].claim_expires_at = minutesFromNow(1);
+
+      await crisisReviewService.addNote('item-1', coach, 'Called the user');
+
+      expect(store.items[0].notes).toMatch(/coach-1: Called the user$/);
+      expect(store.items[0].claim_expires_at - Date.now()).toBeGreaterThan((crisisReviewService.claimLeaseMinutes - 1) * 60000);
+    });
+  });
+});
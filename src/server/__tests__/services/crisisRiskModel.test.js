@@ -0,0 +1,175 @@
+const path = require('path');
+const { CrisisRiskModel, loadRuleset, validateRuleset } = require('../../services/crisisRiskModel');
+const { evaluate, loadCorpus } = require('../../scripts/evaluateCrisisRules');
+
+// Midday, so the late-night feature stays out of the scores
+const NOW = new Date('2024-01-01T12:00:00Z');
+
+describe('CrisisRiskModel', () => {
+  const model = new CrisisRiskModel(loadRuleset('v1'));
+  const score = (text, context = {}) => model.score(text, { now: NOW, ...context });
+  const ruleMatch = (text, ruleId) => model.findRuleMatches(text).find(match => match.ruleId === ruleId);
+
+  describe('negation scope', () => {
+    it.each([
+      ["I'm not okay, I want to die", 'a comma'],
+      ['honestly i am not ok i want to die', 'a new first-person subject'],
+      ['I have not slept and I want to die', 'a coordinating conjunction'],
+      ["I'm not okay. I want to die.", 'a sentence boundary'],
+      ["I'm not sure why but I feel suicidal", 'a pseudo-negation and a terminator']
+    ])('does not carry past %s (%s)', (text) => {
+      const result = score(text);
+
+      expect(result.level).toBe('high');
+      expect(result.explanations.find(item => item.ruleId === 'suicidal_intent').modifiers).not.toContain('negated');
+    });
+
+    it.each([
+      "I'm not going to kill myself",
+      'I would never hurt myself',
+      "I'm no longer suicidal",
+      "I've never tried to kill myself",
+      "I don't feel hopeless anymore",
+      "I can't imagine hurting myself"
+    ])('applies when the cue governs the phrase: %s', (text) => {
+      const match = model.findRuleMatches(text).find(item => item.contribution !== 0 && item.weight > 0);
+
+      expect(match.modifiers).toContain('negated');
+    });
+
+    it('requires the cue to govern the matched phrase, not just precede it', () => {
+      expect(ruleMatch('no one would notice if i killed myself', 'suicidal_intent').modifiers).toEqual([]);
+      expect(ruleMatch('not that anyone asks but i want to die', 'suicidal_intent').modifiers).toEqual([]);
+    });
+
+    it('does not let a pseudo-negation govern the phrase', () => {
+      expect(ruleMatch("i can't stop cutting myself", 'self_harm_intent').modifiers).toEqual([]);
+      expect(ruleMatch("i've never felt so hopeless", 'hopelessness').modifiers).toEqual([]);
+    });
+  });
+
+  describe('inflected phrases', () => {
+    it.each([
+      ['No one would notice if I killed myself', 'suicidal_intent'],
+      ['I wanted to die all day today', 'suicidal_intent'],
+      ['She thinks I ended it all', 'suicidal_intent'],
+      ['I just wish I was dead', 'suicidal_intent'],
+      ['I cut myself again last night', 'self_harm_intent'],
+      ['I burned myself on purpose', 'self_harm_intent'],
+      ['I never want to wake up', 'suicidal_intent'],
+      ['I just want it all to end', 'suicidal_intent'],
+      ['I want to end it.', 'suicidal_intent'],
+      ['Nobody would miss me if I was gone', 'suicidal_intent'],
+      ["They wouldn't even notice me gone", 'suicidal_intent'],
+      ['I want to end it with my boyfriend', null],
+      ['He wants to hurt himself', null]
+    ])('%s', (text, ruleId) => {
+      const match = model.findRuleMatches(text).find(item => item.category === 'suicidal_ideation' || item.category === 'self_harm');
+
+      expect(match ? match.ruleId : null).toBe(ruleId);
+    });
+  });
+
+  it.each(["I can't go on", 'I cannot go on anymore', 'I can not go on'])('reads "%s" as hopelessness, not negation', (text) => {
+    expect(ruleMatch(text.toLowerCase(), 'hopelessness').modifiers).toEqual([]);
+  });
+
+  describe('other modifiers', () => {
+    it('scales historical and third-person matches down', () => {
+      expect(ruleMatch('i used to self harm years ago', 'self_harm_intent').modifiers).toEqual(['historical']);
+      expect(ruleMatch('my friend told me she is suicidal', 'suicidal_intent').modifiers).toEqual(['other_experiencer']);
+      expect(score('My friend told me she is suicidal').level).toBe('low');
+    });
+
+    it('keeps the historical clause across a new subject', () => {
+      expect(ruleMatch('in the past i felt hopeless', 'hopelessness').modifiers).toEqual(['historical']);
+    });
+  });
+
+  describe('score', () => {
+    it('counts only the strongest match per category', () => {
+      const once = score('I want to die');
+      const repeated = score('I want to die, I want to die, I want to die');
+
+      expect(repeated.score).toBe(once.score);
+      expect(repeated.explanations.filter(item => item.ruleId === 'suicidal_intent' && item.contribution > 0)).toHaveLength(1);
+    });
+
+    it('explains every signal, largest contribution first', () => {
+      const result = score('I feel hopeless and I want to die');
+      const contributions = result.explanations.map(item => Math.abs(item.contribution));
+
+      expect(result.rulesVersion).toBe('v1');
+      expect(result.categories).toEqual(expect.arrayContaining(['suicidal_ideation', 'hopelessness']));
+      expect(contributions).toEqual([...contributions].sort((a, b) => b - a));
+    });
+
+    it('raises the score for a risky recent history', () => {
+      const alone = score("I can't go on like this");
+      const withHistory = score("I can't go on like this", {
+        history: [{ sender: 'user', content: 'I want to die' }, { sender: 'assistant', content: 'I hear you' }]
+      });
+
+      expect(withHistory.score).toBeGreaterThan(alone.score);
+      expect(withHistory.explanations.find(item => item.feature === 'recentHistory').value).toBe(1);
+    });
+
+    it('uses the user\'s local hour for the late-night feature', () => {
+      const result = model.score('I feel sad', { now: NOW, userContext: { timezone: 'Asia/Tokyo' } });
+
+      // 12:00 UTC is 21:00 in Tokyo, before the late-night window opens
+      expect(result.explanations.find(item => item.feature === 'lateNight')).toBeUndefined();
+      expect(model.score('I feel sad', { now: NOW, userContext: { timezone: 'Pacific/Kiritimati' } })
+        .explanations.find(item => item.feature === 'lateNight').value).toBe(1);
+    });
+
+    it('adds the method and intent interaction only when both are stated', () => {
+      const interaction = (text) => score(text).explanations.find(item => item.interactionId === 'method_with_intent');
+
+      expect(score('Im going to overdose tonight').level).toBe('high');
+      expect(interaction('Im going to overdose tonight').contribution).toBe(3);
+      expect(interaction('I read about overdose statistics')).toBeUndefined();
+      expect(interaction("I'm going to meditate tonight")).toBeUndefined();
+    });
+
+    it('discounts the interaction like its weakest part', () => {
+      const result = score("I'm not going to overdose tonight");
+
+      expect(result.explanations.find(item => item.interactionId === 'method_with_intent').contribution).toBe(0.45);
+      expect(result.level).toBe('low');
+    });
+
+    it('treats topical mentions as lowering risk', () => {
+      expect(score('I read an article about suicide prevention for a class').level).toBe('low');
+    });
+  });
+
+  describe('rulesets', () => {
+    it('rejects invalid rulesets', () => {
+      expect(() => validateRuleset({
+        version: 'bad',
+        bias: -4,
+        thresholds: { high: 0.5, medium: 0.8 },
+        rules: [{ id: 'a', category: 'x', weight: 1, patterns: ['('] }, { id: 'a', weight: 'heavy', patterns: [] }]
+      })).toThrow(/thresholds\.high.*invalid pattern.*unique id.*category.*numeric weight/);
+    });
+
+    it('rejects interactions over unknown rules', () => {
+      expect(() => validateRuleset({
+        version: 'bad',
+        bias: -4,
+        thresholds: { high: 0.8, medium: 0.5 },
+        rules: [{ id: 'a', category: 'x', weight: 1, patterns: [] }],
+        interactions: [{ id: 'a_with_b', weight: 2, requires: ['a', 'b'] }]
+      })).toThrow('interaction a_with_b requires unknown rule b');
+    });
+
+    it('meets the recall gate on the evaluation corpus', () => {
+      const corpus = loadCorpus(path.join(__dirname, '..', '..', 'scripts', 'data', 'crisisEvalCorpus.jsonl'));
+      const report = evaluate(model, corpus);
+
+      expect(report.missed.map(result => result.text)).toEqual([]);
+      expect(report.falseAlarms.map(result => result.text)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+
+const crypto = require('crypto');
+const { getPool } = require('../../config/database');
+const { HashEmbeddingProvider } = require('../../services/embeddingProviders');
+const curriculumIndexService = require('../../services/curriculumIndexService');
+
+const lesson = {
+  id: 'lesson-1',
+  title: 'Body scan',
+  content_text: 'Bring attention to the feet. Notice any sensation without changing it.',
+  transcript: null
+};
+
+describe('curriculumIndexService', () => {
+  let pool;
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool = { query: jest.fn().mockResolvedValue({ rows: [] }), connect: jest.fn().mockResolvedValue(client) };
+    getPool.mockReturnValue(pool);
+    curriculumIndexService.setEmbedder(new HashEmbeddingProvider({ dimensions: 64 }));
+    curriculumIndexService.vectorIndexes.clear();
+  });
+
+  describe('vectorSearch', () => {
+    it('searches through the model\'s dimensioned cast so its HNSW index applies', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ chunk_id: 'chunk-1', similarity: '0.9' }, { chunk_id: 'chunk-2', similarity: '0.1' }] });
+
+      const hits = await curriculumIndexService.vectorSearch('body scan', 10);
+
+      expect(hits.map(hit => hit.chunk_id)).toEqual(['chunk-1']);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('ORDER BY lc.embedding::vector(64) <=> $1::vector(64)');
+      expect(sql).toContain('lc.embedding_model = $2');
+      expect(JSON.parse(params[0])).toHaveLength(64);
+      expect(params[1]).toBe('hash-bow-64');
+    });
+  });
+
+  describe('indexLesson', () => {
+    it('creates the model\'s partial HNSW index once and stores vectors at its width', async () => {
+      await curriculumIndexService.indexLesson(lesson);
+      await curriculumIndexService.indexLesson(lesson);
+
+      const indexStatements = pool.query.mock.calls.map(([sql]) => sql).filter(sql => sql.includes('CREATE INDEX'));
+      expect(indexStatements).toHaveLength(1);
+      expect(indexStatements[0]).toContain('CREATE INDEX IF NOT EXISTS idx_lesson_chunks_hnsw_hash_bow_64');
+      expect(indexStatements[0]).toContain('USING hnsw ((embedding::vector(64)) vector_cosine_ops)');
+      expect(indexStatements[0]).toContain("WHERE embedding_model = 'hash-bow-64'");
+
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO lesson_chunks'));
+      expect(insert[0]).toContain('$8::vector(64)');
+      expect(JSON.parse(insert[1][7])).toHaveLength(64);
+    });
+
+    it('indexes the width of reused embeddings too', async () => {
+      const stored = JSON.stringify(new Array(64).fill(0.125));
+      const chunk = curriculumIndexService.chunkText(lesson.content_text)[0];
+      const hash = crypto.createHash('sha256').update(`${lesson.title}\n\n${chunk.content}`).digest('hex');
+      pool.query.mockResolvedValueOnce({ rows: [{ content_hash: hash, embedding: stored }] });
+
+      const result = await curriculumIndexService.indexLesson(lesson);
+
+      expect(result).toEqual({ lessonId: 'lesson-1', chunks: 1, embedded: 0 });
+      expect(pool.query.mock.calls[1][0]).toContain('embedding::vector(64)');
+    });
+  });
+
+  describe('ensureVectorIndex', () => {
+    it('quotes the model name in the index predicate', async () => {
+      await curriculumIndexService.ensureVectorIndex("team's-model", 384);
+
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain('idx_lesson_chunks_hnsw_team_s_model');
+      expect(sql).toContain("WHERE embedding_model = 'team''s-model'");
+    });
+
+    it('skips models wider than HNSW supports', async () => {
+      await curriculumIndexService.ensureVectorIndex('text-embedding-3-large', 3072);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chunkText', () => {
+    beforeEach(() => {
+      curriculumIndexService.chunkSize = 80;
+      curriculumIndexService.chunkOverlap = 20;
+    });
+
+    afterEach(() => {
+      curriculumIndexService.chunkSize = 1200;
+      curriculumIndexService.chunkOverlap = 200;
+    });
+
+    it('returns chunks whose offsets point back into the original text', () => {
+      const text = 'Sit comfortably. Let the breath find its own rhythm.\nNotice the rise and fall of the belly. When the mind wanders, return gently.';
+
+      const chunks = curriculumIndexService.chunkText(text);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => {
+        expect(text.slice(chunk.startOffset, chunk.endOffset)).toBe(chunk.content);
+        expect(chunk.content.length).toBeLessThanOrEqual(80);
+      });
+      expect(chunks[chunks.length - 1].endOffset).toBe(text.length);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+process.env.GROUP_INVITE_SECRET = 'test-invite-secret';
+
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../services/groupMessageService', () => ({ emitToUser: jest.fn() }));
+jest.mock('../../services/blockService', () => ({ canContact: jest.fn(async () => true) }));
+
+const crypto = require('crypto');
+const { getPool } = require('../../config/database');
+const { rowFactory } = require('../helpers/fakeDb');
+const { GROUP_ID, createGroupDb } = require('../helpers/groupDb');
+const groupService = require('../../services/groupService');
+const groupMessageService = require('../../services/groupMessageService');
+const groupInviteService = require('../../services/groupInviteService');
+
+const leader = { id: 'leader-1' };
+
+let inviteIds = 0;
+const inviteRow = rowFactory(() => ({
+  id: `invite-${++inviteIds}`,
+  group_id: GROUP_ID,
+  created_by: leader.id,
+  invitee_id: null,
+  max_uses: null,
+  use_count: 0,
+  expires_at: new Date(Date.now() + 3600000),
+  revoked_at: null,
+  created_at: new Date()
+}));
+
+// Group tables plus group_invites and the users lookup createInvite makes
+const createInviteDb = () => {
+  const store = createGroupDb();
+  const invites = [];
+
+  store.db.handle(/SELECT id FROM users WHERE id = \$1/, ([userId]) => (userId === 'deleted-user' ? [] : [{ id: userId }]));
+  store.db.handle(/INSERT INTO group_invites/, ([groupId, createdBy, codeHash, inviteeId, maxUses, hours], tx) => [
+    tx.insert(invites, inviteRow({
+      group_id: groupId,
+      created_by: createdBy,
+      code_hash: codeHash,
+      invitee_id: inviteeId,
+      max_uses: maxUses,
+      expires_at: new Date(Date.now() + hours * 3600000)
+    }))
+  ]);
+  store.db.handle(/FROM group_invites WHERE code_hash = \$1/, ([codeHash]) => invites.filter(invite => invite.code_hash === codeHash));
+  store.db.handle(/FROM group_invites WHERE id = \$1 AND group_id = \$2/, ([id, groupId]) => invites.filter(invite => invite.id === id && invite.group_id === groupId));
+  store.db.handle(/SET use_count = use_count \+ 1/, ([id, userId, managerRoles], tx) => {
+    const invite = invites.find(row => row.id === id);
+    const creatorRuns = store.memberships.some(m => m.group_id === invite.group_id && m.user_id === invite.created_by &&
+      !m.left_at && managerRoles.includes(m.role));
+    const usable = !invite.revoked_at && invite.expires_at > new Date() &&
+      (invite.max_uses === null || invite.use_count < invite.max_uses) &&
+      (invite.invitee_id === null || invite.invitee_id === userId) && creatorRuns;
+    if (!usable) return [];
+    tx.update(invite, { use_count: invite.use_count + 1 });
+    return [{ id: invite.id }];
+  });
+  store.db.handle(/UPDATE group_join_requests/, () => []);
+
+  return { ...store, invites };
+};
+
+describe('groupInviteService', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = createInviteDb();
+    store.seed({ privacy_level: 'invite_only', max_members: 20 }, 3);
+    getPool.mockReturnValue(store.db.pool);
+    jest.spyOn(groupService, 'getGroup').mockImplementation(async () => ({ id: GROUP_ID, memberCount: store.group().member_count }));
+  });
+
+  afterEach(() => {
+    groupService.getGroup.mockRestore();
+  });
+
+  const accept = (userId, code) => groupInviteService.acceptInvite({ id: userId }, { code });
+
+  describe('createInvite', () => {
+    it('stores the requested use limit and returns a readable code', async () => {
+      const { invite, code } = await groupInviteService.createInvite(GROUP_ID, leader, { maxUses: 5 });
+
+      expect(invite).toMatchObject({ maxUses: 5, useCount: 0, inviteeId: null });
+      expect(code).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+      expect(store.invites[0].code_hash).toBe(crypto.createHash('sha256').update(code).digest('hex'));
+    });
+
+    it('limits an invite addressed to one member to a single use and tells them', async () => {
+      const { invite, token } = await groupInviteService.createInvite(GROUP_ID, leader, { maxUses: 20, inviteeId: 'user-2' });
+
+      expect(invite).toMatchObject({ maxUses: 1, inviteeId: 'user-2' });
+      expect(groupMessageService.emitToUser).toHaveBeenCalledWith('user-2', 'group:invited', expect.objectContaining({ inviteId: invite.id, token }));
+    });
+
+    it('refuses to address an invite to a member or a missing user', async () => {
+      await expect(groupInviteService.createInvite(GROUP_ID, leader, { inviteeId: 'member-2' }))
+        .resolves.toEqual({ error: 'already_member' });
+      await expect(groupInviteService.createInvite(GROUP_ID, leader, { inviteeId: 'deleted-user' }))
+        .resolves.toEqual({ error: 'user_not_found' });
+      expect(store.invites).toHaveLength(0);
+    });
+  });
+
+  describe('acceptInvite', () => {
+    it('admits members up to max_uses and then refuses the code', async () => {
+      const { code } = await groupInviteService.createInvite(GROUP_ID, leader, { maxUses: 2 });
+
+      const results = [];
+      for (const userId of ['user-2', 'user-3', 'user-4']) {
+        results.push(await accept(userId, code));
+      }
+
+      expect(results.map(result => result.error || 'joined')).toEqual(['joined', 'joined', 'invalid_invite']);
+      expect(store.invites[0].use_count).toBe(2);
+      expect(store.activeMembers()).toEqual(expect.arrayContaining(['user-2', 'user-3']));
+      expect(store.activeMembers()).not.toContain('user-4');
+      expect(store.group().member_count).toBe(5);
+    });
+
+    it('lets only one of several concurrent accepts use a single-use invite', async () => {
+      const { code } = await groupInviteService.createInvite(GROUP_ID, leader, { maxUses: 1 });
+
+      const results = await Promise.all(['user-2', 'user-3', 'user-4'].map(userId => accept(userId, code)));
+
+      expect(results.filter(result => result.group)).toHaveLength(1);
+      expect(results.filter(result => result.error === 'invalid_invite')).toHaveLength(2);
+      expect(store.invites[0].use_count).toBe(1);
+      expect(store.group().member_count).toBe(4);
+    });
+
+    it('accepts a code whatever its case', async () => {
+      const { code } = await groupInviteService.createInvite(GROUP_ID, leader, {});
+
+      await expect(accept('user-2', code.toLowerCase())).resolves.toMatchObject({ group: { id: GROUP_ID } });
+    });
+
+    it('lets only the addressee use an addressed invite, through the link', async () => {
+      const { token } = await groupInviteService.createInvite(GROUP_ID, leader, { inviteeId: 'user-2' });
+
+      await expect(groupInviteService.acceptInvite({ id: 'user-3' }, { token })).resolves.toEqual({ error: 'invalid_invite' });
+      await expect(groupInviteService.acceptInvite({ id: 'user-2' }, { token })).resolves.toMatchObject({ group: { id: GROUP_ID } });
+      expect(store.invites[0].use_count).toBe(1);
+    });
+
+    it('does not use up the invite when the group is full', async () => {
+      const { code } = await groupInviteService.createInvite(GROUP_ID, leader, { maxUses: 1 });
+      store.group().max_members = 3;
+
+      await expect(accept('user-2', code)).resolves.toEqual({ error: 'group_full' });
+      expect(store.invites[0].use_count).toBe(0);
+    });
+
+    it('stops working once whoever created it no longer runs the group', async () => {
+      const coLeader = store.memberships.find(m => m.user_id === 'member-2');
+      coLeader.role = 'co_leader';
+      const { code } = await groupInviteService.createInvite(GROUP_ID, { id: 'member-2' }, {});
+      coLeader.role = 'member';
+
+      await expect(accept('user-2', code)).resolves.toEqual({ error: 'invalid_invite' });
+    });
+
+    it('rejects a link that was not signed for invites', async () => {
+      await expect(groupInviteService.acceptInvite({ id: 'user-2' }, { token: 'not-a-token' }))
+        .resolves.toEqual({ error: 'invalid_invite' });
+      expect(store.group().member_count).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../services/groupService', () => ({
+  formatMemberName: jest.fn((first, last) => `${first} ${last}`)
+}));
+jest.mock('../../services/blockService', () => ({}));
+
+const { getPool } = require('../../config/database');
+const groupMessageService = require('../../services/groupMessageService');
+
+const GROUP_ID = '00000000-0000-4000-8000-000000000001';
+const USER_ID = '00000000-0000-4000-8000-000000000002';
+
+// Messages written within the same millisecond, as pg returns them (bigint as a string)
+const messageId = (n) => `00000000-0000-4000-8000-00000000010${n}`;
+
+const messageRow = (n, createdUs) => ({
+  id: messageId(n),
+  group_id: GROUP_ID,
+  user_id: USER_ID,
+  first_name: 'Sam',
+  last_name: 'Lee',
+  message_content: `message ${n}`,
+  message_type: 'text',
+  moderation_status: 'approved',
+  created_at: new Date(Math.floor(Number(createdUs) / 1000)),
+  created_us: createdUs
+});
+
+describe('groupMessageService.listMessages', () => {
+  let pool;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool = { query: jest.fn() };
+    getPool.mockReturnValue(pool);
+  });
+
+  it('asks for one extra row and leaves the cursor unset on the first page', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [messageRow(1, '1700000000123458')] });
+
+    const { messages, pagination } = await groupMessageService.listMessages(GROUP_ID, USER_ID, { limit: 2 });
+
+    expect(messages).toHaveLength(1);
+    expect(pagination).toEqual({ nextCursor: null, hasMore: false });
+    expect(pool.query.mock.calls[0][1]).toEqual([GROUP_ID, USER_ID, null, null, 3]);
+  });
+
+  it('keeps microsecond precision in the cursor so same-millisecond messages are not skipped', async () => {
+    pool.query.mockResolvedValueOnce({
+      rows: [
+        messageRow(1, '1700000000123458'),
+        messageRow(2, '1700000000123457'),
+        messageRow(3, '1700000000123456')
+      ]
+    });
+
+    const firstPage = await groupMessageService.listMessages(GROUP_ID, USER_ID, { limit: 2 });
+
+    expect(firstPage.messages.map(message => message.id)).toEqual([messageId(1), messageId(2)]);
+    expect(firstPage.pagination.hasMore).toBe(true);
+
+    pool.query.mockResolvedValueOnce({ rows: [messageRow(3, '1700000000123456')] });
+    await groupMessageService.listMessages(GROUP_ID, USER_ID, { cursor: firstPage.pagination.nextCursor, limit: 2 });
+
+    const [sql, params] = pool.query.mock.calls[1];
+    expect(params.slice(2, 4)).toEqual(['1700000000123457', messageId(2)]);
+    expect(sql).toContain("(m.created_at, m.id) < (TIMESTAMPTZ 'epoch' + $3::bigint * INTERVAL '1 microsecond', $4::uuid)");
+    expect(sql).toContain('ORDER BY m.created_at DESC, m.id DESC');
+  });
+});
+
+describe('groupMessageService.isValidCursor', () => {
+  const cursorFor = (text) => Buffer.from(text).toString('base64url');
+
+  it('accepts cursors it issued', () => {
+    expect(groupMessageService.isValidCursor(cursorFor(`1700000000123456|${GROUP_ID}`))).toBe(true);
+  });
+
+  it.each([
+    ['a millisecond ISO timestamp', `2023-11-14T22:13:20.123Z|${GROUP_ID}`],
+    ['a missing ID', '1700000000123456|'],
+    ['an ID that is not a UUID', '1700000000123456|42'],
+    ['a negative time', `-1|${GROUP_ID}`],
+    ['a time too large for a bigint', `${'9'.repeat(18)}|${GROUP_ID}`],
+    ['no separator', '1700000000123456']
+  ])('rejects %s', (label, text) => {
+    expect(groupMessageService.isValidCursor(cursorFor(text))).toBe(false);
+  });
+
+  it('rejects text that is not base64url', () => {
+    expect(groupMessageService.isValidCursor('not a cursor!')).toBe(false);
+  });
+});
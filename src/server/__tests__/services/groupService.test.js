@@ -0,0 +1,122 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+
+const { getPool } = require('../../config/database');
+const { GROUP_ID, createGroupDb } = require('../helpers/groupDb');
+const groupService = require('../../services/groupService');
+
+describe('groupService membership and member_count', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createGroupDb();
+    getPool.mockReturnValue(store.db.pool);
+    jest.spyOn(groupService, 'getGroup').mockImplementation(async () => ({ id: GROUP_ID, memberCount: store.group().member_count }));
+  });
+
+  afterEach(() => {
+    groupService.getGroup.mockRestore();
+  });
+
+  it('counts the new member and returns the updated group', async () => {
+    store.seed({}, 3);
+
+    const result = await groupService.joinGroup(GROUP_ID, { id: 'user-1' });
+
+    expect(result).toEqual({ group: { id: GROUP_ID, memberCount: 4 } });
+    expect(store.activeMembers()).toContain('user-1');
+  });
+
+  it('recounts from memberships, so a drifted cache is corrected', async () => {
+    store.seed({ member_count: 9 }, 3);
+    store.group().member_count = 7;
+
+    await groupService.joinGroup(GROUP_ID, { id: 'user-1' });
+
+    expect(store.group().member_count).toBe(4);
+  });
+
+  it('lets only one of two concurrent joins take the last place', async () => {
+    store.seed({ max_members: 10 }, 9);
+
+    const results = await Promise.all([
+      groupService.joinGroup(GROUP_ID, { id: 'user-1' }),
+      groupService.joinGroup(GROUP_ID, { id: 'user-2' })
+    ]);
+
+    expect(results).toEqual([{ group: { id: GROUP_ID, memberCount: 10 } }, { error: 'group_full' }]);
+    expect(store.group().member_count).toBe(10);
+    expect(store.activeMembers()).toHaveLength(10);
+  });
+
+  it('keeps the count exact when many members join and leave at once', async () => {
+    store.seed({ max_members: 50 }, 20);
+
+    await Promise.all([
+      ...Array.from({ length: 10 }, (_, i) => groupService.joinGroup(GROUP_ID, { id: `user-${i}` })),
+      ...Array.from({ length: 8 }, (_, i) => groupService.leaveGroup(GROUP_ID, `member-${i + 2}`))
+    ]);
+
+    expect(store.activeMembers()).toHaveLength(22);
+    expect(store.group().member_count).toBe(22);
+  });
+
+  it('admits a join that queued behind a leave from a full group', async () => {
+    store.seed({ max_members: 5 }, 5);
+
+    const [left, joined] = await Promise.all([
+      groupService.leaveGroup(GROUP_ID, 'member-2'),
+      groupService.joinGroup(GROUP_ID, { id: 'user-1' })
+    ]);
+
+    expect(left).toEqual({ left: true, closed: false });
+    expect(joined).toEqual({ group: { id: GROUP_ID, memberCount: 5 } });
+    expect(store.group().member_count).toBe(5);
+  });
+
+  it('rolls back the membership when the join is refused inside the transaction', async () => {
+    store.seed({}, 3);
+
+    const result = await groupService.addMember(GROUP_ID, { id: 'user-1' }, {
+      beforeJoin: async () => 'invalid_invite'
+    });
+
+    expect(result).toEqual({ error: 'invalid_invite' });
+    expect(store.activeMembers()).not.toContain('user-1');
+    expect(store.group().member_count).toBe(3);
+  });
+
+  it('rejects joining twice', async () => {
+    store.seed({}, 3);
+
+    await groupService.joinGroup(GROUP_ID, { id: 'user-1' });
+    const again = await groupService.joinGroup(GROUP_ID, { id: 'user-1' });
+
+    expect(again).toEqual({ error: 'already_member' });
+    expect(store.group().member_count).toBe(4);
+  });
+
+  it('keeps a leader with other members in the group', async () => {
+    store.seed({}, 3);
+
+    await expect(groupService.leaveGroup(GROUP_ID, 'leader-1')).resolves.toEqual({ error: 'leader_must_transfer' });
+    expect(store.group().member_count).toBe(3);
+  });
+
+  it('closes the group when its last member, the leader, leaves', async () => {
+    store.seed({}, 1);
+
+    await expect(groupService.leaveGroup(GROUP_ID, 'leader-1')).resolves.toEqual({ left: true, closed: true });
+    expect(store.group()).toMatchObject({ member_count: 0, is_active: false });
+  });
+
+  it('counts a removal and keeps the removed member from rejoining directly', async () => {
+    store.seed({}, 3);
+
+    await expect(groupService.removeMember(GROUP_ID, { id: 'leader-1' }, 'member-2'))
+      .resolves.toEqual({ removed: true, role: 'member' });
+    expect(store.group().member_count).toBe(2);
+
+    await expect(groupService.joinGroup(GROUP_ID, { id: 'member-2' })).resolves.toEqual({ error: 'removed' });
+    expect(store.group().member_count).toBe(2);
+  });
+});
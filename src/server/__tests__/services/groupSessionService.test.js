@@ -0,0 +1,209 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../services/groupMessageService', () => ({
+  emitToUser: jest.fn(),
+  roomFor: jest.fn(groupId => `group-${groupId}`)
+}));
+
+const { getPool } = require('../../config/database');
+const { createFakeDb, rowFactory } = require('../helpers/fakeDb');
+const groupMessageService = require('../../services/groupMessageService');
+const groupSessionService = require('../../services/groupSessionService');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+// What Postgres does with `$wall::timestamp AT TIME ZONE $zone`
+const atTimeZone = (wall, zone) => {
+  const asUtc = new Date(`${wall}Z`);
+  const shown = new Date(`${asUtc.toLocaleString('sv-SE', { timeZone: zone }).replace(' ', 'T')}Z`);
+  return new Date(asUtc.getTime() + (asUtc - shown));
+};
+
+const sessionRow = rowFactory({
+  group_id: 'group-1',
+  facilitator_id: 'leader-1',
+  title: 'Evening breathing practice',
+  description: null,
+  duration_minutes: 45,
+  timezone: 'UTC',
+  status: 'scheduled',
+  live_started_at: null,
+  ended_at: null,
+  created_at: NOW
+});
+
+describe('groupSessionService', () => {
+  let sessions;
+  let rsvps;
+  let users;
+  let memberships;
+
+  // group_sessions and their RSVPs, answering createSession(), getSession() and
+  // sendReminders()
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['setImmediate', 'nextTick'] });
+    jest.clearAllMocks();
+    const db = createFakeDb();
+    sessions = [];
+    rsvps = [];
+    users = [];
+    memberships = [];
+    let nextId = 1;
+
+    db.handle(/INSERT INTO group_sessions/, (params, tx) => {
+      const [groupId, facilitatorId, title, description, startsAt, hasOffset, zone, durationMinutes] = params;
+      const start = hasOffset ? new Date(startsAt) : atTimeZone(startsAt, zone);
+      if (start <= Date.now() || start >= Date.now() + 365 * 24 * 60 * MINUTE) return [];
+      return [tx.insert(sessions, sessionRow({
+        id: `session-${nextId++}`, group_id: groupId, facilitator_id: facilitatorId, title, description,
+        starts_at: start, duration_minutes: durationMinutes, timezone: zone
+      }))];
+    });
+    db.handle(/INSERT INTO group_session_rsvps/, ([sessionId, userId], tx) => {
+      tx.insert(rsvps, { session_id: sessionId, user_id: userId, status: 'going', reminded_at: null });
+      return [];
+    });
+    db.handle(/WHERE s\.id = \$2 AND s\.group_id = \$3/, ([viewerId, sessionId, groupId]) => sessions
+      .filter(session => session.id === sessionId && session.group_id === groupId)
+      .map(session => ({
+        ...session,
+        first_name: 'Lee',
+        last_name: 'Ng',
+        my_rsvp: (rsvps.find(rsvp => rsvp.session_id === session.id && rsvp.user_id === viewerId) || {}).status,
+        going_count: rsvps.filter(rsvp => rsvp.session_id === session.id && rsvp.status === 'going').length,
+        maybe_count: 0,
+        attendance_count: 0
+      })));
+    db.handle(/WITH due AS/, ([minutes]) => {
+      const due = rsvps.filter(rsvp => {
+        const session = sessions.find(entry => entry.id === rsvp.session_id);
+        return !rsvp.reminded_at && ['going', 'maybe'].includes(rsvp.status) && session.status === 'scheduled' &&
+          session.starts_at > Date.now() && session.starts_at <= Date.now() + minutes * MINUTE &&
+          memberships.some(m => m.group_id === session.group_id && m.user_id === rsvp.user_id && !m.left_at);
+      });
+      return due.map(rsvp => {
+        rsvp.reminded_at = new Date();
+        const session = sessions.find(entry => entry.id === rsvp.session_id);
+        return {
+          user_id: rsvp.user_id, status: rsvp.status, id: session.id, group_id: session.group_id,
+          title: session.title, starts_at: session.starts_at, duration_minutes: session.duration_minutes,
+          user_timezone: users.find(user => user.id === rsvp.user_id).timezone, group_name: 'Calm Together'
+        };
+      });
+    });
+
+    getPool.mockReturnValue(db.pool);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('createSession', () => {
+    const facilitator = { id: 'leader-1', timezone: 'America/New_York' };
+    const create = (startsAt, options = {}, actor = facilitator) => groupSessionService.createSession('group-1', actor, {
+      title: 'Evening breathing practice', startsAt, durationMinutes: 45, ...options
+    });
+
+    it("reads a wall-clock start in the facilitator's timezone, across daylight saving", async () => {
+      const { session: summer } = await create('2026-07-01T18:30');
+      const { session: winter } = await create('2026-12-01T18:30');
+
+      expect(summer.startsAt).toEqual(new Date('2026-07-01T22:30:00Z'));
+      expect(winter.startsAt).toEqual(new Date('2026-12-01T23:30:00Z'));
+      expect(summer).toMatchObject({
+        timezone: 'America/New_York',
+        local: { timezone: 'America/New_York', startsAt: '2026-07-01T18:30' },
+        myRsvp: 'going'
+      });
+    });
+
+    it('uses the timezone given over the facilitator\'s, and an offset over both', async () => {
+      const { session: inTokyo } = await create('2026-07-01T18:30', { timezone: 'Asia/Tokyo' });
+      const { session: withOffset } = await create('2026-07-01T18:30+02:00');
+
+      expect(inTokyo.startsAt).toEqual(new Date('2026-07-01T09:30:00Z'));
+      expect(inTokyo.local.startsAt).toBe('2026-07-01T05:30');
+      expect(withOffset.startsAt).toEqual(new Date('2026-07-01T16:30:00Z'));
+      expect(withOffset.timezone).toBe('America/New_York');
+    });
+
+    it('falls back to UTC when the facilitator has no usable timezone', async () => {
+      const { session } = await create('2026-07-01T18:30', {}, { id: 'leader-1', timezone: '+05:00' });
+
+      expect(session.startsAt).toEqual(new Date('2026-07-01T18:30:00Z'));
+      expect(session.timezone).toBe('UTC');
+    });
+
+    it('refuses a start in the past', async () => {
+      await expect(create('2026-06-01T07:00')).resolves.toEqual({ error: 'invalid_time' });
+      expect(rsvps).toEqual([]);
+    });
+  });
+
+  describe('formatSession', () => {
+    it("gives the start in the viewer's timezone, or UTC when theirs is unusable", () => {
+      const row = sessionRow({ id: 'session-1', starts_at: new Date('2026-07-01T22:30:00Z') });
+
+      expect(groupSessionService.formatSession(row, 'Asia/Tokyo').local).toEqual({ timezone: 'Asia/Tokyo', startsAt: '2026-07-02T07:30' });
+      expect(groupSessionService.formatSession(row, 'Not/AZone').local).toEqual({ timezone: 'UTC', startsAt: '2026-07-01T22:30' });
+      expect(groupSessionService.formatSession(row, null).endsAt).toEqual(new Date('2026-07-01T23:15:00Z'));
+    });
+  });
+
+  describe('sendReminders', () => {
+    const soon = new Date(NOW.getTime() + 20 * MINUTE);
+
+    beforeEach(() => {
+      sessions.push(sessionRow({ id: 'session-1', starts_at: soon }), sessionRow({ id: 'session-2', starts_at: new Date(NOW.getTime() + 90 * MINUTE) }));
+      users.push({ id: 'user-1', timezone: 'Asia/Kolkata' }, { id: 'user-2', timezone: null }, { id: 'user-3', timezone: 'UTC' });
+      ['user-1', 'user-2', 'user-3'].forEach(userId => memberships.push({ group_id: 'group-1', user_id: userId, left_at: null }));
+      rsvps.push(
+        { session_id: 'session-1', user_id: 'user-1', status: 'going', reminded_at: null },
+        { session_id: 'session-1', user_id: 'user-2', status: 'maybe', reminded_at: null },
+        { session_id: 'session-1', user_id: 'user-3', status: 'not_going', reminded_at: null },
+        { session_id: 'session-2', user_id: 'user-1', status: 'going', reminded_at: null }
+      );
+    });
+
+    it("reminds members going or maybe, with the start in their own timezone", async () => {
+      await expect(groupSessionService.sendReminders()).resolves.toBe(2);
+
+      expect(groupMessageService.emitToUser).toHaveBeenCalledTimes(2);
+      expect(groupMessageService.emitToUser).toHaveBeenCalledWith('user-1', 'session:reminder', expect.objectContaining({
+        sessionId: 'session-1',
+        rsvp: 'going',
+        local: { timezone: 'Asia/Kolkata', startsAt: '2026-06-01T17:50' }
+      }));
+      expect(groupMessageService.emitToUser).toHaveBeenCalledWith('user-2', 'session:reminder', expect.objectContaining({
+        rsvp: 'maybe',
+        local: { timezone: 'UTC', startsAt: '2026-06-01T12:20' }
+      }));
+    });
+
+    it('reminds each member once', async () => {
+      await groupSessionService.sendReminders();
+
+      await expect(groupSessionService.sendReminders()).resolves.toBe(0);
+      expect(groupMessageService.emitToUser).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips members who have left the group', async () => {
+      memberships[0].left_at = NOW;
+
+      await groupSessionService.sendReminders();
+
+      expect(groupMessageService.emitToUser.mock.calls.map(([userId]) => userId)).toEqual(['user-2']);
+    });
+
+    it('looks only as far ahead as the reminder window', async () => {
+      expect(groupSessionService.reminderMinutes).toBe(30);
+      jest.setSystemTime(new Date(NOW.getTime() + 70 * MINUTE));
+
+      await groupSessionService.sendReminders();
+
+      expect(groupMessageService.emitToUser).toHaveBeenCalledTimes(1);
+      expect(groupMessageService.emitToUser).toHaveBeenCalledWith('user-1', 'session:reminder', expect.objectContaining({ sessionId: 'session-2' }));
+    });
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../services/llmService', () => ({
+  LLMService: {
+    assessCrisisRisk: jest.fn(),
+    searchCurriculumContent: jest.fn(),
+    completeJson: jest.fn()
+  }
+}));
+jest.mock('../../services/conversationService', () => ({
+  buildUserContext: jest.fn()
+}));
+jest.mock('../../services/usageService', () => ({
+  reserveQuota: jest.fn(),
+  releaseReservation: jest.fn(),
+  recordUsage: jest.fn(),
+  describeUsage: jest.fn(() => ({})),
+  getStaticPractice: jest.fn(() => ({ title: 'Three-Breath Reset', instructions: "You've reached today's coaching limit." }))
+}));
+
+const { LLMService } = require('../../services/llmService');
+const conversationService = require('../../services/conversationService');
+const usageService = require('../../services/usageService');
+const guidedPracticeService = require('../../services/guidedPracticeService');
+
+const user = { id: 'user-1' };
+
+describe('guidedPracticeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    conversationService.buildUserContext.mockResolvedValue({ currentLevel: 'beginner' });
+    LLMService.assessCrisisRisk.mockResolvedValue({ requiresIntervention: false });
+    LLMService.searchCurriculumContent.mockResolvedValue([]);
+    usageService.reserveQuota.mockResolvedValue({ allowed: true, exceeded: null, reservationId: 'reservation-1' });
+  });
+
+  describe('generate', () => {
+    it('offers the built-in and static practices instead of a model call when over quota', async () => {
+      usageService.reserveQuota.mockResolvedValue({ allowed: false, exceeded: 'daily', reservationId: null });
+
+      const result = await guidedPracticeService.generate(user, { prompt: 'a short breathing practice', durationMinutes: 5 });
+
+      expect(LLMService.completeJson).not.toHaveBeenCalled();
+      expect(result).toMatchObject({
+        isFallback: true,
+        reason: 'quota_exceeded',
+        quotaExceeded: 'daily',
+        staticPractice: { title: 'Three-Breath Reset' }
+      });
+      expect(result.practice.totalDurationSeconds).toBe(300);
+    });
+
+    it('still screens over-quota requests for crisis first', async () => {
+      usageService.reserveQuota.mockResolvedValue({ allowed: false, exceeded: 'monthly', reservationId: null });
+      LLMService.assessCrisisRisk.mockResolvedValue({ requiresIntervention: true, response: 'You are not alone', resources: [] });
+
+      const result = await guidedPracticeService.generate(user, { prompt: 'I want to die', durationMinutes: 5 });
+
+      expect(result.crisisSupport.response).toBe('You are not alone');
+      expect(result.practice).toBeUndefined();
+    });
+
+    it('falls back to the built-in practice when the model output stays invalid', async () => {
+      const error = new Error('Structured LLM output invalid');
+      error.code = 'invalid_output';
+      error.result = { tokens: 120 };
+      LLMService.completeJson.mockRejectedValue(error);
+
+      const result = await guidedPracticeService.generate(user, { prompt: 'body scan', durationMinutes: 10 });
+
+      expect(result).toMatchObject({ isFallback: true, reason: 'invalid_output', quotaExceeded: null });
+      expect(result.practice.totalDurationSeconds).toBe(600);
+      expect(usageService.recordUsage).toHaveBeenCalledWith(expect.objectContaining({ purpose: 'practice', reservationId: 'reservation-1' }));
+    });
+
+    it('releases the held quota when the request gets the crisis response', async () => {
+      LLMService.assessCrisisRisk.mockResolvedValue({ requiresIntervention: true, response: 'You are not alone', resources: [] });
+
+      await guidedPracticeService.generate(user, { prompt: 'I want to die', durationMinutes: 5 });
+
+      expect(usageService.releaseReservation).toHaveBeenCalledWith('reservation-1');
+      expect(LLMService.completeJson).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkPractice', () => {
+    it('rejects steps that cannot be played and totals far from the target', () => {
+      const errors = guidedPracticeService.checkPractice({
+        steps: [
+          { type: 'bell', durationSeconds: 30 },
+          { type: 'pause', durationSeconds: 2 },
+          { type: 'bell', durationSeconds: 5 }
+        ]
+      }, 600);
+
+      expect(errors).toEqual([
+        'steps[0].durationSeconds must be <= 10 for a bell',
+        'steps[1].durationSeconds must be >= 5 for a pause',
+        'steps must include at least one instruction',
+        'step durations add up to 37 seconds but should be about 600'
+      ]);
+    });
+  });
+
+  describe('normalize', () => {
+    it('adds bells at both ends and fits pauses to the requested length', () => {
+      const practice = guidedPracticeService.normalize({
+        title: ' Breath ',
+        steps: [
+          { type: 'instruction', text: 'Notice the breath.', durationSeconds: 20 },
+          { type: 'pause', durationSeconds: 100 },
+          { type: 'pause', durationSeconds: 50 }
+        ]
+      }, 300);
+
+      expect(practice.title).toBe('Breath');
+      expect(practice.steps.map(step => step.type)).toEqual(['bell', 'instruction', 'pause', 'pause', 'bell']);
+      expect(practice.totalDurationSeconds).toBe(300);
+      expect(practice.steps[4].startSeconds).toBe(295);
+      expect(practice.steps[2].durationSeconds).toBeGreaterThan(practice.steps[3].durationSeconds);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { LLMService } = require('../../services/llmService');
+
+const schema = {
+  type: 'object',
+  required: ['title', 'minutes'],
+  properties: {
+    title: { type: 'string', minLength: 1, examples: ['Settle'] },
+    minutes: { type: 'integer', minimum: 1, maximum: 30 }
+  }
+};
+
+const request = {
+  systemPrompt: 'You write short meditation practices.',
+  messages: [{ role: 'user', content: 'A five minute practice please' }]
+};
+
+const reply = (response, usage = { inputTokens: 100, outputTokens: 20 }) => ({
+  response,
+  provider: 'mock',
+  model: 'mock-1',
+  usage
+});
+
+describe('LLMService.completeJson', () => {
+  let complete;
+
+  beforeEach(() => {
+    complete = jest.spyOn(LLMService, 'complete');
+  });
+
+  afterEach(() => {
+    complete.mockRestore();
+  });
+
+  it('returns parsed data from a valid first answer', async () => {
+    complete.mockResolvedValueOnce(reply('```json\n{"title": "Settle", "minutes": 5}\n```'));
+
+    const result = await LLMService.completeJson(request, schema);
+
+    expect(result).toMatchObject({ data: { title: 'Settle', minutes: 5 }, attempts: 1, tokens: 120 });
+    const [sent] = complete.mock.calls[0];
+    expect(sent.responseSchema).toBe(schema);
+    expect(sent.systemPrompt).toContain('"minutes":{"type":"integer","minimum":1,"maximum":30}');
+    expect(sent.systemPrompt).not.toContain('examples');
+  });
+
+  it('sends schema errors back for a repair and sums usage across attempts', async () => {
+    complete
+      .mockResolvedValueOnce(reply('{"title": "Settle", "minutes": 45}'))
+      .mockResolvedValueOnce(reply('{"title": "Settle", "minutes": 5}'));
+
+    const result = await LLMService.completeJson(request, schema);
+
+    expect(result).toMatchObject({ data: { minutes: 5 }, attempts: 2, tokens: 240, usage: { inputTokens: 200, outputTokens: 40 } });
+    const repair = complete.mock.calls[1][0].messages;
+    expect(repair).toHaveLength(3);
+    expect(repair[1]).toEqual({ role: 'assistant', content: '{"title": "Settle", "minutes": 45}' });
+    expect(repair[2].content).toContain('- minutes must be <= 30');
+  });
+
+  it('runs the check after the schema passes', async () => {
+    const check = jest.fn(data => (data.title === 'Settle' ? ['title must not repeat the last practice'] : []));
+    complete
+      .mockResolvedValueOnce(reply('{"title": "Settle", "minutes": 5}'))
+      .mockResolvedValueOnce(reply('{"title": "Arrive", "minutes": 5}'));
+
+    const result = await LLMService.completeJson(request, schema, { check });
+
+    expect(result.data.title).toBe('Arrive');
+    expect(check).toHaveBeenCalledTimes(2);
+    expect(complete.mock.calls[1][0].messages[2].content).toContain('title must not repeat the last practice');
+  });
+
+  it('throws invalid_output with the usage when no attempt is valid', async () => {
+    complete
+      .mockResolvedValueOnce(reply('Sure! Here is a practice.'))
+      .mockResolvedValueOnce(reply('{"title": ""}'));
+
+    const error = await LLMService.completeJson(request, schema).catch(caught => caught);
+
+    expect(error.code).toBe('invalid_output');
+    expect(error.message).toBe('Structured LLM output invalid: minutes is required');
+    expect(error.result).toEqual({ provider: 'mock', model: 'mock-1', tokens: 240, usage: { inputTokens: 200, outputTokens: 40 } });
+    expect(complete.mock.calls[1][0].messages[2].content).toContain('- response was not a JSON object');
+  });
+
+  it('makes repairs + 1 attempts', async () => {
+    complete.mockResolvedValue(reply('no json here'));
+
+    await expect(LLMService.completeJson(request, schema, { repairs: 2 })).rejects.toMatchObject({ code: 'invalid_output' });
+    expect(complete).toHaveBeenCalledTimes(3);
+  });
+
+  it('passes other options through to complete', async () => {
+    complete.mockResolvedValueOnce(reply('{"title": "Settle", "minutes": 5}'));
+
+    await LLMService.completeJson(request, schema, { maxTokens: 400, check: null });
+
+    expect(complete.mock.calls[0][1]).toEqual({ maxTokens: 400 });
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../services/groupMessageService', () => ({
+  emitToUser: jest.fn(),
+  notifySender: jest.fn(),
+  broadcast: jest.fn()
+}));
+jest.mock('../../services/sanctionService', () => ({
+  loadForAppeal: jest.fn(),
+  liftForAppeal: jest.fn(),
+  notifyLifted: jest.fn()
+}));
+
+const { getPool } = require('../../config/database');
+const { createFakeDb, rowFactory } = require('../helpers/fakeDb');
+const sanctionService = require('../../services/sanctionService');
+const moderationAppealService = require('../../services/moderationAppealService');
+
+const appellant = { id: 'user-1' };
+const decider = { id: 'moderator-1' };
+const moderator = { id: 'moderator-2' };
+
+const appealRow = rowFactory({
+  appellant_id: appellant.id,
+  subject_type: 'account_restriction',
+  subject_id: 'sanction-1',
+  group_id: null,
+  original_decision: 'posting_suspension',
+  original_decider_id: decider.id,
+  reason: 'I was quoting someone else',
+  status: 'pending',
+  assigned_to: null,
+  sla_due_at: new Date(Date.now() + 72 * 60 * 60 * 1000),
+  sla_breached_at: null,
+  decided_by: null
+});
+
+describe('moderationAppealService', () => {
+  let appeals;
+  let events;
+
+  // moderation_appeals and its event log, answering transition()'s statements
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const db = createFakeDb();
+    appeals = [];
+    events = [];
+
+    db.handle(/FROM moderation_appeals WHERE id = \$1 FOR UPDATE/, ([id], tx, sql) =>
+      tx.lockRows(sql, appeals.filter(row => row.id === id), row => `appeal:${row.id}`));
+    db.handle(/SET status = 'in_review', assigned_to = \$2/, ([id, moderatorId], tx) => {
+      const row = appeals.find(entry => entry.id === id);
+      return [tx.update(row, { status: 'in_review', assigned_to: moderatorId })];
+    });
+    db.handle(/SET status = \$2, decided_by = \$3/, ([id, status, moderatorId, note], tx) => {
+      const row = appeals.find(entry => entry.id === id);
+      return [tx.update(row, { status, decided_by: moderatorId, resolution_note: note })];
+    });
+    db.handle(/SET status = 'withdrawn'/, ([id], tx) => {
+      const row = appeals.find(entry => entry.id === id);
+      return [tx.update(row, { status: 'withdrawn' })];
+    });
+    db.handle(/INSERT INTO moderation_appeal_events/, ([appealId, eventType, actorId], tx) => {
+      tx.insert(events, { appeal_id: appealId, event_type: eventType, actor_id: actorId });
+      return [];
+    });
+    db.handle(/WHERE status = ANY\(\$1::text\[\]\)/, () => appeals);
+
+    getPool.mockReturnValue(db.pool);
+  });
+
+  describe('claim', () => {
+    it('lets an uninvolved moderator take the appeal', async () => {
+      appeals.push(appealRow({ id: 'appeal-1' }));
+
+      const { appeal } = await moderationAppealService.claim('appeal-1', moderator);
+
+      expect(appeal).toMatchObject({ status: 'in_review', assignedTo: moderator.id });
+      expect(events).toEqual([expect.objectContaining({ event_type: 'claimed', actor_id: moderator.id })]);
+    });
+
+    it.each([
+      ['the appellant', appellant, 'own_appeal'],
+      ['the moderator who made the decision', decider, 'original_decider']
+    ])('refuses %s', async (label, actor, error) => {
+      appeals.push(appealRow({ id: 'appeal-1' }));
+
+      await expect(moderationAppealService.claim('appeal-1', actor)).resolves.toEqual({ error });
+      expect(appeals[0]).toMatchObject({ status: 'pending', assigned_to: null });
+      expect(events).toEqual([]);
+    });
+
+    it('checks the appellant even when the original decision was automated', async () => {
+      appeals.push(appealRow({ id: 'appeal-1', original_decider_id: null }));
+
+      await expect(moderationAppealService.claim('appeal-1', appellant)).resolves.toEqual({ error: 'own_appeal' });
+      await expect(moderationAppealService.claim('appeal-1', decider)).resolves.toMatchObject({ appeal: { assignedTo: decider.id } });
+    });
+  });
+
+  describe('decide', () => {
+    it('refuses the original decider even when the appeal was assigned to them', async () => {
+      appeals.push(appealRow({ id: 'appeal-1', status: 'in_review', assigned_to: decider.id }));
+
+      await expect(moderationAppealService.decide('appeal-1', decider, { outcome: 'overturn' }))
+        .resolves.toEqual({ error: 'original_decider' });
+      expect(appeals[0].status).toBe('in_review');
+      expect(sanctionService.liftForAppeal).not.toHaveBeenCalled();
+    });
+
+    it('refuses the appellant', async () => {
+      appeals.push(appealRow({ id: 'appeal-1', status: 'in_review', assigned_to: appellant.id }));
+
+      await expect(moderationAppealService.decide('appeal-1', appellant, { outcome: 'overturn' }))
+        .resolves.toEqual({ error: 'own_appeal' });
+      expect(appeals[0].decided_by).toBeNull();
+    });
+
+    it('lets the assigned moderator overturn the decision', async () => {
+      appeals.push(appealRow({ id: 'appeal-1', status: 'in_review', assigned_to: moderator.id }));
+      sanctionService.loadForAppeal.mockResolvedValue({ ownerId: appellant.id });
+      sanctionService.liftForAppeal.mockResolvedValue(['sanction-1']);
+
+      const { appeal } = await moderationAppealService.decide('appeal-1', moderator, { outcome: 'overturn', note: 'Quoted text' });
+
+      expect(appeal.status).toBe('overturned');
+      expect(appeals[0].decided_by).toBe(moderator.id);
+      expect(sanctionService.notifyLifted).toHaveBeenCalledWith(['sanction-1']);
+    });
+  });
+
+  describe('withdraw', () => {
+    it('lets the appellant withdraw their own appeal', async () => {
+      appeals.push(appealRow({ id: 'appeal-1' }));
+
+      await expect(moderationAppealService.withdraw('appeal-1', appellant))
+        .resolves.toMatchObject({ appeal: { status: 'withdrawn' } });
+      expect(events).toEqual([expect.objectContaining({ event_type: 'withdrawn', actor_id: appellant.id })]);
+    });
+  });
+
+  describe('listQueue', () => {
+    it('marks the appeals the moderator cannot handle', async () => {
+      appeals.push(appealRow({ id: 'appeal-1' }), appealRow({ id: 'appeal-2', original_decider_id: 'moderator-3' }));
+
+      const queue = await moderationAppealService.listQueue(decider);
+
+      expect(queue.map(({ id, canHandle }) => ({ id, canHandle }))).toEqual([
+        { id: 'appeal-1', canHandle: false },
+        { id: 'appeal-2', canHandle: true }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const outputGuardrailService = require('../../services/outputGuardrailService');
+
+// Redacts every phone-like number
+const phoneCheck = {
+  name: 'phone',
+  enabled: true,
+  inspect: (text) => Array.from(text.matchAll(/\d{3}-\d{4}/g)).map(match => ({
+    check: 'phone',
+    rule: 'number',
+    action: 'redact',
+    redactions: [{ start: match.index, end: match.index + match[0].length, replacement: '[number]' }]
+  }))
+};
+
+// Asks for a new reply once a dosage appears
+const dosageCheck = {
+  name: 'dosage',
+  enabled: true,
+  inspect: (text) => (/\d+\s?mg\b/.test(text) ? [{ check: 'dosage', rule: 'dose', action: 'regenerate' }] : [])
+};
+
+describe('outputGuardrailService', () => {
+  let savedChecks;
+
+  beforeEach(() => {
+    savedChecks = outputGuardrailService.checks;
+    outputGuardrailService.checks = [phoneCheck, dosageCheck];
+  });
+
+  afterEach(() => {
+    outputGuardrailService.checks = savedChecks;
+  });
+
+  describe('review', () => {
+    it('settles on the strongest action and redacts only when that is all it needs', () => {
+      expect(outputGuardrailService.review('Call 555-0100 any time.')).toMatchObject({ action: 'redact', text: 'Call [number] any time.' });
+      expect(outputGuardrailService.review('Call 555-0100 and take 50mg.')).toMatchObject({
+        action: 'regenerate',
+        text: 'Call 555-0100 and take 50mg.'
+      });
+    });
+
+    it('skips a check that throws', () => {
+      outputGuardrailService.registerCheck({ name: 'broken', enabled: true, inspect: () => { throw new Error('bad regex'); } });
+
+      expect(outputGuardrailService.review('Breathe in slowly.')).toEqual({ action: 'pass', findings: [], text: 'Breathe in slowly.' });
+    });
+  });
+
+  describe('createStreamGate', () => {
+    let sent;
+    let gate;
+
+    beforeEach(() => {
+      sent = [];
+      gate = outputGuardrailService.createStreamGate(token => sent.push(token));
+    });
+
+    it('releases text a sentence at a time and the rest on finish', () => {
+      gate.push('Let us begin');
+      expect(sent).toEqual([]);
+
+      gate.push('. Breathe in');
+      expect(sent).toEqual(['Let us begin. ']);
+
+      gate.push(' slowly');
+      expect(gate.finish()).toEqual({ halted: false, emitted: 'Let us begin. Breathe in slowly' });
+      expect(sent.join('')).toBe('Let us begin. Breathe in slowly');
+    });
+
+    it('releases long text that has no sentence boundary', () => {
+      gate.push('a'.repeat(399));
+      expect(sent).toEqual([]);
+
+      gate.push('a');
+      expect(sent).toEqual(['a'.repeat(400)]);
+    });
+
+    it('redacts a completed sentence before it is sent', () => {
+      gate.push('You could call 555-');
+      gate.push('0100 tonight. ');
+      gate.push('Or text 555-0199.');
+
+      expect(gate.finish().emitted).toBe('You could call [number] tonight. Or text [number].');
+      expect(sent.join('')).not.toMatch(/\d{3}-\d{4}/);
+    });
+
+    it('stops sending once a check wants the reply regenerated', () => {
+      gate.push('Settle into your seat. ');
+      gate.push('Then take 50mg of melatonin. ');
+      gate.push('Now close your eyes. ');
+
+      expect(gate.finish()).toEqual({ halted: true, emitted: 'Settle into your seat. ' });
+      expect(sent).toEqual(['Settle into your seat. ']);
+    });
+
+    it('halts on text that only arrives before finish', () => {
+      gate.push('Settle in. Take 10mg');
+
+      expect(gate.finish()).toEqual({ halted: true, emitted: 'Settle in. ' });
+      expect(sent.join('')).toBe('Settle in. ');
+    });
+  });
+});
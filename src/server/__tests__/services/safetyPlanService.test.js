@@ -0,0 +1,82 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../services/crisisReviewService', () => ({ enqueue: jest.fn() }));
+jest.mock('../../services/crisisEscalationService', () => ({ page: jest.fn() }));
+jest.mock('../../services/crisisResourceService', () => ({ getDirectory: jest.fn() }));
+
+const KEY = Buffer.alloc(32, 7).toString('base64');
+
+const plan = {
+  warningSigns: ['Skipping meals'],
+  copingPractices: [{ title: 'Three-Breath Reset' }],
+  trustedContacts: [{ name: 'Sam', phone: '555-0100' }],
+  professionalContacts: []
+};
+
+// Fresh services reading DATA_ENCRYPTION_KEY as given
+const loadServices = (key) => {
+  const saved = process.env.DATA_ENCRYPTION_KEY;
+  process.env.DATA_ENCRYPTION_KEY = key;
+
+  const services = {};
+  jest.isolateModules(() => {
+    services.getPool = require('../../config/database').getPool;
+    services.safetyPlanService = require('../../services/safetyPlanService');
+    services.encryption = require('../../utils/encryption');
+    services.CrisisDetector = require('../../services/llmService').CrisisDetector;
+    services.crisisReviewService = require('../../services/crisisReviewService');
+    services.crisisEscalationService = require('../../services/crisisEscalationService');
+    services.crisisResourceService = require('../../services/crisisResourceService');
+  });
+
+  const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  services.getPool.mockReturnValue(pool);
+  services.crisisReviewService.enqueue.mockResolvedValue({ id: 'item-1' });
+  services.crisisEscalationService.page.mockResolvedValue({});
+  services.crisisResourceService.getDirectory.mockResolvedValue({
+    country: 'US', language: 'en', source: 'default', isFallback: false, resources: [{ name: '988' }], response: 'You are not alone.'
+  });
+
+  return { ...services, pool, restore: () => { process.env.DATA_ENCRYPTION_KEY = saved; } };
+};
+
+describe('safetyPlanService.getPlanForSupport', () => {
+  let services;
+
+  afterEach(() => {
+    services.restore();
+  });
+
+  it('returns the decrypted plan and marks it surfaced', async () => {
+    services = loadServices(KEY);
+    const sealed = services.encryption.encryptJson(plan, 'user-1');
+    services.pool.query.mockResolvedValueOnce({ rows: [{ ciphertext: sealed.ciphertext, key_id: sealed.keyId, revision: 1 }] });
+
+    await expect(services.safetyPlanService.getPlanForSupport('user-1')).resolves.toEqual(plan);
+    expect(services.pool.query.mock.calls[1][1]).toEqual(['user-1']);
+  });
+
+  it('returns null for a row sealed for another user', async () => {
+    services = loadServices(KEY);
+    const sealed = services.encryption.encryptJson(plan, 'user-2');
+    services.pool.query.mockResolvedValueOnce({ rows: [{ ciphertext: sealed.ciphertext, key_id: sealed.keyId, revision: 1 }] });
+
+    await expect(services.safetyPlanService.getPlanForSupport('user-1')).resolves.toBeNull();
+  });
+
+  it('returns null instead of throwing when the key is malformed', async () => {
+    services = loadServices(Buffer.alloc(16).toString('base64'));
+
+    await expect(services.safetyPlanService.getPlanForSupport('user-1')).resolves.toBeNull();
+    expect(services.pool.query).not.toHaveBeenCalled();
+  });
+
+  it('still intervenes on a high-risk message when the key is malformed', async () => {
+    services = loadServices('not-a-key');
+    const detector = new services.CrisisDetector();
+
+    const result = await detector.assessRisk('I want to kill myself', [], { userId: 'user-1' });
+
+    expect(result).toMatchObject({ requiresIntervention: true, safetyPlan: null, response: 'You are not alone.' });
+    expect(services.crisisReviewService.enqueue).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1' }));
+  });
+});
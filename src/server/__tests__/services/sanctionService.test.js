@@ -0,0 +1,175 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../services/groupMessageService', () => ({
+  emitToUser: jest.fn(),
+  removeFromAllGroups: jest.fn(() => Promise.resolve())
+}));
+
+const { getPool } = require('../../config/database');
+const { createFakeDb } = require('../helpers/fakeDb');
+const groupMessageService = require('../../services/groupMessageService');
+const sanctionService = require('../../services/sanctionService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('sanctionService', () => {
+  let users;
+  let trustEvents;
+  let sanctions;
+
+  // users, trust_events and user_sanctions, answering recordStrike()'s statements
+  // and trustService's inside its transaction
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const db = createFakeDb();
+    users = [{ id: 'user-1' }, { id: 'user-2' }];
+    trustEvents = [];
+    sanctions = [];
+    let nextId = 1;
+
+    db.handle(/SELECT id FROM users WHERE id = \$1 FOR UPDATE/, ([id], tx, sql) =>
+      tx.lockRows(sql, users.filter(user => user.id === id), user => `user:${user.id}`));
+    db.handle(/SELECT id FROM users WHERE id = \$1 AND deleted_at IS NULL/, ([id]) =>
+      users.filter(user => user.id === id));
+    db.handle(/INSERT INTO trust_events/, ([userId, eventType, delta, isStrike, sourceType, sourceId, groupId], tx) => {
+      const duplicate = trustEvents.some(event => event.user_id === userId && event.event_type === eventType &&
+        event.source_type === sourceType && event.source_id === sourceId);
+      if (duplicate) return [];
+      return [tx.insert(trustEvents, {
+        id: `event-${nextId++}`, user_id: userId, event_type: eventType, delta, is_strike: isStrike,
+        source_type: sourceType, source_id: sourceId, group_id: groupId, created_at: new Date(), reversed_at: null
+      })];
+    });
+    db.handle(/SELECT COUNT\(\*\)::int as strikes/, ([userId, windowDays]) => {
+      const since = Date.now() - windowDays * DAY;
+      return [{
+        strikes: trustEvents.filter(event => event.user_id === userId && event.is_strike &&
+          !event.reversed_at && event.created_at.getTime() >= since).length
+      }];
+    });
+    db.handle(/INSERT INTO user_sanctions/, (params, tx) => {
+      const [userId, type, groupId, reason, sourceType, sourceId, strikeCount, issuedBy, hours] = params;
+      const now = new Date();
+      return [tx.insert(sanctions, {
+        id: `sanction-${nextId++}`, user_id: userId, sanction_type: type, group_id: groupId, reason,
+        source_type: sourceType, source_id: sourceId, strike_count: strikeCount, issued_by: issuedBy,
+        starts_at: now, expires_at: hours === null ? null : new Date(now.getTime() + hours * 60 * 60 * 1000),
+        lifted_at: null, lift_reason: null, created_at: now
+      })];
+    });
+
+    getPool.mockReturnValue(db.pool);
+  });
+
+  const strike = (userId, sourceId, groupId = 'group-1') =>
+    sanctionService.recordStrike(userId, 'message_rejected', {
+      sourceType: 'group_message', sourceId, groupId, reason: 'Rejected by a moderator'
+    });
+
+  describe('recordStrike', () => {
+    it('climbs one rung per strike and stays on the last', async () => {
+      const issued = [];
+      for (let i = 1; i <= 6; i++) {
+        issued.push(await strike('user-1', `message-${i}`));
+      }
+
+      expect(issued.map(sanction => [sanction.type, sanction.strikeCount])).toEqual([
+        ['warning', 1],
+        ['message_hold', 2],
+        ['group_mute', 3],
+        ['suspension', 4],
+        ['reverification', 5],
+        ['reverification', 6]
+      ]);
+      expect(issued.every(sanction => sanction.automatic && sanction.active)).toBe(true);
+      expect(issued[2].groupId).toBe('group-1');
+      expect(issued[3].groupId).toBeNull();
+      expect(issued[4].expiresAt).toBeNull();
+    });
+
+    it('gives a message hold instead of a group mute when the strike had no group', async () => {
+      await strike('user-1', 'message-1');
+      await strike('user-1', 'message-2');
+
+      await expect(strike('user-1', 'report-1', null)).resolves.toMatchObject({ type: 'message_hold', groupId: null });
+    });
+
+    it('does not count the same source twice', async () => {
+      await strike('user-1', 'message-1');
+
+      await expect(strike('user-1', 'message-1')).resolves.toBeNull();
+      expect(sanctions).toHaveLength(1);
+    });
+
+    it('only counts strikes inside the window', async () => {
+      await strike('user-1', 'message-1');
+      trustEvents[0].created_at = new Date(Date.now() - (sanctionService.strikeWindowDays + 1) * DAY);
+
+      await expect(strike('user-1', 'message-2')).resolves.toMatchObject({ type: 'warning', strikeCount: 1 });
+    });
+
+    it('puts concurrent strikes on different rungs', async () => {
+      const issued = await Promise.all([
+        strike('user-1', 'message-1'),
+        strike('user-1', 'message-2'),
+        strike('user-1', 'message-3')
+      ]);
+
+      expect(issued.map(sanction => sanction.type).sort()).toEqual(['group_mute', 'message_hold', 'warning']);
+    });
+
+    it('keeps each member on their own ladder', async () => {
+      await strike('user-1', 'message-1');
+
+      await expect(strike('user-2', 'message-2')).resolves.toMatchObject({ userId: 'user-2', type: 'warning' });
+    });
+
+    it('removes a suspended member from their group rooms', async () => {
+      for (let i = 1; i <= 3; i++) {
+        await strike('user-1', `message-${i}`);
+      }
+      expect(groupMessageService.removeFromAllGroups).not.toHaveBeenCalled();
+
+      await strike('user-1', 'message-4');
+
+      expect(groupMessageService.removeFromAllGroups).toHaveBeenCalledWith('user-1');
+      expect(groupMessageService.emitToUser).toHaveBeenLastCalledWith('user-1', 'sanction:issued',
+        expect.objectContaining({ type: 'suspension' }));
+    });
+  });
+
+  describe('issue', () => {
+    const moderator = { id: 'moderator-1' };
+
+    it('uses the ladder duration unless the moderator gives one', async () => {
+      const { sanction: hold } = await sanctionService.issue(moderator, { userId: 'user-1', type: 'message_hold', reason: 'Spam' });
+      const { sanction: mute } = await sanctionService.issue(moderator, {
+        userId: 'user-1', type: 'group_mute', groupId: 'group-1', reason: 'Spam', durationHours: null
+      });
+
+      expect(new Date(hold.expiresAt) - new Date(hold.startsAt)).toBe(3 * DAY);
+      expect(hold.automatic).toBe(false);
+      expect(mute).toMatchObject({ groupId: 'group-1', expiresAt: null });
+    });
+
+    it('reports an unknown member', async () => {
+      await expect(sanctionService.issue(moderator, { userId: 'user-9', type: 'warning', reason: 'Spam' }))
+        .resolves.toEqual({ error: 'user_not_found' });
+    });
+  });
+
+  describe('findBlocking', () => {
+    it('returns the most severe sanction that blocks the member', () => {
+      const active = [
+        { type: 'warning' },
+        { type: 'suspension' },
+        { type: 'reverification' },
+        { type: 'group_mute', groupId: 'group-1' }
+      ];
+
+      expect(sanctionService.findBlocking(active)).toEqual({ type: 'reverification' });
+      expect(sanctionService.findBlocking(active.slice(0, 1))).toBeNull();
+      expect(sanctionService.findMute(active, 'group-1')).toEqual(active[3]);
+      expect(sanctionService.findMute(active, 'group-2')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,211 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+
+const { getPool } = require('../../config/database');
+const { createFakeDb, rowFactory } = require('../helpers/fakeDb');
+const usageService = require('../../services/usageService');
+
+const freeUser = { id: 'user-1', role: 'user', subscriptionTier: 'free' };
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000);
+const startOfDay = () => new Date(new Date().setHours(0, 0, 0, 0));
+
+const ledgerRow = rowFactory(() => ({
+  user_id: freeUser.id,
+  conversation_id: null,
+  message_id: null,
+  purpose: 'chat',
+  provider: 'anthropic',
+  model: null,
+  input_tokens: 0,
+  output_tokens: 0,
+  total_tokens: 0,
+  cost_usd: 0,
+  status: 'recorded',
+  reserved_until: null,
+  created_at: new Date()
+}));
+
+// ai_quota_policies and ai_usage_ledger, answering usageService's statements
+const createUsageDb = (policies = [{ scope_type: 'tier', scope_value: 'free', daily_token_limit: 5000, monthly_token_limit: 50000 }]) => {
+  const db = createFakeDb();
+  const ledger = [];
+  let nextId = 1;
+  const counts = (row) => row.status === 'recorded' || row.reserved_until >= new Date();
+
+  db.handle(/FROM ai_quota_policies\s+WHERE/, ([role, tier]) => policies.filter(policy =>
+    (policy.scope_type === 'role' && policy.scope_value === role) ||
+    (policy.scope_type === 'tier' && policy.scope_value === tier)));
+  db.handle(/pg_advisory_xact_lock/, async ([key], tx) => {
+    await tx.lock(key);
+  });
+  db.handle(/DELETE FROM ai_usage_ledger\s+WHERE user_id = \$1 AND status = 'reserved' AND reserved_until < NOW\(\)/, ([userId], tx) => {
+    ledger.filter(row => row.user_id === userId && row.status === 'reserved' && row.reserved_until < new Date())
+      .forEach(row => tx.remove(ledger, row));
+  });
+  db.handle(/DELETE FROM ai_usage_ledger\s+WHERE id = \$1/, ([id], tx) => {
+    const row = ledger.find(entry => entry.id === id && entry.status === 'reserved');
+    if (row) tx.remove(ledger, row);
+  });
+  db.handle(/as day_tokens/, ([userId]) => {
+    const rows = ledger.filter(row => row.user_id === userId && counts(row));
+    const today = rows.filter(row => row.created_at >= startOfDay());
+    const sum = (list, field) => list.reduce((total, row) => total + Number(row[field]), 0);
+    return [{
+      day_tokens: sum(today, 'total_tokens'),
+      day_cost: sum(today, 'cost_usd'),
+      day_messages: today.filter(row => row.purpose === 'chat').length,
+      month_tokens: sum(rows, 'total_tokens'),
+      month_cost: sum(rows, 'cost_usd'),
+      month_messages: rows.filter(row => row.purpose === 'chat').length
+    }];
+  });
+  db.handle(/VALUES \(\$1, \$2, 'unknown', \$3, 'reserved'/, ([userId, purpose, tokens, minutes], tx) => [tx.insert(ledger, ledgerRow({
+    id: `ledger-${nextId++}`, user_id: userId, purpose, provider: 'unknown', total_tokens: tokens, status: 'reserved', reserved_until: minutesFromNow(minutes)
+  }))].map(({ id }) => ({ id })));
+  const usageFields = ([userId, conversationId, messageId, purpose, provider, model, inputTokens, outputTokens, totalTokens, costUsd]) => ({
+    user_id: userId,
+    conversation_id: conversationId,
+    message_id: messageId,
+    purpose,
+    provider,
+    model,
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    total_tokens: totalTokens,
+    cost_usd: costUsd
+  });
+  db.handle(/UPDATE ai_usage_ledger[\s\S]*status = 'recorded', reserved_until = NULL/, (params, tx) => {
+    const row = ledger.find(entry => entry.id === params[10] && entry.user_id === params[0] && entry.status === 'reserved');
+    return row ? [tx.update(row, { ...usageFields(params), status: 'recorded', reserved_until: null })] : [];
+  });
+  db.handle(/INSERT INTO ai_usage_ledger \(\s+user_id, conversation_id/, (params, tx) => {
+    tx.insert(ledger, ledgerRow({ id: `ledger-${nextId++}`, ...usageFields(params) }));
+  });
+
+  return { db, ledger, add: (overrides) => ledger.push(ledgerRow({ id: `ledger-${nextId++}`, ...overrides })) };
+};
+
+const usage = (overrides = {}) => ({
+  provider: 'anthropic', model: 'claude-3-sonnet-20240229', inputTokens: 300, outputTokens: 200, totalTokens: 500, costUsd: 0.0039, ...overrides
+});
+
+describe('usageService', () => {
+  let store;
+
+  const useUsageDb = (policies) => {
+    store = createUsageDb(policies);
+    getPool.mockReturnValue(store.db.pool);
+  };
+
+  beforeEach(() => {
+    useUsageDb();
+  });
+
+  describe('resolveLimits', () => {
+    it('takes the most generous limit across role and tier, with unlimited winning', async () => {
+      useUsageDb([
+        { scope_type: 'tier', scope_value: 'plus', daily_token_limit: 100000, monthly_token_limit: 2000000 },
+        { scope_type: 'role', scope_value: 'coach', daily_token_limit: 50000, monthly_token_limit: null }
+      ]);
+
+      await expect(usageService.resolveLimits({ role: 'coach', subscriptionTier: 'plus' }))
+        .resolves.toEqual({ daily: 100000, monthly: null, tier: 'plus' });
+    });
+
+    it('falls back to the default limits when no policy applies', async () => {
+      useUsageDb([]);
+
+      await expect(usageService.resolveLimits({ role: 'user' }))
+        .resolves.toEqual({ ...usageService.defaultLimits, tier: 'free' });
+    });
+  });
+
+  describe('checkQuota', () => {
+    it('allows users under both limits', async () => {
+      store.add({ total_tokens: 4999 });
+
+      await expect(usageService.checkQuota(freeUser)).resolves.toMatchObject({ allowed: true, exceeded: null });
+    });
+
+    it('reports the daily limit once today is used up', async () => {
+      store.add({ total_tokens: 5000 });
+
+      await expect(usageService.checkQuota(freeUser)).resolves.toMatchObject({ allowed: false, exceeded: 'daily' });
+    });
+
+    it('reports the monthly limit ahead of the daily one', async () => {
+      useUsageDb([{ scope_type: 'tier', scope_value: 'free', daily_token_limit: 5000, monthly_token_limit: 8000 }]);
+      store.add({ total_tokens: 3000 });
+      store.add({ total_tokens: 5000 });
+
+      await expect(usageService.checkQuota(freeUser)).resolves.toMatchObject({
+        allowed: false,
+        exceeded: 'monthly',
+        usage: { today: { tokens: 8000, messages: 2 }, month: { tokens: 8000 } }
+      });
+    });
+  });
+
+  describe('reserveQuota', () => {
+    it('lets concurrent requests through only while the held quota lasts', async () => {
+      store.add({ total_tokens: 1000 });
+
+      const results = await Promise.all(Array.from({ length: 5 }, () => usageService.reserveQuota(freeUser, 'chat', 2000)));
+
+      expect(results.filter(result => result.allowed)).toHaveLength(2);
+      expect(results.filter(result => result.exceeded === 'daily')).toHaveLength(3);
+      expect(store.ledger.filter(row => row.status === 'reserved')).toHaveLength(2);
+    });
+
+    it('stops counting and sweeps reservations that were never settled', async () => {
+      store.add({ total_tokens: 4000, status: 'reserved', reserved_until: minutesFromNow(-1) });
+
+      const quota = await usageService.reserveQuota(freeUser);
+
+      expect(quota.allowed).toBe(true);
+      expect(store.ledger.map(row => row.id)).toEqual([quota.reservationId]);
+    });
+
+    it('holds nothing when the user is over quota', async () => {
+      store.add({ total_tokens: 6000 });
+
+      await expect(usageService.reserveQuota(freeUser)).resolves.toMatchObject({ allowed: false, reservationId: null });
+      expect(store.ledger).toHaveLength(1);
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('replaces the estimate with the actual usage', async () => {
+      const { reservationId } = await usageService.reserveQuota(freeUser, 'chat', 2000);
+
+      await usageService.recordUsage({ userId: freeUser.id, conversationId: 'conv-1', usage: usage(), reservationId });
+
+      expect(store.ledger).toEqual([expect.objectContaining({
+        id: reservationId, status: 'recorded', total_tokens: 500, provider: 'anthropic', conversation_id: 'conv-1', reserved_until: null
+      })]);
+      await expect(usageService.checkQuota(freeUser)).resolves.toMatchObject({ usage: { today: { tokens: 500, messages: 1 } } });
+    });
+
+    it('bills usage from an unidentified provider', async () => {
+      await usageService.recordUsage({ userId: freeUser.id, usage: usage({ provider: null }) });
+
+      expect(store.ledger).toEqual([expect.objectContaining({ provider: 'unknown', total_tokens: 500 })]);
+    });
+
+    it('releases the reservation when the call used no tokens', async () => {
+      const { reservationId } = await usageService.reserveQuota(freeUser);
+
+      await usageService.recordUsage({ userId: freeUser.id, usage: usage({ totalTokens: 0 }), reservationId });
+
+      expect(store.ledger).toEqual([]);
+    });
+
+    it('still records usage whose reservation has already been swept', async () => {
+      const { reservationId } = await usageService.reserveQuota(freeUser);
+      store.ledger.length = 0;
+
+      await usageService.recordUsage({ userId: freeUser.id, usage: usage(), reservationId });
+
+      expect(store.ledger).toEqual([expect.objectContaining({ status: 'recorded', total_tokens: 500 })]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../../config/database', () => ({ getPool: jest.fn() }));
+jest.mock('../../config/redis', () => ({ getSessionData: jest.fn() }));
+jest.mock('../../middleware/auth', () => ({
+  ...jest.requireActual('../../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 'user-1', role: 'user' };
+    next();
+  }
+}));
+jest.mock('../../services/conversationService', () => ({
+  processMessage: jest.fn(),
+  listConversations: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const conversationService = require('../../services/conversationService');
+const { registerAiCoachHandlers } = require('../../sockets/aiCoach');
+const aiCoachRoutes = require('../../routes/aiCoach');
+
+const connect = (user) => {
+  const handlers = {};
+  const socket = {
+    id: `socket-${user.id}`,
+    data: { user },
+    on: (event, handler) => { handlers[event] = handler; },
+    emit: jest.fn()
+  };
+  registerAiCoachHandlers(null, socket);
+  return { socket, send: (payload) => handlers['ai-coach:message'](payload) };
+};
+
+const errors = (socket) => socket.emit.mock.calls.filter(([event]) => event === 'ai-coach:error').map(([, data]) => data);
+
+describe('ai-coach:message rate limit', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    conversationService.processMessage.mockResolvedValue({ response: 'Breathe.' });
+    conversationService.listConversations.mockResolvedValue([]);
+  });
+
+  it('stops a user at the AI coach limit and counts HTTP requests against the same budget', async () => {
+    const app = express();
+    app.use('/api/ai-coach', aiCoachRoutes);
+    for (let i = 0; i < 10; i++) {
+      await request(app).get('/api/ai-coach/conversations');
+    }
+
+    const { socket, send } = connect({ id: 'user-1' });
+    for (let i = 0; i < 41; i++) {
+      await send({ message: 'hello', requestId: `r${i}` });
+    }
+
+    expect(conversationService.processMessage).toHaveBeenCalledTimes(40);
+    expect(errors(socket)).toEqual([{ requestId: 'r40', message: 'Too many requests, please slow down' }]);
+
+    const res = await request(app).get('/api/ai-coach/conversations');
+    expect(res.status).toBe(429);
+  });
+
+  it('keeps each user on their own budget', async () => {
+    const { socket, send } = connect({ id: 'user-2' });
+
+    await send({ message: 'hello', requestId: 'r1' });
+
+    expect(conversationService.processMessage).toHaveBeenCalledTimes(1);
+    expect(errors(socket)).toEqual([]);
+  });
+
+  it('does not spend the budget on invalid messages', async () => {
+    const { socket, send } = connect({ id: 'user-3' });
+
+    for (let i = 0; i < 60; i++) {
+      await send({ message: '', requestId: `r${i}` });
+    }
+    await send({ message: 'hello', requestId: 'valid' });
+
+    expect(conversationService.processMessage).toHaveBeenCalledTimes(1);
+    expect(errors(socket).every(error => error.message !== 'Too many requests, please slow down')).toBe(true);
+  });
+});
@@ -0,0 +1,73 @@
+const KEY = Buffer.alloc(32, 1).toString('base64');
+const RETIRED_KEY = Buffer.alloc(32, 2).toString('base64');
+
+// The keyring is read from the environment once per module instance
+const loadEncryption = (env) => {
+  const saved = { ...process.env };
+  delete process.env.DATA_ENCRYPTION_KEY;
+  delete process.env.DATA_ENCRYPTION_KEYS;
+  delete process.env.DATA_ENCRYPTION_KEY_ID;
+  Object.assign(process.env, env);
+
+  let encryption;
+  jest.isolateModules(() => {
+    encryption = require('../../utils/encryption');
+  });
+  return { encryption, restore: () => { process.env = saved; } };
+};
+
+describe('encryption', () => {
+  let restore;
+
+  afterEach(() => {
+    restore();
+  });
+
+  const withEnv = (env) => {
+    const loaded = loadEncryption(env);
+    restore = loaded.restore;
+    return loaded.encryption;
+  };
+
+  it('round-trips a value bound to its context', () => {
+    const { encryptJson, decryptJson } = withEnv({ DATA_ENCRYPTION_KEY: KEY, DATA_ENCRYPTION_KEY_ID: 'k2' });
+
+    const sealed = encryptJson({ warningSigns: ['not sleeping'] }, 'user-1');
+
+    expect(sealed.keyId).toBe('k2');
+    expect(sealed.ciphertext).not.toContain('sleeping');
+    expect(decryptJson(sealed, 'user-1')).toEqual({ warningSigns: ['not sleeping'] });
+    expect(() => decryptJson(sealed, 'user-2')).toThrow();
+  });
+
+  it('still decrypts rows written under a retired key', () => {
+    const old = withEnv({ DATA_ENCRYPTION_KEY: RETIRED_KEY, DATA_ENCRYPTION_KEY_ID: 'k1' }).encryptJson('plan', 'user-1');
+    restore();
+
+    const { decryptJson, encryptJson } = withEnv({
+      DATA_ENCRYPTION_KEY: KEY,
+      DATA_ENCRYPTION_KEY_ID: 'k2',
+      DATA_ENCRYPTION_KEYS: JSON.stringify({ k1: RETIRED_KEY })
+    });
+
+    expect(decryptJson(old, 'user-1')).toBe('plan');
+    expect(encryptJson('plan', 'user-1').keyId).toBe('k2');
+  });
+
+  it('reports whether a current key is configured', () => {
+    expect(withEnv({}).validateEncryptionKeys()).toBe(false);
+    restore();
+    expect(withEnv({ DATA_ENCRYPTION_KEY: KEY }).validateEncryptionKeys()).toBe(true);
+  });
+
+  it.each([
+    [{ DATA_ENCRYPTION_KEY: Buffer.alloc(16).toString('base64') }, 'Encryption key default must be 32 bytes'],
+    [{ DATA_ENCRYPTION_KEY: KEY, DATA_ENCRYPTION_KEYS: '{k1:' }, 'DATA_ENCRYPTION_KEYS must be a JSON object'],
+    [{ DATA_ENCRYPTION_KEY: KEY, DATA_ENCRYPTION_KEYS: JSON.stringify({ k1: 'c2hvcnQ=' }) }, 'Encryption key k1 must be 32 bytes']
+  ])('rejects malformed keys when validated', (env, message) => {
+    const { validateEncryptionKeys, isEncryptionConfigured } = withEnv(env);
+
+    expect(() => validateEncryptionKeys()).toThrow(message);
+    expect(() => isEncryptionConfigured()).toThrow(message);
+  });
+});
@@ -0,0 +1,80 @@
+const { validate, extractJson, sample } = require('../../utils/jsonSchema');
+
+const stepSchema = {
+  type: 'object',
+  required: ['title', 'durationSeconds'],
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 20 },
+    kind: { type: 'string', enum: ['breath', 'body', 'rest'] },
+    durationSeconds: { type: 'integer', minimum: 10, maximum: 600 }
+  }
+};
+
+const practiceSchema = {
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    steps: { type: 'array', minItems: 1, maxItems: 3, items: stepSchema }
+  }
+};
+
+describe('jsonSchema.validate', () => {
+  it('accepts a valid value', () => {
+    expect(validate(practiceSchema, { steps: [{ title: 'Settle', kind: 'breath', durationSeconds: 60 }] })).toEqual([]);
+  });
+
+  it('reports each problem with its path', () => {
+    const errors = validate(practiceSchema, {
+      steps: [
+        { title: '', durationSeconds: 601 },
+        { title: 'Scan', kind: 'walk', durationSeconds: 30.5, extra: true },
+        { durationSeconds: 60 }
+      ]
+    });
+
+    expect(errors).toEqual([
+      'steps[0].title must be at least 1 characters',
+      'steps[0].durationSeconds must be <= 600',
+      'steps[1].kind must be one of: breath, body, rest',
+      'steps[1].durationSeconds must be of type integer',
+      'steps[1].extra is not allowed',
+      'steps[2].title is required'
+    ]);
+  });
+
+  it('checks array sizes and types', () => {
+    expect(validate(practiceSchema, { steps: [] })).toEqual(['steps must have at least 1 items']);
+    expect(validate(practiceSchema, { steps: 'breathe' })).toEqual(['steps must be of type array']);
+    expect(validate(practiceSchema, null)).toEqual(['value must be of type object']);
+  });
+
+  it('treats integers as numbers and accepts a list of types', () => {
+    expect(validate({ type: 'number' }, 3)).toEqual([]);
+    expect(validate({ type: ['string', 'null'] }, null)).toEqual([]);
+    expect(validate({ type: ['string', 'null'] }, 3)).toEqual(['value must be of type string or null']);
+  });
+});
+
+describe('jsonSchema.extractJson', () => {
+  it('pulls the object out of prose and code fences', () => {
+    expect(extractJson('Here you go:\n```json\n{"steps": [{"title": "Settle"}]}\n```\nEnjoy!'))
+      .toEqual({ steps: [{ title: 'Settle' }] });
+  });
+
+  it('returns null when there is no parseable object', () => {
+    expect(extractJson('I cannot help with that.')).toBeNull();
+    expect(extractJson('{"steps": [')).toBeNull();
+    expect(extractJson(null)).toBeNull();
+  });
+});
+
+describe('jsonSchema.sample', () => {
+  it('builds a value that passes validation', () => {
+    expect(validate(practiceSchema, sample(practiceSchema))).toEqual([]);
+  });
+
+  it('prefers examples', () => {
+    expect(sample({ type: 'string', examples: ['Settle'] })).toBe('Settle');
+  });
+});
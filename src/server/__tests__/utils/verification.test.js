@@ -0,0 +1,24 @@
+const { meetsVerification } = require('../../utils/verification');
+
+describe('meetsVerification', () => {
+  it.each([
+    [{ verificationLevel: 'identity' }, 'basic', true],
+    [{ verificationLevel: 'identity' }, 'identity', true],
+    [{ verificationLevel: 'basic' }, 'identity', false],
+    [{ verificationLevel: 'professional' }, 'identity', true],
+    [{ verificationLevel: null }, 'basic', false]
+  ])('%o meets %s: %s', (user, minLevel, expected) => {
+    expect(meetsVerification(user, minLevel)).toBe(expected);
+  });
+
+  it('counts a member sanctioned with re-verification as basic', () => {
+    const user = { verificationLevel: 'professional', reverificationRequired: true };
+
+    expect(meetsVerification(user, 'basic')).toBe(true);
+    expect(meetsVerification(user, 'identity')).toBe(false);
+  });
+
+  it('treats an unknown required level as basic', () => {
+    expect(meetsVerification({ verificationLevel: 'basic' }, 'unknown')).toBe(true);
+  });
+});
@@ -5,12 +5,25 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const cron = require('node-cron');
 
 // Import middleware and routes
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
 const { logger } = require('./utils/logger');
+const { validateEncryptionKeys } = require('./utils/encryption');
 const { connectDB } = require('./config/database');
 const { connectRedis } = require('./config/redis');
+const { authenticateSocket } = require('./middleware/auth');
+const { registerAiCoachHandlers } = require('./sockets/aiCoach');
+const { registerCrisisReviewHandlers } = require('./sockets/crisisReview');
+const { registerCommunityHandlers } = require('./sockets/community');
+const { registerGroupSessionHandlers } = require('./sockets/groupSessions');
+const curriculumIndexService = require('./services/curriculumIndexService');
+const crisisEscalationService = require('./services/crisisEscalationService');
+const groupMessageService = require('./services/groupMessageService');
+const groupSessionService = require('./services/groupSessionService');
+const communityModerationService = require('./services/communityModerationService');
+const moderationAppealService = require('./services/moderationAppealService');
 
 // Route imports
 const authRoutes = require('./routes/auth');
@@ -18,6 +31,11 @@ const userRoutes = require('./routes/users');
 const courseRoutes = require('./routes/courses');
 const aiCoachRoutes = require('./routes/aiCoach');
 const communityRoutes = require('./routes/community');
+const crisisReviewRoutes = require('./routes/crisisReview');
+const crisisResourceRoutes = require('./routes/crisisResources');
+const safetyPlanRoutes = require('./routes/safetyPlan');
+const moderationAppealRoutes = require('./routes/moderationAppeals');
+const sanctionRoutes = require('./routes/sanctions');
 const healthRoutes = require('./routes/health');
 
 const app = express();
@@ -90,20 +108,25 @@ app.use('/api/users', userRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/ai-coach', aiCoachRoutes);
 app.use('/api/community', communityRoutes);
+app.use('/api/crisis-review', crisisReviewRoutes);
+app.use('/api/crisis-resources', crisisResourceRoutes);
+app.use('/api/safety-plan', safetyPlanRoutes);
+app.use('/api/appeals', moderationAppealRoutes);
+app.use('/api/sanctions', sanctionRoutes);
 
 // Socket.io for real-time features
+io.use(authenticateSocket);
+crisisEscalationService.attach(io);
+groupMessageService.attach(io);
+groupSessionService.attach(io);
+
 io.on('connection', (socket) => {
-  logger.info('User connected', { socketId: socket.id });
+  logger.info('User connected', { socketId: socket.id, userId: socket.data.user?.id });
 
-  socket.on('join-group', (groupId) => {
-    socket.join(`group-${groupId}`);
-    logger.info('User joined group', { socketId: socket.id, groupId });
-  });
-
-  socket.on('leave-group', (groupId) => {
-    socket.leave(`group-${groupId}`);
-    logger.info('User left group', { socketId: socket.id, groupId });
-  });
+  registerAiCoachHandlers(io, socket);
+  registerCrisisReviewHandlers(io, socket);
+  registerCommunityHandlers(io, socket);
+  registerGroupSessionHandlers(io, socket);
 
   socket.on('disconnect', () => {
     logger.info('User disconnected', { socketId: socket.id });
@@ -126,6 +149,11 @@ process.on('SIGTERM', async () => {
 // Start server
 async function startServer() {
   try {
+    // A malformed encryption key should stop the boot, not the first crisis response
+    if (!validateEncryptionKeys()) {
+      logger.warn('DATA_ENCRYPTION_KEY is not set; safety plans are unavailable');
+    }
+
     // Initialize database connection
     await connectDB();
     logger.info('Database connected successfully');
@@ -134,6 +162,48 @@ async function startServer() {
     await connectRedis();
     logger.info('Redis connected successfully');
 
+    // Keep the curriculum vector index in step with lesson edits
+    cron.schedule(process.env.RAG_SYNC_CRON || '*/10 * * * *', () => {
+      curriculumIndexService.syncStaleLessons().catch(error => {
+        logger.error('Curriculum index sync failed:', error);
+      });
+    });
+
+    // Re-page crisis reviewers about items nobody has acknowledged yet
+    cron.schedule('* * * * *', () => {
+      crisisEscalationService.repageUnacknowledged().catch(error => {
+        logger.error('Crisis re-page check failed:', error);
+      });
+    });
+
+    // Stamp moderation appeals that have gone past their SLA
+    cron.schedule('*/15 * * * *', () => {
+      moderationAppealService.flagOverdue().catch(error => {
+        logger.error('Appeal SLA check failed:', error);
+      });
+    });
+
+    // Hold community messages whose moderation never finished
+    cron.schedule('*/5 * * * *', () => {
+      communityModerationService.flagStalePending().catch(error => {
+        logger.error('Stale message moderation check failed:', error);
+      });
+    });
+
+    // Remind members about group sessions they're going to
+    cron.schedule('* * * * *', () => {
+      groupSessionService.sendReminders().catch(error => {
+        logger.error('Group session reminders failed:', error);
+      });
+    });
+
+    // End live group sessions whose timer was lost, e.g. to a restart
+    cron.schedule('* * * * *', () => {
+      groupSessionService.endOverdue().catch(error => {
+        logger.error('Group session end check failed:', error);
+      });
+    });
+
     // Start the server
     server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
@@ -2,6 +2,68 @@ const jwt = require('jsonwebtoken');
 const { getPool } = require('../config/database');
 const { getSessionData } = require('../config/redis');
 const { logger, logSecurityEvent } = require('../utils/logger');
+const { meetsVerification } = require('../utils/verification');
+
+// Load the active user behind a decoded token's session; returns { error } when either is gone
+const loadSessionUser = async (decoded, ip) => {
+  // Check if session exists in Redis
+  const sessionData = await getSessionData(decoded.sessionId);
+  if (!sessionData) {
+    logSecurityEvent('auth_invalid_session', { 
+      userId: decoded.userId,
+      ip 
+    });
+    return { error: 'Invalid session' };
+  }
+
+  // Load user from database
+  const pool = getPool();
+  const userResult = await pool.query(
+    `SELECT u.*, ur.name as role_name, vl.name as verification_level,
+       EXISTS (
+         SELECT 1 FROM user_sanctions s
+         WHERE s.user_id = u.id AND s.sanction_type = 'reverification'
+           AND s.lifted_at IS NULL AND s.starts_at <= NOW()
+           AND (s.expires_at IS NULL OR s.expires_at > NOW())
+       ) as reverification_required
+     FROM users u 
+     JOIN user_roles ur ON u.role_id = ur.id
+     JOIN verification_levels vl ON u.verification_level_id = vl.id
+     WHERE u.id = $1 AND u.is_active = true AND u.deleted_at IS NULL`,
+    [decoded.userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    logSecurityEvent('auth_user_not_found', { 
+      userId: decoded.userId,
+      ip 
+    });
+    return { error: 'User not found or inactive' };
+  }
+
+  const user = userResult.rows[0];
+
+  // Update last activity in session
+  sessionData.lastActivity = new Date().toISOString();
+  await require('../config/redis').setSessionData(decoded.sessionId, sessionData, 86400);
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role_name,
+      verificationLevel: user.verification_level,
+      reverificationRequired: user.reverification_required,
+      subscriptionTier: user.subscription_tier || 'free',
+      preferences: user.preferences,
+      timezone: user.timezone,
+      country: (user.profile_data && user.profile_data.country) || null,
+      sessionId: decoded.sessionId
+    }
+  };
+};
 
 // Verify JWT token and load user
 const authenticateToken = async (req, res, next) => {
@@ -23,58 +85,16 @@ const authenticateToken = async (req, res, next) => {
     // Verify the token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Check if session exists in Redis
-    const sessionData = await getSessionData(decoded.sessionId);
-    if (!sessionData) {
-      logSecurityEvent('auth_invalid_session', { 
-        userId: decoded.userId,
-        ip: req.ip 
-      });
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid session' 
-      });
-    }
-
-    // Load user from database
-    const pool = getPool();
-    const userResult = await pool.query(
-      `SELECT u.*, ur.name as role_name, vl.name as verification_level
-       FROM users u 
-       JOIN user_roles ur ON u.role_id = ur.id
-       JOIN verification_levels vl ON u.verification_level_id = vl.id
-       WHERE u.id = $1 AND u.is_active = true AND u.deleted_at IS NULL`,
-      [decoded.userId]
-    );
-
-    if (userResult.rows.length === 0) {
-      logSecurityEvent('auth_user_not_found', { 
-        userId: decoded.userId,
-        ip: req.ip 
-      });
+    const { user, error } = await loadSessionUser(decoded, req.ip);
+    if (error) {
       return res.status(401).json({ 
         success: false, 
-        message: 'User not found or inactive' 
+        message: error 
       });
     }
 
-    const user = userResult.rows[0];
-    
     // Attach user and session to request
-    req.user = {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      role: user.role_name,
-      verificationLevel: user.verification_level,
-      preferences: user.preferences,
-      sessionId: decoded.sessionId
-    };
-
-    // Update last activity in session
-    sessionData.lastActivity = new Date().toISOString();
-    await require('../config/redis').setSessionData(decoded.sessionId, sessionData, 86400);
+    req.user = user;
 
     next();
   } catch (error) {
@@ -102,6 +122,39 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Socket.IO handshake authentication. Sockets without a token connect anonymously
+// (socket.data.user = null); a token that fails verification rejects the connection.
+const authenticateSocket = async (socket, next) => {
+  const ip = socket.handshake.address;
+  const authHeader = socket.handshake.headers.authorization;
+  const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+    (authHeader && authHeader.split(' ')[1]);
+
+  socket.data.user = null;
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const { user, error } = await loadSessionUser(decoded, ip);
+    if (error) {
+      return next(new Error(error));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      logSecurityEvent('socket_auth_invalid_token', { ip });
+      return next(new Error('Invalid token'));
+    }
+
+    logger.error('Socket authentication error:', error);
+    next(new Error('Authentication error'));
+  }
+};
+
 // Optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -163,19 +216,11 @@ const requireVerification = (minLevel) => {
       });
     }
 
-    const verificationLevels = {
-      'basic': 1,
-      'identity': 2,
-      'professional': 3
-    };
-
-    const userLevel = verificationLevels[req.user.verificationLevel] || 0;
-    const requiredLevel = verificationLevels[minLevel] || 1;
-
-    if (userLevel < requiredLevel) {
+    if (!meetsVerification(req.user, minLevel)) {
       logSecurityEvent('auth_insufficient_verification', {
         userId: req.user.id,
         userLevel: req.user.verificationLevel,
+        reverificationRequired: !!req.user.reverificationRequired,
         requiredLevel: minLevel,
         ip: req.ip
       });
@@ -226,16 +271,12 @@ const requireOwnershipOrAdmin = (resourceUserIdField = 'user_id') => {
   };
 };
 
-// Rate limiting per user
-const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
+// Sliding-window request count per user. The returned function records an
+// attempt for userId and resolves whether it is within the limit.
+const createUserLimiter = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
   const attempts = new Map();
 
-  return (req, res, next) => {
-    if (!req.user) {
-      return next();
-    }
-
-    const userId = req.user.id;
+  return (userId) => {
     const now = Date.now();
     const windowStart = now - windowMs;
 
@@ -247,12 +288,38 @@ const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 
     // Get or create user attempt record
     const userAttempts = attempts.get(userId) || { times: [] };
-    
+
     // Check if user has exceeded rate limit
     if (userAttempts.times.length >= maxRequests) {
+      return { allowed: false, attempts: userAttempts.times.length };
+    }
+
+    // Record this attempt
+    userAttempts.times.push(now);
+    attempts.set(userId, userAttempts);
+
+    return { allowed: true, attempts: userAttempts.times.length };
+  };
+};
+
+// AI coach requests over HTTP and Socket.IO count against one budget
+const aiCoachRateLimit = createUserLimiter(50, 15 * 60 * 1000); // 50 requests per 15 minutes per user
+
+// Rate limiting per user. Pass a limiter from createUserLimiter instead of the
+// numbers to share its budget with another entry point.
+const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
+  const limiter = typeof maxRequests === 'function' ? maxRequests : createUserLimiter(maxRequests, windowMs);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next();
+    }
+
+    const { allowed, attempts } = limiter(req.user.id);
+    if (!allowed) {
       logSecurityEvent('rate_limit_exceeded', {
-        userId,
-        attempts: userAttempts.times.length,
+        userId: req.user.id,
+        attempts,
         ip: req.ip
       });
 
@@ -262,19 +329,18 @@ const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
       });
     }
 
-    // Record this attempt
-    userAttempts.times.push(now);
-    attempts.set(userId, userAttempts);
-
     next();
   };
 };
 
 module.exports = {
   authenticateToken,
+  authenticateSocket,
   optionalAuth,
   requireRole,
   requireVerification,
   requireOwnershipOrAdmin,
+  createUserLimiter,
+  aiCoachRateLimit,
   userRateLimit
 };
\ No newline at end of file
@@ -1,7 +1,14 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { authenticateToken, userRateLimit } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole, userRateLimit, aiCoachRateLimit } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const conversationService = require('../services/conversationService');
+const coachingMemoryService = require('../services/coachingMemoryService');
+const usageService = require('../services/usageService');
+const promptTemplateService = require('../services/promptTemplateService');
+const feedbackService = require('../services/feedbackService');
+const guidedPracticeService = require('../services/guidedPracticeService');
+const { logger, logUserAction } = require('../utils/logger');
 
 const router = express.Router();
 
@@ -9,7 +16,7 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Apply stricter rate limiting for AI endpoints
-router.use(userRateLimit(50, 15 * 60 * 1000)); // 50 requests per 15 minutes per user
+router.use(userRateLimit(aiCoachRateLimit)); // shared with the ai-coach:message socket event
 
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -27,17 +34,40 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+const chatValidation = [
+  body('message')
+    .notEmpty()
+    .isLength({ max: 2000 })
+    .withMessage('Message is required and must be less than 2000 characters'),
+  body('conversationId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid conversation ID required'),
+];
+
 // @route   GET /api/ai-coach/conversations
 // @desc    Get user's AI coaching conversations
 // @access  Private
 router.get('/conversations',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50'),
+  ],
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
-    // TODO: Implement AI conversation retrieval
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const conversations = await conversationService.listConversations(
+      req.user.id,
+      limit,
+      (page - 1) * limit
+    );
+
     res.json({
       success: true,
-      message: 'AI Coach conversations endpoint - TODO',
       data: {
-        conversations: []
+        conversations
       }
     });
   })
@@ -47,33 +77,61 @@ router.get('/conversations',
 // @desc    Send message to AI coach
 // @access  Private
 router.post('/chat',
-  [
-    body('message')
-      .notEmpty()
-      .isLength({ max: 2000 })
-      .withMessage('Message is required and must be less than 2000 characters'),
-    body('conversationId')
-      .optional()
-      .isUUID()
-      .withMessage('Valid conversation ID required'),
-  ],
+  chatValidation,
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    // TODO: Implement AI chat functionality with:
-    // - LLM vendor abstraction layer
-    // - RAG grounding with curriculum content
-    // - Multi-signal crisis detection
-    // - Conversation context management
-    
+    const result = await conversationService.processMessage(req.user, req.body);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
     res.json({
       success: true,
-      message: 'AI Chat endpoint - TODO',
-      data: {
-        response: 'This AI coaching feature is coming soon!',
-        conversationId: 'temp-uuid',
-        requiresHumanReview: false
-      }
+      data: result
+    });
+  })
+);
+
+// @route   POST /api/ai-coach/chat/stream
+// @desc    Send message to AI coach and stream the reply as Server-Sent Events
+// @access  Private
+router.post('/chat/stream',
+  chatValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
     });
+
+    try {
+      const result = await conversationService.processMessage(req.user, req.body, {
+        onStart: (meta) => sendEvent('start', meta),
+        onToken: (delta) => sendEvent('token', { delta })
+      });
+
+      if (!result) {
+        sendEvent('error', { message: 'Conversation not found' });
+      } else {
+        // Citations and message IDs are only final once the full reply is stored
+        sendEvent('done', result);
+      }
+    } catch (error) {
+      logger.error('AI coach stream error:', { error: error.message, userId: req.user.id });
+      sendEvent('error', { message: 'Unable to complete response' });
+    }
+
+    res.end();
   })
 );
 
@@ -81,15 +139,35 @@ router.post('/chat',
 // @desc    Get specific conversation history
 // @access  Private
 router.get('/conversations/:conversationId',
+  [
+    param('conversationId').isUUID().withMessage('Valid conversation ID required'),
+  ],
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
-    // TODO: Implement conversation retrieval with proper authorization
+    const conversation = await conversationService.getOrCreateConversation(
+      req.user.id,
+      req.params.conversationId
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const messages = await conversationService.getConversationMessages(conversation.id);
+
     res.json({
       success: true,
-      message: 'Conversation history endpoint - TODO',
       data: {
         conversation: {
-          id: req.params.conversationId,
-          messages: []
+          id: conversation.id,
+          sessionStart: conversation.session_start,
+          sessionEnd: conversation.session_end,
+          totalTokensUsed: conversation.total_tokens_used,
+          contextSummary: conversation.context_summary,
+          messages
         }
       }
     });
@@ -112,15 +190,601 @@ router.post('/feedback',
       .isString()
       .isLength({ max: 500 })
       .withMessage('Feedback must be less than 500 characters'),
+    body('reasons')
+      .optional()
+      .isArray({ max: feedbackService.reasons.length })
+      .withMessage('Reasons must be a list'),
+    body('reasons.*')
+      .isIn(feedbackService.reasons)
+      .withMessage(`Reasons must be one of: ${feedbackService.reasons.join(', ')}`),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { messageId, rating, feedback, reasons } = req.body;
+
+    const result = await feedbackService.submitFeedback(req.user.id, {
+      messageId,
+      rating: parseInt(rating),
+      feedback: feedback || null,
+      reasons: [...new Set(reasons || [])]
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    logUserAction(req.user.id, result.created ? 'ai_feedback_submitted' : 'ai_feedback_updated', 'conversation_message', {
+      messageId,
+      rating: result.feedback.rating
+    });
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Feedback recorded' : 'Feedback updated',
+      data: {
+        feedback: result.feedback
+      }
+    });
+  })
+);
+
+// @route   GET /api/ai-coach/quality-metrics
+// @desc    Response quality rolled up by provider, model and prompt version
+// @access  Private (Admin)
+router.get('/quality-metrics',
+  requireRole('admin'),
+  [
+    query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+    query('promptName').optional().trim().isLength({ min: 1, max: 100 }),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const segments = await feedbackService.getQualityReport({
+      from,
+      to,
+      promptName: req.query.promptName || null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        segments
+      }
+    });
+  })
+);
+
+// @route   GET /api/ai-coach/usage
+// @desc    Get the user's AI token usage, estimated cost and remaining quota
+// @access  Private
+router.get('/usage',
+  asyncHandler(async (req, res) => {
+    const usage = await usageService.getUsageReport(req.user);
+
+    res.json({
+      success: true,
+      data: usage
+    });
+  })
+);
+
+// @route   GET /api/ai-coach/quota-policies
+// @desc    List AI token quotas by role and subscription tier
+// @access  Private (Admin)
+router.get('/quota-policies',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const policies = await usageService.listPolicies();
+
+    res.json({
+      success: true,
+      data: {
+        policies
+      }
+    });
+  })
+);
+
+// @route   PUT /api/ai-coach/quota-policies/:scopeType/:scopeValue
+// @desc    Create or update the AI token quota for a role or subscription tier
+// @access  Private (Admin)
+router.put('/quota-policies/:scopeType/:scopeValue',
+  requireRole('admin'),
+  [
+    param('scopeType').isIn(['role', 'tier']).withMessage('Scope type must be role or tier'),
+    param('scopeValue').trim().isLength({ min: 1, max: 50 }).withMessage('Scope value is required'),
+    body('dailyTokenLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Daily token limit must be a non-negative integer or null'),
+    body('monthlyTokenLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Monthly token limit must be a non-negative integer or null'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const toLimit = (value) => (value === undefined || value === null ? null : parseInt(value));
+
+    const policy = await usageService.upsertPolicy({
+      scopeType: req.params.scopeType,
+      scopeValue: req.params.scopeValue,
+      dailyTokenLimit: toLimit(req.body.dailyTokenLimit),
+      monthlyTokenLimit: toLimit(req.body.monthlyTokenLimit)
+    }, req.user.id);
+
+    logUserAction(req.user.id, 'update_ai_quota_policy', 'ai_quota_policy', policy);
+
+    res.json({
+      success: true,
+      message: 'Quota policy saved',
+      data: {
+        policy
+      }
+    });
+  })
+);
+
+// @route   GET /api/ai-coach/prompt-templates
+// @desc    List system prompt template versions
+// @access  Private (Admin)
+router.get('/prompt-templates',
+  requireRole('admin'),
+  [
+    query('name').optional().trim().isLength({ min: 1, max: 100 }),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const templates = await promptTemplateService.listTemplates(req.query.name || null);
+
+    res.json({
+      success: true,
+      data: {
+        templates
+      }
+    });
+  })
+);
+
+// @route   POST /api/ai-coach/prompt-templates
+// @desc    Create a new version of a system prompt template
+// @access  Private (Admin)
+router.post('/prompt-templates',
+  requireRole('admin'),
+  [
+    body('name')
+      .trim()
+      .matches(/^[a-z][a-z0-9_]{1,99}$/)
+      .withMessage('Template name must be lowercase letters, digits or underscores'),
+    body('body')
+      .isString()
+      .isLength({ min: 20, max: 20000 })
+      .withMessage('Template body must be between 20 and 20000 characters'),
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('activate').optional().isBoolean(),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { template, error } = await promptTemplateService.createTemplateVersion({
+      name: req.body.name,
+      body: req.body.body,
+      description: req.body.description,
+      activate: req.body.activate === true
+    }, req.user.id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    logUserAction(req.user.id, 'create_prompt_template', 'prompt_template', {
+      templateId: template.id,
+      promptVersion: template.promptVersion,
+      activated: template.isActive
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Prompt template version created',
+      data: {
+        template
+      }
+    });
+  })
+);
+
+// @route   POST /api/ai-coach/prompt-templates/:name/versions/:version/activate
+// @desc    Make a template version the default outside of experiments
+// @access  Private (Admin)
+router.post('/prompt-templates/:name/versions/:version/activate',
+  requireRole('admin'),
+  [
+    param('name').trim().isLength({ min: 1, max: 100 }),
+    param('version').isInt({ min: 1 }).withMessage('Valid version required'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const template = await promptTemplateService.activateTemplate(
+      req.params.name,
+      parseInt(req.params.version)
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template version not found'
+      });
+    }
+
+    logUserAction(req.user.id, 'activate_prompt_template', 'prompt_template', {
+      templateId: template.id,
+      promptVersion: template.promptVersion
+    });
+
+    res.json({
+      success: true,
+      message: 'Prompt template activated',
+      data: {
+        template
+      }
+    });
+  })
+);
+
+// @route   GET /api/ai-coach/prompt-experiments
+// @desc    List prompt A/B experiments
+// @access  Private (Admin)
+router.get('/prompt-experiments',
+  requireRole('admin'),
+  asyncHandler(async (req, res) => {
+    const experiments = await promptTemplateService.listExperiments(req.query.templateName || null);
+
+    res.json({
+      success: true,
+      data: {
+        experiments
+      }
+    });
+  })
+);
+
+// @route   POST /api/ai-coach/prompt-experiments
+// @desc    Create a draft A/B experiment between template versions
+// @access  Private (Admin)
+router.post('/prompt-experiments',
+  requireRole('admin'),
+  [
+    body('name').trim().isLength({ min: 3, max: 100 }).withMessage('Experiment name is required'),
+    body('templateName').trim().isLength({ min: 1, max: 100 }).withMessage('Template name is required'),
+    body('arms').isArray({ min: 2, max: 5 }).withMessage('Experiments need between 2 and 5 arms'),
+    body('arms.*.key')
+      .trim()
+      .matches(/^[a-z0-9_-]{1,30}$/i)
+      .withMessage('Arm key must be up to 30 letters, digits, dashes or underscores'),
+    body('arms.*.templateId').isUUID().withMessage('Arm template ID must be a valid UUID'),
+    body('arms.*.weight').isInt({ min: 1, max: 100 }).withMessage('Arm weight must be between 1 and 100').toInt(),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { experiment, error } = await promptTemplateService.createExperiment({
+      name: req.body.name,
+      templateName: req.body.templateName,
+      arms: req.body.arms
+    }, req.user.id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    logUserAction(req.user.id, 'create_prompt_experiment', 'prompt_experiment', {
+      experimentId: experiment.id,
+      templateName: experiment.templateName
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Prompt experiment created',
+      data: {
+        experiment
+      }
+    });
+  })
+);
+
+// @route   PUT /api/ai-coach/prompt-experiments/:experimentId/status
+// @desc    Start or stop a prompt experiment
+// @access  Private (Admin)
+router.put('/prompt-experiments/:experimentId/status',
+  requireRole('admin'),
+  [
+    param('experimentId').isUUID().withMessage('Valid experiment ID required'),
+    body('status').isIn(['running', 'stopped']).withMessage('Status must be running or stopped'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const experiment = await promptTemplateService.updateExperimentStatus(
+      req.params.experimentId,
+      req.body.status
+    );
+
+    if (!experiment) {
+      return res.status(409).json({
+        success: false,
+        message: 'Experiment not found or cannot move to that status'
+      });
+    }
+
+    logUserAction(req.user.id, 'update_prompt_experiment', 'prompt_experiment', {
+      experimentId: experiment.id,
+      status: experiment.status
+    });
+
+    res.json({
+      success: true,
+      data: {
+        experiment
+      }
+    });
+  })
+);
+
+// @route   GET /api/ai-coach/memory
+// @desc    Get what the coach remembers about the user across conversations
+// @access  Private
+router.get('/memory',
+  asyncHandler(async (req, res) => {
+    const memories = await coachingMemoryService.listMemory(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        memories
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/ai-coach/memory/:memoryId
+// @desc    Forget a single long-term memory item
+// @access  Private
+router.delete('/memory/:memoryId',
+  [
+    param('memoryId').isUUID().withMessage('Valid memory ID required'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const deleted = await coachingMemoryService.deleteMemory(req.user.id, req.params.memoryId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Memory not found'
+      });
+    }
+
+    logUserAction(req.user.id, 'delete_coaching_memory', 'coaching_memory', {
+      memoryId: req.params.memoryId
+    });
+
+    res.json({
+      success: true,
+      message: 'Memory deleted'
+    });
+  })
+);
+
+// @route   DELETE /api/ai-coach/memory
+// @desc    Forget everything the coach remembers about the user
+// @access  Private
+router.delete('/memory',
+  asyncHandler(async (req, res) => {
+    const deletedCount = await coachingMemoryService.clearMemory(req.user.id);
+
+    logUserAction(req.user.id, 'clear_coaching_memory', 'coaching_memory', {
+      deletedCount
+    });
+
+    res.json({
+      success: true,
+      message: 'Coaching memory cleared',
+      data: {
+        deletedCount
+      }
+    });
+  })
+);
+
+// @route   POST /api/ai-coach/practices/generate
+// @desc    Have the coach build a timed guided practice (instructions, pauses, bells)
+// @access  Private
+router.post('/practices/generate',
+  [
+    body('prompt')
+      .trim()
+      .isLength({ min: 3, max: 1000 })
+      .withMessage('Describe the practice you would like (3-1000 characters)'),
+    body('durationMinutes')
+      .isInt({ min: 1, max: 60 })
+      .withMessage('Duration must be between 1 and 60 minutes')
+      .toInt(),
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    // TODO: Implement feedback collection for AI responses
+    const result = await guidedPracticeService.generate(req.user, req.body);
+
+    if (!result.crisisSupport) {
+      logUserAction(req.user.id, 'generate_guided_practice', 'personal_practice', {
+        durationMinutes: req.body.durationMinutes,
+        steps: result.practice.steps.length,
+        isFallback: result.isFallback,
+        quotaExceeded: result.quotaExceeded
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   GET /api/ai-coach/practices
+// @desc    List the user's saved guided practices
+// @access  Private
+router.get('/practices',
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const practices = await guidedPracticeService.listPractices(req.user.id, limit, (page - 1) * limit);
+
+    res.json({
+      success: true,
+      data: {
+        practices
+      }
+    });
+  })
+);
+
+// @route   POST /api/ai-coach/practices
+// @desc    Save a guided practice to the user's library
+// @access  Private
+router.post('/practices',
+  [
+    body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
+    body('intention').optional({ values: 'null' }).trim().isLength({ max: 300 }),
+    body('prompt').optional({ values: 'null' }).trim().isLength({ max: 1000 }),
+    body('steps').isArray({ min: 3, max: 40 }).withMessage('A practice needs between 3 and 40 steps'),
+    body('sourceLessonIds').optional().isArray({ max: 5 }),
+    body('sourceLessonIds.*').isUUID().withMessage('Valid lesson ID required'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { practice, errors } = await guidedPracticeService.savePractice(req.user.id, req.body);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Practice is not valid',
+        errors
+      });
+    }
+
+    logUserAction(req.user.id, 'save_guided_practice', 'personal_practice', {
+      practiceId: practice.id,
+      totalDurationSeconds: practice.totalDurationSeconds
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Practice saved',
+      data: {
+        practice
+      }
+    });
+  })
+);
+
+// @route   GET /api/ai-coach/practices/:practiceId
+// @desc    Get a saved practice with its timed steps for playback
+// @access  Private
+router.get('/practices/:practiceId',
+  [
+    param('practiceId').isUUID().withMessage('Valid practice ID required'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const practice = await guidedPracticeService.getPractice(req.user.id, req.params.practiceId);
+
+    if (!practice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        practice
+      }
+    });
+  })
+);
+
+// @route   POST /api/ai-coach/practices/:practiceId/plays
+// @desc    Record that the user played a saved practice
+// @access  Private
+router.post('/practices/:practiceId/plays',
+  [
+    param('practiceId').isUUID().withMessage('Valid practice ID required'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const play = await guidedPracticeService.recordPlay(req.user.id, req.params.practiceId);
+
+    if (!play) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: play
+    });
+  })
+);
+
+// @route   DELETE /api/ai-coach/practices/:practiceId
+// @desc    Delete a saved practice
+// @access  Private
+router.delete('/practices/:practiceId',
+  [
+    param('practiceId').isUUID().withMessage('Valid practice ID required'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const deleted = await guidedPracticeService.deletePractice(req.user.id, req.params.practiceId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practice not found'
+      });
+    }
+
+    logUserAction(req.user.id, 'delete_guided_practice', 'personal_practice', {
+      practiceId: req.params.practiceId
+    });
+
     res.json({
       success: true,
-      message: 'AI feedback endpoint - TODO'
+      message: 'Practice deleted'
     });
   })
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
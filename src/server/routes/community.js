@@ -1,7 +1,16 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
-const { authenticateToken, requireVerification, userRateLimit } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole, requireVerification, userRateLimit } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const groupService = require('../services/groupService');
+const groupMessageService = require('../services/groupMessageService');
+const communityModerationService = require('../services/communityModerationService');
+const sanctionService = require('../services/sanctionService');
+const reportService = require('../services/reportService');
+const blockService = require('../services/blockService');
+const groupInviteService = require('../services/groupInviteService');
+const groupSessionService = require('../services/groupSessionService');
+const { logUserAction } = require('../utils/logger');
 
 const router = express.Router();
 
@@ -11,6 +20,28 @@ router.use(authenticateToken);
 // Apply user-specific rate limiting
 router.use(userRateLimit(100, 15 * 60 * 1000)); // 100 requests per 15 minutes per user
 
+// Suspended members, and those who must re-verify, are kept out of the community.
+// Active sanctions are left on req.sanctions for the routes that check mutes.
+router.use(asyncHandler(async (req, res, next) => {
+  const sanctions = await sanctionService.getActive(req.user.id);
+  const blocking = sanctionService.findBlocking(sanctions);
+
+  if (blocking) {
+    const reverify = blocking.type === 'reverification';
+    return res.status(403).json({
+      success: false,
+      message: reverify
+        ? 'Verify your identity again to return to the community'
+        : 'Your community access is suspended',
+      sanction: blocking,
+      ...(reverify && { requiredVerification: 'identity' })
+    });
+  }
+
+  req.sanctions = sanctions;
+  next();
+}));
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -38,17 +69,17 @@ router.get('/groups',
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    // TODO: Implement group discovery with proper filtering
+    const { groups, pagination } = await groupService.listGroups(req.user.id, {
+      type: req.query.type || null,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
     res.json({
       success: true,
-      message: 'Community groups endpoint - TODO',
       data: {
-        groups: [],
-        pagination: {
-          currentPage: 1,
-          totalPages: 1,
-          totalCount: 0
-        }
+        groups,
+        pagination
       }
     });
   })
@@ -77,57 +108,137 @@ router.post('/groups',
     body('privacyLevel')
       .isIn(['public', 'private', 'invite_only'])
       .withMessage('Valid privacy level required'),
+    body('verificationRequired')
+      .optional()
+      .isBoolean()
+      .withMessage('verificationRequired must be a boolean')
+      .toBoolean(),
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    // TODO: Implement group creation with proper validation and moderation setup
-    res.json({
+    const group = await groupService.createGroup(req.user, {
+      name: req.body.name.trim(),
+      description: req.body.description.trim(),
+      groupType: req.body.groupType,
+      maxMembers: parseInt(req.body.maxMembers),
+      privacyLevel: req.body.privacyLevel,
+      verificationRequired: req.body.verificationRequired || false
+    });
+
+    logUserAction(req.user.id, 'create_group', 'group', {
+      groupId: group.id,
+      groupType: group.type,
+      privacyLevel: group.privacyLevel
+    });
+
+    res.status(201).json({
       success: true,
-      message: 'Group creation endpoint - TODO',
+      message: 'Group created',
       data: {
-        group: {
-          id: 'temp-uuid',
-          name: req.body.name,
-          description: req.body.description,
-          type: req.body.groupType,
-          leaderId: req.user.id
-        }
+        group
       }
     });
   })
 );
 
+const groupIdValidation = [
+  param('groupId').isUUID().withMessage('Valid group ID required'),
+];
+
+const JOIN_ERRORS = {
+  not_found: [404, 'Group not found'],
+  already_member: [409, 'You are already a member of this group'],
+  removed: [403, 'You were removed from this group; a group leader can invite you back'],
+  requires_invitation: [403, 'This group can only be joined by invitation'],
+  verification_required: [403, 'This group requires identity verification'],
+  group_full: [409, 'This group is full'],
+  invalid_invite: [400, 'This invitation is invalid, expired or used up']
+};
+
+const sendJoinError = (res, error) => {
+  const [status, message] = JOIN_ERRORS[error] || [400, 'Unable to join group'];
+  return res.status(status).json({
+    success: false,
+    message,
+    ...(error === 'verification_required' && { requiredVerification: 'identity' })
+  });
+};
+
 // @route   GET /api/community/groups/:groupId
 // @desc    Get group details
 // @access  Private
 router.get('/groups/:groupId',
+  groupIdValidation,
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
-    // TODO: Implement group detail retrieval with membership checking
+    const group = await groupService.getGroup(req.params.groupId, req.user.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Group details endpoint - TODO',
       data: {
-        group: {
-          id: req.params.groupId,
-          name: 'Sample Group',
-          description: 'Sample group description',
-          memberCount: 15,
-          isUserMember: false
-        }
+        group
       }
     });
   })
 );
 
 // @route   POST /api/community/groups/:groupId/join
-// @desc    Join a group
+// @desc    Join a public group, or ask to join a private one (the leaders approve)
 // @access  Private
 router.post('/groups/:groupId/join',
+  [
+    ...groupIdValidation,
+    body('message')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Message must be at most 500 characters'),
+  ],
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
-    // TODO: Implement group joining with verification requirements
+    const { group, error } = await groupService.joinGroup(req.params.groupId, req.user);
+
+    if (error === 'requires_approval') {
+      const { request, duplicate, error: requestError } = await groupInviteService.requestToJoin(req.params.groupId, req.user, {
+        message: req.body.message || null
+      });
+      if (requestError) {
+        return sendJoinError(res, requestError);
+      }
+
+      if (!duplicate) {
+        logUserAction(req.user.id, 'request_join_group', 'group', { groupId: req.params.groupId, requestId: request.id });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: duplicate ? 'Your request to join is already waiting for approval' : 'Request sent to the group leaders',
+        data: {
+          request
+        }
+      });
+    }
+
+    if (error) {
+      return sendJoinError(res, error);
+    }
+
+    logUserAction(req.user.id, 'join_group', 'group', { groupId: group.id });
+
     res.json({
       success: true,
-      message: 'Group join endpoint - TODO'
+      message: 'Joined group',
+      data: {
+        group
+      }
     });
   })
 );
@@ -136,36 +247,77 @@ router.post('/groups/:groupId/join',
 // @desc    Leave a group
 // @access  Private
 router.post('/groups/:groupId/leave',
+  groupIdValidation,
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
-    // TODO: Implement group leaving
+    const { closed, error } = await groupService.leaveGroup(req.params.groupId, req.user.id);
+
+    if (error === 'not_member') {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of this group'
+      });
+    }
+
+    if (error === 'leader_must_transfer') {
+      return res.status(409).json({
+        success: false,
+        message: 'Transfer leadership to another member before leaving'
+      });
+    }
+
+    logUserAction(req.user.id, closed ? 'close_group' : 'leave_group', 'group', {
+      groupId: req.params.groupId
+    });
+    await groupMessageService.removeFromRoom(req.params.groupId, req.user.id);
+
     res.json({
       success: true,
-      message: 'Group leave endpoint - TODO'
+      message: closed ? 'You were the last member, so the group has been closed' : 'Left group'
     });
   })
 );
 
+// Only active members may read or post; the membership is left on req.groupMembership
+const requireGroupMember = asyncHandler(async (req, res, next) => {
+  const membership = await groupService.getMembership(req.params.groupId, req.user.id);
+
+  if (!membership) {
+    return res.status(403).json({
+      success: false,
+      message: 'You must be a member of this group'
+    });
+  }
+
+  req.groupMembership = membership;
+  next();
+});
+
 // @route   GET /api/community/groups/:groupId/messages
-// @desc    Get group messages
+// @desc    Get group messages, newest first (pass pagination.nextCursor as cursor for older ones)
 // @access  Private (must be group member)
 router.get('/groups/:groupId/messages',
   [
-    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    ...groupIdValidation,
+    query('cursor')
+      .optional()
+      .custom(cursor => groupMessageService.isValidCursor(cursor))
+      .withMessage('Invalid cursor'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
   ],
   handleValidationErrors,
+  requireGroupMember,
   asyncHandler(async (req, res) => {
-    // TODO: Implement message retrieval with membership verification
+    const { messages, pagination } = await groupMessageService.listMessages(req.params.groupId, req.user.id, {
+      cursor: req.query.cursor || null,
+      limit: parseInt(req.query.limit) || 50
+    });
+
     res.json({
       success: true,
-      message: 'Group messages endpoint - TODO',
       data: {
-        messages: [],
-        pagination: {
-          currentPage: 1,
-          totalPages: 1,
-          totalCount: 0
-        }
+        messages,
+        pagination
       }
     });
   })
@@ -176,8 +328,10 @@ router.get('/groups/:groupId/messages',
 // @access  Private (must be group member)
 router.post('/groups/:groupId/messages',
   [
+    ...groupIdValidation,
     body('content')
-      .notEmpty()
+      .isString()
+      .trim()
       .isLength({ min: 1, max: 2000 })
       .withMessage('Message content must be 1-2000 characters'),
     body('messageType')
@@ -186,37 +340,1068 @@ router.post('/groups/:groupId/messages',
       .withMessage('Invalid message type'),
   ],
   handleValidationErrors,
+  requireGroupMember,
+  asyncHandler(async (req, res) => {
+    const mute = sanctionService.findMute(req.sanctions, req.params.groupId);
+    if (mute) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are muted in this group',
+        sanction: mute
+      });
+    }
+
+    const message = await groupMessageService.createMessage(req.params.groupId, req.user, {
+      content: req.body.content,
+      messageType: req.body.messageType || 'text'
+    });
+
+    // Stored as pending; the sender gets group:message:status once moderation decides
+    communityModerationService.submit(message, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message
+      }
+    });
+  })
+);
+
+const reportValidation = [
+  body('category').isIn(reportService.categories).withMessage('Valid report category required'),
+  body('details')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details must be at most 1000 characters'),
+];
+
+const REPORT_ERRORS = {
+  not_found: [404, 'Message not found'],
+  own_content: [400, 'You cannot report your own message'],
+  user_not_found: [404, 'User not found'],
+  own_account: [400, 'You cannot report yourself']
+};
+
+// Reports are acknowledged the same way whether or not the member already
+// reported this; reporting twice doesn't count twice
+const sendReportResult = (res, { report, duplicate, error }) => {
+  if (error) {
+    const [status, message] = REPORT_ERRORS[error];
+    return res.status(status).json({
+      success: false,
+      message
+    });
+  }
+
+  res.status(duplicate ? 200 : 201).json({
+    success: true,
+    message: duplicate ? 'You have already reported this' : 'Report received; our moderators will review it',
+    data: {
+      report
+    }
+  });
+};
+
+// @route   POST /api/community/groups/:groupId/messages/:messageId/report
+// @desc    Report a message to the group's moderators
+// @access  Private (must be group member)
+router.post('/groups/:groupId/messages/:messageId/report',
+  [
+    ...groupIdValidation,
+    param('messageId').isUUID().withMessage('Valid message ID required'),
+    ...reportValidation,
+  ],
+  handleValidationErrors,
+  requireGroupMember,
   asyncHandler(async (req, res) => {
-    // TODO: Implement message sending with:
-    // - Membership verification
-    // - AI-powered content moderation
-    // - Human review queue for flagged content
-    
+    const result = await reportService.reportMessage(req.user, req.params.groupId, req.params.messageId, {
+      category: req.body.category,
+      details: req.body.details || null
+    });
+
+    if (result.report && !result.duplicate) {
+      logUserAction(req.user.id, 'report_message', 'group_message', {
+        reportId: result.report.id,
+        groupId: req.params.groupId,
+        messageId: req.params.messageId,
+        category: result.report.category
+      });
+    }
+
+    sendReportResult(res, result);
+  })
+);
+
+// Platform moderators and admins can act in any group
+const PLATFORM_MODERATOR_ROLES = ['moderator', 'admin'];
+
+// Group moderators and leaders (and platform moderators) review held messages
+const requireGroupModerator = asyncHandler(async (req, res, next) => {
+  const membership = await groupService.getMembership(req.params.groupId, req.user.id);
+
+  if (!PLATFORM_MODERATOR_ROLES.includes(req.user.role) && (!membership || !groupService.moderatorRoles.includes(membership.role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group moderators can do this'
+    });
+  }
+
+  req.groupMembership = membership;
+  next();
+});
+
+// Thresholds decide what every moderator sees, so only leaders, co-leaders and
+// platform moderators change them
+const requireSettingsManager = asyncHandler(async (req, res, next) => {
+  const membership = await groupService.getMembership(req.params.groupId, req.user.id);
+
+  if (!PLATFORM_MODERATOR_ROLES.includes(req.user.role) && (!membership || !groupService.managerRoles.includes(membership.role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group leaders can change moderation settings'
+    });
+  }
+
+  req.groupMembership = membership;
+  next();
+});
+
+// @route   GET /api/community/groups/:groupId/moderation/queue
+// @desc    Messages held for review or reported by members in a group, oldest first
+// @access  Private (group moderators)
+router.get('/groups/:groupId/moderation/queue',
+  [
+    ...groupIdValidation,
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+  ],
+  handleValidationErrors,
+  requireGroupModerator,
+  asyncHandler(async (req, res) => {
+    const messages = await communityModerationService.listQueue(req.params.groupId, {
+      limit: parseInt(req.query.limit) || 50
+    });
+
     res.json({
       success: true,
-      message: 'Message send endpoint - TODO',
       data: {
-        message: {
-          id: 'temp-uuid',
-          content: req.body.content,
-          moderationStatus: 'pending'
-        }
+        messages
+      }
+    });
+  })
+);
+
+// @route   POST /api/community/groups/:groupId/moderation/messages/:messageId
+// @desc    Approve or reject a held or reported message
+// @access  Private (group moderators)
+router.post('/groups/:groupId/moderation/messages/:messageId',
+  [
+    ...groupIdValidation,
+    param('messageId').isUUID().withMessage('Valid message ID required'),
+    body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+    body('note').optional({ values: 'null' }).trim().isLength({ max: 1000 }),
+  ],
+  handleValidationErrors,
+  requireGroupModerator,
+  asyncHandler(async (req, res) => {
+    const { message, error } = await communityModerationService.review(req.params.groupId, req.params.messageId, req.user, {
+      decision: req.body.decision,
+      note: req.body.note || null
+    });
+
+    if (error === 'own_message') {
+      return res.status(403).json({
+        success: false,
+        message: 'Another moderator needs to review your own message'
+      });
+    }
+
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found or already reviewed'
+      });
+    }
+
+    logUserAction(req.user.id, 'moderate_group_message', 'group_message', {
+      groupId: req.params.groupId,
+      messageId: message.id,
+      decision: message.moderationStatus
+    });
+
+    res.json({
+      success: true,
+      message: message.moderationStatus === 'approved' ? 'Message approved' : 'Message rejected',
+      data: {
+        message
+      }
+    });
+  })
+);
+
+// @route   GET /api/community/groups/:groupId/moderation/settings
+// @desc    Moderation thresholds in effect for a group
+// @access  Private (group moderators)
+router.get('/groups/:groupId/moderation/settings',
+  groupIdValidation,
+  handleValidationErrors,
+  requireGroupModerator,
+  asyncHandler(async (req, res) => {
+    const settings = await communityModerationService.getSettings(req.params.groupId);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        settings
+      }
+    });
+  })
+);
+
+// @route   PUT /api/community/groups/:groupId/moderation/settings
+// @desc    Set a group's hold/reject thresholds per category (0-1; reject null to never auto-reject)
+// @access  Private (group leaders, co-leaders and platform moderators)
+router.put('/groups/:groupId/moderation/settings',
+  [
+    ...groupIdValidation,
+    body('thresholds').isObject().withMessage('Thresholds are required'),
+    ...communityModerationService.categories.flatMap(category => [
+      body(`thresholds.${category}.hold`).optional().isFloat({ min: 0, max: 1 }).toFloat(),
+      body(`thresholds.${category}.reject`).optional({ values: 'null' }).isFloat({ min: 0, max: 1 }).toFloat(),
+    ]),
+  ],
+  handleValidationErrors,
+  requireSettingsManager,
+  asyncHandler(async (req, res) => {
+    // Only the categories and fields we know about are kept
+    const thresholds = communityModerationService.categories.reduce((acc, category) => {
+      const input = req.body.thresholds[category];
+      if (input && typeof input === 'object') {
+        acc[category] = {};
+        if (input.hold !== undefined) acc[category].hold = input.hold;
+        if (input.reject !== undefined) acc[category].reject = input.reject;
+      }
+      return acc;
+    }, {});
+
+    const current = await communityModerationService.getSettings(req.params.groupId);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const merged = Object.keys(current.thresholds).reduce((acc, category) => {
+      acc[category] = { ...current.thresholds[category], ...(thresholds[category] || {}) };
+      return acc;
+    }, {});
+    const { settings, errors } = await communityModerationService.updateSettings(req.params.groupId, merged);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid thresholds',
+        errors
+      });
+    }
+
+    logUserAction(req.user.id, 'update_group_moderation_settings', 'group', {
+      groupId: req.params.groupId,
+      thresholds: settings.thresholds
+    });
+
+    res.json({
+      success: true,
+      message: 'Moderation settings updated',
+      data: {
+        settings
+      }
+    });
+  })
+);
+
+const userIdValidation = [
+  param('userId').isUUID().withMessage('Valid user ID required'),
+];
+
+// Leaders and co-leaders manage members, invitations and join requests
+const requireGroupManager = asyncHandler(async (req, res, next) => {
+  const membership = await groupService.getMembership(req.params.groupId, req.user.id);
+
+  if (!membership || !groupService.managerRoles.includes(membership.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group leaders can do this'
+    });
+  }
+
+  req.groupMembership = membership;
+  next();
+});
+
+const MEMBER_ERRORS = {
+  not_member: [404, 'That person is not a member of this group'],
+  forbidden: [403, 'You can only manage members below your own role'],
+  verification_required: [403, 'The new leader needs identity verification']
+};
+
+const sendMemberError = (res, error) => {
+  const [status, message] = MEMBER_ERRORS[error] || [400, 'Unable to update member'];
+  return res.status(status).json({
+    success: false,
+    message
+  });
+};
+
+// @route   GET /api/community/groups/:groupId/members
+// @desc    Group members and their roles
+// @access  Private (must be group member)
+router.get('/groups/:groupId/members',
+  groupIdValidation,
+  handleValidationErrors,
+  requireGroupMember,
+  asyncHandler(async (req, res) => {
+    const members = await groupService.listMembers(req.params.groupId);
+
+    res.json({
+      success: true,
+      data: {
+        members
+      }
+    });
+  })
+);
+
+// @route   PUT /api/community/groups/:groupId/members/:userId/role
+// @desc    Make a member a co-leader (leader only), moderator or plain member
+// @access  Private (group leaders)
+router.put('/groups/:groupId/members/:userId/role',
+  [
+    ...groupIdValidation,
+    ...userIdValidation,
+    body('role').isIn(['co_leader', 'moderator', 'member']).withMessage('Role must be co_leader, moderator or member'),
+  ],
+  handleValidationErrors,
+  requireGroupManager,
+  asyncHandler(async (req, res) => {
+    const { member, error } = await groupService.setRole(req.params.groupId, req.user, req.params.userId, req.body.role);
+
+    if (error) {
+      return sendMemberError(res, error);
+    }
+
+    logUserAction(req.user.id, 'change_group_role', 'group', {
+      groupId: req.params.groupId,
+      memberId: req.params.userId,
+      fromRole: member.previousRole,
+      toRole: member.role
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: {
+        member: { userId: member.userId, role: member.role }
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/community/groups/:groupId/members/:userId
+// @desc    Remove a member from the group
+// @access  Private (group leaders; only members below their own role)
+router.delete('/groups/:groupId/members/:userId',
+  [
+    ...groupIdValidation,
+    ...userIdValidation,
+    body('reason').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidationErrors,
+  requireGroupManager,
+  asyncHandler(async (req, res) => {
+    const { role, error } = await groupService.removeMember(req.params.groupId, req.user, req.params.userId);
+
+    if (error) {
+      return sendMemberError(res, error);
+    }
+
+    logUserAction(req.user.id, 'remove_group_member', 'group', {
+      groupId: req.params.groupId,
+      memberId: req.params.userId,
+      memberRole: role,
+      reason: req.body.reason || null
+    });
+    await groupMessageService.removeFromRoom(req.params.groupId, req.params.userId);
+    groupMessageService.emitToUser(req.params.userId, 'group:removed', { groupId: req.params.groupId });
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+  })
+);
+
+// @route   POST /api/community/groups/:groupId/leadership
+// @desc    Hand the group to another member; the current leader becomes a co-leader
+// @access  Private (group leader)
+router.post('/groups/:groupId/leadership',
+  [
+    ...groupIdValidation,
+    body('userId').isUUID().withMessage('Valid user ID required'),
+  ],
+  handleValidationErrors,
+  requireGroupManager,
+  asyncHandler(async (req, res) => {
+    const { group, previousRole, error } = await groupService.transferLeadership(req.params.groupId, req.user, req.body.userId);
+
+    if (error) {
+      if (error === 'forbidden') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the group leader can transfer leadership'
+        });
+      }
+      return sendMemberError(res, error);
+    }
+
+    logUserAction(req.user.id, 'transfer_group_leadership', 'group', {
+      groupId: req.params.groupId,
+      newLeaderId: req.body.userId,
+      newLeaderPreviousRole: previousRole
+    });
+
+    res.json({
+      success: true,
+      message: 'Leadership transferred',
+      data: {
+        group
+      }
+    });
+  })
+);
+
+const INVITE_ERRORS = {
+  user_not_found: [404, 'User not found'],
+  already_member: [409, 'That person is already a member of this group'],
+  blocked: [403, 'You cannot invite this person']
+};
+
+// @route   POST /api/community/groups/:groupId/invites
+// @desc    Create an invitation link and code (optionally for one member only)
+// @access  Private (group leaders)
+router.post('/groups/:groupId/invites',
+  [
+    ...groupIdValidation,
+    body('expiresInHours').optional().isInt({ min: 1, max: 30 * 24 }).withMessage('Expiry must be 1-720 hours').toInt(),
+    body('maxUses').optional({ values: 'null' }).isInt({ min: 1, max: 50 }).withMessage('Max uses must be 1-50').toInt(),
+    body('userId').optional({ values: 'null' }).isUUID().withMessage('Valid user ID required'),
+  ],
+  handleValidationErrors,
+  requireGroupManager,
+  asyncHandler(async (req, res) => {
+    const { invite, code, link, token, error } = await groupInviteService.createInvite(req.params.groupId, req.user, {
+      expiresInHours: req.body.expiresInHours || 168,
+      maxUses: req.body.maxUses || null,
+      inviteeId: req.body.userId || null
+    });
+
+    if (error) {
+      const [status, message] = INVITE_ERRORS[error];
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    logUserAction(req.user.id, 'create_group_invite', 'group', {
+      groupId: req.params.groupId,
+      inviteId: invite.id,
+      inviteeId: invite.inviteeId,
+      maxUses: invite.maxUses,
+      expiresAt: invite.expiresAt
+    });
+
+    // The code and link can't be shown again
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created',
+      data: {
+        invite,
+        code,
+        token,
+        link
       }
     });
   })
 );
 
+// @route   GET /api/community/groups/:groupId/invites
+// @desc    Invitations that can still be used
+// @access  Private (group leaders)
+router.get('/groups/:groupId/invites',
+  groupIdValidation,
+  handleValidationErrors,
+  requireGroupManager,
+  asyncHandler(async (req, res) => {
+    const invites = await groupInviteService.listInvites(req.params.groupId);
+
+    res.json({
+      success: true,
+      data: {
+        invites
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/community/groups/:groupId/invites/:inviteId
+// @desc    Revoke an invitation
+// @access  Private (group leaders)
+router.delete('/groups/:groupId/invites/:inviteId',
+  [
+    ...groupIdValidation,
+    param('inviteId').isUUID().withMessage('Valid invite ID required'),
+  ],
+  handleValidationErrors,
+  requireGroupManager,
+  asyncHandler(async (req, res) => {
+    const invite = await groupInviteService.revokeInvite(req.params.groupId, req.params.inviteId, req.user);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or already revoked'
+      });
+    }
+
+    logUserAction(req.user.id, 'revoke_group_invite', 'group', {
+      groupId: req.params.groupId,
+      inviteId: invite.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  })
+);
+
+// @route   POST /api/community/invites/accept
+// @desc    Join a group with an invitation link token or code
+// @access  Private
+router.post('/invites/accept',
+  [
+    body('token')
+      .if(body('code').not().exists())
+      .isString()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('An invitation token or code is required'),
+    body('code')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 8, max: 8 })
+      .withMessage('Invitation codes are 8 characters'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { group, inviteId, error } = await groupInviteService.acceptInvite(req.user, {
+      token: req.body.token || null,
+      code: req.body.code || null
+    });
+
+    if (error) {
+      return sendJoinError(res, error);
+    }
+
+    logUserAction(req.user.id, 'join_group', 'group', { groupId: group.id, inviteId });
+
+    res.json({
+      success: true,
+      message: 'Joined group',
+      data: {
+        group
+      }
+    });
+  })
+);
+
+// @route   GET /api/community/groups/:groupId/join-requests
+// @desc    Pending requests to join a private group, oldest first
+// @access  Private (group leaders)
+router.get('/groups/:groupId/join-requests',
+  groupIdValidation,
+  handleValidationErrors,
+  requireGroupManager,
+  asyncHandler(async (req, res) => {
+    const requests = await groupInviteService.listJoinRequests(req.params.groupId);
+
+    res.json({
+      success: true,
+      data: {
+        requests
+      }
+    });
+  })
+);
+
+// @route   POST /api/community/groups/:groupId/join-requests/:requestId
+// @desc    Approve or deny a request to join
+// @access  Private (group leaders)
+router.post('/groups/:groupId/join-requests/:requestId',
+  [
+    ...groupIdValidation,
+    param('requestId').isUUID().withMessage('Valid request ID required'),
+    body('decision').isIn(['approve', 'deny']).withMessage('Decision must be approve or deny'),
+  ],
+  handleValidationErrors,
+  requireGroupManager,
+  asyncHandler(async (req, res) => {
+    const { request, error } = await groupInviteService.decideJoinRequest(
+      req.params.groupId, req.params.requestId, req.user, req.body.decision
+    );
+
+    if (error === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found or already decided'
+      });
+    }
+    if (error) {
+      return sendJoinError(res, error);
+    }
+
+    logUserAction(req.user.id, req.body.decision === 'approve' ? 'approve_join_request' : 'deny_join_request', 'group', {
+      groupId: req.params.groupId,
+      requestId: request.id,
+      applicantId: request.userId
+    });
+
+    res.json({
+      success: true,
+      message: request.status === 'approved' ? 'Request approved' : 'Request denied',
+      data: {
+        request
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/community/groups/:groupId/join-request
+// @desc    Withdraw your pending request to join
+// @access  Private
+router.delete('/groups/:groupId/join-request',
+  groupIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const cancelled = await groupInviteService.cancelJoinRequest(req.params.groupId, req.user.id);
+
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no pending request to join this group'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Request withdrawn'
+    });
+  })
+);
+
+// Group moderators and above schedule sessions and facilitate them
+const requireGroupFacilitator = asyncHandler(async (req, res, next) => {
+  const membership = await groupService.getMembership(req.params.groupId, req.user.id);
+
+  if (!membership || !groupService.moderatorRoles.includes(membership.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group leaders and moderators can schedule sessions'
+    });
+  }
+
+  req.groupMembership = membership;
+  next();
+});
+
+const sessionIdValidation = [
+  param('sessionId').isUUID().withMessage('Valid session ID required'),
+];
+
+const SESSION_ERRORS = {
+  not_found: [404, 'Session not found'],
+  invalid_time: [400, 'Sessions must start in the future and within a year'],
+  forbidden: [403, 'Only the facilitator or a group leader can do this'],
+  not_scheduled: [409, 'Only sessions that have not started can be cancelled'],
+  closed: [409, 'This session has finished or was cancelled']
+};
+
+const sendSessionError = (res, error) => {
+  const [status, message] = SESSION_ERRORS[error] || [400, 'Unable to update session'];
+  return res.status(status).json({
+    success: false,
+    message
+  });
+};
+
+// @route   POST /api/community/groups/:groupId/sessions
+// @desc    Schedule a live practice session (startsAt is a local time in timezone, which defaults to yours)
+// @access  Private (group leaders and moderators)
+router.post('/groups/:groupId/sessions',
+  [
+    ...groupIdValidation,
+    body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
+    body('description').optional({ values: 'null' }).trim().isLength({ max: 1000 }).withMessage('Description must be under 1000 characters'),
+    body('startsAt')
+      .matches(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/i)
+      .isISO8601({ strict: true })
+      .withMessage('Start time must be an ISO date and time, e.g. 2026-10-19T18:30'),
+    body('timezone')
+      .optional({ values: 'null' })
+      .custom(timezone => groupSessionService.isValidTimezone(timezone))
+      .withMessage('Valid timezone required'),
+    body('durationMinutes').isInt({ min: 5, max: 180 }).withMessage('Duration must be 5-180 minutes').toInt(),
+  ],
+  handleValidationErrors,
+  requireGroupFacilitator,
+  asyncHandler(async (req, res) => {
+    const { session, error } = await groupSessionService.createSession(req.params.groupId, req.user, {
+      title: req.body.title,
+      description: req.body.description || null,
+      startsAt: req.body.startsAt,
+      timezone: req.body.timezone || null,
+      durationMinutes: req.body.durationMinutes
+    });
+
+    if (error) {
+      return sendSessionError(res, error);
+    }
+
+    logUserAction(req.user.id, 'schedule_group_session', 'group', {
+      groupId: req.params.groupId,
+      sessionId: session.id,
+      startsAt: session.startsAt,
+      durationMinutes: session.durationMinutes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Session scheduled',
+      data: {
+        session
+      }
+    });
+  })
+);
+
+// @route   GET /api/community/groups/:groupId/sessions
+// @desc    Upcoming (default) or past practice sessions, with start times in your timezone
+// @access  Private (must be group member)
+router.get('/groups/:groupId/sessions',
+  [
+    ...groupIdValidation,
+    query('when').optional().isIn(['upcoming', 'past']).withMessage('When must be upcoming or past'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50').toInt(),
+  ],
+  handleValidationErrors,
+  requireGroupMember,
+  asyncHandler(async (req, res) => {
+    const sessions = await groupSessionService.listSessions(req.params.groupId, req.user, {
+      when: req.query.when || 'upcoming',
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+  })
+);
+
+// @route   GET /api/community/groups/:groupId/sessions/:sessionId
+// @desc    A practice session, with your RSVP
+// @access  Private (must be group member)
+router.get('/groups/:groupId/sessions/:sessionId',
+  [
+    ...groupIdValidation,
+    ...sessionIdValidation,
+  ],
+  handleValidationErrors,
+  requireGroupMember,
+  asyncHandler(async (req, res) => {
+    const session = await groupSessionService.getSession(req.params.groupId, req.params.sessionId, req.user);
+
+    if (!session) {
+      return sendSessionError(res, 'not_found');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        session,
+        canRun: groupSessionService.canRun(session, req.user.id, req.groupMembership.role)
+      }
+    });
+  })
+);
+
+// @route   PUT /api/community/groups/:groupId/sessions/:sessionId/rsvp
+// @desc    RSVP to a session; going and maybe get a reminder before it starts
+// @access  Private (must be group member)
+router.put('/groups/:groupId/sessions/:sessionId/rsvp',
+  [
+    ...groupIdValidation,
+    ...sessionIdValidation,
+    body('status').isIn(groupSessionService.rsvpStatuses).withMessage('Status must be going, maybe or not_going'),
+  ],
+  handleValidationErrors,
+  requireGroupMember,
+  asyncHandler(async (req, res) => {
+    const { session, error } = await groupSessionService.rsvp(
+      req.params.groupId, req.params.sessionId, req.user, req.body.status
+    );
+
+    if (error) {
+      return sendSessionError(res, error);
+    }
+
+    res.json({
+      success: true,
+      message: 'RSVP saved',
+      data: {
+        session
+      }
+    });
+  })
+);
+
+// @route   POST /api/community/groups/:groupId/sessions/:sessionId/cancel
+// @desc    Cancel a session that hasn't started; everyone who RSVP'd is told
+// @access  Private (the facilitator or group leaders)
+router.post('/groups/:groupId/sessions/:sessionId/cancel',
+  [
+    ...groupIdValidation,
+    ...sessionIdValidation,
+  ],
+  handleValidationErrors,
+  requireGroupMember,
+  asyncHandler(async (req, res) => {
+    const { session, error } = await groupSessionService.cancelSession(
+      req.params.groupId, req.params.sessionId, req.user, req.groupMembership
+    );
+
+    if (error) {
+      return sendSessionError(res, error);
+    }
+
+    logUserAction(req.user.id, 'cancel_group_session', 'group', {
+      groupId: req.params.groupId,
+      sessionId: session.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Session cancelled',
+      data: {
+        session
+      }
+    });
+  })
+);
+
+// @route   POST /api/community/users/:userId/report
+// @desc    Report a member to the platform moderators
+// @access  Private
+router.post('/users/:userId/report',
+  [
+    ...userIdValidation,
+    ...reportValidation,
+    body('groupId').optional({ values: 'null' }).isUUID().withMessage('Valid group ID required'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await reportService.reportUser(req.user, req.params.userId, {
+      category: req.body.category,
+      details: req.body.details || null,
+      groupId: req.body.groupId || null
+    });
+
+    if (result.report && !result.duplicate) {
+      logUserAction(req.user.id, 'report_user', 'user', {
+        reportId: result.report.id,
+        reportedUserId: req.params.userId,
+        category: result.report.category
+      });
+    }
+
+    sendReportResult(res, result);
+  })
+);
+
+// @route   GET /api/community/moderation/reports
+// @desc    Open reports about members, grouped by member, oldest first
+// @access  Private (moderator, admin)
+router.get('/moderation/reports',
+  requireRole(PLATFORM_MODERATOR_ROLES),
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const members = await reportService.listUserReportQueue({
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({
+      success: true,
+      data: {
+        members
+      }
+    });
+  })
+);
+
+// @route   POST /api/community/moderation/reports/users/:userId
+// @desc    Uphold (a strike against the member) or dismiss all open reports about a member
+// @access  Private (moderator, admin)
+router.post('/moderation/reports/users/:userId',
+  requireRole(PLATFORM_MODERATOR_ROLES),
+  [
+    ...userIdValidation,
+    body('decision').isIn(['uphold', 'dismiss']).withMessage('Decision must be uphold or dismiss'),
+    body('note').optional({ values: 'null' }).trim().isLength({ max: 1000 }),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { resolved, sanction, error } = await reportService.resolveUserReports(req.params.userId, req.user, {
+      decision: req.body.decision,
+      note: req.body.note || null
+    });
+
+    if (error) {
+      return res.status(error === 'conflict' ? 403 : 404).json({
+        success: false,
+        message: error === 'conflict' ? 'Another moderator must review reports about you' : 'No open reports about this member'
+      });
+    }
+
+    logUserAction(req.user.id, 'resolve_user_reports', 'user', {
+      reportedUserId: req.params.userId,
+      decision: req.body.decision,
+      resolved,
+      sanctionId: sanction ? sanction.id : null
+    });
+
+    res.json({
+      success: true,
+      message: req.body.decision === 'uphold' ? 'Reports upheld' : 'Reports dismissed',
+      data: {
+        resolved,
+        sanction
+      }
+    });
+  })
+);
+
+// @route   GET /api/community/blocks
+// @desc    Members the current user has blocked
+// @access  Private
+router.get('/blocks',
+  asyncHandler(async (req, res) => {
+    const blocked = await blockService.listBlocked(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        blocked
+      }
+    });
+  })
+);
+
+// @route   POST /api/community/blocks/:userId
+// @desc    Block a member: hide their messages and stop direct contact either way
+// @access  Private
+router.post('/blocks/:userId',
+  userIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const { created, error } = await blockService.block(req.user.id, req.params.userId);
+
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (created) {
+      logUserAction(req.user.id, 'block_user', 'user', { blockedUserId: req.params.userId });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: 'User blocked'
+    });
+  })
+);
+
+// @route   DELETE /api/community/blocks/:userId
+// @desc    Unblock a member
+// @access  Private
+router.delete('/blocks/:userId',
+  userIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const removed = await blockService.unblock(req.user.id, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not blocked this user'
+      });
+    }
+
+    logUserAction(req.user.id, 'unblock_user', 'user', { blockedUserId: req.params.userId });
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  })
+);
+
 // @route   GET /api/community/my-groups
 // @desc    Get user's joined groups
 // @access  Private
 router.get('/my-groups',
   asyncHandler(async (req, res) => {
-    // TODO: Implement user's group retrieval
+    const groups = await groupService.listUserGroups(req.user.id);
+
     res.json({
       success: true,
-      message: 'User groups endpoint - TODO',
       data: {
-        groups: []
+        groups
       }
     });
   })
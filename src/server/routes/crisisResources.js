@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const crisisResourceService = require('../services/crisisResourceService');
+const { logUserAction } = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().reduce((acc, error) => {
+        acc[error.path] = error.msg;
+        return acc;
+      }, {})
+    });
+  }
+  next();
+};
+
+const countryValidation = (field) => field
+  .trim()
+  .toUpperCase()
+  .matches(/^[A-Z]{2}$/)
+  .withMessage('Country must be a two-letter ISO code');
+
+const languageValidation = (field) => field
+  .trim()
+  .toLowerCase()
+  .matches(/^[a-z]{2,3}$/)
+  .withMessage('Language must be an ISO 639-1 code');
+
+// Shared by create (all required) and update (all optional)
+const resourceValidation = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    // null is allowed and means the service works from any country
+    body('countryCode')
+      .optional({ values: 'null' })
+      .custom(value => /^[A-Za-z]{2}$/.test(value))
+      .withMessage('Country must be a two-letter ISO code or null')
+      .customSanitizer(value => (value ? value.toUpperCase() : value)),
+    field(languageValidation(body('language'))),
+    field(body('name'))
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Name must be between 2 and 200 characters'),
+    field(body('type'))
+      .isIn(crisisResourceService.serviceTypes)
+      .withMessage(`Type must be one of: ${crisisResourceService.serviceTypes.join(', ')}`),
+    field(body('contact'))
+      .trim()
+      .isLength({ min: 1, max: 300 })
+      .withMessage('Contact must be between 1 and 300 characters'),
+    body('url').optional({ values: 'null' }).isURL({ require_protocol: true }).withMessage('Valid URL required'),
+    body('available').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+    body('description').optional({ values: 'null' }).trim().isLength({ max: 1000 }),
+    body('priority').optional().isInt({ min: 0, max: 1000 }).toInt(),
+    body('verified').optional().isBoolean().toBoolean(),
+  ];
+};
+
+// @route   GET /api/crisis-resources
+// @desc    Crisis resources for the current user's location and language
+// @access  Private
+router.get('/',
+  [
+    countryValidation(query('country').optional()),
+    languageValidation(query('language').optional()),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    // Query overrides take precedence, as when a user is travelling
+    const directory = await crisisResourceService.getDirectory({
+      preferences: {
+        ...req.user.preferences,
+        ...(req.query.country && { country: req.query.country }),
+        ...(req.query.language && { language: req.query.language })
+      },
+      country: req.user.country,
+      timezone: req.user.timezone
+    });
+
+    res.json({
+      success: true,
+      data: {
+        country: directory.country,
+        language: directory.language,
+        source: directory.source,
+        isFallback: directory.isFallback,
+        resources: directory.resources
+      }
+    });
+  })
+);
+
+// @route   GET /api/crisis-resources/directory
+// @desc    List directory entries for maintenance
+// @access  Private (Admin)
+router.get('/directory',
+  requireRole('admin'),
+  [
+    countryValidation(query('country').optional()),
+    languageValidation(query('language').optional()),
+    query('includeInactive').optional().isBoolean(),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const resources = await crisisResourceService.listResources({
+      country: req.query.country || null,
+      language: req.query.language || null,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        resources
+      }
+    });
+  })
+);
+
+// @route   POST /api/crisis-resources/directory
+// @desc    Add a crisis resource
+// @access  Private (Admin)
+router.post('/directory',
+  requireRole('admin'),
+  [
+    body('countryCode')
+      .exists()
+      .withMessage('countryCode is required (null for worldwide services)'),
+    ...resourceValidation(false),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const resource = await crisisResourceService.createResource(req.body, req.user.id);
+
+    logUserAction(req.user.id, 'create_crisis_resource', 'crisis_resource', {
+      resourceId: resource.id,
+      countryCode: resource.countryCode,
+      language: resource.language
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Crisis resource created',
+      data: {
+        resource
+      }
+    });
+  })
+);
+
+// @route   PUT /api/crisis-resources/directory/:resourceId
+// @desc    Update a crisis resource (e.g. a changed number) or mark it verified
+// @access  Private (Admin)
+router.put('/directory/:resourceId',
+  requireRole('admin'),
+  [
+    param('resourceId').isUUID().withMessage('Valid resource ID required'),
+    body('isActive').optional().isBoolean().toBoolean(),
+    ...resourceValidation(true),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const resource = await crisisResourceService.updateResource(req.params.resourceId, req.body, req.user.id);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Crisis resource not found'
+      });
+    }
+
+    logUserAction(req.user.id, 'update_crisis_resource', 'crisis_resource', {
+      resourceId: resource.id,
+      fields: Object.keys(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Crisis resource updated',
+      data: {
+        resource
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/crisis-resources/directory/:resourceId
+// @desc    Retire a crisis resource
+// @access  Private (Admin)
+router.delete('/directory/:resourceId',
+  requireRole('admin'),
+  [
+    param('resourceId').isUUID().withMessage('Valid resource ID required'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const resource = await crisisResourceService.deactivateResource(req.params.resourceId, req.user.id);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Crisis resource not found'
+      });
+    }
+
+    logUserAction(req.user.id, 'deactivate_crisis_resource', 'crisis_resource', {
+      resourceId: resource.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Crisis resource retired'
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,411 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const crisisReviewService = require('../services/crisisReviewService');
+const crisisEscalationService = require('../services/crisisEscalationService');
+const { logger, logSecurityEvent } = require('../utils/logger');
+
+const router = express.Router();
+
+// Crisis review is limited to licensed coaches and admins
+router.use(authenticateToken);
+router.use(requireRole(['coach', 'admin']));
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().reduce((acc, error) => {
+        acc[error.path] = error.msg;
+        return acc;
+      }, {})
+    });
+  }
+  next();
+};
+
+const itemIdValidation = [
+  param('itemId').isUUID().withMessage('Valid review item ID required'),
+];
+
+// Every reviewer action goes to the security audit log
+const auditReview = (req, action, details = {}) => {
+  logSecurityEvent(`crisis_review_${action}`, {
+    reviewerId: req.user.id,
+    reviewerRole: req.user.role,
+    ip: req.ip,
+    ...details
+  });
+};
+
+// Map service errors from claim/update operations onto HTTP responses
+const sendReviewError = (res, error) => {
+  const responses = {
+    not_found: [404, 'Review item not found'],
+    not_claimable: [409, 'Review item is already claimed or closed'],
+    not_claimed: [409, 'You must hold an active claim on this item']
+  };
+  const [status, message] = responses[error] || [400, 'Unable to update review item'];
+
+  return res.status(status).json({
+    success: false,
+    message
+  });
+};
+
+// @route   GET /api/crisis-review/queue
+// @desc    List review items by priority and SLA
+// @access  Private (Coach, Admin)
+router.get('/queue',
+  [
+    query('status')
+      .optional()
+      .isIn(['open', 'pending', 'in_review', 'escalated', 'completed'])
+      .withMessage('Invalid status filter'),
+    query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+    const status = req.query.status || 'open';
+
+    const { items, total } = await crisisReviewService.listQueue({
+      statuses: status === 'open' ? undefined : [status],
+      priority: req.query.priority || null,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    auditReview(req, 'queue_viewed', { status, priority: req.query.priority || null, count: items.length });
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  })
+);
+
+// @route   POST /api/crisis-review/queue/claim-next
+// @desc    Claim the most urgent unclaimed review item
+// @access  Private (Coach, Admin)
+router.post('/queue/claim-next',
+  asyncHandler(async (req, res) => {
+    const item = await crisisReviewService.claimNext(req.user);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'No review items waiting'
+      });
+    }
+
+    auditReview(req, 'claimed', { itemId: item.id, userId: item.userId, priority: item.priority });
+    crisisEscalationService.broadcastUpdate(item);
+
+    res.json({
+      success: true,
+      data: {
+        item
+      }
+    });
+  })
+);
+
+// @route   GET /api/crisis-review/queue/:itemId
+// @desc    Get a review item with redacted conversation context and prior flags
+// @access  Private (Coach, Admin)
+router.get('/queue/:itemId',
+  itemIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const item = await crisisReviewService.getDetail(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review item not found'
+      });
+    }
+
+    auditReview(req, 'item_viewed', { itemId: item.id, userId: item.userId });
+
+    res.json({
+      success: true,
+      data: {
+        item
+      }
+    });
+  })
+);
+
+// @route   POST /api/crisis-review/queue/:itemId/claim
+// @desc    Claim a review item so no other reviewer works on it
+// @access  Private (Coach, Admin)
+router.post('/queue/:itemId/claim',
+  itemIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { item, error } = await crisisReviewService.claim(req.params.itemId, req.user);
+
+    if (error) {
+      auditReview(req, 'claim_rejected', { itemId: req.params.itemId, reason: error });
+      return sendReviewError(res, error);
+    }
+
+    auditReview(req, 'claimed', { itemId: item.id, userId: item.userId, priority: item.priority });
+    crisisEscalationService.broadcastUpdate(item);
+
+    res.json({
+      success: true,
+      data: {
+        item
+      }
+    });
+  })
+);
+
+// @route   POST /api/crisis-review/queue/:itemId/release
+// @desc    Return a claimed item to the queue
+// @access  Private (Coach, Admin)
+router.post('/queue/:itemId/release',
+  itemIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { item, error } = await crisisReviewService.release(req.params.itemId, req.user);
+
+    if (error) {
+      return sendReviewError(res, error);
+    }
+
+    auditReview(req, 'released', { itemId: item.id, userId: item.userId });
+    crisisEscalationService.broadcastUpdate(item);
+
+    res.json({
+      success: true,
+      data: {
+        item
+      }
+    });
+  })
+);
+
+// @route   POST /api/crisis-review/queue/:itemId/notes
+// @desc    Add a note to a claimed item
+// @access  Private (Coach, Admin)
+router.post('/queue/:itemId/notes',
+  itemIdValidation,
+  [
+    body('note')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Note must be between 1 and 2000 characters'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { item, error } = await crisisReviewService.addNote(req.params.itemId, req.user, req.body.note);
+
+    if (error) {
+      return sendReviewError(res, error);
+    }
+
+    // Note text may contain sensitive detail, so only its length is audited
+    auditReview(req, 'note_added', { itemId: item.id, userId: item.userId, noteLength: req.body.note.length });
+
+    res.json({
+      success: true,
+      data: {
+        item
+      }
+    });
+  })
+);
+
+// @route   POST /api/crisis-review/queue/:itemId/escalate
+// @desc    Escalate a claimed item to senior reviewers
+// @access  Private (Coach, Admin)
+router.post('/queue/:itemId/escalate',
+  itemIdValidation,
+  [
+    body('reason')
+      .trim()
+      .isLength({ min: 3, max: 1000 })
+      .withMessage('Escalation reason must be between 3 and 1000 characters'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { item, error } = await crisisReviewService.escalate(req.params.itemId, req.user, req.body.reason);
+
+    if (error) {
+      return sendReviewError(res, error);
+    }
+
+    auditReview(req, 'escalated', { itemId: item.id, userId: item.userId });
+    crisisEscalationService.broadcastUpdate(item);
+
+    crisisEscalationService.page(item.id, 'escalated').catch(error => {
+      logger.error('Failed to page admins for escalated crisis item:', { itemId: item.id, error: error.message });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        item
+      }
+    });
+  })
+);
+
+// @route   POST /api/crisis-review/queue/:itemId/resolve
+// @desc    Close a claimed item with an outcome
+// @access  Private (Coach, Admin)
+router.post('/queue/:itemId/resolve',
+  itemIdValidation,
+  [
+    body('outcome')
+      .isIn(crisisReviewService.outcomes)
+      .withMessage(`Outcome must be one of: ${crisisReviewService.outcomes.join(', ')}`),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Note must be less than 2000 characters'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { item, error } = await crisisReviewService.resolve(req.params.itemId, req.user, {
+      outcome: req.body.outcome,
+      note: req.body.note || null
+    });
+
+    if (error) {
+      return sendReviewError(res, error);
+    }
+
+    auditReview(req, 'resolved', {
+      itemId: item.id,
+      userId: item.userId,
+      outcome: item.outcome,
+      slaBreached: new Date(item.reviewedAt) > new Date(item.slaDueAt)
+    });
+    crisisEscalationService.broadcastUpdate(item);
+
+    res.json({
+      success: true,
+      data: {
+        item
+      }
+    });
+  })
+);
+
+// @route   POST /api/crisis-review/queue/:itemId/acknowledge
+// @desc    Acknowledge a page so reviewers stop being re-paged
+// @access  Private (Coach, Admin)
+router.post('/queue/:itemId/acknowledge',
+  itemIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const item = await crisisEscalationService.acknowledge(req.params.itemId, req.user);
+
+    if (!item) {
+      const reason = await crisisReviewService.missingOrUnavailable(req.params.itemId);
+      return res.status(reason === 'not_found' ? 404 : 409).json({
+        success: false,
+        message: reason === 'not_found' ? 'Review item not found' : 'Review item already acknowledged'
+      });
+    }
+
+    auditReview(req, 'acknowledged', { itemId: item.id, via: 'api' });
+
+    res.json({
+      success: true,
+      data: {
+        itemId: item.id,
+        acknowledgedAt: item.acknowledged_at
+      }
+    });
+  })
+);
+
+// @route   GET /api/crisis-review/on-call
+// @desc    List the crisis on-call roster
+// @access  Private (Coach, Admin)
+router.get('/on-call',
+  asyncHandler(async (req, res) => {
+    const roster = await crisisEscalationService.listOnCall();
+
+    res.json({
+      success: true,
+      data: {
+        roster
+      }
+    });
+  })
+);
+
+// @route   PUT /api/crisis-review/on-call/:userId
+// @desc    Put a coach on or off call and choose their paging channels
+// @access  Private (Coach for themselves, Admin for anyone)
+router.put('/on-call/:userId',
+  [
+    param('userId').isUUID().withMessage('Valid user ID required'),
+    body('channels')
+      .isArray({ min: 1, max: 3 })
+      .withMessage('At least one channel is required'),
+    body('channels.*')
+      .isIn(['email', 'sms', 'webhook'])
+      .withMessage('Channels must be email, sms or webhook'),
+    body('isActive').isBoolean().withMessage('isActive must be true or false'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    if (req.user.role !== 'admin' && req.params.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Coaches can only change their own on-call status'
+      });
+    }
+
+    const entry = await crisisEscalationService.setOnCall(req.params.userId, {
+      channels: [...new Set(req.body.channels)],
+      isActive: req.body.isActive === true || req.body.isActive === 'true'
+    }, req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active coach or admin not found'
+      });
+    }
+
+    auditReview(req, 'on_call_updated', {
+      targetUserId: entry.userId,
+      channels: entry.channels,
+      isActive: entry.isActive
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entry
+      }
+    });
+  })
+);
+
+module.exports = router;
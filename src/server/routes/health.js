@@ -2,6 +2,8 @@ const express = require('express');
 const { getPool } = require('../config/database');
 const { getRedisClient } = require('../config/redis');
 const { asyncHandler } = require('../middleware/errorMiddleware');
+const { LLMService } = require('../services/llmService');
+const CircuitBreaker = require('../services/circuitBreaker');
 
 const router = express.Router();
 
@@ -64,6 +66,23 @@ router.get('/detailed',
       };
     }
 
+    // Check LLM providers via their circuit breakers (no live calls)
+    const llmHealth = LLMService.getProviderHealth();
+    const breakerStates = Object.values(llmHealth.providers).map(provider => provider.state);
+    const availableCount = breakerStates.filter(state => state !== CircuitBreaker.STATES.OPEN).length;
+    let llmStatus = 'OK';
+    if (availableCount === 0) {
+      llmStatus = 'ERROR';
+      health.status = 'DEGRADED';
+    } else if (breakerStates.some(state => state !== CircuitBreaker.STATES.CLOSED)) {
+      llmStatus = 'DEGRADED';
+    }
+
+    health.services.llm = {
+      status: llmStatus,
+      ...llmHealth
+    };
+
     // Check memory usage
     const memUsage = process.memoryUsage();
     health.services.memory = {
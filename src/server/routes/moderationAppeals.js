@@ -0,0 +1,232 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const moderationAppealService = require('../services/moderationAppealService');
+
+const router = express.Router();
+
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+router.use(authenticateToken);
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().reduce((acc, error) => {
+        acc[error.path] = error.msg;
+        return acc;
+      }, {})
+    });
+  }
+  next();
+};
+
+const appealIdValidation = [
+  param('appealId').isUUID().withMessage('Valid appeal ID required'),
+];
+
+// Map service errors onto HTTP responses
+const sendAppealError = (res, error) => {
+  const responses = {
+    unsupported_subject: [400, 'That decision cannot be appealed'],
+    not_found: [404, 'Appeal not found'],
+    not_appealable: [409, 'Only rejected content and sanctions still in force can be appealed'],
+    window_closed: [409, 'The window for appealing this decision has closed'],
+    already_appealed: [409, 'This decision has already been appealed'],
+    not_claimable: [409, 'Appeal is already being handled or is closed'],
+    not_claimed: [409, 'You must claim this appeal before deciding it'],
+    not_open: [409, 'Appeal is already closed'],
+    own_appeal: [403, 'You cannot handle your own appeal'],
+    original_decider: [403, 'A different moderator must handle appeals against your decisions']
+  };
+  const [status, message] = responses[error] || [400, 'Unable to update appeal'];
+
+  return res.status(status).json({
+    success: false,
+    message
+  });
+};
+
+// @route   POST /api/appeals
+// @desc    Appeal a moderation decision: a rejected group message or a sanction
+// @access  Private
+router.post('/',
+  [
+    body('subjectType').isIn(['group_message', 'account_restriction']).withMessage('Valid subject type required'),
+    body('subjectId').isUUID().withMessage('Valid subject ID required'),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 10, max: 2000 })
+      .withMessage('Reason must be 10-2000 characters'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { appeal, error } = await moderationAppealService.fileAppeal(req.user, req.body);
+
+    if (error) {
+      return sendAppealError(res, error);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted',
+      data: {
+        appeal
+      }
+    });
+  })
+);
+
+// @route   GET /api/appeals/mine
+// @desc    The current user's appeals
+// @access  Private
+router.get('/mine',
+  asyncHandler(async (req, res) => {
+    const appeals = await moderationAppealService.listForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        appeals
+      }
+    });
+  })
+);
+
+// @route   GET /api/appeals/queue
+// @desc    Open appeals, most overdue first
+// @access  Private (moderator, admin)
+router.get('/queue',
+  requireRole(MODERATOR_ROLES),
+  [
+    query('status').optional().isIn(['pending', 'in_review', 'upheld', 'overturned', 'withdrawn']),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const appeals = await moderationAppealService.listQueue(req.user, {
+      status: req.query.status || null,
+      limit: req.query.limit || 50
+    });
+
+    res.json({
+      success: true,
+      data: {
+        appeals
+      }
+    });
+  })
+);
+
+// @route   GET /api/appeals/:appealId
+// @desc    An appeal with its event trail
+// @access  Private (the appellant, moderator, admin)
+router.get('/:appealId',
+  appealIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const appeal = await moderationAppealService.getAppeal(req.params.appealId, req.user, {
+      isModerator: MODERATOR_ROLES.includes(req.user.role)
+    });
+
+    if (!appeal) {
+      return sendAppealError(res, 'not_found');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        appeal
+      }
+    });
+  })
+);
+
+// @route   POST /api/appeals/:appealId/claim
+// @desc    Take an appeal for review
+// @access  Private (moderator, admin; not the original decider)
+router.post('/:appealId/claim',
+  requireRole(MODERATOR_ROLES),
+  appealIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { appeal, error } = await moderationAppealService.claim(req.params.appealId, req.user);
+
+    if (error) {
+      return sendAppealError(res, error);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        appeal
+      }
+    });
+  })
+);
+
+// @route   POST /api/appeals/:appealId/decision
+// @desc    Overturn (restore the content) or uphold the original decision
+// @access  Private (the moderator holding the appeal)
+router.post('/:appealId/decision',
+  requireRole(MODERATOR_ROLES),
+  [
+    ...appealIdValidation,
+    body('outcome').isIn(['overturn', 'uphold']).withMessage('Outcome must be overturn or uphold'),
+    body('note')
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 2000 })
+      .withMessage('Explain the decision (3-2000 characters)'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { appeal, error } = await moderationAppealService.decide(req.params.appealId, req.user, {
+      outcome: req.body.outcome,
+      note: req.body.note
+    });
+
+    if (error) {
+      return sendAppealError(res, error);
+    }
+
+    res.json({
+      success: true,
+      message: appeal.status === 'overturned' ? 'Appeal granted; content restored' : 'Original decision upheld',
+      data: {
+        appeal
+      }
+    });
+  })
+);
+
+// @route   POST /api/appeals/:appealId/withdraw
+// @desc    Withdraw an open appeal
+// @access  Private (the appellant)
+router.post('/:appealId/withdraw',
+  appealIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { appeal, error } = await moderationAppealService.withdraw(req.params.appealId, req.user);
+
+    if (error) {
+      return sendAppealError(res, error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Appeal withdrawn',
+      data: {
+        appeal
+      }
+    });
+  })
+);
+
+module.exports = router;
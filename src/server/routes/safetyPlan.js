@@ -0,0 +1,237 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const safetyPlanService = require('../services/safetyPlanService');
+const { logUserAction } = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Plans are only ever stored encrypted, so the feature is off until a key is configured
+router.use((req, res, next) => {
+  if (!safetyPlanService.isAvailable()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Safety plans are not available right now'
+    });
+  }
+  next();
+});
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().reduce((acc, error) => {
+        acc[error.path] = error.msg;
+        return acc;
+      }, {})
+    });
+  }
+  next();
+};
+
+const phoneValidation = (field) => body(field)
+  .optional({ values: 'falsy' })
+  .trim()
+  .matches(/^[0-9+()\-.\s]{3,30}$/)
+  .withMessage('Valid phone number required');
+
+const planValidation = [
+  body('revision').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('warningSigns').optional().isArray({ max: 10 }).withMessage('Up to 10 warning signs'),
+  body('warningSigns.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Warning signs must be between 1 and 300 characters'),
+  body('copingPractices').optional().isArray({ max: 10 }).withMessage('Up to 10 coping practices'),
+  body('copingPractices.*')
+    .custom(practice => practice && (practice.lessonId || (typeof practice.title === 'string' && practice.title.trim())))
+    .withMessage('Each coping practice needs a lesson or a title'),
+  body('copingPractices.*.lessonId').optional({ values: 'null' }).isUUID().withMessage('Valid lesson ID required'),
+  body('copingPractices.*.title').optional({ values: 'null' }).trim().isLength({ max: 200 }),
+  body('copingPractices.*.note').optional({ values: 'null' }).trim().isLength({ max: 500 }),
+  body('trustedContacts').optional().isArray({ max: 5 }).withMessage('Up to 5 trusted contacts'),
+  body('trustedContacts.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Contact name is required'),
+  body('trustedContacts.*.relationship').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+  phoneValidation('trustedContacts.*.phone'),
+  body('professionalContacts').optional().isArray({ max: 5 }).withMessage('Up to 5 professional contacts'),
+  body('professionalContacts.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Contact name is required'),
+  body('professionalContacts.*.role').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+  body('professionalContacts.*.organization').optional({ values: 'null' }).trim().isLength({ max: 200 }),
+  phoneValidation('professionalContacts.*.phone'),
+];
+
+// Keep only the fields the plan stores
+const pickPlan = (input) => ({
+  warningSigns: input.warningSigns || [],
+  copingPractices: (input.copingPractices || []).map(({ lessonId, title, note }) => ({
+    lessonId: lessonId || null,
+    title: title || null,
+    note: note || null
+  })),
+  trustedContacts: (input.trustedContacts || []).map(({ name, relationship, phone }) => ({
+    name,
+    relationship: relationship || null,
+    phone: phone || null
+  })),
+  professionalContacts: (input.professionalContacts || []).map(({ name, role, organization, phone }) => ({
+    name,
+    role: role || null,
+    organization: organization || null,
+    phone: phone || null
+  }))
+});
+
+// @route   GET /api/safety-plan
+// @desc    Get the current user's safety plan
+// @access  Private
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const saved = await safetyPlanService.getPlan(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        safetyPlan: saved || {
+          plan: safetyPlanService.emptyPlan(),
+          revision: null,
+          createdAt: null,
+          updatedAt: null
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/safety-plan/practices
+// @desc    Completed lessons the user can add as coping practices
+// @access  Private
+router.get('/practices',
+  asyncHandler(async (req, res) => {
+    const practices = await safetyPlanService.getPracticeSuggestions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        practices
+      }
+    });
+  })
+);
+
+// @route   PUT /api/safety-plan
+// @desc    Create or replace the current user's safety plan
+// @access  Private
+router.put('/',
+  planValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { created, safetyPlan, error } = await safetyPlanService.savePlan(
+      req.user.id,
+      pickPlan(req.body),
+      req.body.revision || null
+    );
+
+    if (error === 'lesson_not_completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Coping practices can only come from lessons you have completed'
+      });
+    }
+
+    if (error === 'revision_conflict') {
+      return res.status(409).json({
+        success: false,
+        message: 'Your safety plan was changed elsewhere. Reload it and try again.'
+      });
+    }
+
+    // Counts only; plan content never goes to the logs
+    logUserAction(req.user.id, created ? 'create_safety_plan' : 'update_safety_plan', 'safety_plan', {
+      revision: safetyPlan.revision,
+      sections: safetyPlanService.sections.reduce((acc, section) => {
+        acc[section] = safetyPlan.plan[section].length;
+        return acc;
+      }, {})
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Safety plan created' : 'Safety plan updated',
+      data: {
+        safetyPlan
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/safety-plan
+// @desc    Delete the current user's safety plan
+// @access  Private
+router.delete('/',
+  asyncHandler(async (req, res) => {
+    const deleted = await safetyPlanService.deletePlan(req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'No safety plan to delete'
+      });
+    }
+
+    logUserAction(req.user.id, 'delete_safety_plan', 'safety_plan');
+
+    res.json({
+      success: true,
+      message: 'Safety plan deleted'
+    });
+  })
+);
+
+// @route   GET /api/safety-plan/export
+// @desc    Printable copy of the safety plan (HTML)
+// @access  Private
+router.get('/export',
+  [
+    query('download').optional().isBoolean(),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const saved = await safetyPlanService.getPlan(req.user.id);
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'No safety plan to export'
+      });
+    }
+
+    const html = safetyPlanService.renderPrintable(saved.plan, {
+      name: `${req.user.firstName} ${req.user.lastName}`,
+      updatedAt: saved.updatedAt
+    });
+
+    logUserAction(req.user.id, 'export_safety_plan', 'safety_plan', { revision: saved.revision });
+
+    res.set('Cache-Control', 'no-store');
+    if (req.query.download === 'true') {
+      res.attachment('safety-plan.html');
+    }
+    res.type('html').send(html);
+  })
+);
+
+module.exports = router;
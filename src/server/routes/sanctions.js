@@ -0,0 +1,185 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const sanctionService = require('../services/sanctionService');
+const { logUserAction } = require('../utils/logger');
+
+const router = express.Router();
+
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+router.use(authenticateToken);
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().reduce((acc, error) => {
+        acc[error.path] = error.msg;
+        return acc;
+      }, {})
+    });
+  }
+  next();
+};
+
+// @route   GET /api/sanctions/mine
+// @desc    The current user's trust score and active sanctions
+// @access  Private
+router.get('/mine',
+  asyncHandler(async (req, res) => {
+    const standing = await sanctionService.getStanding(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        trustScore: standing.trustScore,
+        sanctions: standing.sanctions
+      }
+    });
+  })
+);
+
+const userIdValidation = [
+  param('userId').isUUID().withMessage('Valid user ID required'),
+];
+
+// @route   GET /api/sanctions/users/:userId
+// @desc    A member's trust score breakdown and sanction history
+// @access  Private (moderator, admin)
+router.get('/users/:userId',
+  requireRole(MODERATOR_ROLES),
+  userIdValidation,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const standing = await sanctionService.getStanding(req.params.userId);
+
+    if (!standing) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const history = await sanctionService.listForUser(req.params.userId);
+
+    res.json({
+      success: true,
+      data: {
+        standing,
+        history
+      }
+    });
+  })
+);
+
+// @route   POST /api/sanctions/users/:userId
+// @desc    Sanction a member (durationHours defaults to the ladder's duration for the type)
+// @access  Private (moderator, admin)
+router.post('/users/:userId',
+  requireRole(MODERATOR_ROLES),
+  [
+    ...userIdValidation,
+    body('type').isIn(sanctionService.types).withMessage('Valid sanction type required'),
+    body('groupId')
+      .if(body('type').equals('group_mute'))
+      .isUUID()
+      .withMessage('A group is required for a group mute'),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 1000 })
+      .withMessage('Reason must be 3-1000 characters'),
+    body('durationHours')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 24 * 365 })
+      .withMessage('Duration must be 1-8760 hours')
+      .toInt(),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot sanction yourself'
+      });
+    }
+
+    const { sanction, error } = await sanctionService.issue(req.user, {
+      userId: req.params.userId,
+      type: req.body.type,
+      groupId: req.body.groupId || null,
+      reason: req.body.reason,
+      durationHours: req.body.durationHours
+    });
+
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    logUserAction(req.user.id, 'issue_sanction', 'user_sanction', {
+      sanctionId: sanction.id,
+      targetUserId: sanction.userId,
+      type: sanction.type,
+      groupId: sanction.groupId,
+      expiresAt: sanction.expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sanction issued',
+      data: {
+        sanction
+      }
+    });
+  })
+);
+
+// @route   POST /api/sanctions/:sanctionId/lift
+// @desc    Lift a sanction early (e.g. once a member has re-verified)
+// @access  Private (moderator, admin)
+router.post('/:sanctionId/lift',
+  requireRole(MODERATOR_ROLES),
+  [
+    param('sanctionId').isUUID().withMessage('Valid sanction ID required'),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 1000 })
+      .withMessage('Reason must be 3-1000 characters'),
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { sanction, error } = await sanctionService.lift(req.params.sanctionId, req.user, req.body.reason);
+
+    if (error) {
+      return res.status(error === 'not_found' ? 404 : 409).json({
+        success: false,
+        message: error === 'not_found' ? 'Sanction not found' : 'Sanction has already been lifted'
+      });
+    }
+
+    logUserAction(req.user.id, 'lift_sanction', 'user_sanction', {
+      sanctionId: sanction.id,
+      targetUserId: sanction.userId,
+      type: sanction.type
+    });
+
+    res.json({
+      success: true,
+      message: 'Sanction lifted',
+      data: {
+        sanction
+      }
+    });
+  })
+);
+
+module.exports = router;
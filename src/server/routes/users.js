@@ -265,12 +265,16 @@ router.get('/:userId/achievements',
     const pool = getPool();
     const userId = req.params.userId;
 
-    // Calculate learning streak
+    // Calculate practice streak: lesson progress and live group sessions attended
     const streakQuery = await pool.query(`
       WITH daily_activity AS (
-        SELECT DISTINCT DATE(updated_at) as activity_date
+        SELECT DATE(updated_at) as activity_date
         FROM user_progress
         WHERE user_id = $1 AND completion_percentage > 0
+        UNION
+        SELECT DATE(joined_at) as activity_date
+        FROM group_session_attendance
+        WHERE user_id = $1
         ORDER BY activity_date DESC
       ),
       streak_calculation AS (
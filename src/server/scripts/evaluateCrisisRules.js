@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const { CrisisRiskModel, loadRuleset } = require('../services/crisisRiskModel');
+
+// Replays a labelled corpus through a crisis ruleset and reports precision/recall
+// at each threshold. Run before shipping a rules change:
+//
+//   npm run crisis:eval -- --rules v2 --compare v1 --min-recall 0.95
+//
+// Corpus lines are JSON: { "text", "label": "high" | "medium" | "none", "history"?: [text] }.
+// Exits non-zero when recall on "high" messages at the ruleset's high threshold
+// falls below --min-recall.
+
+const DEFAULT_CORPUS = path.join(__dirname, 'data', 'crisisEvalCorpus.jsonl');
+const LABELS = ['high', 'medium', 'none'];
+
+// Fixed midday clock so time-of-day features don't make runs irreproducible
+const EVAL_NOW = new Date('2024-01-01T12:00:00Z');
+
+const parseArgs = (argv) => {
+  const args = { rules: process.env.CRISIS_RULES_VERSION || 'v1', corpus: DEFAULT_CORPUS, minRecall: 0.9, compare: null };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=');
+    const value = inline !== undefined ? inline : argv[++i];
+    if (flag === '--rules') args.rules = value;
+    else if (flag === '--corpus') args.corpus = value;
+    else if (flag === '--min-recall') args.minRecall = parseFloat(value);
+    else if (flag === '--compare') args.compare = value;
+    else throw new Error(`Unknown option: ${flag}`);
+  }
+  return args;
+};
+
+const loadCorpus = (file) => fs.readFileSync(file, 'utf8')
+  .split('\n')
+  .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+  .filter(({ line }) => line && !line.startsWith('//'))
+  .map(({ line, number }) => {
+    const entry = JSON.parse(line);
+    if (typeof entry.text !== 'string' || !LABELS.includes(entry.label)) {
+      throw new Error(`Corpus line ${number}: needs text and a label of ${LABELS.join(', ')}`);
+    }
+    return entry;
+  });
+
+const scoreCorpus = (model, corpus) => corpus.map(entry => ({
+  ...entry,
+  ...model.score(entry.text, {
+    history: (entry.history || []).map(content => ({ sender: 'user', content })),
+    userContext: entry.userContext || {},
+    now: EVAL_NOW
+  })
+}));
+
+const metricsAt = (results, threshold, isPositive) => {
+  let tp = 0;
+  let fp = 0;
+  let fn = 0;
+  results.forEach(result => {
+    const predicted = result.score >= threshold;
+    const actual = isPositive(result.label);
+    if (predicted && actual) tp++;
+    else if (predicted) fp++;
+    else if (actual) fn++;
+  });
+
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 1;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 1;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { threshold, tp, fp, fn, precision, recall, f1 };
+};
+
+// Every 0.05 step plus the ruleset's own thresholds
+const thresholdsFor = (model) => {
+  const steps = [];
+  for (let t = 0.05; t < 1; t += 0.05) steps.push(Math.round(t * 100) / 100);
+  return [...new Set([...steps, model.thresholds.medium, model.thresholds.high])].sort((a, b) => a - b);
+};
+
+const evaluate = (model, corpus) => {
+  const results = scoreCorpus(model, corpus);
+  const targets = {
+    high: label => label === 'high',
+    elevated: label => label !== 'none'
+  };
+
+  const curves = {};
+  Object.entries(targets).forEach(([name, isPositive]) => {
+    curves[name] = thresholdsFor(model).map(threshold => metricsAt(results, threshold, isPositive));
+  });
+
+  const brier = results.reduce((sum, result) => sum + ((result.label === 'high' ? 1 : 0) - result.score) ** 2, 0) / results.length;
+
+  return {
+    rulesVersion: model.version,
+    thresholds: model.thresholds,
+    size: results.length,
+    brier,
+    curves,
+    atHigh: metricsAt(results, model.thresholds.high, targets.high),
+    atMedium: metricsAt(results, model.thresholds.medium, targets.elevated),
+    missed: results.filter(result => result.label === 'high' && result.score < model.thresholds.high),
+    falseAlarms: results.filter(result => result.label === 'none' && result.score >= model.thresholds.medium)
+  };
+};
+
+const pct = (value) => `${(value * 100).toFixed(1)}%`.padStart(7);
+
+const printReport = (report) => {
+  console.log(`\nRuleset ${report.rulesVersion}: ${report.size} messages, Brier score ${report.brier.toFixed(4)}`);
+
+  Object.entries(report.curves).forEach(([name, rows]) => {
+    console.log(`\n  Target "${name}"`);
+    console.log('  threshold  precision  recall      F1    tp   fp   fn');
+    rows.forEach(row => {
+      const marker = row.threshold === report.thresholds.high || row.threshold === report.thresholds.medium ? '*' : ' ';
+      console.log(`  ${marker}${row.threshold.toFixed(2).padStart(8)}  ${pct(row.precision)}   ${pct(row.recall)} ${pct(row.f1)} ${String(row.tp).padStart(5)}${String(row.fp).padStart(5)}${String(row.fn).padStart(5)}`);
+    });
+  });
+
+  const describe = (result) => {
+    const top = result.explanations
+      .filter(item => item.contribution !== 0)
+      .slice(0, 3)
+      .map(item => `${item.ruleId || item.interactionId || item.feature}${item.modifiers && item.modifiers.length ? `[${item.modifiers.join(',')}]` : ''} ${item.contribution > 0 ? '+' : ''}${item.contribution}`)
+      .join(', ');
+    return `    ${result.score.toFixed(3)}  "${result.text}"  ${top ? `(${top})` : '(no signals)'}`;
+  };
+
+  if (report.missed.length > 0) {
+    console.log(`\n  Missed high-risk messages (below ${report.thresholds.high}):`);
+    report.missed.forEach(result => console.log(describe(result)));
+  }
+  if (report.falseAlarms.length > 0) {
+    console.log(`\n  No-risk messages at or above ${report.thresholds.medium}:`);
+    report.falseAlarms.forEach(result => console.log(describe(result)));
+  }
+};
+
+const evaluateCrisisRules = (argv = []) => {
+  const args = parseArgs(argv);
+  const corpus = loadCorpus(args.corpus);
+
+  const report = evaluate(new CrisisRiskModel(loadRuleset(args.rules)), corpus);
+  printReport(report);
+
+  if (args.compare) {
+    const baseline = evaluate(new CrisisRiskModel(loadRuleset(args.compare)), corpus);
+    printReport(baseline);
+    console.log(`\nRecall at high threshold: ${report.rulesVersion} ${pct(report.atHigh.recall)} vs ${baseline.rulesVersion} ${pct(baseline.atHigh.recall)}`);
+    console.log(`Precision at high threshold: ${report.rulesVersion} ${pct(report.atHigh.precision)} vs ${baseline.rulesVersion} ${pct(baseline.atHigh.precision)}`);
+  }
+
+  const passed = report.atHigh.recall >= args.minRecall;
+  console.log(`\n${passed ? 'PASS' : 'FAIL'}: recall ${pct(report.atHigh.recall).trim()} at high threshold ${report.thresholds.high} (minimum ${pct(args.minRecall).trim()})`);
+  return { report, passed };
+};
+
+if (require.main === module) {
+  try {
+    const { passed } = evaluateCrisisRules(process.argv.slice(2));
+    process.exit(passed ? 0 : 1);
+  } catch (error) {
+    console.error('Crisis rules evaluation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { evaluateCrisisRules, evaluate, loadCorpus };
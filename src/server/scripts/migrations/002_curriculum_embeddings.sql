@@ -0,0 +1,36 @@
+-- Curriculum vector index for AI coach retrieval (RAG)
+-- Requires the pgvector extension to be available on the database server
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- Lesson text and transcripts split into overlapping chunks.
+-- The embedding column is left dimensionless so local and hosted embedding models
+-- with different sizes can coexist; queries always filter on embedding_model.
+CREATE TABLE lesson_chunks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  source TEXT NOT NULL CHECK (source IN ('content', 'transcript')),
+  chunk_index INT NOT NULL,
+  content TEXT NOT NULL,
+  start_offset INT NOT NULL,
+  end_offset INT NOT NULL,
+  content_hash TEXT NOT NULL,
+  embedding vector,
+  embedding_model TEXT,
+  search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(lesson_id, source, chunk_index)
+);
+
+CREATE INDEX idx_lesson_chunks_lesson ON lesson_chunks(lesson_id);
+CREATE INDEX idx_lesson_chunks_model ON lesson_chunks(embedding_model);
+CREATE INDEX idx_lesson_chunks_search ON lesson_chunks USING GIN(search_vector);
+
+-- Tracks what was last indexed per lesson so changed lessons can be re-embedded incrementally
+CREATE TABLE lesson_index_status (
+  lesson_id UUID PRIMARY KEY REFERENCES lessons(id) ON DELETE CASCADE,
+  content_hash TEXT NOT NULL,
+  embedding_model TEXT NOT NULL,
+  chunk_count INT NOT NULL DEFAULT 0,
+  indexed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
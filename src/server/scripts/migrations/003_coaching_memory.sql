@@ -0,0 +1,21 @@
+-- Rolling conversation summaries and per-user long-term coaching memory
+
+-- Messages created at or before this time are folded into context_summary
+ALTER TABLE ai_conversations ADD COLUMN summarized_until TIMESTAMPTZ;
+
+-- Durable facts the coach remembers about a user across conversations
+CREATE TABLE user_coaching_memory (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category TEXT NOT NULL CHECK (category IN ('goal', 'struggle', 'practice', 'note')),
+  content TEXT NOT NULL,
+  normalized_content TEXT NOT NULL,
+  source_conversation_id UUID REFERENCES ai_conversations(id) ON DELETE SET NULL,
+  mention_count INT NOT NULL DEFAULT 1,
+  last_reinforced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(user_id, category, normalized_content)
+);
+
+CREATE INDEX idx_coaching_memory_user ON user_coaching_memory(user_id, last_reinforced_at DESC);
+CREATE INDEX idx_coaching_memory_conversation ON user_coaching_memory(source_conversation_id);
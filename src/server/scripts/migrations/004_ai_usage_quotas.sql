@@ -0,0 +1,48 @@
+-- AI token accounting, cost estimates and per-user quotas
+
+ALTER TABLE users ADD COLUMN subscription_tier TEXT NOT NULL DEFAULT 'free';
+
+ALTER TABLE conversation_messages
+  ADD COLUMN provider TEXT,
+  ADD COLUMN model TEXT,
+  ADD COLUMN input_tokens INT,
+  ADD COLUMN output_tokens INT,
+  ADD COLUMN cost_usd NUMERIC(12,6);
+
+-- One row per LLM call (chat replies and internal tasks such as summaries)
+CREATE TABLE ai_usage_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES ai_conversations(id) ON DELETE SET NULL,
+  message_id UUID REFERENCES conversation_messages(id) ON DELETE SET NULL,
+  purpose TEXT NOT NULL DEFAULT 'chat',
+  provider TEXT NOT NULL,
+  model TEXT,
+  input_tokens INT NOT NULL DEFAULT 0,
+  output_tokens INT NOT NULL DEFAULT 0,
+  total_tokens INT NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12,6) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_usage_user_time ON ai_usage_ledger(user_id, created_at);
+CREATE INDEX idx_ai_usage_provider_time ON ai_usage_ledger(provider, created_at);
+
+-- Token quotas by user role or subscription tier. NULL limits mean unlimited.
+CREATE TABLE ai_quota_policies (
+  id SERIAL PRIMARY KEY,
+  scope_type TEXT NOT NULL CHECK (scope_type IN ('role', 'tier')),
+  scope_value TEXT NOT NULL,
+  daily_token_limit INT CHECK (daily_token_limit >= 0),
+  monthly_token_limit INT CHECK (monthly_token_limit >= 0),
+  updated_by UUID REFERENCES users(id),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(scope_type, scope_value)
+);
+
+INSERT INTO ai_quota_policies (scope_type, scope_value, daily_token_limit, monthly_token_limit) VALUES
+('tier', 'free', 20000, 300000),
+('tier', 'plus', 100000, 2000000),
+('tier', 'premium', NULL, NULL),
+('role', 'coach', NULL, NULL),
+('role', 'admin', NULL, NULL);
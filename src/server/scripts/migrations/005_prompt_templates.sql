@@ -0,0 +1,59 @@
+-- Versioned system prompt templates and A/B experiments for the AI coach
+
+CREATE TABLE prompt_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  version INT NOT NULL,
+  body TEXT NOT NULL,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(name, version)
+);
+
+-- At most one active (default) version per template name
+CREATE UNIQUE INDEX idx_prompt_templates_active ON prompt_templates(name) WHERE is_active = TRUE;
+
+-- Arms are [{ "key": "control", "templateId": "...", "weight": 50 }, ...]
+CREATE TABLE prompt_experiments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  template_name TEXT NOT NULL,
+  arms JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'stopped')),
+  created_by UUID REFERENCES users(id),
+  started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One running experiment per template so arm assignment is unambiguous
+CREATE UNIQUE INDEX idx_prompt_experiments_running ON prompt_experiments(template_name) WHERE status = 'running';
+
+ALTER TABLE conversation_messages
+  ADD COLUMN prompt_template_id UUID REFERENCES prompt_templates(id),
+  ADD COLUMN prompt_version TEXT,
+  ADD COLUMN prompt_experiment_id UUID REFERENCES prompt_experiments(id),
+  ADD COLUMN prompt_experiment_arm TEXT;
+
+CREATE INDEX idx_conv_msg_prompt_version ON conversation_messages(prompt_version) WHERE prompt_version IS NOT NULL;
+
+-- v1 is the persona previously hard-coded in LLMService.buildSystemPrompt
+INSERT INTO prompt_templates (name, version, body, description, is_active) VALUES (
+  'coach_persona',
+  1,
+  $tpl$You are a compassionate AI mindfulness coach trained in the "Meeting Your Mind Full" methodology. Your role is to provide personalized guidance based on the user's progress and the curriculum content.
+
+Core Principles:
+- Always respond with warmth, empathy, and non-judgment
+- Ground your responses in the curriculum materials when relevant
+- Encourage self-discovery rather than giving direct advice
+- Use mindfulness language and concepts appropriately
+- Keep responses concise and actionable (2-3 paragraphs maximum)
+- Never provide medical or psychological treatment advice
+
+{{userContext}}{{longTermMemory}}{{conversationSummary}}{{curriculum}}{{safety}}$tpl$,
+  'Original coach persona',
+  TRUE
+);
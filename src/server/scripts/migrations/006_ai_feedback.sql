@@ -0,0 +1,23 @@
+-- User feedback on AI coach replies and per-segment quality metrics
+
+-- How each assistant reply was produced, so fallback and crisis rates can be measured
+ALTER TABLE conversation_messages
+  ADD COLUMN response_source TEXT CHECK (response_source IN ('model', 'fallback', 'crisis', 'quota')),
+  ADD COLUMN fallback_reason TEXT;
+
+-- One rating per user per assistant message; resubmitting updates it
+CREATE TABLE ai_message_feedback (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES conversation_messages(id) ON DELETE CASCADE,
+  conversation_id UUID NOT NULL REFERENCES ai_conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  feedback TEXT,
+  reasons TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(message_id, user_id)
+);
+
+CREATE INDEX idx_ai_feedback_conversation ON ai_message_feedback(conversation_id);
+CREATE INDEX idx_ai_feedback_low_ratings ON ai_message_feedback(created_at) WHERE rating <= 2;
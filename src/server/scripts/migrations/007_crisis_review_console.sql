@@ -0,0 +1,48 @@
+-- Crisis reviewer console: claim locking, SLA tracking and review outcomes
+
+-- Previously created at runtime by llmService; declared here so migrations own the schema
+CREATE TABLE IF NOT EXISTS human_review_queue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id),
+  content_type TEXT NOT NULL,
+  risk_score NUMERIC(3,2),
+  signals JSONB DEFAULT '{}',
+  redacted_content TEXT,
+  suggested_resources JSONB DEFAULT '{}',
+  priority TEXT DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'in_review', 'completed', 'escalated')),
+  reviewed_by UUID REFERENCES users(id),
+  reviewed_at TIMESTAMPTZ,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE human_review_queue
+  ADD COLUMN conversation_id UUID REFERENCES ai_conversations(id) ON DELETE SET NULL,
+  ADD COLUMN message_id UUID REFERENCES conversation_messages(id) ON DELETE SET NULL,
+  ADD COLUMN sla_due_at TIMESTAMPTZ,
+  ADD COLUMN claimed_by UUID REFERENCES users(id),
+  ADD COLUMN claimed_at TIMESTAMPTZ,
+  ADD COLUMN claim_expires_at TIMESTAMPTZ,
+  ADD COLUMN escalated_by UUID REFERENCES users(id),
+  ADD COLUMN escalated_at TIMESTAMPTZ,
+  ADD COLUMN outcome TEXT CHECK (outcome IN (
+    'no_action_needed', 'supportive_outreach', 'referred_to_professional',
+    'emergency_services_contacted', 'false_positive'
+  )),
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+UPDATE human_review_queue
+SET sla_due_at = created_at + CASE priority
+  WHEN 'urgent' THEN INTERVAL '15 minutes'
+  WHEN 'high' THEN INTERVAL '1 hour'
+  WHEN 'medium' THEN INTERVAL '4 hours'
+  ELSE INTERVAL '24 hours'
+END
+WHERE sla_due_at IS NULL;
+
+-- The old index only covered pending rows; the console also lists claimed and escalated ones
+DROP INDEX IF EXISTS idx_review_queue_status_priority;
+CREATE INDEX idx_review_queue_open ON human_review_queue(status, sla_due_at)
+  WHERE status IN ('pending', 'in_review', 'escalated');
+CREATE INDEX idx_review_queue_user ON human_review_queue(user_id, created_at);
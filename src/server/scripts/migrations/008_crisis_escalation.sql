@@ -0,0 +1,23 @@
+-- Real-time crisis escalation: on-call roster, paging state and per-item timeline
+
+ALTER TABLE human_review_queue
+  ADD COLUMN timeline JSONB NOT NULL DEFAULT '[]',
+  ADD COLUMN acknowledged_by UUID REFERENCES users(id),
+  ADD COLUMN acknowledged_at TIMESTAMPTZ,
+  ADD COLUMN page_count INT NOT NULL DEFAULT 0,
+  ADD COLUMN last_paged_at TIMESTAMPTZ,
+  ADD COLUMN next_page_at TIMESTAMPTZ;
+
+CREATE INDEX idx_review_queue_repage ON human_review_queue(next_page_at)
+  WHERE acknowledged_at IS NULL AND next_page_at IS NOT NULL;
+
+-- Coaches who receive crisis pages, and through which channels
+CREATE TABLE crisis_on_call (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  channels TEXT[] NOT NULL DEFAULT '{email}',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (channels <@ ARRAY['email', 'sms', 'webhook']::text[])
+);
@@ -0,0 +1,96 @@
+-- Crisis resource directory shown to users in crisis, by country and language.
+-- Admins keep entries current through /api/crisis-resources.
+
+CREATE TABLE crisis_resources (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- ISO 3166-1 alpha-2; NULL for services that work in any country
+  country_code CHAR(2),
+  -- ISO 639-1 language the service is offered in
+  language TEXT NOT NULL DEFAULT 'en',
+  name TEXT NOT NULL,
+  service_type TEXT NOT NULL CHECK (service_type IN ('phone', 'text', 'chat', 'web')),
+  -- Number to call, text instruction ("HOME to 741741") or URL, depending on service_type
+  contact TEXT NOT NULL,
+  url TEXT,
+  availability TEXT,
+  description TEXT,
+  -- Lower sorts first within a country and language
+  priority SMALLINT NOT NULL DEFAULT 100,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_verified_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id),
+  updated_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (country_code IS NULL OR country_code ~ '^[A-Z]{2}$')
+);
+
+CREATE INDEX idx_crisis_resources_lookup ON crisis_resources(country_code, language, priority) WHERE is_active = TRUE;
+
+INSERT INTO crisis_resources (country_code, language, name, service_type, contact, url, availability, priority) VALUES
+  (NULL, 'en', 'Find A Helpline', 'web', 'https://findahelpline.com', 'https://findahelpline.com', '24/7', 900),
+
+  ('US', 'en', '988 Suicide & Crisis Lifeline', 'phone', '988', 'https://988lifeline.org', '24/7', 10),
+  ('US', 'en', '988 Suicide & Crisis Lifeline', 'text', '988', 'https://988lifeline.org', '24/7', 20),
+  ('US', 'en', '988 Lifeline Chat', 'chat', 'https://988lifeline.org/chat', 'https://988lifeline.org/chat', '24/7', 30),
+  ('US', 'en', 'Crisis Text Line', 'text', 'HOME to 741741', 'https://www.crisistextline.org', '24/7', 40),
+  ('US', 'es', '988 Línea de Prevención del Suicidio y Crisis', 'phone', '988 (oprima 2)', 'https://988lineadeprevencion.org', '24/7', 10),
+  ('US', 'es', 'Crisis Text Line en español', 'text', 'AYUDA to 741741', 'https://www.crisistextline.org', '24/7', 20),
+
+  ('CA', 'en', '9-8-8 Suicide Crisis Helpline', 'phone', '988', 'https://988.ca', '24/7', 10),
+  ('CA', 'en', '9-8-8 Suicide Crisis Helpline', 'text', '988', 'https://988.ca', '24/7', 20),
+  ('CA', 'en', 'Kids Help Phone', 'text', 'CONNECT to 686868', 'https://kidshelpphone.ca', '24/7', 30),
+  ('CA', 'fr', 'Ligne d''aide en cas de crise de suicide 9-8-8', 'phone', '988', 'https://988.ca/fr', '24/7', 10),
+  ('CA', 'fr', 'Ligne d''aide en cas de crise de suicide 9-8-8', 'text', '988', 'https://988.ca/fr', '24/7', 20),
+
+  ('GB', 'en', 'Samaritans', 'phone', '116 123', 'https://www.samaritans.org', '24/7', 10),
+  ('GB', 'en', 'Shout', 'text', 'SHOUT to 85258', 'https://giveusashout.org', '24/7', 20),
+  ('GB', 'cy', 'Samaritans (Welsh language line)', 'phone', '0808 164 0123', 'https://www.samaritans.org/wales', NULL, 10),
+
+  ('IE', 'en', 'Samaritans Ireland', 'phone', '116 123', 'https://www.samaritans.org/ireland', '24/7', 10),
+  ('IE', 'en', 'Text About It', 'text', 'HELLO to 50808', 'https://text50808.ie', '24/7', 20),
+  ('IE', 'en', 'Pieta', 'phone', '1800 247 247', 'https://www.pieta.ie', '24/7', 30),
+
+  ('AU', 'en', 'Lifeline Australia', 'phone', '13 11 14', 'https://www.lifeline.org.au', '24/7', 10),
+  ('AU', 'en', 'Lifeline Text', 'text', '0477 13 11 14', 'https://www.lifeline.org.au', '24/7', 20),
+  ('AU', 'en', 'Lifeline Online Chat', 'chat', 'https://www.lifeline.org.au/crisis-chat', 'https://www.lifeline.org.au/crisis-chat', '24/7', 30),
+  ('AU', 'en', 'Beyond Blue', 'phone', '1300 22 4636', 'https://www.beyondblue.org.au', '24/7', 40),
+
+  ('NZ', 'en', '1737 Need to Talk?', 'phone', '1737', 'https://1737.org.nz', '24/7', 10),
+  ('NZ', 'en', '1737 Need to Talk?', 'text', '1737', 'https://1737.org.nz', '24/7', 20),
+  ('NZ', 'en', 'Lifeline Aotearoa', 'phone', '0800 543 354', 'https://www.lifeline.org.nz', '24/7', 30),
+
+  ('DE', 'de', 'TelefonSeelsorge', 'phone', '0800 111 0 111', 'https://www.telefonseelsorge.de', '24/7', 10),
+  ('DE', 'de', 'TelefonSeelsorge', 'phone', '0800 111 0 222', 'https://www.telefonseelsorge.de', '24/7', 20),
+  ('DE', 'de', 'TelefonSeelsorge Chat', 'chat', 'https://online.telefonseelsorge.de', 'https://online.telefonseelsorge.de', NULL, 30),
+  ('AT', 'de', 'TelefonSeelsorge Österreich', 'phone', '142', 'https://www.telefonseelsorge.at', '24/7', 10),
+  ('CH', 'de', 'Die Dargebotene Hand', 'phone', '143', 'https://www.143.ch', '24/7', 10),
+  ('CH', 'fr', 'La Main Tendue', 'phone', '143', 'https://www.143.ch', '24/7', 10),
+  ('CH', 'it', 'Telefono Amico', 'phone', '143', 'https://www.143.ch', '24/7', 10),
+
+  ('FR', 'fr', 'Numéro national de prévention du suicide', 'phone', '3114', 'https://3114.fr', '24/7', 10),
+  ('FR', 'fr', 'SOS Amitié', 'phone', '09 72 39 40 50', 'https://www.sos-amitie.com', '24/7', 20),
+  ('BE', 'fr', 'Centre de Prévention du Suicide', 'phone', '0800 32 123', 'https://www.preventionsuicide.be', '24/7', 10),
+  ('BE', 'nl', 'Zelfmoordlijn 1813', 'phone', '1813', 'https://www.zelfmoord1813.be', '24/7', 10),
+  ('BE', 'nl', 'Zelfmoordlijn 1813 Chat', 'chat', 'https://www.zelfmoord1813.be', 'https://www.zelfmoord1813.be', NULL, 20),
+  ('NL', 'nl', '113 Zelfmoordpreventie', 'phone', '113', 'https://www.113.nl', '24/7', 10),
+  ('NL', 'nl', '113 Zelfmoordpreventie', 'phone', '0800 0113', 'https://www.113.nl', '24/7', 20),
+  ('NL', 'nl', '113 Chat', 'chat', 'https://www.113.nl', 'https://www.113.nl', '24/7', 30),
+
+  ('ES', 'es', 'Línea 024 de atención a la conducta suicida', 'phone', '024', 'https://www.sanidad.gob.es/linea024', '24/7', 10),
+  ('MX', 'es', 'Línea de la Vida', 'phone', '800 911 2000', 'https://www.gob.mx/salud/conadic', '24/7', 10),
+  ('BR', 'pt', 'CVV - Centro de Valorização da Vida', 'phone', '188', 'https://cvv.org.br', '24/7', 10),
+  ('BR', 'pt', 'CVV Chat', 'chat', 'https://cvv.org.br', 'https://cvv.org.br', NULL, 20),
+  ('IT', 'it', 'Telefono Amico Italia', 'phone', '02 2327 2327', 'https://www.telefonoamico.it', NULL, 10),
+
+  ('SE', 'sv', 'Självmordslinjen (Mind)', 'phone', '90101', 'https://mind.se', '24/7', 10),
+  ('NO', 'no', 'Mental Helse Hjelpetelefonen', 'phone', '116 123', 'https://mentalhelse.no', '24/7', 10),
+  ('DK', 'da', 'Livslinien', 'phone', '70 201 201', 'https://www.livslinien.dk', NULL, 10),
+  ('FI', 'fi', 'MIELI Kriisipuhelin', 'phone', '09 2525 0111', 'https://mieli.fi', '24/7', 10),
+
+  ('IN', 'en', 'Tele-MANAS', 'phone', '14416', 'https://telemanas.mohfw.gov.in', '24/7', 10),
+  ('IN', 'hi', 'Tele-MANAS', 'phone', '14416', 'https://telemanas.mohfw.gov.in', '24/7', 10),
+  ('JP', 'ja', 'いのちの電話', 'phone', '0570-783-556', 'https://www.inochinodenwa.org', NULL, 10),
+  ('KR', 'ko', '자살예방상담전화', 'phone', '109', NULL, '24/7', 10),
+  ('SG', 'en', 'Samaritans of Singapore', 'phone', '1767', 'https://www.sos.org.sg', '24/7', 10),
+  ('ZA', 'en', 'SADAG Suicide Crisis Helpline', 'phone', '0800 567 567', 'https://www.sadag.org', '24/7', 10);
@@ -0,0 +1,14 @@
+-- Personal crisis safety plans. The plan body is encrypted by the application
+-- (AES-256-GCM, see utils/encryption.js); only metadata is stored in the clear.
+
+CREATE TABLE safety_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  ciphertext TEXT NOT NULL,
+  key_id TEXT NOT NULL,
+  -- Incremented on each save; clients send it back to avoid overwriting a newer edit
+  revision INT NOT NULL DEFAULT 1,
+  last_surfaced_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,19 @@
+-- Guided practices generated by the AI coach and saved to a user's library.
+-- Steps are stored in playable form: [{ index, type, text, durationSeconds, startSeconds }]
+
+CREATE TABLE personal_practices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  intention TEXT,
+  -- What the user asked the coach for, if the practice was generated
+  prompt TEXT,
+  steps JSONB NOT NULL,
+  total_duration_seconds INT NOT NULL,
+  source_lesson_ids UUID[] NOT NULL DEFAULT '{}',
+  play_count INT NOT NULL DEFAULT 0,
+  last_played_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_personal_practices_user ON personal_practices(user_id, created_at DESC);
@@ -0,0 +1,14 @@
+-- UNIQUE(group_id, user_id, left_at) doesn't stop duplicate active memberships
+-- because NULLs never compare equal; enforce one active row per member instead.
+
+CREATE UNIQUE INDEX idx_group_members_one_active ON group_memberships(group_id, user_id) WHERE left_at IS NULL;
+
+-- Bring cached counts in line with active memberships
+UPDATE groups g
+SET member_count = (
+  SELECT COUNT(*) FROM group_memberships gm
+  WHERE gm.group_id = g.id AND gm.left_at IS NULL
+);
+
+ALTER TABLE groups ALTER COLUMN member_count SET NOT NULL;
+ALTER TABLE groups ADD CONSTRAINT groups_member_count_range CHECK (member_count >= 0 AND member_count <= max_members);
@@ -0,0 +1,54 @@
+-- Appeals against community moderation decisions, with an append-only event trail
+
+CREATE TABLE moderation_appeals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  appellant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- What is being appealed: a rejected group message, or (with sanctions) an account restriction
+  subject_type TEXT NOT NULL CHECK (subject_type IN ('group_message', 'account_restriction')),
+  subject_id UUID NOT NULL,
+  group_id UUID REFERENCES groups(id) ON DELETE SET NULL,
+  original_decision TEXT NOT NULL,
+  -- NULL when the original decision was automated
+  original_decider_id UUID REFERENCES users(id),
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'in_review', 'upheld', 'overturned', 'withdrawn')),
+  assigned_to UUID REFERENCES users(id),
+  assigned_at TIMESTAMPTZ,
+  sla_due_at TIMESTAMPTZ NOT NULL,
+  sla_breached_at TIMESTAMPTZ,
+  decided_by UUID REFERENCES users(id),
+  decided_at TIMESTAMPTZ,
+  resolution_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- The reviewer of an appeal is never the person who made the original call
+  CHECK (assigned_to IS NULL OR original_decider_id IS NULL OR assigned_to <> original_decider_id),
+  UNIQUE (subject_type, subject_id)
+);
+
+CREATE INDEX idx_appeals_open ON moderation_appeals(status, sla_due_at) WHERE status IN ('pending', 'in_review');
+CREATE INDEX idx_appeals_appellant ON moderation_appeals(appellant_id, created_at DESC);
+
+CREATE TABLE moderation_appeal_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  appeal_id UUID NOT NULL REFERENCES moderation_appeals(id),
+  event_type TEXT NOT NULL,
+  actor_id UUID REFERENCES users(id),
+  from_status TEXT,
+  to_status TEXT,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_appeal_events_appeal ON moderation_appeal_events(appeal_id, created_at);
+
+-- Appeal events are an audit trail: they can be added but never changed or removed
+CREATE FUNCTION reject_appeal_event_change() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'moderation_appeal_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER moderation_appeal_events_immutable
+  BEFORE UPDATE OR DELETE ON moderation_appeal_events
+  FOR EACH ROW EXECUTE FUNCTION reject_appeal_event_change();
@@ -0,0 +1,49 @@
+-- Community trust scores and graduated sanctions
+
+-- Ledger of behaviour that moves a member's trust score. Strikes also advance the
+-- sanctions ladder; a successful appeal reverses the event rather than deleting it.
+CREATE TABLE trust_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,
+  delta NUMERIC(5,2) NOT NULL,
+  is_strike BOOLEAN NOT NULL DEFAULT FALSE,
+  source_type TEXT NOT NULL,
+  source_id UUID NOT NULL,
+  group_id UUID REFERENCES groups(id) ON DELETE SET NULL,
+  reversed_at TIMESTAMPTZ,
+  reversal_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- The same outcome is only counted once
+  UNIQUE (user_id, event_type, source_type, source_id)
+);
+
+CREATE INDEX idx_trust_events_user ON trust_events(user_id, created_at DESC) WHERE reversed_at IS NULL;
+CREATE INDEX idx_trust_events_source ON trust_events(source_type, source_id);
+
+CREATE TABLE user_sanctions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  sanction_type TEXT NOT NULL CHECK (sanction_type IN ('warning', 'message_hold', 'group_mute', 'suspension', 'reverification')),
+  -- Only mutes are scoped to a group
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  -- The strike (or other decision) that led to the sanction
+  source_type TEXT,
+  source_id UUID,
+  strike_count INT,
+  -- NULL when issued automatically by the ladder
+  issued_by UUID REFERENCES users(id),
+  starts_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- NULL means until lifted (re-verification)
+  expires_at TIMESTAMPTZ,
+  lifted_at TIMESTAMPTZ,
+  lifted_by UUID REFERENCES users(id),
+  lift_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((sanction_type = 'group_mute') = (group_id IS NOT NULL)),
+  CHECK (expires_at IS NULL OR expires_at > starts_at)
+);
+
+CREATE INDEX idx_sanctions_user_active ON user_sanctions(user_id, expires_at) WHERE lifted_at IS NULL;
+CREATE INDEX idx_sanctions_source ON user_sanctions(source_type, source_id) WHERE lifted_at IS NULL;
@@ -0,0 +1,35 @@
+-- Member reports (of group messages or of other members) and block lists
+
+CREATE TABLE user_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  subject_type TEXT NOT NULL CHECK (subject_type IN ('group_message', 'user')),
+  -- The message ID, or the reported user's ID for member reports
+  subject_id UUID NOT NULL,
+  reported_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  group_id UUID REFERENCES groups(id) ON DELETE SET NULL,
+  category TEXT NOT NULL CHECK (category IN ('harassment', 'hate', 'self_harm', 'spam', 'privacy', 'inappropriate', 'other')),
+  details TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'upheld', 'dismissed')),
+  reviewed_by UUID REFERENCES users(id),
+  reviewed_at TIMESTAMPTZ,
+  resolution_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (reporter_id <> reported_user_id),
+  -- Each member can report the same thing once
+  UNIQUE (reporter_id, subject_type, subject_id)
+);
+
+CREATE INDEX idx_reports_subject_open ON user_reports(subject_type, subject_id) WHERE status = 'open';
+CREATE INDEX idx_reports_queue ON user_reports(subject_type, created_at) WHERE status = 'open';
+CREATE INDEX idx_reports_reported_user ON user_reports(reported_user_id, created_at DESC);
+
+CREATE TABLE user_blocks (
+  blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX idx_user_blocks_blocked ON user_blocks(blocked_id);
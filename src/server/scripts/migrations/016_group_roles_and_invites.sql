@@ -0,0 +1,56 @@
+-- Group roles (leader, co-leader, moderator, member), invitations and join requests
+
+-- 'admin' memberships become the leader (for the group's leader) or co-leaders
+ALTER TABLE group_memberships DROP CONSTRAINT group_memberships_role_check;
+
+UPDATE group_memberships gm
+SET role = CASE WHEN gm.user_id = g.leader_id THEN 'leader' ELSE 'co_leader' END
+FROM groups g
+WHERE gm.group_id = g.id AND gm.role = 'admin';
+
+-- Leaders who somehow held a lesser role
+UPDATE group_memberships gm
+SET role = 'leader'
+FROM groups g
+WHERE gm.group_id = g.id AND gm.user_id = g.leader_id AND gm.left_at IS NULL AND gm.role <> 'leader';
+
+ALTER TABLE group_memberships ADD CONSTRAINT group_memberships_role_check
+  CHECK (role IN ('leader', 'co_leader', 'moderator', 'member'));
+
+CREATE UNIQUE INDEX idx_group_members_one_leader ON group_memberships(group_id) WHERE role = 'leader' AND left_at IS NULL;
+
+-- Set when a member was removed rather than leaving on their own
+ALTER TABLE group_memberships ADD COLUMN removed_by UUID REFERENCES users(id);
+
+CREATE TABLE group_invites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  created_by UUID NOT NULL REFERENCES users(id),
+  -- SHA-256 of the short code members can type in; the code itself is only shown once
+  code_hash TEXT NOT NULL UNIQUE,
+  -- Set for an invitation addressed to one member
+  invitee_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  max_uses INT CHECK (max_uses IS NULL OR max_uses > 0),
+  use_count INT NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (max_uses IS NULL OR use_count <= max_uses)
+);
+
+CREATE INDEX idx_group_invites_group ON group_invites(group_id, created_at DESC) WHERE revoked_at IS NULL;
+
+CREATE TABLE group_join_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied', 'cancelled')),
+  decided_by UUID REFERENCES users(id),
+  decided_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_join_requests_one_pending ON group_join_requests(group_id, user_id) WHERE status = 'pending';
+CREATE INDEX idx_join_requests_queue ON group_join_requests(group_id, created_at) WHERE status = 'pending';
@@ -0,0 +1,46 @@
+-- Scheduled live practice sessions for community groups
+
+CREATE TABLE group_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  facilitator_id UUID NOT NULL REFERENCES users(id),
+  title VARCHAR(100) NOT NULL,
+  description TEXT,
+  starts_at TIMESTAMPTZ NOT NULL,
+  duration_minutes INT NOT NULL CHECK (duration_minutes BETWEEN 5 AND 180),
+  -- The IANA zone the facilitator scheduled in; starts_at itself is absolute
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'live', 'ended', 'cancelled')),
+  live_started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_group_sessions_group ON group_sessions(group_id, starts_at);
+CREATE INDEX idx_group_sessions_open ON group_sessions(status, starts_at) WHERE status IN ('scheduled', 'live');
+
+CREATE TABLE group_session_rsvps (
+  session_id UUID NOT NULL REFERENCES group_sessions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL CHECK (status IN ('going', 'maybe', 'not_going')),
+  reminded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (session_id, user_id)
+);
+
+CREATE INDEX idx_session_rsvps_unreminded ON group_session_rsvps(session_id) WHERE reminded_at IS NULL AND status <> 'not_going';
+
+-- Members who were present while a session was live. Attendance days count
+-- towards practice streaks.
+CREATE TABLE group_session_attendance (
+  session_id UUID NOT NULL REFERENCES group_sessions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (session_id, user_id)
+);
+
+CREATE INDEX idx_session_attendance_user ON group_session_attendance(user_id, joined_at DESC);
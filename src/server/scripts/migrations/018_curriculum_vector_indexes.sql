@@ -0,0 +1,13 @@
+-- Approximate nearest-neighbour indexes for curriculum retrieval.
+-- lesson_chunks.embedding has no fixed dimension, so each embedding model gets a
+-- partial HNSW index over the embedding cast to that model's size. Queries use
+-- the same cast and filter on embedding_model so the planner can pick the index.
+-- Models configured later get theirs from curriculumIndexService.ensureVectorIndex.
+
+CREATE INDEX IF NOT EXISTS idx_lesson_chunks_hnsw_hash_bow_256
+  ON lesson_chunks USING hnsw ((embedding::vector(256)) vector_cosine_ops)
+  WHERE embedding_model = 'hash-bow-256';
+
+CREATE INDEX IF NOT EXISTS idx_lesson_chunks_hnsw_text_embedding_3_small
+  ON lesson_chunks USING hnsw ((embedding::vector(1536)) vector_cosine_ops)
+  WHERE embedding_model = 'text-embedding-3-small';
@@ -0,0 +1,5 @@
+-- Lease on a conversation's rolling summary so only one app instance summarizes
+-- it at a time. Set when summarization starts and cleared when it ends; a lease
+-- older than a few minutes belongs to an instance that died and can be taken over.
+
+ALTER TABLE ai_conversations ADD COLUMN summary_started_at TIMESTAMPTZ;
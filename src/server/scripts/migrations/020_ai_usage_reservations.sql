@@ -0,0 +1,11 @@
+-- Quota reservations. A request that passes the quota check holds a 'reserved'
+-- ledger row with an estimated token count until its usage is recorded, so
+-- concurrent requests see each other's spend. Reservations that are never
+-- settled (a crashed instance) stop counting once reserved_until passes.
+
+ALTER TABLE ai_usage_ledger
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'recorded' CHECK (status IN ('reserved', 'recorded')),
+  ADD COLUMN reserved_until TIMESTAMPTZ;
+
+CREATE INDEX idx_ai_usage_reservations ON ai_usage_ledger(user_id, reserved_until)
+  WHERE status = 'reserved';
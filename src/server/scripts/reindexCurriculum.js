@@ -0,0 +1,31 @@
+require('dotenv').config();
+const { connectDB, closeDB } = require('../config/database');
+const curriculumIndexService = require('../services/curriculumIndexService');
+const { logger } = require('../utils/logger');
+
+// Index every lesson that is new, changed, or embedded with a different model.
+// Runs in batches until nothing is stale.
+const reindexCurriculum = async () => {
+  await connectDB();
+
+  let total = 0;
+  while (true) {
+    const { indexed } = await curriculumIndexService.syncStaleLessons(50);
+    total += indexed;
+    if (indexed === 0) break;
+  }
+
+  logger.info(`Curriculum reindex complete: ${total} lessons indexed`);
+};
+
+if (require.main === module) {
+  reindexCurriculum()
+    .then(() => closeDB())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Curriculum reindex failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { reindexCurriculum };
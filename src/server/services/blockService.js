@@ -0,0 +1,71 @@
+const { getPool } = require('../config/database');
+const groupService = require('./groupService');
+
+// Member block lists. A blocker never sees the blocked member's group messages
+// (history or live), and neither side can contact the other directly.
+class BlockService {
+  // Returns { created } or { error: 'user_not_found' }; blocking twice is a no-op
+  async block(blockerId, blockedId) {
+    const pool = getPool();
+    const user = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [blockedId]);
+    if (user.rows.length === 0) {
+      return { error: 'user_not_found' };
+    }
+
+    const result = await pool.query(`
+      INSERT INTO user_blocks (blocker_id, blocked_id)
+      VALUES ($1, $2)
+      ON CONFLICT (blocker_id, blocked_id) DO NOTHING
+      RETURNING blocked_id
+    `, [blockerId, blockedId]);
+
+    return { created: result.rows.length > 0 };
+  }
+
+  // Whether there was a block to remove
+  async unblock(blockerId, blockedId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2 RETURNING blocked_id',
+      [blockerId, blockedId]
+    );
+    return result.rows.length > 0;
+  }
+
+  async listBlocked(blockerId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT b.blocked_id, b.created_at, u.first_name, u.last_name
+      FROM user_blocks b
+      JOIN users u ON b.blocked_id = u.id
+      WHERE b.blocker_id = $1
+      ORDER BY b.created_at DESC
+    `, [blockerId]);
+
+    return result.rows.map(row => ({
+      userId: row.blocked_id,
+      name: groupService.formatMemberName(row.first_name, row.last_name),
+      blockedAt: row.created_at
+    }));
+  }
+
+  // Everyone who has blocked userId, i.e. who must not receive their messages
+  async listBlockerIds(userId) {
+    const pool = getPool();
+    const result = await pool.query('SELECT blocker_id FROM user_blocks WHERE blocked_id = $1', [userId]);
+    return result.rows.map(row => row.blocker_id);
+  }
+
+  // Direct contact is allowed only when neither member has blocked the other
+  async canContact(senderId, recipientId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT 1 FROM user_blocks
+      WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)
+      LIMIT 1
+    `, [senderId, recipientId]);
+    return result.rows.length === 0;
+  }
+}
+
+module.exports = new BlockService();
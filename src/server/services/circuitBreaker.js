@@ -0,0 +1,137 @@
+const { logger } = require('../utils/logger');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Failure-rate circuit breaker over a rolling time window. While open, requests are
+// rejected until openDurationMs passes; then a limited number of half-open trial
+// requests decide whether to close again or re-open.
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.windowMs = options.windowMs || parseInt(process.env.LLM_BREAKER_WINDOW_MS) || 5 * 60 * 1000;
+    this.failureThreshold = options.failureThreshold || parseFloat(process.env.LLM_BREAKER_FAILURE_THRESHOLD) || 0.5;
+    this.minRequests = options.minRequests || parseInt(process.env.LLM_BREAKER_MIN_REQUESTS) || 5;
+    this.openDurationMs = options.openDurationMs || parseInt(process.env.LLM_BREAKER_OPEN_MS) || 60 * 1000;
+    this.halfOpenMaxRequests = options.halfOpenMaxRequests || 1;
+
+    this.state = STATES.CLOSED;
+    this.outcomes = [];
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+    this.lastFailure = null;
+    this.lastSuccessAt = null;
+  }
+
+  // Returns true if a request may proceed; reserves a trial slot when half-open
+  allowRequest() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.openDurationMs) {
+        return false;
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenInFlight >= this.halfOpenMaxRequests) {
+        return false;
+      }
+      this.halfOpenInFlight++;
+    }
+
+    return true;
+  }
+
+  recordSuccess(latencyMs) {
+    this.record(true, latencyMs);
+    this.lastSuccessAt = new Date().toISOString();
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.outcomes = [];
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  recordFailure(error, latencyMs) {
+    this.record(false, latencyMs);
+    this.lastFailure = {
+      message: error ? error.message : 'unknown',
+      at: new Date().toISOString()
+    };
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.transition(STATES.OPEN);
+      return;
+    }
+
+    const { total, failureRate } = this.getWindowStats();
+    if (this.state === STATES.CLOSED && total >= this.minRequests && failureRate >= this.failureThreshold) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  record(success, latencyMs) {
+    const now = Date.now();
+    this.outcomes.push({ at: now, success, latencyMs: latencyMs || 0 });
+    this.prune(now);
+  }
+
+  prune(now = Date.now()) {
+    const windowStart = now - this.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].at < windowStart) {
+      this.outcomes.shift();
+    }
+  }
+
+  transition(nextState) {
+    const previous = this.state;
+    this.state = nextState;
+    this.halfOpenInFlight = 0;
+    if (nextState === STATES.OPEN) {
+      this.openedAt = Date.now();
+    }
+
+    logger.warn('Circuit breaker state change', { breaker: this.name, from: previous, to: nextState });
+  }
+
+  getWindowStats() {
+    this.prune();
+    const total = this.outcomes.length;
+    const failures = this.outcomes.filter(outcome => !outcome.success).length;
+    const latency = this.outcomes.reduce((sum, outcome) => sum + outcome.latencyMs, 0);
+
+    return {
+      total,
+      failures,
+      failureRate: total > 0 ? failures / total : 0,
+      averageLatencyMs: total > 0 ? Math.round(latency / total) : null
+    };
+  }
+
+  toJSON() {
+    const stats = this.getWindowStats();
+    return {
+      state: this.state,
+      window: {
+        durationMs: this.windowMs,
+        requests: stats.total,
+        failures: stats.failures,
+        failureRate: Math.round(stats.failureRate * 100) / 100,
+        averageLatencyMs: stats.averageLatencyMs
+      },
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.state === STATES.OPEN
+        ? new Date(this.openedAt + this.openDurationMs).toISOString()
+        : null,
+      lastFailure: this.lastFailure,
+      lastSuccessAt: this.lastSuccessAt
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,141 @@
+const STOPWORDS = new Set([
+  'about', 'after', 'again', 'also', 'because', 'been', 'before', 'being', 'both', 'could',
+  'does', 'doing', 'each', 'from', 'have', 'here', 'into', 'just', 'like', 'more', 'most',
+  'only', 'other', 'over', 'same', 'should', 'some', 'such', 'than', 'that', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'those', 'through', 'very', 'want', 'were', 'what',
+  'when', 'where', 'which', 'while', 'will', 'with', 'would', 'your', 'yours', 'covered'
+]);
+
+const MARKER_PATTERN = /\s?\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Parses [n] citation markers emitted by the model, checks each against the numbered
+// source it points to, and resolves it to a quoted passage with lesson offsets.
+class CitationService {
+  contentWords(text) {
+    return new Set((text || '').toLowerCase()
+      .replace(/[^\w\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 3 && !STOPWORDS.has(word)));
+  }
+
+  overlap(wordsA, wordsB) {
+    let shared = 0;
+    wordsA.forEach(word => {
+      if (wordsB.has(word)) shared++;
+    });
+    return shared;
+  }
+
+  // Sentence spans within text, used both for claims in the reply and quotes in sources
+  sentences(text) {
+    const spans = [];
+    const pattern = /[^.!?\n]+[.!?]*/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const raw = match[0];
+      const trimmed = raw.trim();
+      if (trimmed) {
+        const start = match.index + (raw.length - raw.trimStart().length);
+        spans.push({ text: trimmed, start, end: start + trimmed.length });
+      }
+    }
+    return spans;
+  }
+
+  // The claim a marker supports: the sentence text leading up to the marker
+  claimFor(text, markerIndex) {
+    const before = text.slice(0, markerIndex);
+    const boundary = Math.max(before.lastIndexOf('. '), before.lastIndexOf('! '), before.lastIndexOf('? '), before.lastIndexOf('\n'));
+    return before.slice(boundary + 1).trim();
+  }
+
+  isGrounded(claimWords, source) {
+    const sourceWords = this.contentWords(`${source.title} ${source.content || source.excerpt}`);
+    const shared = this.overlap(claimWords, sourceWords);
+    return shared >= Math.min(2, claimWords.size) && shared > 0;
+  }
+
+  findQuote(claimWords, source) {
+    const content = source.content || source.excerpt || '';
+    let best = null;
+
+    this.sentences(content).forEach(sentence => {
+      const score = this.overlap(claimWords, this.contentWords(sentence.text));
+      if (!best || score > best.score) {
+        best = { ...sentence, score };
+      }
+    });
+
+    if (!best) return null;
+
+    const base = source.startOffset || 0;
+    return {
+      text: best.text,
+      startOffset: base + best.start,
+      endOffset: base + best.end
+    };
+  }
+
+  buildLink(source, quote) {
+    if (!source.courseId) return null;
+
+    const params = new URLSearchParams({ source: source.source || 'content' });
+    if (quote) {
+      params.set('start', quote.startOffset);
+      params.set('end', quote.endOffset);
+    }
+    return `/courses/${source.courseId}/lessons/${source.id}?${params.toString()}`;
+  }
+
+  extract(responseText, sources) {
+    if (!sources || sources.length === 0 || !responseText) {
+      return { text: (responseText || '').replace(MARKER_PATTERN, ''), citations: [] };
+    }
+
+    const citations = new Map();
+
+    const text = responseText.replace(MARKER_PATTERN, (match, numbers, offset) => {
+      const claimWords = this.contentWords(this.claimFor(responseText, offset));
+
+      const kept = numbers.split(',')
+        .map(value => parseInt(value.trim()))
+        .filter(marker => {
+          const source = sources[marker - 1];
+          if (!source || !this.isGrounded(claimWords, source)) {
+            return false;
+          }
+
+          if (!citations.has(marker)) {
+            const quote = this.findQuote(claimWords, source);
+            citations.set(marker, {
+              marker,
+              lessonId: source.id,
+              title: source.title,
+              courseId: source.courseId || null,
+              courseTitle: source.courseTitle,
+              chunkId: source.chunkId || null,
+              chunkIndex: source.chunkIndex,
+              source: source.source || 'content',
+              chunkStartOffset: source.startOffset,
+              chunkEndOffset: source.endOffset,
+              quote: quote ? quote.text : null,
+              startOffset: quote ? quote.startOffset : source.startOffset,
+              endOffset: quote ? quote.endOffset : source.endOffset,
+              link: this.buildLink(source, quote)
+            });
+          }
+          return true;
+        });
+
+      // Drop markers that point nowhere or at a source that doesn't support the claim
+      return kept.length > 0 ? ` [${kept.join(', ')}]` : '';
+    });
+
+    return {
+      text,
+      citations: Array.from(citations.values()).sort((a, b) => a.marker - b.marker)
+    };
+  }
+}
+
+module.exports = new CitationService();
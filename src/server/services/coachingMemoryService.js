@@ -0,0 +1,292 @@
+const { getPool } = require('../config/database');
+const { LLMService } = require('./llmService');
+const usageService = require('./usageService');
+const { logger } = require('../utils/logger');
+
+const MEMORY_CATEGORIES = ['goal', 'struggle', 'practice', 'note'];
+
+// Minutes before an unfinished summarization lease can be taken over
+const SUMMARY_LEASE_MINUTES = 5;
+
+const SUMMARY_PROMPT = `You maintain memory for a mindfulness coaching assistant. Given an earlier summary and new conversation turns, respond with JSON only, in this shape:
+{"summary": "...", "memories": [{"category": "goal|struggle|practice|note", "content": "..."}]}
+
+- "summary": under 150 words, third person ("The user..."), merging the earlier summary with the new turns. Keep what matters for continuing the conversation.
+- "memories": durable facts worth remembering in future conversations: the user's goals, recurring struggles, and practices they like. One short sentence each, at most 5. Leave out anything identifying (names, places, contact details) and any details of self-harm.`;
+
+class CoachingMemoryService {
+  constructor() {
+    this.tokenBudget = parseInt(process.env.AI_SUMMARY_TOKEN_BUDGET) || 2000;
+    this.keepRecent = parseInt(process.env.AI_SUMMARY_KEEP_RECENT) || 6;
+    this.maxMemories = parseInt(process.env.AI_MEMORY_MAX_ITEMS) || 50;
+    this.promptMemoryLimit = 12;
+  }
+
+  // Fold older turns into context_summary once the unsummarized part of the
+  // conversation exceeds the token budget, keeping the latest turns verbatim.
+  // The summary lease on the conversation row keeps other instances out meanwhile.
+  async maybeSummarize(conversationId, userId) {
+    const pool = getPool();
+    const conversationResult = await pool.query(`
+      SELECT id, context_summary, summarized_until
+      FROM ai_conversations
+      WHERE id = $1 AND user_id = $2
+    `, [conversationId, userId]);
+
+    const conversation = conversationResult.rows[0];
+    if (!conversation || !await this.pendingMessages(conversation)) {
+      return false;
+    }
+
+    const claimed = await this.claimSummaryLease(conversationId);
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      // Another instance may have summarized between the check and the claim
+      const toSummarize = await this.pendingMessages(claimed);
+      return toSummarize ? await this.summarize(claimed, userId, toSummarize) : false;
+    } finally {
+      await pool.query('UPDATE ai_conversations SET summary_started_at = NULL WHERE id = $1', [conversationId]);
+    }
+  }
+
+  // Turns old enough to fold into the summary, or null while under the budget
+  async pendingMessages(conversation) {
+    const pool = getPool();
+    const pending = await pool.query(`
+      SELECT id, sender, content, created_at
+      FROM conversation_messages
+      WHERE conversation_id = $1
+        AND sender IN ('user', 'assistant')
+        AND ($2::timestamptz IS NULL OR created_at > $2)
+      ORDER BY created_at ASC
+    `, [conversation.id, conversation.summarized_until]);
+
+    const pendingTokens = pending.rows.reduce((sum, msg) => sum + LLMService.estimateTokens(msg.content), 0);
+    if (pendingTokens <= this.tokenBudget || pending.rows.length <= this.keepRecent) {
+      return null;
+    }
+    return pending.rows.slice(0, pending.rows.length - this.keepRecent);
+  }
+
+  // Returns the conversation as of the claim, or null if another instance holds the lease
+  async claimSummaryLease(conversationId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE ai_conversations
+      SET summary_started_at = NOW()
+      WHERE id = $1
+        AND (summary_started_at IS NULL OR summary_started_at < NOW() - make_interval(mins => $2))
+      RETURNING id, context_summary, summarized_until
+    `, [conversationId, SUMMARY_LEASE_MINUTES]);
+
+    return result.rows[0] || null;
+  }
+
+  // Without a usable model summary nothing changes: the turns stay unsummarized
+  // and are retried next time, and no raw user text goes into memory
+  async summarize(conversation, userId, messages) {
+    const pool = getPool();
+    let parsed;
+
+    try {
+      const response = await LLMService.complete({
+        systemPrompt: SUMMARY_PROMPT,
+        messages: [{ role: 'user', content: this.buildSummaryInput(conversation.context_summary, messages) }],
+        maxTokens: 600
+      });
+      parsed = this.parseSummary(response.response);
+
+      await usageService.recordUsage({
+        userId,
+        conversationId: conversation.id,
+        purpose: 'summary',
+        usage: usageService.describeUsage(response)
+      });
+    } catch (error) {
+      logger.error('Conversation summarization failed:', { conversationId: conversation.id, error: error.message });
+      return false;
+    }
+
+    if (!parsed.summary) {
+      logger.warn('Conversation summary unusable, leaving memory unchanged', { conversationId: conversation.id });
+      return false;
+    }
+
+    const summarizedUntil = messages[messages.length - 1].created_at;
+
+    await pool.query(`
+      UPDATE ai_conversations
+      SET context_summary = $1, summarized_until = $2, summary_updated_at = NOW()
+      WHERE id = $3
+    `, [parsed.summary, summarizedUntil, conversation.id]);
+
+    if (parsed.memories.length > 0) {
+      await this.saveMemories(userId, conversation.id, parsed.memories);
+    }
+
+    logger.info('Conversation summarized', {
+      conversationId: conversation.id,
+      messages: messages.length,
+      memories: parsed.memories.length
+    });
+    return true;
+  }
+
+  buildSummaryInput(previousSummary, messages) {
+    const transcript = messages
+      .map(msg => `${msg.sender === 'assistant' ? 'Coach' : 'User'}: ${msg.content}`)
+      .join('\n');
+
+    return `Earlier summary:\n${previousSummary || '(none)'}\n\nNew conversation turns:\n${transcript}`;
+  }
+
+  parseSummary(text) {
+    const start = (text || '').indexOf('{');
+    const end = (text || '').lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      return { summary: null, memories: [] };
+    }
+
+    try {
+      const data = JSON.parse(text.slice(start, end + 1));
+      const summary = typeof data.summary === 'string' && data.summary.trim()
+        ? data.summary.trim().slice(0, 2000)
+        : null;
+      const memories = (Array.isArray(data.memories) ? data.memories : [])
+        .filter(item => item && MEMORY_CATEGORIES.includes(item.category) && typeof item.content === 'string')
+        .map(item => ({ category: item.category, content: item.content.trim().slice(0, 300) }))
+        .filter(item => item.content.length >= 3)
+        .slice(0, 5);
+
+      return { summary, memories };
+    } catch (error) {
+      return { summary: null, memories: [] };
+    }
+  }
+
+  normalize(content) {
+    return content.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  async saveMemories(userId, conversationId, memories) {
+    const pool = getPool();
+
+    for (const memory of memories) {
+      await pool.query(`
+        INSERT INTO user_coaching_memory (
+          user_id, category, content, normalized_content, source_conversation_id
+        ) VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (user_id, category, normalized_content)
+        DO UPDATE SET
+          content = EXCLUDED.content,
+          source_conversation_id = EXCLUDED.source_conversation_id,
+          mention_count = user_coaching_memory.mention_count + 1,
+          last_reinforced_at = NOW()
+      `, [userId, memory.category, memory.content, this.normalize(memory.content), conversationId]);
+    }
+
+    // Keep memory bounded, dropping what was least recently reinforced
+    await pool.query(`
+      DELETE FROM user_coaching_memory
+      WHERE id IN (
+        SELECT id FROM user_coaching_memory
+        WHERE user_id = $1
+        ORDER BY last_reinforced_at DESC
+        OFFSET $2
+      )
+    `, [userId, this.maxMemories]);
+
+    await this.refreshLongTermSummary(conversationId);
+  }
+
+  // long_term_summary mirrors the memory items that came from a conversation,
+  // so deleting an item also removes it from the stored summary
+  async refreshLongTermSummary(conversationId) {
+    if (!conversationId) return;
+
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT category, content
+      FROM user_coaching_memory
+      WHERE source_conversation_id = $1
+      ORDER BY created_at ASC
+    `, [conversationId]);
+
+    const summary = result.rows.length > 0
+      ? result.rows.map(row => `- ${row.category}: ${row.content}`).join('\n')
+      : null;
+
+    await pool.query(`
+      UPDATE ai_conversations SET long_term_summary = $1 WHERE id = $2
+    `, [summary, conversationId]);
+  }
+
+  async getPromptMemory(userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT category, content
+      FROM user_coaching_memory
+      WHERE user_id = $1
+      ORDER BY mention_count DESC, last_reinforced_at DESC
+      LIMIT $2
+    `, [userId, this.promptMemoryLimit]);
+
+    return result.rows;
+  }
+
+  async listMemory(userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT id, category, content, source_conversation_id, mention_count,
+        last_reinforced_at, created_at
+      FROM user_coaching_memory
+      WHERE user_id = $1
+      ORDER BY category, last_reinforced_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      category: row.category,
+      content: row.content,
+      sourceConversationId: row.source_conversation_id,
+      mentionCount: row.mention_count,
+      lastReinforcedAt: row.last_reinforced_at,
+      createdAt: row.created_at
+    }));
+  }
+
+  async deleteMemory(userId, memoryId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      DELETE FROM user_coaching_memory
+      WHERE id = $1 AND user_id = $2
+      RETURNING source_conversation_id
+    `, [memoryId, userId]);
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await this.refreshLongTermSummary(result.rows[0].source_conversation_id);
+    return true;
+  }
+
+  async clearMemory(userId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'DELETE FROM user_coaching_memory WHERE user_id = $1',
+      [userId]
+    );
+
+    await pool.query(`
+      UPDATE ai_conversations SET long_term_summary = NULL WHERE user_id = $1
+    `, [userId]);
+
+    return result.rowCount;
+  }
+}
+
+module.exports = new CoachingMemoryService();
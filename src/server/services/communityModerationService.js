@@ -0,0 +1,428 @@
+const { getPool } = require('../config/database');
+const { createDefaultClassifiers } = require('./moderationClassifiers');
+const groupService = require('./groupService');
+const groupMessageService = require('./groupMessageService');
+const trustService = require('./trustService');
+const sanctionService = require('./sanctionService');
+const reportService = require('./reportService');
+const { logger, logSecurityEvent } = require('../utils/logger');
+
+// Scores at or above `hold` send a message to the group's moderator queue; at or
+// above `reject` it is rejected outright. A null reject means never auto-reject:
+// someone posting about self-harm needs support, not a silent rejection.
+const DEFAULT_THRESHOLDS = {
+  harassment: { hold: 0.5, reject: 0.9 },
+  self_harm: { hold: 0.5, reject: null },
+  spam: { hold: 0.5, reject: 0.9 },
+  pii: { hold: 0.5, reject: null }
+};
+
+const NEVER_REJECT = ['self_harm'];
+// Highest hold a group may set. Groups can hold self-harm posts sooner, but not
+// raise the bar so far that posts asking for help never reach a moderator.
+const MAX_HOLD = { self_harm: DEFAULT_THRESHOLDS.self_harm.hold };
+const RECENT_MESSAGE_WINDOW_MINUTES = 10;
+// Pending this long means moderation died part way (e.g. a restart); hold it instead
+const STALE_PENDING_MINUTES = 5;
+
+// Moderation for community group messages. Each message is stored as pending,
+// scored by the classifiers (see moderationClassifiers/) and then approved, held
+// for a group moderator ('flagged') or rejected by the group's thresholds. The
+// sender hears about every status change over their socket room. Members on a
+// message hold or with a low trust score have everything held, and each final
+// decision feeds their trust score (rejections are strikes; see sanctionService).
+// A message whose moderation fails, or never finishes, is held for a moderator
+// with the reason moderation_error rather than left pending.
+class CommunityModerationService {
+  constructor() {
+    this.classifiers = null;
+    this.categories = Object.keys(DEFAULT_THRESHOLDS);
+  }
+
+  getClassifiers() {
+    if (!this.classifiers) {
+      this.classifiers = createDefaultClassifiers();
+    }
+    return this.classifiers;
+  }
+
+  // Add a classifier, replacing any for the same category
+  registerClassifier(classifier) {
+    this.classifiers = [
+      ...this.getClassifiers().filter(existing => existing.category !== classifier.category),
+      classifier
+    ];
+  }
+
+  // Group settings merged over the defaults
+  resolveThresholds(moderationSettings = {}) {
+    const custom = (moderationSettings && moderationSettings.thresholds) || {};
+    return Object.keys(DEFAULT_THRESHOLDS).reduce((acc, category) => {
+      acc[category] = { ...DEFAULT_THRESHOLDS[category], ...(custom[category] || {}) };
+      if (NEVER_REJECT.includes(category)) {
+        acc[category].reject = null;
+      }
+      if (MAX_HOLD[category] !== undefined) {
+        acc[category].hold = Math.min(acc[category].hold, MAX_HOLD[category]);
+      }
+      return acc;
+    }, {});
+  }
+
+  // Run every enabled classifier. One that fails holds the message rather than
+  // letting it through unchecked.
+  async classify(text, context = {}) {
+    const results = await Promise.all(this.getClassifiers()
+      .filter(classifier => classifier.enabled)
+      .map(classifier => classifier.classify(text, context).catch(error => {
+        logger.error('Moderation classifier failed:', { category: classifier.category, error: error.message });
+        return { category: classifier.category, score: null, labels: ['classifier_error'] };
+      })));
+
+    return results;
+  }
+
+  // 'rejected' if any score reaches its reject threshold, 'flagged' (held) if any
+  // reaches hold or a classifier failed, otherwise 'approved'
+  decide(results, thresholds) {
+    const reasons = [];
+    let decision = 'approved';
+
+    results.forEach(result => {
+      const threshold = thresholds[result.category] || { hold: 0.5, reject: null };
+      if (result.score === null) {
+        reasons.push(`${result.category}.classifier_error`);
+        if (decision === 'approved') decision = 'flagged';
+      } else if (threshold.reject !== null && result.score >= threshold.reject) {
+        reasons.push(`${result.category}.reject`);
+        decision = 'rejected';
+      } else if (result.score >= threshold.hold) {
+        reasons.push(`${result.category}.hold`);
+        if (decision === 'approved') decision = 'flagged';
+      }
+    });
+
+    return { decision, reasons };
+  }
+
+  // Moderate a newly stored message without holding up the request that sent it.
+  // If moderation fails the message is held; flagStalePending catches it if even
+  // that fails.
+  submit(message, sender) {
+    return this.moderate(message, sender)
+      .catch(error => {
+        logger.error('Message moderation failed:', { messageId: message.id, error: error.message });
+        return this.holdAfterError(message);
+      })
+      .catch(error => {
+        logger.error('Failed to hold message after moderation error:', { messageId: message.id, error: error.message });
+      });
+  }
+
+  // Send a message that couldn't be moderated to the moderator queue
+  async holdAfterError(message) {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE group_messages
+      SET moderation_status = 'flagged',
+        moderation_metadata = moderation_metadata || $2::jsonb
+      WHERE id = $1 AND moderation_status = 'pending'
+      RETURNING id
+    `, [message.id, JSON.stringify({
+      classification: { scores: {}, reasons: ['moderation_error'], classifiedAt: new Date().toISOString() }
+    })]);
+
+    if (result.rows.length === 0) return;
+
+    logSecurityEvent('community_message_moderation_failed', {
+      userId: message.sender.id,
+      groupId: message.groupId,
+      messageId: message.id
+    });
+    groupMessageService.notifySender({ ...message, moderationStatus: 'flagged' }, { reason: 'automated_review' });
+  }
+
+  // Hold messages left pending by moderation that never finished. Returns how many.
+  async flagStalePending() {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE group_messages m
+      SET moderation_status = 'flagged',
+        moderation_metadata = m.moderation_metadata || $2::jsonb
+      FROM users u
+      WHERE m.user_id = u.id AND m.moderation_status = 'pending'
+        AND m.created_at < NOW() - make_interval(mins => $1)
+      RETURNING m.id, m.group_id, m.user_id, m.message_content, m.message_type,
+        m.moderation_status, m.edited_at, m.created_at, u.first_name, u.last_name
+    `, [STALE_PENDING_MINUTES, JSON.stringify({
+      classification: { scores: {}, reasons: ['moderation_error'], classifiedAt: new Date().toISOString() }
+    })]);
+
+    result.rows.forEach(row => {
+      const message = groupMessageService.formatMessage(row);
+      logSecurityEvent('community_message_moderation_failed', {
+        userId: message.sender.id,
+        groupId: message.groupId,
+        messageId: message.id,
+        stale: true
+      });
+      groupMessageService.notifySender(message, { reason: 'automated_review' });
+    });
+    return result.rows.length;
+  }
+
+  async moderate(message, sender) {
+    const pool = getPool();
+    const [groupResult, recentResult, standing] = await Promise.all([
+      pool.query('SELECT moderation_settings FROM groups WHERE id = $1', [message.groupId]),
+      pool.query(`
+        SELECT message_content, created_at
+        FROM group_messages
+        WHERE user_id = $1 AND id <> $2
+          AND created_at >= NOW() - make_interval(mins => $3)
+        ORDER BY created_at DESC
+        LIMIT 20
+      `, [sender.id, message.id, RECENT_MESSAGE_WINDOW_MINUTES]),
+      sanctionService.getStanding(sender.id)
+    ]);
+
+    const thresholds = this.resolveThresholds(groupResult.rows[0] && groupResult.rows[0].moderation_settings);
+    const results = await this.classify(message.content, {
+      sender,
+      groupId: message.groupId,
+      messageId: message.id,
+      recentMessages: recentResult.rows.map(row => ({ content: row.message_content, createdAt: row.created_at }))
+    });
+    let { decision, reasons } = this.decide(results, thresholds);
+
+    // Clean messages still wait for a moderator while the sender is on a hold
+    const holdReason = this.holdReason(standing);
+    if (decision === 'approved' && holdReason) {
+      decision = 'flagged';
+      reasons = [...reasons, holdReason];
+    }
+
+    const scores = results.reduce((acc, result) => {
+      acc[result.category] = { score: result.score, labels: result.labels };
+      return acc;
+    }, {});
+    const maxScore = Math.max(0, ...results.map(result => result.score || 0));
+
+    const updated = await pool.query(`
+      UPDATE group_messages
+      SET moderation_status = $2,
+        ai_risk_score = $3,
+        moderation_metadata = moderation_metadata || $4::jsonb
+      WHERE id = $1 AND moderation_status = 'pending'
+      RETURNING id
+    `, [message.id, decision, maxScore, JSON.stringify({
+      classification: { scores, reasons, thresholds, classifiedAt: new Date().toISOString() }
+    })]);
+
+    // A moderator may already have decided while classifiers were running
+    if (updated.rows.length === 0) return;
+
+    if (decision !== 'approved') {
+      logSecurityEvent('community_message_moderated', {
+        userId: sender.id,
+        groupId: message.groupId,
+        messageId: message.id,
+        decision,
+        reasons
+      });
+    }
+
+    const outcome = { ...message, moderationStatus: decision };
+    groupMessageService.notifySender(outcome, { reason: decision === 'approved' ? null : 'automated_review' });
+    if (decision === 'approved') {
+      await groupMessageService.broadcast(outcome);
+    }
+    await this.recordOutcome(outcome);
+
+    // Only the sender sees this, never the group
+    const crisis = results.find(result => result.crisisSupport);
+    if (crisis) {
+      groupMessageService.sendCrisisSupport(sender.id, { messageId: message.id, ...crisis.crisisSupport });
+    }
+  }
+
+  holdReason(standing) {
+    if (!standing) return null;
+    if (sanctionService.hasMessageHold(standing.sanctions)) return 'sanction.message_hold';
+    if (standing.lowTrust) return 'trust.low';
+    return null;
+  }
+
+  // Feed a final decision into the sender's trust score; a rejection is a strike
+  // and moves them up the sanctions ladder. Never fails the caller.
+  async recordOutcome(message) {
+    const source = { sourceType: 'group_message', sourceId: message.id, groupId: message.groupId };
+    try {
+      if (message.moderationStatus === 'approved') {
+        await trustService.recordEvent(getPool(), message.sender.id, 'message_approved', source);
+      } else if (message.moderationStatus === 'rejected') {
+        await sanctionService.recordStrike(message.sender.id, 'message_rejected', {
+          ...source,
+          reason: 'Group message rejected by moderation'
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to record moderation outcome:', { messageId: message.id, error: error.message });
+    }
+  }
+
+  // Held messages for a group, plus visible ones members have reported and any
+  // still pending past STALE_PENDING_MINUTES, oldest first, with what the
+  // classifiers and reporters found
+  async listQueue(groupId, { limit = 50 } = {}) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT m.id, m.user_id, m.message_content, m.message_type, m.moderation_status,
+        m.ai_risk_score, m.moderation_metadata, m.created_at, u.first_name, u.last_name,
+        r.report_count, r.report_categories
+      FROM group_messages m
+      JOIN users u ON m.user_id = u.id
+      CROSS JOIN LATERAL (
+        SELECT COUNT(*)::int as report_count, array_agg(DISTINCT ur.category) as report_categories
+        FROM user_reports ur
+        WHERE ur.subject_type = 'group_message' AND ur.subject_id = m.id AND ur.status = 'open'
+      ) r
+      WHERE m.group_id = $1
+        AND (
+          m.moderation_status = 'flagged'
+          OR (m.moderation_status = 'approved' AND r.report_count > 0)
+          OR (m.moderation_status = 'pending' AND m.created_at < NOW() - make_interval(mins => $3))
+        )
+      ORDER BY m.created_at ASC
+      LIMIT $2
+    `, [groupId, limit, STALE_PENDING_MINUTES]);
+
+    return result.rows.map(row => {
+      const classification = (row.moderation_metadata || {}).classification || {};
+      return {
+        id: row.id,
+        senderId: row.user_id,
+        senderName: groupService.formatMemberName(row.first_name, row.last_name),
+        content: row.message_content,
+        messageType: row.message_type,
+        moderationStatus: row.moderation_status,
+        reports: {
+          count: row.report_count,
+          categories: row.report_categories || []
+        },
+        riskScore: row.ai_risk_score !== null ? parseFloat(row.ai_risk_score) : null,
+        reasons: classification.reasons || [],
+        scores: classification.scores || {},
+        createdAt: row.created_at
+      };
+    });
+  }
+
+  // A moderator's call on a held (or still pending) message, or on a visible one
+  // that has been reported. Open reports on it are upheld by a rejection and
+  // dismissed by an approval. Returns { message }, or { error } when it's not
+  // awaiting review in this group or the moderator sent it.
+  async review(groupId, messageId, moderator, { decision, note = null }) {
+    const pool = getPool();
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+
+    const result = await pool.query(`
+      WITH previous AS (
+        SELECT id, moderation_status
+        FROM group_messages
+        WHERE id = $1 AND group_id = $2
+        FOR UPDATE
+      )
+      UPDATE group_messages m
+      SET moderation_status = $3,
+        human_reviewed = TRUE,
+        reviewed_by = $4,
+        reviewed_at = NOW(),
+        moderation_metadata = m.moderation_metadata || $5::jsonb
+      FROM previous p, users u
+      WHERE m.id = p.id AND m.user_id = u.id
+        AND m.user_id <> $4
+        AND (
+          p.moderation_status IN ('pending', 'flagged')
+          OR (p.moderation_status = 'approved' AND EXISTS (
+            SELECT 1 FROM user_reports r
+            WHERE r.subject_type = 'group_message' AND r.subject_id = m.id AND r.status = 'open'
+          ))
+        )
+      RETURNING m.id, m.group_id, m.user_id, m.message_content, m.message_type,
+        m.moderation_status, m.edited_at, m.created_at, u.first_name, u.last_name,
+        p.moderation_status as previous_status
+    `, [messageId, groupId, status, moderator.id, JSON.stringify({
+      review: { decision: status, note, reviewedBy: moderator.id, reviewedAt: new Date().toISOString() }
+    })]);
+
+    if (result.rows.length === 0) {
+      return { error: await this.unreviewableReason(groupId, messageId, moderator) };
+    }
+
+    const message = groupMessageService.formatMessage(result.rows[0]);
+    const wasVisible = result.rows[0].previous_status === 'approved';
+    await reportService.resolveForMessage(message.id, moderator, {
+      status: status === 'rejected' ? 'upheld' : 'dismissed',
+      note
+    });
+
+    groupMessageService.notifySender(message, { reason: 'moderator_review' });
+    if (status === 'approved' && !wasVisible) {
+      await groupMessageService.broadcast(message);
+    } else if (status === 'rejected' && wasVisible) {
+      groupMessageService.withdraw(message);
+    }
+    await this.recordOutcome(message);
+    return { message };
+  }
+
+  // Why review() changed nothing: nobody reviews their own message, including
+  // a reported one they already approved
+  async unreviewableReason(groupId, messageId, moderator) {
+    const pool = getPool();
+    const result = await pool.query(
+      'SELECT user_id FROM group_messages WHERE id = $1 AND group_id = $2',
+      [messageId, groupId]
+    );
+    return result.rows[0] && result.rows[0].user_id === moderator.id ? 'own_message' : 'not_found';
+  }
+
+  async getSettings(groupId) {
+    const pool = getPool();
+    const result = await pool.query('SELECT moderation_settings FROM groups WHERE id = $1', [groupId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return { thresholds: this.resolveThresholds(result.rows[0].moderation_settings) };
+  }
+
+  // Replace the group's custom thresholds. Returns the resolved settings, or
+  // { errors } when a hold threshold is above its reject threshold or the
+  // platform maximum.
+  async updateSettings(groupId, thresholds) {
+    const merged = this.resolveThresholds({ thresholds });
+    const errors = [
+      ...Object.entries(thresholds)
+        .filter(([category, threshold]) => MAX_HOLD[category] !== undefined && threshold.hold > MAX_HOLD[category])
+        .map(([category]) => `${category}: hold must be at most ${MAX_HOLD[category]}`),
+      ...Object.entries(merged)
+        .filter(([, threshold]) => threshold.reject !== null && threshold.hold > threshold.reject)
+        .map(([category]) => `${category}: hold must not be above reject`)
+    ];
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const pool = getPool();
+    await pool.query(`
+      UPDATE groups
+      SET moderation_settings = moderation_settings || $2::jsonb, updated_at = NOW()
+      WHERE id = $1
+    `, [groupId, JSON.stringify({ thresholds: merged })]);
+
+    return { settings: { thresholds: merged } };
+  }
+}
+
+module.exports = new CommunityModerationService();
@@ -0,0 +1,373 @@
+const { getPool } = require('../config/database');
+const { LLMService } = require('./llmService');
+const coachingMemoryService = require('./coachingMemoryService');
+const usageService = require('./usageService');
+const promptTemplateService = require('./promptTemplateService');
+const feedbackService = require('./feedbackService');
+const { getDefaultModel } = require('./crisisRiskModel');
+const { logger, logUserAction } = require('../utils/logger');
+
+class ConversationService {
+  constructor() {
+    this.historyLimit = parseInt(process.env.AI_HISTORY_LIMIT) || 20;
+  }
+
+  // Runs one coaching turn end to end. Passing handlers.onToken streams the reply;
+  // handlers.onStart fires once the conversation and user message are stored.
+  async processMessage(user, { message, conversationId }, handlers = {}) {
+    const conversation = await this.getOrCreateConversation(user.id, conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    // Load prior turns before storing the new one so it isn't sent to the model twice.
+    // Turns already folded into context_summary are represented by the summary instead.
+    const [conversationHistory, userContext, longTermMemory, quota, promptTemplate] = await Promise.all([
+      this.getHistory(conversation.id, conversation.summarized_until),
+      this.buildUserContext(user),
+      coachingMemoryService.getPromptMemory(user.id),
+      usageService.reserveQuota(user),
+      promptTemplateService.resolveForUser(user.id)
+    ]);
+    const staticPractice = quota.allowed ? null : usageService.getStaticPractice();
+
+    // Persist the user's turn first so it survives a failed generation
+    const userMessage = await this.addMessage(conversation.id, {
+      sender: 'user',
+      content: message,
+      tokenCount: LLMService.estimateTokens(message)
+    });
+
+    if (handlers.onStart) {
+      handlers.onStart({ conversationId: conversation.id, userMessageId: userMessage.id });
+    }
+
+    let result;
+    try {
+      result = await LLMService.generateResponse(
+        {
+          conversationHistory,
+          userContext,
+          longTermMemory,
+          conversationSummary: conversation.context_summary,
+          promptTemplate,
+          reviewContext: { conversationId: conversation.id, messageId: userMessage.id }
+        },
+        message,
+        { onToken: handlers.onToken, staticPractice }
+      );
+    } catch (error) {
+      await usageService.releaseReservation(quota.reservationId);
+      throw error;
+    }
+
+    const riskSignals = this.buildRiskSignals(result);
+    const requiresHumanReview = !!result.requiresIntervention;
+    if (riskSignals.severity > 0) {
+      await this.updateMessageRisk(userMessage.id, riskSignals, requiresHumanReview);
+    }
+
+    const usage = usageService.describeUsage(result);
+    const assistantMessage = await this.addMessage(conversation.id, {
+      sender: 'assistant',
+      content: result.response,
+      citations: result.citations || [],
+      tokenCount: result.tokens || 0,
+      usage,
+      promptTemplate,
+      responseSource: this.responseSource(result),
+      fallbackReason: result.isFallback ? result.reason || null : null
+    });
+
+    await this.addTokenUsage(conversation.id, result.tokens);
+    await usageService.recordUsage({
+      userId: user.id,
+      conversationId: conversation.id,
+      messageId: assistantMessage.id,
+      usage,
+      reservationId: quota.reservationId
+    });
+
+    // Summarize in the background so the reply isn't held up
+    coachingMemoryService.maybeSummarize(conversation.id, user.id).catch(error => {
+      logger.error('Conversation summary update failed:', { conversationId: conversation.id, error: error.message });
+    });
+
+    feedbackService.refreshConversationMetrics(conversation.id).catch(error => {
+      logger.error('Conversation quality metrics update failed:', { conversationId: conversation.id, error: error.message });
+    });
+
+    logUserAction(user.id, 'ai_coach_message', 'ai_conversation', {
+      conversationId: conversation.id,
+      streamed: !!handlers.onToken,
+      isFallback: !!result.isFallback,
+      quotaExceeded: quota.exceeded,
+      promptVersion: promptTemplate.promptVersion,
+      requiresHumanReview
+    });
+
+    return {
+      response: result.response,
+      conversationId: conversation.id,
+      userMessageId: userMessage.id,
+      messageId: assistantMessage.id,
+      citations: result.citations || [],
+      resources: result.resources || [],
+      resourceLocale: result.resourceLocale || null,
+      safetyPlan: result.safetyPlan || null,
+      guardrail: result.guardrail || null,
+      isFallback: !!result.isFallback,
+      quotaExceeded: quota.exceeded,
+      practice: staticPractice,
+      promptVersion: promptTemplate.promptVersion,
+      requiresHumanReview
+    };
+  }
+
+  responseSource(result) {
+    if (result.requiresIntervention) return 'crisis';
+    if (result.reason === 'quota_exceeded') return 'quota';
+    if (result.isFallback) return 'fallback';
+    return 'model';
+  }
+
+  // Map a crisis assessment onto the risk_signals shape indexed by the schema
+  // (severity: 0 none, 1 monitoring, 2 medium, 3 high)
+  buildRiskSignals(result) {
+    const riskScore = result.riskScore || 0;
+    let severity = 0;
+    if (result.requiresIntervention) severity = 3;
+    else if (riskScore >= getDefaultModel().thresholds.medium) severity = 2;
+    else if (result.monitoring) severity = 1;
+
+    return {
+      riskScore,
+      severity,
+      escalation: result.escalation || null,
+      rulesVersion: result.rulesVersion || null,
+      // Strongest few signals are enough for reviewers to see why it was flagged
+      explanations: (result.explanations || []).filter(item => item.contribution > 0).slice(0, 5)
+    };
+  }
+
+  async getOrCreateConversation(userId, conversationId) {
+    const pool = getPool();
+
+    if (conversationId) {
+      const result = await pool.query(`
+        SELECT * FROM ai_conversations
+        WHERE id = $1 AND user_id = $2
+      `, [conversationId, userId]);
+
+      // Returning null lets the route answer 404 without leaking other users' IDs
+      return result.rows[0] || null;
+    }
+
+    const result = await pool.query(`
+      INSERT INTO ai_conversations (user_id, session_start)
+      VALUES ($1, NOW())
+      RETURNING *
+    `, [userId]);
+
+    logger.info('AI conversation started', { userId, conversationId: result.rows[0].id });
+    return result.rows[0];
+  }
+
+  async getHistory(conversationId, summarizedUntil = null, limit = this.historyLimit) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT id, sender, content, created_at
+      FROM (
+        SELECT id, sender, content, created_at
+        FROM conversation_messages
+        WHERE conversation_id = $1
+          AND sender IN ('user', 'assistant')
+          AND ($2::timestamptz IS NULL OR created_at > $2)
+        ORDER BY created_at DESC
+        LIMIT $3
+      ) recent
+      ORDER BY created_at ASC
+    `, [conversationId, summarizedUntil, limit]);
+
+    return result.rows;
+  }
+
+  async addMessage(conversationId, message) {
+    const pool = getPool();
+    const {
+      sender,
+      content,
+      citations = [],
+      tokenCount = 0,
+      riskSignals = {},
+      flaggedForReview = false,
+      usage = null,
+      promptTemplate = null,
+      responseSource = null,
+      fallbackReason = null
+    } = message;
+
+    const result = await pool.query(`
+      INSERT INTO conversation_messages (
+        conversation_id, sender, content, citations, token_count,
+        risk_signals, flagged_for_review, provider, model,
+        input_tokens, output_tokens, cost_usd, prompt_template_id,
+        prompt_version, prompt_experiment_id, prompt_experiment_arm,
+        response_source, fallback_reason
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      RETURNING id, created_at
+    `, [
+      conversationId,
+      sender,
+      content,
+      JSON.stringify(citations),
+      tokenCount,
+      JSON.stringify(riskSignals),
+      flaggedForReview,
+      usage ? usage.provider : null,
+      usage ? usage.model : null,
+      usage ? usage.inputTokens : null,
+      usage ? usage.outputTokens : null,
+      usage ? usage.costUsd : null,
+      promptTemplate ? promptTemplate.id : null,
+      promptTemplate ? promptTemplate.promptVersion : null,
+      promptTemplate ? promptTemplate.experimentId : null,
+      promptTemplate ? promptTemplate.arm : null,
+      responseSource,
+      fallbackReason
+    ]);
+
+    return result.rows[0];
+  }
+
+  async updateMessageRisk(messageId, riskSignals, flaggedForReview) {
+    const pool = getPool();
+    await pool.query(`
+      UPDATE conversation_messages
+      SET risk_signals = $1, flagged_for_review = $2
+      WHERE id = $3
+    `, [JSON.stringify(riskSignals), flaggedForReview, messageId]);
+  }
+
+  async addTokenUsage(conversationId, tokens) {
+    if (!tokens) return;
+
+    const pool = getPool();
+    await pool.query(`
+      UPDATE ai_conversations
+      SET total_tokens_used = COALESCE(total_tokens_used, 0) + $1
+      WHERE id = $2
+    `, [tokens, conversationId]);
+  }
+
+  async buildUserContext(user) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT
+        u.profile_data,
+        u.timezone,
+        (SELECT COUNT(*) FROM user_progress
+          WHERE user_id = u.id AND completed_at IS NOT NULL) as completed_lessons,
+        (SELECT MAX(updated_at) FROM user_progress
+          WHERE user_id = u.id) as last_activity
+      FROM users u
+      WHERE u.id = $1
+    `, [user.id]);
+
+    const row = result.rows[0] || {};
+    const completedLessons = parseInt(row.completed_lessons) || 0;
+
+    // Prior flagged messages feed the crisis detector's history signal
+    const riskHistory = await pool.query(`
+      SELECT cm.risk_signals, cm.created_at
+      FROM conversation_messages cm
+      JOIN ai_conversations ac ON cm.conversation_id = ac.id
+      WHERE ac.user_id = $1 AND cm.flagged_for_review = TRUE
+      ORDER BY cm.created_at DESC
+      LIMIT 5
+    `, [user.id]);
+
+    return {
+      userId: user.id,
+      completedLessons,
+      currentLevel: this.deriveLevel(completedLessons),
+      recentActivity: this.describeRecentActivity(row.last_activity),
+      preferences: user.preferences || {},
+      // Crisis resources are localized from preferences, this, or the timezone
+      country: (row.profile_data && row.profile_data.country) || null,
+      timezone: row.timezone || 'UTC',
+      riskHistory: riskHistory.rows
+    };
+  }
+
+  deriveLevel(completedLessons) {
+    if (completedLessons >= 20) return 'advanced';
+    if (completedLessons >= 5) return 'intermediate';
+    return 'beginner';
+  }
+
+  describeRecentActivity(lastActivity) {
+    if (!lastActivity) return 'none';
+
+    const daysSince = (Date.now() - new Date(lastActivity).getTime()) / (24 * 60 * 60 * 1000);
+    if (daysSince <= 7) return 'active';
+    if (daysSince <= 14) return 'occasional';
+    return 'declined';
+  }
+
+  async listConversations(userId, limit = 20, offset = 0) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT
+        ac.id, ac.session_start, ac.session_end, ac.total_tokens_used, ac.created_at,
+        COUNT(cm.id) as message_count,
+        MAX(cm.created_at) as last_message_at
+      FROM ai_conversations ac
+      LEFT JOIN conversation_messages cm ON cm.conversation_id = ac.id
+      WHERE ac.user_id = $1
+      GROUP BY ac.id
+      ORDER BY COALESCE(MAX(cm.created_at), ac.created_at) DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      sessionStart: row.session_start,
+      sessionEnd: row.session_end,
+      totalTokensUsed: row.total_tokens_used,
+      messageCount: parseInt(row.message_count),
+      lastMessageAt: row.last_message_at,
+      createdAt: row.created_at
+    }));
+  }
+
+  async getConversationMessages(conversationId) {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT cm.id, cm.sender, cm.content, cm.citations, cm.token_count, cm.created_at,
+        f.rating, f.feedback, f.reasons
+      FROM conversation_messages cm
+      LEFT JOIN ai_message_feedback f ON f.message_id = cm.id
+      WHERE cm.conversation_id = $1
+      ORDER BY cm.created_at ASC
+    `, [conversationId]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      sender: row.sender,
+      content: row.content,
+      citations: row.citations,
+      tokenCount: row.token_count,
+      feedback: row.rating
+        ? { rating: row.rating, feedback: row.feedback, reasons: row.reasons }
+        : null,
+      createdAt: row.created_at
+    }));
+  }
+}
+
+module.exports = new ConversationService();
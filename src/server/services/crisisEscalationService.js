@@ -0,0 +1,304 @@
+const { getPool } = require('../config/database');
+const { createDefaultNotifiers } = require('./crisisNotifiers');
+const crisisReviewService = require('./crisisReviewService');
+const { logger, logSecurityEvent } = require('../utils/logger');
+
+const REVIEWER_ROOM = 'crisis-reviewers';
+
+// Pushes high-risk review items to reviewers: live to connected coach sockets and
+// through each on-call coach's notifier channels. Unacknowledged items are re-paged
+// on an interval, widening to admins, until someone claims or acknowledges them.
+class CrisisEscalationService {
+  constructor() {
+    this.io = null;
+    this.notifiers = null;
+    this.pageIntervalMinutes = parseInt(process.env.CRISIS_PAGE_INTERVAL_MINUTES) || 5;
+    this.maxPages = parseInt(process.env.CRISIS_MAX_PAGES) || 4;
+    this.consoleBaseUrl = `${process.env.CLIENT_URL || ''}/crisis-review`;
+    this.reviewerRoom = REVIEWER_ROOM;
+  }
+
+  attach(io) {
+    this.io = io;
+  }
+
+  getNotifiers() {
+    if (!this.notifiers) {
+      this.notifiers = createDefaultNotifiers();
+    }
+    return this.notifiers;
+  }
+
+  // Replace or add a channel (e.g. a different SMS gateway)
+  registerNotifier(notifier) {
+    this.getNotifiers().set(notifier.name, notifier);
+  }
+
+  // Page reviewers about an item. reason is 'queued', 'repage' or 'escalated'.
+  async page(itemId, reason = 'queued') {
+    const pool = getPool();
+    const itemResult = await pool.query(`
+      UPDATE human_review_queue
+      SET page_count = page_count + 1,
+        last_paged_at = NOW(),
+        next_page_at = CASE WHEN page_count + 1 < $2 THEN NOW() + make_interval(mins => $3) ELSE NULL END,
+        updated_at = NOW()
+      WHERE id = $1 AND acknowledged_at IS NULL AND status IN ('pending', 'escalated')
+      RETURNING id, priority, risk_score, sla_due_at, status, page_count, created_at
+    `, [itemId, this.maxPages, this.pageIntervalMinutes]);
+
+    const item = itemResult.rows[0];
+    if (!item) {
+      return null;
+    }
+
+    const alert = {
+      itemId: item.id,
+      priority: item.priority,
+      riskScore: item.risk_score !== null ? parseFloat(item.risk_score) : null,
+      status: item.status,
+      slaDueAt: item.sla_due_at,
+      page: item.page_count,
+      reason,
+      queuedAt: item.created_at,
+      consoleUrl: `${this.consoleBaseUrl}/${item.id}`
+    };
+
+    const events = [crisisReviewService.timelineEvent('paged', { page: alert.page, reason })];
+
+    if (this.io) {
+      const sockets = await this.io.in(REVIEWER_ROOM).fetchSockets();
+      this.io.to(REVIEWER_ROOM).emit('crisis:alert', alert);
+      events.push(crisisReviewService.timelineEvent('notified', {
+        channel: 'socket',
+        status: sockets.length > 0 ? 'sent' : 'no_recipients',
+        recipients: sockets.length
+      }));
+    }
+
+    const recipients = await this.getRecipients(reason, alert.page);
+    if (recipients.length === 0) {
+      logSecurityEvent('crisis_escalation_no_recipients', { itemId: item.id, page: alert.page });
+    }
+
+    const deliveries = await this.fanOut(recipients, alert);
+    events.push(...deliveries);
+
+    await crisisReviewService.appendTimeline(item.id, events);
+
+    logSecurityEvent('crisis_escalation_paged', {
+      itemId: item.id,
+      priority: item.priority,
+      page: alert.page,
+      reason,
+      recipients: recipients.length
+    });
+
+    if (alert.page >= this.maxPages) {
+      logSecurityEvent('crisis_escalation_exhausted', { itemId: item.id, pages: alert.page });
+    }
+
+    return alert;
+  }
+
+  // First page goes to on-call coaches; re-pages add admins. Items escalated by a
+  // reviewer go to admins only. If nobody is on call, admins are paged straight away.
+  async getRecipients(reason, page) {
+    const pool = getPool();
+    const includeOnCall = reason !== 'escalated';
+
+    const onCall = includeOnCall
+      ? (await pool.query(`
+          SELECT u.id, u.email, u.phone, oc.channels
+          FROM crisis_on_call oc
+          JOIN users u ON oc.user_id = u.id
+          WHERE oc.is_active = TRUE AND u.is_active = TRUE AND u.deleted_at IS NULL
+        `)).rows
+      : [];
+
+    if (includeOnCall && page === 1 && onCall.length > 0) {
+      return onCall;
+    }
+
+    const admins = await pool.query(`
+      SELECT u.id, u.email, u.phone, COALESCE(oc.channels, '{email}') as channels
+      FROM users u
+      JOIN user_roles ur ON u.role_id = ur.id
+      LEFT JOIN crisis_on_call oc ON oc.user_id = u.id
+      WHERE ur.name = 'admin' AND u.is_active = TRUE AND u.deleted_at IS NULL
+    `);
+
+    const recipients = new Map(onCall.map(recipient => [recipient.id, recipient]));
+    admins.rows.forEach(admin => {
+      if (!recipients.has(admin.id)) recipients.set(admin.id, admin);
+    });
+    return Array.from(recipients.values());
+  }
+
+  // Deliver to every recipient on each of their channels; one failing channel
+  // doesn't stop the others
+  async fanOut(recipients, alert) {
+    const notifiers = this.getNotifiers();
+    const deliveries = [];
+
+    recipients.forEach(recipient => {
+      recipient.channels.forEach(channel => {
+        const notifier = notifiers.get(channel);
+        if (!notifier || !notifier.canReach(recipient)) {
+          deliveries.push(Promise.resolve({ channel, recipientId: recipient.id, status: 'unreachable' }));
+          return;
+        }
+
+        deliveries.push(
+          notifier.send(recipient, alert)
+            .then(result => ({ channel, recipientId: recipient.id, status: result.status }))
+            .catch(error => {
+              logger.error('Crisis page delivery failed:', { channel, recipientId: recipient.id, itemId: alert.itemId, error: error.message });
+              return { channel, recipientId: recipient.id, status: 'failed', error: error.message };
+            })
+        );
+      });
+    });
+
+    const results = await Promise.all(deliveries);
+    return results.map(result => crisisReviewService.timelineEvent('notified', { page: alert.page, ...result }));
+  }
+
+  // Stop paging for an item without claiming it (e.g. "I'm on it" from a phone)
+  async acknowledge(itemId, user, via = 'api') {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE human_review_queue
+      SET acknowledged_by = $2,
+        acknowledged_at = NOW(),
+        next_page_at = NULL,
+        timeline = timeline || $3::jsonb,
+        updated_at = NOW()
+      WHERE id = $1 AND acknowledged_at IS NULL
+      RETURNING id, status, priority, acknowledged_by, acknowledged_at
+    `, [itemId, user.id, JSON.stringify([crisisReviewService.timelineEvent('acknowledged', { actorId: user.id, via })])]);
+
+    const item = result.rows[0];
+    if (!item) {
+      return null;
+    }
+
+    this.broadcastUpdate({ id: item.id, status: item.status, priority: item.priority, acknowledgedBy: item.acknowledged_by });
+    return item;
+  }
+
+  // Let connected consoles drop or refresh an alert once someone has picked it up
+  broadcastUpdate(item) {
+    if (!this.io) return;
+
+    this.io.to(REVIEWER_ROOM).emit('crisis:updated', {
+      itemId: item.id,
+      status: item.status,
+      priority: item.priority,
+      claimedBy: item.claimedBy || null,
+      acknowledgedBy: item.acknowledgedBy || null
+    });
+  }
+
+  // Cron entry point. Due rows are picked with SKIP LOCKED so several app
+  // instances running this job don't page the same item twice.
+  async repageUnacknowledged() {
+    const pool = getPool();
+    const client = await pool.connect();
+    let due;
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        SELECT id FROM human_review_queue
+        WHERE acknowledged_at IS NULL
+          AND next_page_at IS NOT NULL
+          AND next_page_at <= NOW()
+          AND status IN ('pending', 'escalated')
+        ORDER BY next_page_at ASC
+        LIMIT 50
+        FOR UPDATE SKIP LOCKED
+      `);
+      due = result.rows.map(row => row.id);
+
+      // Push the next page out before releasing the lock so other instances skip these rows
+      if (due.length > 0) {
+        await client.query(`
+          UPDATE human_review_queue
+          SET next_page_at = NOW() + make_interval(mins => $2)
+          WHERE id = ANY($1::uuid[])
+        `, [due, this.pageIntervalMinutes]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const itemId of due) {
+      try {
+        await this.page(itemId, 'repage');
+      } catch (error) {
+        logger.error('Crisis re-page failed:', { itemId, error: error.message });
+      }
+    }
+
+    return due.length;
+  }
+
+  async listOnCall() {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT oc.user_id, oc.channels, oc.is_active, oc.updated_at,
+        u.first_name, u.last_name, ur.name as role
+      FROM crisis_on_call oc
+      JOIN users u ON oc.user_id = u.id
+      JOIN user_roles ur ON u.role_id = ur.id
+      ORDER BY oc.is_active DESC, u.first_name
+    `);
+
+    return result.rows.map(row => ({
+      userId: row.user_id,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      role: row.role,
+      channels: row.channels,
+      isActive: row.is_active,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  // Only coaches and admins can be on call; resolves to null for anyone else
+  async setOnCall(userId, { channels, isActive }, updatedBy) {
+    const pool = getPool();
+    const result = await pool.query(`
+      INSERT INTO crisis_on_call (user_id, channels, is_active, updated_by, updated_at)
+      SELECT u.id, $2, $3, $4, NOW()
+      FROM users u
+      JOIN user_roles ur ON u.role_id = ur.id
+      WHERE u.id = $1 AND ur.name IN ('coach', 'admin') AND u.is_active = TRUE
+      ON CONFLICT (user_id)
+      DO UPDATE SET
+        channels = EXCLUDED.channels,
+        is_active = EXCLUDED.is_active,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+      RETURNING user_id, channels, is_active, updated_at
+    `, [userId, channels, isActive, updatedBy]);
+
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    return {
+      userId: row.user_id,
+      channels: row.channels,
+      isActive: row.is_active,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new CrisisEscalationService();
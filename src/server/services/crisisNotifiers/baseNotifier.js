@@ -0,0 +1,47 @@
+const { logger } = require('../../utils/logger');
+
+// Base class for crisis paging channels. Subclasses implement deliver(recipient, alert);
+// when a channel isn't configured it runs as a local stub that logs and keeps the
+// last few alerts in memory instead of sending anything.
+class BaseNotifier {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.stub = options.stub !== undefined ? options.stub : !this.isConfigured();
+    this.sent = [];
+    this.maxStubHistory = 100;
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  // Whether this channel can reach the recipient at all (e.g. has a phone number)
+  canReach() {
+    return true;
+  }
+
+  async send(recipient, alert) {
+    if (this.stub) {
+      this.sent.push({ recipientId: recipient.id, alert, at: new Date().toISOString() });
+      if (this.sent.length > this.maxStubHistory) this.sent.shift();
+
+      logger.info('Crisis page (stub)', { channel: this.name, recipientId: recipient.id, itemId: alert.itemId, page: alert.page });
+      return { status: 'stubbed' };
+    }
+
+    await this.deliver(recipient, alert);
+    return { status: 'sent' };
+  }
+
+  async deliver() {
+    throw new Error(`${this.name} notifier must implement deliver()`);
+  }
+
+  // Pages carry no message content: reviewers open the console for context
+  formatText(alert) {
+    return `[${alert.priority.toUpperCase()}] Crisis review needed (page ${alert.page}). ` +
+      `Risk ${alert.riskScore}, SLA due ${new Date(alert.slaDueAt).toISOString()}. ${alert.consoleUrl}`;
+  }
+}
+
+module.exports = BaseNotifier;
@@ -0,0 +1,35 @@
+const BaseNotifier = require('./baseNotifier');
+
+// Email pages through Amazon SES
+class EmailNotifier extends BaseNotifier {
+  constructor(options = {}) {
+    super('email', options);
+    this.from = options.from || process.env.FROM_EMAIL;
+    if (!this.stub) {
+      // Loaded only for live delivery
+      const AWS = require('aws-sdk');
+      this.client = new AWS.SES({ region: options.region || process.env.SES_REGION });
+    }
+  }
+
+  isConfigured() {
+    return !!(process.env.SES_REGION && process.env.FROM_EMAIL);
+  }
+
+  canReach(recipient) {
+    return !!recipient.email;
+  }
+
+  async deliver(recipient, alert) {
+    await this.client.sendEmail({
+      Source: this.from,
+      Destination: { ToAddresses: [recipient.email] },
+      Message: {
+        Subject: { Data: `[${alert.priority.toUpperCase()}] Crisis review needed` },
+        Body: { Text: { Data: this.formatText(alert) } }
+      }
+    }).promise();
+  }
+}
+
+module.exports = EmailNotifier;
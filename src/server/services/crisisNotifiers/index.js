@@ -0,0 +1,31 @@
+const { logger } = require('../../utils/logger');
+const BaseNotifier = require('./baseNotifier');
+const EmailNotifier = require('./emailNotifier');
+const SmsNotifier = require('./smsNotifier');
+const WebhookNotifier = require('./webhookNotifier');
+
+// Channels are chosen per on-call coach (crisis_on_call.channels). CRISIS_NOTIFIER_STUBS=true
+// forces every channel into stub mode, e.g. for local development against real credentials.
+const createDefaultNotifiers = () => {
+  const forceStub = process.env.CRISIS_NOTIFIER_STUBS === 'true';
+  const options = forceStub ? { stub: true } : {};
+
+  const notifiers = new Map();
+  [new EmailNotifier(options), new SmsNotifier(options), new WebhookNotifier(options)].forEach(notifier => {
+    notifiers.set(notifier.name, notifier);
+  });
+
+  logger.info('Crisis notifiers initialized', {
+    channels: Array.from(notifiers.values()).map(notifier => `${notifier.name}${notifier.stub ? ' (stub)' : ''}`)
+  });
+
+  return notifiers;
+};
+
+module.exports = {
+  BaseNotifier,
+  EmailNotifier,
+  SmsNotifier,
+  WebhookNotifier,
+  createDefaultNotifiers
+};
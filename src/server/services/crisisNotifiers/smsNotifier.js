@@ -0,0 +1,33 @@
+const BaseNotifier = require('./baseNotifier');
+
+// SMS pages through Amazon SNS direct publish
+class SmsNotifier extends BaseNotifier {
+  constructor(options = {}) {
+    super('sms', options);
+    if (!this.stub) {
+      // Loaded only for live delivery
+      const AWS = require('aws-sdk');
+      this.client = new AWS.SNS({ region: options.region || process.env.SMS_REGION || process.env.SES_REGION });
+    }
+  }
+
+  isConfigured() {
+    return !!(process.env.SMS_REGION || process.env.SES_REGION) && process.env.CRISIS_SMS_ENABLED === 'true';
+  }
+
+  canReach(recipient) {
+    return !!recipient.phone;
+  }
+
+  async deliver(recipient, alert) {
+    await this.client.publish({
+      PhoneNumber: recipient.phone,
+      Message: this.formatText(alert),
+      MessageAttributes: {
+        'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' }
+      }
+    }).promise();
+  }
+}
+
+module.exports = SmsNotifier;
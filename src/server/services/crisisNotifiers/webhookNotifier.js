@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const BaseNotifier = require('./baseNotifier');
+
+// JSON POST to a paging integration (Slack, PagerDuty, Opsgenie, ...). When a secret
+// is set the body is signed with HMAC-SHA256 in X-Signature.
+class WebhookNotifier extends BaseNotifier {
+  constructor(options = {}) {
+    super('webhook', options);
+    this.url = options.url || process.env.CRISIS_WEBHOOK_URL;
+    this.secret = options.secret || process.env.CRISIS_WEBHOOK_SECRET;
+    this.timeout = options.timeout || 10000;
+  }
+
+  isConfigured() {
+    return !!process.env.CRISIS_WEBHOOK_URL;
+  }
+
+  async deliver(recipient, alert) {
+    const body = JSON.stringify({
+      event: 'crisis.review_needed',
+      recipientId: recipient.id,
+      text: this.formatText(alert),
+      ...alert
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.secret) {
+      headers['X-Signature'] = crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+}
+
+module.exports = WebhookNotifier;
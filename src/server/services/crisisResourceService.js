@@ -0,0 +1,274 @@
+const { getPool } = require('../config/database');
+const supportiveResponses = require('../config/crisisSupport/supportiveResponses.json');
+const timezoneCountries = require('../config/crisisSupport/timezoneCountries.json');
+const { logger } = require('../utils/logger');
+
+const SERVICE_TYPES = ['phone', 'text', 'chat', 'web'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Served when the directory can't be read, so a user in crisis always gets somewhere to turn
+const BUILTIN_RESOURCES = [
+  {
+    id: null,
+    countryCode: null,
+    language: 'en',
+    name: 'Find A Helpline',
+    type: 'web',
+    contact: 'https://findahelpline.com',
+    url: 'https://findahelpline.com',
+    available: '24/7'
+  }
+];
+
+const RESOURCE_COLUMNS = `
+  id, country_code, language, name, service_type, contact, url, availability,
+  description, priority, is_active, last_verified_at, updated_by, created_at, updated_at
+`;
+
+// Crisis lines by country and language. Rows live in crisis_resources; lookups
+// are cached per country for a few minutes and cleared on every admin write.
+class CrisisResourceService {
+  constructor() {
+    this.cacheTtl = parseInt(process.env.CRISIS_RESOURCE_CACHE_MS) || 300000;
+    this.cache = new Map();
+    this.serviceTypes = SERVICE_TYPES;
+  }
+
+  normalizeCountry(code) {
+    const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    return /^[A-Z]{2}$/.test(normalized) ? normalized : null;
+  }
+
+  // 'pt-BR' -> 'pt'
+  normalizeLanguage(tag) {
+    const normalized = typeof tag === 'string' ? tag.trim().toLowerCase().split(/[-_]/)[0] : '';
+    return /^[a-z]{2,3}$/.test(normalized) ? normalized : null;
+  }
+
+  // Country from an explicit preference, then the profile, then the timezone
+  resolveLocale(userContext = {}) {
+    const preferences = userContext.preferences || {};
+    const language = this.normalizeLanguage(preferences.language);
+
+    const candidates = [
+      ['preference', preferences.country],
+      ['profile', userContext.country],
+      ['timezone', timezoneCountries[userContext.timezone]]
+    ];
+
+    for (const [source, value] of candidates) {
+      const country = this.normalizeCountry(value);
+      if (country) {
+        return { country, language, source };
+      }
+    }
+
+    return { country: null, language, source: 'unknown' };
+  }
+
+  invalidate() {
+    this.cache.clear();
+  }
+
+  // Active rows for a country plus the worldwide ones
+  async loadCountry(country) {
+    const key = country || '*';
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.rows;
+    }
+
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${RESOURCE_COLUMNS}
+      FROM crisis_resources
+      WHERE is_active = TRUE AND (country_code = $1 OR country_code IS NULL)
+      ORDER BY priority, name
+    `, [country]);
+
+    this.cache.set(key, { rows: result.rows, expiresAt: Date.now() + this.cacheTtl });
+    return result.rows;
+  }
+
+  // Resources for a locale. Services in the preferred language come first, then the
+  // country's others; a country with no entries gets the worldwide ones and
+  // isFallback so callers can say so rather than show another country's numbers.
+  async getResources({ country, language }) {
+    let rows;
+    try {
+      rows = await this.loadCountry(country);
+    } catch (error) {
+      logger.error('Failed to load crisis resources, using builtin list:', { country, error: error.message });
+      return { resources: BUILTIN_RESOURCES, language: DEFAULT_LANGUAGE, isFallback: true };
+    }
+
+    const local = rows.filter(row => row.country_code !== null);
+    if (local.length === 0) {
+      const global = rows.filter(row => row.country_code === null);
+      return {
+        resources: (global.length > 0 ? global : rows).map(row => this.formatResource(row)),
+        language: language || DEFAULT_LANGUAGE,
+        isFallback: true
+      };
+    }
+
+    const resolvedLanguage = local.some(row => row.language === language) ? language : local[0].language;
+    const ordered = [
+      ...local.filter(row => row.language === resolvedLanguage),
+      ...local.filter(row => row.language !== resolvedLanguage)
+    ];
+
+    return {
+      resources: ordered.map(row => this.formatResource(row)),
+      language: resolvedLanguage,
+      isFallback: false
+    };
+  }
+
+  // Everything the crisis response needs for this user: where they are, which
+  // services to show, and the supportive message in their language
+  async getDirectory(userContext = {}) {
+    const locale = this.resolveLocale(userContext);
+    const { resources, language, isFallback } = await this.getResources(locale);
+    const responseLanguage = supportiveResponses[locale.language] ? locale.language : language;
+
+    return {
+      country: locale.country,
+      language: responseLanguage,
+      source: locale.source,
+      isFallback,
+      resources,
+      response: this.getSupportiveResponse(responseLanguage, isFallback ? null : resources[0])
+    };
+  }
+
+  getSupportiveResponse(language, primaryResource = null) {
+    const template = supportiveResponses[language] || supportiveResponses[DEFAULT_LANGUAGE];
+    const resource = primaryResource
+      ? `${primaryResource.name} (${primaryResource.contact})`
+      : template.emergency;
+
+    return template.body.replace('{{resource}}', resource);
+  }
+
+  // phone/text keep the keys the crisis response has always returned
+  formatResource(row) {
+    const resource = {
+      id: row.id,
+      countryCode: row.country_code,
+      language: row.language,
+      name: row.name,
+      type: row.service_type,
+      contact: row.contact,
+      url: row.url,
+      available: row.availability,
+      description: row.description
+    };
+
+    if (row.service_type === 'phone') resource.phone = row.contact;
+    if (row.service_type === 'text') resource.text = row.contact;
+    return resource;
+  }
+
+  formatAdminResource(row) {
+    return {
+      ...this.formatResource(row),
+      priority: row.priority,
+      isActive: row.is_active,
+      lastVerifiedAt: row.last_verified_at,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async listResources({ country = null, language = null, includeInactive = false } = {}) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${RESOURCE_COLUMNS}
+      FROM crisis_resources
+      WHERE ($1::char(2) IS NULL OR country_code = $1)
+        AND ($2::text IS NULL OR language = $2)
+        AND ($3 OR is_active = TRUE)
+      ORDER BY country_code NULLS FIRST, language, priority, name
+    `, [country, language, includeInactive]);
+
+    return result.rows.map(row => this.formatAdminResource(row));
+  }
+
+  async createResource(data, userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      INSERT INTO crisis_resources (
+        country_code, language, name, service_type, contact, url, availability,
+        description, priority, last_verified_at, created_by, updated_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11)
+      RETURNING ${RESOURCE_COLUMNS}
+    `, [
+      data.countryCode,
+      data.language,
+      data.name,
+      data.type,
+      data.contact,
+      data.url || null,
+      data.available || null,
+      data.description || null,
+      data.priority !== undefined ? data.priority : 100,
+      data.verified ? new Date() : null,
+      userId
+    ]);
+
+    this.invalidate();
+    return this.formatAdminResource(result.rows[0]);
+  }
+
+  // Partial update; `verified: true` stamps last_verified_at. Resolves to null when not found.
+  async updateResource(resourceId, data, userId) {
+    const columns = {
+      countryCode: 'country_code',
+      language: 'language',
+      name: 'name',
+      type: 'service_type',
+      contact: 'contact',
+      url: 'url',
+      available: 'availability',
+      description: 'description',
+      priority: 'priority',
+      isActive: 'is_active'
+    };
+
+    const sets = [];
+    const values = [];
+    Object.entries(columns).forEach(([field, column]) => {
+      if (data[field] !== undefined) {
+        values.push(data[field]);
+        sets.push(`${column} = $${values.length}`);
+      }
+    });
+    if (data.verified) {
+      sets.push('last_verified_at = NOW()');
+    }
+
+    values.push(userId);
+    sets.push(`updated_by = $${values.length}`, 'updated_at = NOW()');
+    values.push(resourceId);
+
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE crisis_resources
+      SET ${sets.join(', ')}
+      WHERE id = $${values.length}
+      RETURNING ${RESOURCE_COLUMNS}
+    `, values);
+
+    this.invalidate();
+    return result.rows[0] ? this.formatAdminResource(result.rows[0]) : null;
+  }
+
+  // Retired entries are kept (inactive) so the edit history stays with the number
+  async deactivateResource(resourceId, userId) {
+    return this.updateResource(resourceId, { isActive: false }, userId);
+  }
+}
+
+module.exports = new CrisisResourceService();
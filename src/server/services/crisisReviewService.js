@@ -0,0 +1,415 @@
+const { getPool } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+// Minutes from queueing until a review is overdue; override with CRISIS_REVIEW_SLA_MINUTES (same JSON shape)
+const DEFAULT_SLA_MINUTES = { urgent: 15, high: 60, medium: 240, low: 1440 };
+
+const OUTCOMES = [
+  'no_action_needed',
+  'supportive_outreach',
+  'referred_to_professional',
+  'emergency_services_contacted',
+  'false_positive'
+];
+
+const OPEN_STATUSES = ['pending', 'in_review', 'escalated'];
+
+const ITEM_COLUMNS = `
+  q.id, q.user_id, q.conversation_id, q.message_id, q.content_type, q.risk_score,
+  q.signals, q.redacted_content, q.suggested_resources, q.priority, q.status,
+  q.sla_due_at, q.claimed_by, q.claimed_at, q.claim_expires_at, q.escalated_by,
+  q.escalated_at, q.reviewed_by, q.reviewed_at, q.outcome, q.notes, q.acknowledged_by,
+  q.acknowledged_at, q.page_count, q.last_paged_at, q.timeline, q.created_at, q.updated_at
+`;
+
+// Human review of crisis detections. Reviewers claim an item before acting on it;
+// a claim is a lease that expires, so abandoned items return to the queue.
+class CrisisReviewService {
+  constructor() {
+    this.slaMinutes = { ...DEFAULT_SLA_MINUTES, ...this.loadSlaOverrides() };
+    this.claimLeaseMinutes = parseInt(process.env.CRISIS_REVIEW_CLAIM_MINUTES) || 30;
+    this.outcomes = OUTCOMES;
+  }
+
+  loadSlaOverrides() {
+    if (!process.env.CRISIS_REVIEW_SLA_MINUTES) return {};
+    try {
+      return JSON.parse(process.env.CRISIS_REVIEW_SLA_MINUTES);
+    } catch (error) {
+      logger.error('Invalid CRISIS_REVIEW_SLA_MINUTES, using defaults:', { error: error.message });
+      return {};
+    }
+  }
+
+  slaFor(priority) {
+    return this.slaMinutes[priority] || this.slaMinutes.medium;
+  }
+
+  async enqueue({ userId, conversationId = null, messageId = null, contentType, riskScore, signals, redactedContent, suggestedResources, priority }) {
+    const pool = getPool();
+    const result = await pool.query(`
+      INSERT INTO human_review_queue (
+        user_id, conversation_id, message_id, content_type, risk_score, signals,
+        redacted_content, suggested_resources, priority, sla_due_at, timeline, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + make_interval(mins => $10), $11, NOW())
+      RETURNING id, priority, sla_due_at
+    `, [
+      userId,
+      conversationId,
+      messageId,
+      contentType,
+      riskScore,
+      JSON.stringify(signals),
+      redactedContent,
+      JSON.stringify(suggestedResources),
+      priority,
+      this.slaFor(priority),
+      JSON.stringify([this.timelineEvent('queued', { priority, riskScore })])
+    ]);
+
+    return result.rows[0];
+  }
+
+  formatItem(row) {
+    const now = Date.now();
+    const slaDue = row.sla_due_at ? new Date(row.sla_due_at).getTime() : null;
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      conversationId: row.conversation_id,
+      messageId: row.message_id,
+      contentType: row.content_type,
+      riskScore: row.risk_score !== null ? parseFloat(row.risk_score) : null,
+      priority: row.priority,
+      status: row.status,
+      ageMinutes: Math.floor((now - new Date(row.created_at).getTime()) / 60000),
+      slaDueAt: row.sla_due_at,
+      slaBreached: OPEN_STATUSES.includes(row.status) && slaDue !== null && slaDue < now,
+      claimedBy: row.claimed_by,
+      claimedAt: row.claimed_at,
+      claimExpiresAt: row.claim_expires_at,
+      escalatedBy: row.escalated_by,
+      escalatedAt: row.escalated_at,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      outcome: row.outcome,
+      acknowledgedBy: row.acknowledged_by,
+      acknowledgedAt: row.acknowledged_at,
+      pageCount: row.page_count,
+      lastPagedAt: row.last_paged_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Open items by default, most urgent first, then closest to (or furthest past) SLA
+  async listQueue({ statuses = OPEN_STATUSES, priority = null, limit = 25, offset = 0 } = {}) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${ITEM_COLUMNS},
+        COUNT(*) OVER() as total_count
+      FROM human_review_queue q
+      WHERE q.status = ANY($1::text[])
+        AND ($2::text IS NULL OR q.priority = $2)
+      ORDER BY
+        CASE q.priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END DESC,
+        q.sla_due_at ASC NULLS LAST,
+        q.created_at ASC
+      LIMIT $3 OFFSET $4
+    `, [statuses, priority, limit, offset]);
+
+    return {
+      items: result.rows.map(row => ({
+        ...this.formatItem(row),
+        preview: (row.redacted_content || '').slice(0, 160)
+      })),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  // Statuses a reviewer may claim from. Escalated items are reserved for admins.
+  claimableStatuses(reviewer) {
+    return reviewer.role === 'admin' ? ['pending', 'escalated'] : ['pending'];
+  }
+
+  // Single conditional UPDATE, so concurrent claims on one item can't both succeed
+  async claim(itemId, reviewer) {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE human_review_queue q
+      SET status = 'in_review',
+        claimed_by = $2,
+        claimed_at = NOW(),
+        claim_expires_at = NOW() + make_interval(mins => $3),
+        acknowledged_by = COALESCE(q.acknowledged_by, $2),
+        acknowledged_at = COALESCE(q.acknowledged_at, NOW()),
+        next_page_at = NULL,
+        timeline = q.timeline || $5::jsonb,
+        updated_at = NOW()
+      WHERE q.id = $1
+        AND (
+          q.status = ANY($4::text[])
+          OR (q.status = 'in_review' AND (q.claim_expires_at < NOW() OR q.claimed_by = $2))
+        )
+      RETURNING ${ITEM_COLUMNS}
+    `, [
+      itemId,
+      reviewer.id,
+      this.claimLeaseMinutes,
+      this.claimableStatuses(reviewer),
+      JSON.stringify([this.timelineEvent('claimed', { actorId: reviewer.id })])
+    ]);
+
+    if (result.rows.length === 0) {
+      return { error: await this.missingOrUnavailable(itemId) };
+    }
+
+    return { item: this.formatItem(result.rows[0]) };
+  }
+
+  // Claim the most urgent unclaimed item. SKIP LOCKED lets reviewers pull from
+  // the queue at the same time without blocking on or double-taking a row.
+  async claimNext(reviewer) {
+    const pool = getPool();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const next = await client.query(`
+        SELECT id FROM human_review_queue
+        WHERE status = ANY($1::text[])
+          OR (status = 'in_review' AND claim_expires_at < NOW())
+        ORDER BY
+          CASE priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END DESC,
+          sla_due_at ASC NULLS LAST,
+          created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      `, [this.claimableStatuses(reviewer)]);
+
+      if (next.rows.length === 0) {
+        await client.query('COMMIT');
+        return null;
+      }
+
+      const result = await client.query(`
+        UPDATE human_review_queue q
+        SET status = 'in_review',
+          claimed_by = $2,
+          claimed_at = NOW(),
+          claim_expires_at = NOW() + make_interval(mins => $3),
+          acknowledged_by = COALESCE(q.acknowledged_by, $2),
+          acknowledged_at = COALESCE(q.acknowledged_at, NOW()),
+          next_page_at = NULL,
+          timeline = q.timeline || $4::jsonb,
+          updated_at = NOW()
+        WHERE q.id = $1
+        RETURNING ${ITEM_COLUMNS}
+      `, [
+        next.rows[0].id,
+        reviewer.id,
+        this.claimLeaseMinutes,
+        JSON.stringify([this.timelineEvent('claimed', { actorId: reviewer.id })])
+      ]);
+
+      await client.query('COMMIT');
+      return this.formatItem(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async missingOrUnavailable(itemId) {
+    const pool = getPool();
+    const result = await pool.query('SELECT id FROM human_review_queue WHERE id = $1', [itemId]);
+    return result.rows.length === 0 ? 'not_found' : 'not_claimable';
+  }
+
+  // Entries appended to the row's timeline JSONB, oldest first
+  timelineEvent(type, details = {}) {
+    return { type, at: new Date().toISOString(), ...details };
+  }
+
+  async appendTimeline(itemId, events) {
+    const pool = getPool();
+    await pool.query(`
+      UPDATE human_review_queue
+      SET timeline = timeline || $2::jsonb, updated_at = NOW()
+      WHERE id = $1
+    `, [itemId, JSON.stringify(events)]);
+  }
+
+  formatNote(reviewer, text) {
+    return `[${new Date().toISOString()}] ${reviewer.id}: ${text}`;
+  }
+
+  // Updates an item the reviewer currently holds; the claim must not have expired
+  async updateClaimed(itemId, reviewer, setClause, params, event) {
+    const pool = getPool();
+    const timelineParam = `$${params.length + 3}`;
+    const result = await pool.query(`
+      UPDATE human_review_queue q
+      SET ${setClause}, timeline = q.timeline || ${timelineParam}::jsonb, updated_at = NOW()
+      WHERE q.id = $1 AND q.status = 'in_review' AND q.claimed_by = $2 AND q.claim_expires_at >= NOW()
+      RETURNING ${ITEM_COLUMNS}
+    `, [itemId, reviewer.id, ...params, JSON.stringify([event])]);
+
+    if (result.rows.length === 0) {
+      const reason = await this.missingOrUnavailable(itemId);
+      return { error: reason === 'not_found' ? reason : 'not_claimed' };
+    }
+
+    return { item: this.formatItem(result.rows[0]) };
+  }
+
+  async release(itemId, reviewer) {
+    return this.updateClaimed(itemId, reviewer, `
+      status = CASE WHEN q.escalated_at IS NOT NULL THEN 'escalated' ELSE 'pending' END,
+      claimed_by = NULL, claimed_at = NULL, claim_expires_at = NULL
+    `, [], this.timelineEvent('released', { actorId: reviewer.id }));
+  }
+
+  // Adding a note also renews the claim lease
+  async addNote(itemId, reviewer, note) {
+    return this.updateClaimed(itemId, reviewer, `
+      notes = COALESCE(q.notes || E'\\n', '') || $3,
+      claim_expires_at = NOW() + make_interval(mins => $4)
+    `, [this.formatNote(reviewer, note), this.claimLeaseMinutes], this.timelineEvent('note_added', { actorId: reviewer.id }));
+  }
+
+  // Hand the item to senior reviewers (admins) at urgent priority. Acknowledgement
+  // resets so paging starts over for the new audience.
+  async escalate(itemId, reviewer, reason) {
+    return this.updateClaimed(itemId, reviewer, `
+      status = 'escalated',
+      priority = 'urgent',
+      sla_due_at = LEAST(q.sla_due_at, NOW() + make_interval(mins => $4)),
+      escalated_by = $2,
+      escalated_at = NOW(),
+      notes = COALESCE(q.notes || E'\\n', '') || $3,
+      claimed_by = NULL, claimed_at = NULL, claim_expires_at = NULL,
+      acknowledged_by = NULL, acknowledged_at = NULL, page_count = 0
+    `, [this.formatNote(reviewer, `Escalated: ${reason}`), this.slaFor('urgent')], this.timelineEvent('escalated', { actorId: reviewer.id }));
+  }
+
+  async resolve(itemId, reviewer, { outcome, note }) {
+    const result = await this.updateClaimed(itemId, reviewer, `
+      status = 'completed',
+      outcome = $3,
+      reviewed_by = $2,
+      reviewed_at = NOW(),
+      notes = CASE WHEN $4::text IS NULL THEN q.notes ELSE COALESCE(q.notes || E'\\n', '') || $4 END,
+      claimed_by = NULL, claimed_at = NULL, claim_expires_at = NULL
+    `, [outcome, note ? this.formatNote(reviewer, note) : null], this.timelineEvent('resolved', { actorId: reviewer.id, outcome }));
+
+    if (result.item && result.item.messageId) {
+      const pool = getPool();
+      await pool.query(`
+        UPDATE conversation_messages
+        SET reviewed_by = $1, reviewed_at = NOW()
+        WHERE id = $2
+      `, [reviewer.id, result.item.messageId]);
+    }
+
+    return result;
+  }
+
+  // Full item for the reviewer: redacted surrounding conversation and the user's prior flags
+  async getDetail(itemId) {
+    const pool = getPool();
+    const itemResult = await pool.query(`
+      SELECT ${ITEM_COLUMNS}, u.timezone, u.profile_data->>'country' as country
+      FROM human_review_queue q
+      LEFT JOIN users u ON q.user_id = u.id
+      WHERE q.id = $1
+    `, [itemId]);
+
+    const row = itemResult.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    const [context, priorFlags, flaggedMessages] = await Promise.all([
+      this.getRedactedContext(row),
+      pool.query(`
+        SELECT id, priority, status, outcome, risk_score, created_at, reviewed_at
+        FROM human_review_queue
+        WHERE user_id = $1 AND id <> $2
+        ORDER BY created_at DESC
+        LIMIT 10
+      `, [row.user_id, row.id]),
+      pool.query(`
+        SELECT COUNT(*) as count
+        FROM conversation_messages cm
+        JOIN ai_conversations ac ON cm.conversation_id = ac.id
+        WHERE ac.user_id = $1 AND cm.flagged_for_review = TRUE
+      `, [row.user_id])
+    ]);
+
+    return {
+      ...this.formatItem(row),
+      redactedContent: row.redacted_content,
+      signals: row.signals,
+      suggestedResources: row.suggested_resources,
+      notes: row.notes,
+      timeline: row.timeline,
+      user: {
+        id: row.user_id,
+        timezone: row.timezone,
+        country: row.country
+      },
+      context,
+      priorFlags: priorFlags.rows.map(flag => ({
+        id: flag.id,
+        priority: flag.priority,
+        status: flag.status,
+        outcome: flag.outcome,
+        riskScore: flag.risk_score !== null ? parseFloat(flag.risk_score) : null,
+        createdAt: flag.created_at,
+        reviewedAt: flag.reviewed_at
+      })),
+      flaggedMessageCount: parseInt(flaggedMessages.rows[0].count)
+    };
+  }
+
+  // The flagged message and the turns just before it, passed through the same
+  // PII redaction used when the item was queued
+  async getRedactedContext(row, limit = 8) {
+    if (!row.conversation_id) return [];
+
+    const { CrisisDetector } = require('./llmService');
+    const detector = new CrisisDetector();
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT id, sender, content, risk_signals, created_at
+      FROM (
+        SELECT id, sender, content, risk_signals, created_at
+        FROM conversation_messages
+        WHERE conversation_id = $1
+          AND created_at <= COALESCE(
+            (SELECT created_at FROM conversation_messages WHERE id = $2),
+            $3
+          )
+        ORDER BY created_at DESC
+        LIMIT $4
+      ) recent
+      ORDER BY created_at ASC
+    `, [row.conversation_id, row.message_id, row.created_at, limit]);
+
+    return result.rows.map(msg => ({
+      id: msg.id,
+      sender: msg.sender,
+      content: detector.redactPII(msg.content),
+      severity: msg.risk_signals && msg.risk_signals.severity ? msg.risk_signals.severity : 0,
+      isFlaggedMessage: msg.id === row.message_id,
+      createdAt: msg.created_at
+    }));
+  }
+}
+
+module.exports = new CrisisReviewService();
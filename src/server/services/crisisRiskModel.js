@@ -0,0 +1,385 @@
+const fs = require('fs');
+const path = require('path');
+
+const RULES_DIR = path.join(__dirname, '..', 'config', 'crisisRules');
+const DEFAULT_VERSION = 'v1';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Phrase list -> alternation source, longest first so "no longer" beats "no"
+const alternation = (phrases) => [...phrases]
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegExp)
+  .join('|');
+
+// Phrase list -> one alternation regex with word boundaries
+const phraseRegExp = (phrases, flags = 'gi') => (
+  phrases.length > 0
+    ? new RegExp(`\\b(?:${alternation(phrases)})\\b`, flags)
+    : null
+);
+
+// Sentence punctuation or any of the phrases
+const boundaryRegExp = (punctuation, phrases) => new RegExp(
+  `[${punctuation}]|\\b(?:${alternation(phrases) || '(?!)'})\\b`,
+  'gi'
+);
+
+// Load a ruleset by version name (config/crisisRules/<version>.json) or file path
+const loadRuleset = (ref = DEFAULT_VERSION) => {
+  const file = /[\\/]|\.json$/.test(ref) ? path.resolve(ref) : path.join(RULES_DIR, `${ref}.json`);
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  validateRuleset(config);
+  return config;
+};
+
+const validateRuleset = (config) => {
+  const problems = [];
+
+  if (typeof config.version !== 'string' || !config.version) problems.push('version is required');
+  if (typeof config.bias !== 'number') problems.push('bias must be a number');
+  if (!config.thresholds || !(config.thresholds.high > config.thresholds.medium)) {
+    problems.push('thresholds.high must be greater than thresholds.medium');
+  }
+
+  const ids = new Set();
+  (config.rules || []).forEach((rule, index) => {
+    if (!rule.id || ids.has(rule.id)) problems.push(`rules[${index}] needs a unique id`);
+    ids.add(rule.id);
+    if (!rule.category) problems.push(`rule ${rule.id} needs a category`);
+    if (typeof rule.weight !== 'number') problems.push(`rule ${rule.id} needs a numeric weight`);
+    (rule.patterns || []).forEach(pattern => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        problems.push(`rule ${rule.id} has an invalid pattern: ${pattern}`);
+      }
+    });
+  });
+
+  (config.interactions || []).forEach((interaction, index) => {
+    if (!interaction.id || ids.has(interaction.id)) problems.push(`interactions[${index}] needs a unique id`);
+    ids.add(interaction.id);
+    if (typeof interaction.weight !== 'number') problems.push(`interaction ${interaction.id} needs a numeric weight`);
+    const requires = interaction.requires || [];
+    if (requires.length < 2) problems.push(`interaction ${interaction.id} needs at least two rules`);
+    requires.filter(ruleId => !(config.rules || []).some(rule => rule.id === ruleId)).forEach(ruleId => {
+      problems.push(`interaction ${interaction.id} requires unknown rule ${ruleId}`);
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid crisis ruleset: ${problems.join('; ')}`);
+  }
+};
+
+// Logistic risk model over phrase rules and conversation features. Each rule match
+// is checked for negation ("I'm not going to hurt myself"), historical framing
+// ("I used to feel hopeless") and a third-person experiencer ("my friend is suicidal"),
+// which scale its weight. Only the strongest match per category counts, so repeating
+// a phrase doesn't stack. Interactions add weight when every rule they list
+// matched ("going to" + "overdose"), scaled by the most discounted of those
+// matches. score() returns the probability plus an explanation of every signal's
+// contribution.
+//
+// Negation is narrower than the clause the other modifiers look at: its scope also
+// ends at a comma, a coordinating conjunction or a new first-person subject, and
+// the cue has to govern the matched phrase, with only gap words ("going to",
+// "want to", "feel") between them. "I'm not okay, I want to die" and "I have not
+// slept and I want to die" are not negated.
+class CrisisRiskModel {
+  constructor(config) {
+    this.config = config;
+    this.version = config.version;
+    this.thresholds = config.thresholds;
+    this.modifiers = { negated: 0.15, historical: 0.4, otherExperiencer: 0.6, ...config.modifiers };
+
+    const negation = config.negation || {};
+    this.negationWindow = negation.window || 5;
+    this.pseudoNegationCues = phraseRegExp(negation.pseudoCues || []);
+    this.scopeBoundary = boundaryRegExp('.!?;\\n', negation.scopeTerminators || []);
+    this.negationBoundary = boundaryRegExp('.!?;,\\n', [
+      ...(negation.scopeTerminators || []),
+      ...(negation.conjunctions || []),
+      ...(negation.subjects || [])
+    ]);
+    // A cue followed by nothing but gap words up to the end of the scope
+    const gap = alternation(negation.gapWords || []);
+    this.governingNegation = (negation.cues || []).length > 0
+      ? new RegExp(`\\b(?:${alternation(negation.cues)})${gap ? `(?:\\s+(?:${gap}))*` : ''}\\s*$`, 'i')
+      : null;
+    this.historicalCues = phraseRegExp(config.historicalCues || []);
+    this.otherExperiencerCues = phraseRegExp(config.otherExperiencerCues || []);
+
+    this.rules = (config.rules || []).map(rule => ({
+      ...rule,
+      negatable: rule.negatable !== false,
+      regexes: rule.patterns.map(pattern => new RegExp(pattern, 'gi'))
+    }));
+    this.interactions = config.interactions || [];
+
+    const sentiment = config.sentiment || {};
+    this.sentimentWeight = sentiment.weight || 0;
+    this.negativeWords = new Set(sentiment.negative || []);
+    this.positiveWords = new Set(sentiment.positive || []);
+    this.features = config.features || {};
+  }
+
+  // Start offset of the clause containing position
+  clauseStart(text, position, boundary = this.scopeBoundary) {
+    let start = 0;
+    boundary.lastIndex = 0;
+    let match;
+    while ((match = boundary.exec(text)) !== null && match.index < position) {
+      start = match.index + match[0].length;
+    }
+    return start;
+  }
+
+  clauseEnd(text, position, boundary = this.scopeBoundary) {
+    boundary.lastIndex = position;
+    const match = boundary.exec(text);
+    return match ? match.index : text.length;
+  }
+
+  testCue(regex, text) {
+    if (!regex) return false;
+    regex.lastIndex = 0;
+    return regex.test(text);
+  }
+
+  // A negation cue within the window of words before the match, in its negation
+  // scope, that governs the match: only gap words may come between them.
+  // Pseudo-negations ("never felt so", "can't stop") are blanked out first; the
+  // placeholder isn't a gap word, so a cue before one governs nothing.
+  isNegated(text, matchIndex) {
+    if (!this.governingNegation) return false;
+
+    let scope = text.slice(this.clauseStart(text, matchIndex, this.negationBoundary), matchIndex);
+    if (this.pseudoNegationCues) {
+      this.pseudoNegationCues.lastIndex = 0;
+      scope = scope.replace(this.pseudoNegationCues, ' # ');
+    }
+
+    const window = scope.split(/\s+/).filter(Boolean).slice(-this.negationWindow).join(' ');
+    return this.governingNegation.test(window);
+  }
+
+  findRuleMatches(message) {
+    const text = (message || '').toLowerCase().replace(/[‘’]/g, "'");
+    const matches = [];
+
+    this.rules.forEach(rule => {
+      rule.regexes.forEach(regex => {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+          const clause = text.slice(this.clauseStart(text, match.index), this.clauseEnd(text, match.index + match[0].length));
+          const applied = [];
+          let multiplier = 1;
+
+          if (rule.negatable && this.isNegated(text, match.index)) {
+            applied.push('negated');
+            multiplier *= this.modifiers.negated;
+          }
+          if (this.testCue(this.historicalCues, clause)) {
+            applied.push('historical');
+            multiplier *= this.modifiers.historical;
+          }
+          if (this.testCue(this.otherExperiencerCues, clause)) {
+            applied.push('other_experiencer');
+            multiplier *= this.modifiers.otherExperiencer;
+          }
+
+          matches.push({
+            ruleId: rule.id,
+            category: rule.category,
+            match: match[0],
+            weight: rule.weight,
+            modifiers: applied,
+            multiplier,
+            contribution: rule.weight * multiplier
+          });
+
+          if (match[0].length === 0) regex.lastIndex++;
+        }
+      });
+    });
+
+    return matches;
+  }
+
+  // Strongest match per category (most negative for protective categories)
+  strongestByCategory(matches) {
+    const best = new Map();
+    matches.forEach(match => {
+      const current = best.get(match.category);
+      if (!current || Math.abs(match.contribution) > Math.abs(current.contribution)) {
+        best.set(match.category, match);
+      }
+    });
+    return best;
+  }
+
+  // Least discounted match of each required rule, then the most discounted of
+  // those; 0 when a required rule didn't match
+  interactionMultiplier(interaction, matches) {
+    const perRule = interaction.requires.map(ruleId => Math.max(0, ...matches
+      .filter(match => match.ruleId === ruleId)
+      .map(match => match.multiplier)));
+    return Math.min(...perRule);
+  }
+
+  sentimentNegativity(message) {
+    const words = (message || '').toLowerCase().match(/[a-z']+/g) || [];
+    let negative = 0;
+    let positive = 0;
+    words.forEach(word => {
+      if (this.negativeWords.has(word)) negative++;
+      if (this.positiveWords.has(word)) positive++;
+    });
+    return Math.max(0, Math.min(1, (negative - positive) / 3));
+  }
+
+  // Share of the user's recent messages with an un-negated high-risk match
+  recentHistoryRisk(history) {
+    const feature = this.features.recentHistory;
+    if (!feature || !history || history.length === 0) return 0;
+
+    const categories = new Set(feature.categories || []);
+    const recent = history
+      .filter(msg => !msg.sender || msg.sender === 'user')
+      .slice(-(feature.messages || 5));
+    if (recent.length === 0) return 0;
+
+    const risky = recent.filter(msg => this.findRuleMatches(msg.content)
+      .some(match => categories.has(match.category) && match.modifiers.length === 0)).length;
+    return risky / recent.length;
+  }
+
+  localHour(now, timezone) {
+    try {
+      const hour = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: timezone || 'UTC' })
+        .format(now);
+      return parseInt(hour) % 24;
+    } catch (error) {
+      return now.getUTCHours();
+    }
+  }
+
+  featureValues(message, { history = [], userContext = {}, now = new Date() }) {
+    const values = {};
+    const { priorFlags, lateNight, declinedActivity } = this.features;
+
+    if (this.sentimentWeight) {
+      values.sentiment = { value: this.sentimentNegativity(message), weight: this.sentimentWeight };
+    }
+    if (this.features.recentHistory) {
+      values.recentHistory = { value: this.recentHistoryRisk(history), weight: this.features.recentHistory.weight };
+    }
+    if (priorFlags) {
+      const count = (userContext.riskHistory || []).length;
+      values.priorFlags = { value: Math.min(count, priorFlags.cap || 3) / (priorFlags.cap || 3), weight: priorFlags.weight };
+    }
+    if (lateNight) {
+      const hour = this.localHour(now, userContext.timezone);
+      const isLate = hour >= lateNight.startHour || hour < lateNight.endHour;
+      values.lateNight = { value: isLate ? 1 : 0, weight: lateNight.weight };
+    }
+    if (declinedActivity) {
+      values.declinedActivity = { value: userContext.recentActivity === 'declined' ? 1 : 0, weight: declinedActivity.weight };
+    }
+
+    return values;
+  }
+
+  level(score) {
+    if (score >= this.thresholds.high) return 'high';
+    if (score >= this.thresholds.medium) return 'medium';
+    return 'low';
+  }
+
+  score(message, context = {}) {
+    const matches = this.findRuleMatches(message);
+    const counted = this.strongestByCategory(matches);
+    const features = this.featureValues(message, context);
+
+    let logit = this.config.bias;
+    const explanations = [];
+
+    matches.forEach(match => {
+      const isCounted = counted.get(match.category) === match;
+      if (isCounted) logit += match.contribution;
+      explanations.push({
+        signal: 'rule',
+        ruleId: match.ruleId,
+        category: match.category,
+        match: match.match,
+        weight: match.weight,
+        modifiers: match.modifiers,
+        contribution: isCounted ? round(match.contribution) : 0
+      });
+    });
+
+    this.interactions.forEach(interaction => {
+      const multiplier = this.interactionMultiplier(interaction, matches);
+      if (multiplier === 0) return;
+
+      const contribution = interaction.weight * multiplier;
+      logit += contribution;
+      explanations.push({
+        signal: 'interaction',
+        interactionId: interaction.id,
+        requires: interaction.requires,
+        weight: interaction.weight,
+        contribution: round(contribution)
+      });
+    });
+
+    Object.entries(features).forEach(([name, { value, weight }]) => {
+      const contribution = value * weight;
+      logit += contribution;
+      if (contribution !== 0) {
+        explanations.push({ signal: 'feature', feature: name, value: round(value), weight, contribution: round(contribution) });
+      }
+    });
+
+    const score = 1 / (1 + Math.exp(-logit));
+    explanations.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+    return {
+      score: round(score),
+      level: this.level(score),
+      rulesVersion: this.version,
+      categories: Array.from(counted.keys()).filter(category => counted.get(category).contribution > 0),
+      explanations
+    };
+  }
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+let defaultModel = null;
+
+// Model for CRISIS_RULES_VERSION (a version name or JSON path). A broken config
+// falls back to the bundled default rather than disabling crisis detection.
+const getDefaultModel = () => {
+  if (!defaultModel) {
+    const ref = process.env.CRISIS_RULES_VERSION || DEFAULT_VERSION;
+    try {
+      defaultModel = new CrisisRiskModel(loadRuleset(ref));
+    } catch (error) {
+      const { logger } = require('../utils/logger');
+      logger.error('Failed to load crisis ruleset, using bundled default:', { ref, error: error.message });
+      defaultModel = new CrisisRiskModel(loadRuleset(DEFAULT_VERSION));
+    }
+  }
+  return defaultModel;
+};
+
+module.exports = {
+  CrisisRiskModel,
+  loadRuleset,
+  validateRuleset,
+  getDefaultModel
+};
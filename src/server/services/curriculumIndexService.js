@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const { getPool } = require('../config/database');
+const { createEmbeddingProvider } = require('./embeddingProviders');
+const { logger } = require('../utils/logger');
+
+// pgvector can't build an HNSW index over vectors wider than this
+const MAX_INDEXED_DIMENSIONS = 2000;
+
+// Index name for a model's partial HNSW index; 018_curriculum_vector_indexes.sql
+// uses the same names for the default models
+const vectorIndexName = (model) => `idx_lesson_chunks_hnsw_${model.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`.slice(0, 63);
+
+class CurriculumIndexService {
+  constructor() {
+    this.embedder = null;
+    this.chunkSize = parseInt(process.env.RAG_CHUNK_SIZE) || 1200;
+    this.chunkOverlap = parseInt(process.env.RAG_CHUNK_OVERLAP) || 200;
+    this.minSimilarity = parseFloat(process.env.RAG_MIN_SIMILARITY) || 0.2;
+    this.excerptLength = 600;
+    this.syncing = false;
+    this.vectorIndexes = new Set();
+  }
+
+  getEmbedder() {
+    if (!this.embedder) {
+      this.embedder = createEmbeddingProvider();
+    }
+    return this.embedder;
+  }
+
+  // Replace the embedding backend (e.g. a local model); lessons re-embed on next sync
+  setEmbedder(embedder) {
+    this.embedder = embedder;
+  }
+
+  // Split text into overlapping chunks, preferring sentence or paragraph boundaries.
+  // Offsets refer to positions in the original text so citations can deep-link.
+  chunkText(text) {
+    const chunks = [];
+    if (!text || !text.trim()) return chunks;
+
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(start + this.chunkSize, text.length);
+
+      if (end < text.length) {
+        const window = text.slice(start + Math.floor(this.chunkSize / 2), end);
+        const boundary = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('. '));
+        if (boundary !== -1) {
+          end = start + Math.floor(this.chunkSize / 2) + boundary + 1;
+        }
+      }
+
+      const raw = text.slice(start, end);
+      const leading = raw.length - raw.trimStart().length;
+      const content = raw.trim();
+      if (content) {
+        chunks.push({
+          content,
+          startOffset: start + leading,
+          endOffset: start + leading + content.length
+        });
+      }
+
+      if (end >= text.length) break;
+
+      // Step back for overlap, then forward to the next word so chunks don't start mid-word
+      let next = Math.max(end - this.chunkOverlap, start + 1);
+      while (next < end && !/\s/.test(text[next - 1])) next++;
+      start = next;
+    }
+
+    return chunks;
+  }
+
+  // Create the model's partial HNSW index over embedding::vector(dimensions) if it
+  // doesn't exist yet. vectorSearch casts the same way, so searches use it instead
+  // of scanning every chunk.
+  async ensureVectorIndex(model, dimensions) {
+    const key = `${model}:${dimensions}`;
+    if (this.vectorIndexes.has(key)) return;
+
+    if (dimensions > MAX_INDEXED_DIMENSIONS) {
+      logger.warn('Embedding model too wide for an HNSW index; vector search will scan', { model, dimensions });
+    } else {
+      const pool = getPool();
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS ${vectorIndexName(model)}
+        ON lesson_chunks USING hnsw ((embedding::vector(${dimensions})) vector_cosine_ops)
+        WHERE embedding_model = '${model.replace(/'/g, "''")}'
+      `);
+    }
+    this.vectorIndexes.add(key);
+  }
+
+  // Must match the md5() expression used in findStaleLessons
+  lessonHash(lesson) {
+    return crypto.createHash('md5')
+      .update((lesson.title || '') + (lesson.content_text || '') + (lesson.transcript || ''))
+      .digest('hex');
+  }
+
+  async findStaleLessons(limit) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT l.id, l.title, l.content_text, l.transcript
+      FROM lessons l
+      LEFT JOIN lesson_index_status s ON s.lesson_id = l.id
+      WHERE s.lesson_id IS NULL
+        OR s.embedding_model <> $1
+        OR s.content_hash <> md5(COALESCE(l.title, '') || COALESCE(l.content_text, '') || COALESCE(l.transcript, ''))
+      ORDER BY l.updated_at DESC
+      LIMIT $2
+    `, [this.getEmbedder().model, limit]);
+
+    return result.rows;
+  }
+
+  async indexLesson(lesson) {
+    const pool = getPool();
+    const embedder = this.getEmbedder();
+
+    const chunks = [
+      ...this.chunkText(lesson.content_text).map(chunk => ({ ...chunk, source: 'content' })),
+      ...this.chunkText(lesson.transcript).map(chunk => ({ ...chunk, source: 'transcript' }))
+    ];
+
+    // The title is embedded with each chunk so short passages keep their topic
+    chunks.forEach(chunk => {
+      chunk.embeddingText = `${lesson.title}\n\n${chunk.content}`;
+      chunk.hash = crypto.createHash('sha256').update(chunk.embeddingText).digest('hex');
+    });
+
+    // Reuse embeddings for chunks whose text and model haven't changed
+    const existing = await pool.query(`
+      SELECT content_hash, embedding::text as embedding
+      FROM lesson_chunks
+      WHERE lesson_id = $1 AND embedding_model = $2
+    `, [lesson.id, embedder.model]);
+    const reusable = new Map(existing.rows.map(row => [row.content_hash, row.embedding]));
+
+    const toEmbed = chunks.filter(chunk => !reusable.has(chunk.hash));
+    if (toEmbed.length > 0) {
+      const vectors = await embedder.embed(toEmbed.map(chunk => chunk.embeddingText));
+      toEmbed.forEach((chunk, index) => {
+        reusable.set(chunk.hash, JSON.stringify(vectors[index]));
+      });
+    }
+
+    // Every chunk of a model has the same width; the insert cast enforces it
+    const dimensions = chunks.length > 0 ? JSON.parse(reusable.get(chunks[0].hash)).length : null;
+    if (dimensions) {
+      await this.ensureVectorIndex(embedder.model, dimensions);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM lesson_chunks WHERE lesson_id = $1', [lesson.id]);
+
+      const sourceCounters = { content: 0, transcript: 0 };
+      for (const chunk of chunks) {
+        await client.query(`
+          INSERT INTO lesson_chunks (
+            lesson_id, source, chunk_index, content, start_offset, end_offset,
+            content_hash, embedding, embedding_model
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8::vector(${dimensions}), $9)
+        `, [
+          lesson.id,
+          chunk.source,
+          sourceCounters[chunk.source]++,
+          chunk.content,
+          chunk.startOffset,
+          chunk.endOffset,
+          chunk.hash,
+          reusable.get(chunk.hash),
+          embedder.model
+        ]);
+      }
+
+      await client.query(`
+        INSERT INTO lesson_index_status (lesson_id, content_hash, embedding_model, chunk_count, indexed_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        ON CONFLICT (lesson_id)
+        DO UPDATE SET
+          content_hash = EXCLUDED.content_hash,
+          embedding_model = EXCLUDED.embedding_model,
+          chunk_count = EXCLUDED.chunk_count,
+          indexed_at = NOW()
+      `, [lesson.id, this.lessonHash(lesson), embedder.model, chunks.length]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { lessonId: lesson.id, chunks: chunks.length, embedded: toEmbed.length };
+  }
+
+  // Re-embed lessons that are new, edited, or indexed with a different model
+  async syncStaleLessons(limit = 50) {
+    if (this.syncing) {
+      return { indexed: 0, skipped: true };
+    }
+
+    this.syncing = true;
+    let indexed = 0;
+    try {
+      const lessons = await this.findStaleLessons(limit);
+      for (const lesson of lessons) {
+        try {
+          const result = await this.indexLesson(lesson);
+          indexed++;
+          logger.info('Lesson indexed for RAG', result);
+        } catch (error) {
+          logger.error('Lesson indexing failed:', { lessonId: lesson.id, error: error.message });
+        }
+      }
+    } finally {
+      this.syncing = false;
+    }
+
+    return { indexed, skipped: false };
+  }
+
+  async search(query, limit = 5) {
+    const candidates = limit * 4;
+
+    // Keyword matches still work when the embedding backend is unavailable
+    const [vectorHits, keywordHits] = await Promise.all([
+      this.vectorSearch(query, candidates).catch(error => {
+        logger.error('Vector search failed, using keyword results only:', { error: error.message });
+        return [];
+      }),
+      this.keywordSearch(query, candidates)
+    ]);
+
+    return this.fuseResults([vectorHits, keywordHits], limit);
+  }
+
+  async vectorSearch(query, limit) {
+    const pool = getPool();
+    const embedder = this.getEmbedder();
+    const [vector] = await embedder.embed([query]);
+    const dimensions = vector.length;
+
+    // The cast and model filter match the model's partial HNSW index
+    const result = await pool.query(`
+      SELECT
+        lc.id as chunk_id, lc.lesson_id, lc.source, lc.chunk_index, lc.content,
+        lc.start_offset, lc.end_offset,
+        l.title, l.course_id, c.title as course_title,
+        1 - (lc.embedding::vector(${dimensions}) <=> $1::vector(${dimensions})) as similarity
+      FROM lesson_chunks lc
+      JOIN lessons l ON lc.lesson_id = l.id
+      JOIN courses c ON l.course_id = c.id
+      WHERE c.status_id = 5 AND lc.embedding_model = $2
+      ORDER BY lc.embedding::vector(${dimensions}) <=> $1::vector(${dimensions})
+      LIMIT $3
+    `, [JSON.stringify(vector), embedder.model, limit]);
+
+    return result.rows.filter(row => parseFloat(row.similarity) >= this.minSimilarity);
+  }
+
+  async keywordSearch(query, limit) {
+    const terms = (query || '').toLowerCase()
+      .replace(/[^\w\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && /^\w+$/.test(word))
+      .slice(0, 20);
+
+    if (terms.length === 0) return [];
+
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT
+        lc.id as chunk_id, lc.lesson_id, lc.source, lc.chunk_index, lc.content,
+        lc.start_offset, lc.end_offset,
+        l.title, l.course_id, c.title as course_title,
+        ts_rank(lc.search_vector, to_tsquery('english', $1)) as rank
+      FROM lesson_chunks lc
+      JOIN lessons l ON lc.lesson_id = l.id
+      JOIN courses c ON l.course_id = c.id
+      WHERE c.status_id = 5 AND lc.search_vector @@ to_tsquery('english', $1)
+      ORDER BY rank DESC
+      LIMIT $2
+    `, [terms.join(' | '), limit]);
+
+    return result.rows;
+  }
+
+  // Reciprocal rank fusion of the vector and keyword result lists
+  fuseResults(resultLists, limit) {
+    const scored = new Map();
+
+    resultLists.forEach(rows => {
+      rows.forEach((row, rank) => {
+        const entry = scored.get(row.chunk_id) || { row, score: 0 };
+        entry.score += 1 / (60 + rank);
+        scored.set(row.chunk_id, entry);
+      });
+    });
+
+    return Array.from(scored.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ row, score }) => ({
+        id: row.lesson_id,
+        title: row.title,
+        courseId: row.course_id,
+        courseTitle: row.course_title,
+        content: row.content,
+        excerpt: row.content.length > this.excerptLength
+          ? `${row.content.slice(0, this.excerptLength)}...`
+          : row.content,
+        chunkId: row.chunk_id,
+        chunkIndex: row.chunk_index,
+        source: row.source,
+        startOffset: row.start_offset,
+        endOffset: row.end_offset,
+        score
+      }));
+  }
+}
+
+module.exports = new CurriculumIndexService();
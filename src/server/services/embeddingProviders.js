@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const { logger } = require('../utils/logger');
+
+// Embedding providers expose { name, model, embed(texts) } where embed resolves
+// to one numeric vector per input text.
+
+// OpenAI embeddings API, or any OpenAI-compatible server (e.g. Ollama's /v1) via baseURL
+class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = options.baseURL ? 'openai-compatible' : 'openai';
+    this.model = options.model || 'text-embedding-3-small';
+    this.batchSize = options.batchSize || 64;
+    this.client = new OpenAI({
+      apiKey: options.apiKey || 'not-needed',
+      timeout: options.timeout || 30000,
+      ...(options.baseURL && { baseURL: options.baseURL })
+    });
+  }
+
+  async embed(texts) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const response = await this.client.embeddings.create({
+        model: this.model,
+        input: batch
+      });
+
+      response.data
+        .sort((a, b) => a.index - b.index)
+        .forEach(item => vectors.push(item.embedding));
+    }
+
+    return vectors;
+  }
+}
+
+// Deterministic hashed bag-of-words embedding. No model or network needed, so it
+// keeps retrieval working offline and in CI, at lower quality than a real model.
+class HashEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'hash';
+    this.dimensions = options.dimensions || 256;
+    this.model = `hash-bow-${this.dimensions}`;
+  }
+
+  tokenize(text) {
+    return (text || '').toLowerCase()
+      .replace(/[^\w\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2);
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = this.tokenize(text);
+    const features = [...words];
+
+    // Bigrams capture a little phrase context ("body scan", "loving kindness")
+    for (let i = 0; i < words.length - 1; i++) {
+      features.push(`${words[i]} ${words[i + 1]}`);
+    }
+
+    features.forEach(feature => {
+      const digest = crypto.createHash('md5').update(feature).digest();
+      const index = digest.readUInt32BE(0) % this.dimensions;
+      const sign = digest[4] & 1 ? 1 : -1;
+      vector[index] += sign;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+const createEmbeddingProvider = () => {
+  const configured = process.env.EMBEDDING_PROVIDER ||
+    (process.env.OPENAI_API_KEY || process.env.EMBEDDING_BASE_URL ? 'openai' : 'hash');
+
+  let provider;
+  if (configured === 'openai') {
+    provider = new OpenAIEmbeddingProvider({
+      apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+      baseURL: process.env.EMBEDDING_BASE_URL,
+      model: process.env.EMBEDDING_MODEL
+    });
+  } else {
+    provider = new HashEmbeddingProvider({
+      dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || undefined
+    });
+  }
+
+  logger.info('Embedding provider initialized', { provider: provider.name, model: provider.model });
+  return provider;
+};
+
+module.exports = {
+  OpenAIEmbeddingProvider,
+  HashEmbeddingProvider,
+  createEmbeddingProvider
+};
@@ -0,0 +1,209 @@
+const { getPool } = require('../config/database');
+
+const FEEDBACK_REASONS = ['unhelpful', 'inaccurate', 'off_topic', 'too_long', 'too_generic', 'tone', 'unsafe', 'other'];
+
+// Ratings at or below this count as a thumbs-down
+const THUMBS_DOWN_MAX_RATING = 2;
+
+class FeedbackService {
+  constructor() {
+    this.reasons = FEEDBACK_REASONS;
+  }
+
+  // Store (or replace) the user's rating of one of their assistant messages.
+  // Resolves to null when the message isn't an assistant reply in the user's conversation.
+  async submitFeedback(userId, { messageId, rating, feedback = null, reasons = [] }) {
+    const pool = getPool();
+
+    const messageResult = await pool.query(`
+      SELECT cm.id, cm.conversation_id
+      FROM conversation_messages cm
+      JOIN ai_conversations ac ON cm.conversation_id = ac.id
+      WHERE cm.id = $1 AND ac.user_id = $2 AND cm.sender = 'assistant'
+    `, [messageId, userId]);
+
+    const message = messageResult.rows[0];
+    if (!message) {
+      return null;
+    }
+
+    const result = await pool.query(`
+      INSERT INTO ai_message_feedback (message_id, conversation_id, user_id, rating, feedback, reasons)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (message_id, user_id)
+      DO UPDATE SET
+        rating = EXCLUDED.rating,
+        feedback = EXCLUDED.feedback,
+        reasons = EXCLUDED.reasons,
+        updated_at = NOW()
+      RETURNING id, message_id, rating, feedback, reasons, created_at, updated_at, (xmax = 0) as inserted
+    `, [messageId, message.conversation_id, userId, rating, feedback, reasons]);
+
+    await this.refreshConversationMetrics(message.conversation_id);
+
+    const row = result.rows[0];
+    return {
+      created: row.inserted,
+      feedback: this.formatFeedback(row)
+    };
+  }
+
+  formatFeedback(row) {
+    return {
+      id: row.id,
+      messageId: row.message_id,
+      rating: row.rating,
+      feedback: row.feedback,
+      reasons: row.reasons,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Recompute quality_metrics for one conversation, segmented by the provider,
+  // model and prompt version that produced each reply
+  async refreshConversationMetrics(conversationId) {
+    const pool = getPool();
+
+    const [segmentResult, reasonResult] = await Promise.all([
+      pool.query(`
+        SELECT
+          cm.provider, cm.model, cm.prompt_version,
+          COUNT(*) as responses,
+          COUNT(*) FILTER (WHERE cm.response_source = 'fallback') as fallbacks,
+          COUNT(*) FILTER (WHERE cm.response_source = 'crisis') as crisis_interventions,
+          COUNT(f.id) as rated_responses,
+          COALESCE(SUM(f.rating), 0) as rating_sum,
+          COUNT(f.id) FILTER (WHERE f.rating <= $2) as thumbs_down
+        FROM conversation_messages cm
+        LEFT JOIN ai_message_feedback f ON f.message_id = cm.id
+        WHERE cm.conversation_id = $1 AND cm.sender = 'assistant'
+        GROUP BY cm.provider, cm.model, cm.prompt_version
+      `, [conversationId, THUMBS_DOWN_MAX_RATING]),
+      pool.query(`
+        SELECT cm.provider, cm.model, cm.prompt_version, reason, COUNT(*) as count
+        FROM conversation_messages cm
+        JOIN ai_message_feedback f ON f.message_id = cm.id
+        CROSS JOIN unnest(f.reasons) as reason
+        WHERE cm.conversation_id = $1 AND f.rating <= $2
+        GROUP BY cm.provider, cm.model, cm.prompt_version, reason
+      `, [conversationId, THUMBS_DOWN_MAX_RATING])
+    ]);
+
+    const segmentKey = (row) => `${row.provider}|${row.model}|${row.prompt_version}`;
+    const reasonsBySegment = new Map();
+    reasonResult.rows.forEach(row => {
+      const reasons = reasonsBySegment.get(segmentKey(row)) || {};
+      reasons[row.reason] = parseInt(row.count);
+      reasonsBySegment.set(segmentKey(row), reasons);
+    });
+
+    const segments = segmentResult.rows.map(row => {
+      const responses = parseInt(row.responses);
+      const ratedResponses = parseInt(row.rated_responses);
+      const ratingSum = parseInt(row.rating_sum);
+      const fallbacks = parseInt(row.fallbacks);
+
+      return {
+        provider: row.provider,
+        model: row.model,
+        promptVersion: row.prompt_version,
+        responses,
+        ratedResponses,
+        ratingSum,
+        meanRating: ratedResponses > 0 ? Math.round((ratingSum / ratedResponses) * 100) / 100 : null,
+        thumbsDown: parseInt(row.thumbs_down),
+        thumbsDownReasons: reasonsBySegment.get(segmentKey(row)) || {},
+        fallbacks,
+        fallbackRate: responses > 0 ? Math.round((fallbacks / responses) * 1000) / 1000 : 0,
+        crisisInterventions: parseInt(row.crisis_interventions)
+      };
+    });
+
+    const metrics = {
+      segments,
+      updatedAt: new Date().toISOString()
+    };
+
+    await pool.query(`
+      UPDATE ai_conversations SET quality_metrics = $1 WHERE id = $2
+    `, [JSON.stringify(metrics), conversationId]);
+
+    return metrics;
+  }
+
+  // Sum the per-conversation rollups across conversations started in [from, to)
+  async getQualityReport({ from, to, promptName = null }) {
+    const pool = getPool();
+    const params = [from, to, promptName ? `${promptName}@%` : null];
+
+    const [segmentResult, reasonResult] = await Promise.all([
+      pool.query(`
+        SELECT
+          seg->>'provider' as provider,
+          seg->>'model' as model,
+          seg->>'promptVersion' as prompt_version,
+          COUNT(DISTINCT ac.id) as conversations,
+          SUM((seg->>'responses')::int) as responses,
+          SUM((seg->>'ratedResponses')::int) as rated_responses,
+          SUM((seg->>'ratingSum')::int) as rating_sum,
+          SUM((seg->>'thumbsDown')::int) as thumbs_down,
+          SUM((seg->>'fallbacks')::int) as fallbacks,
+          SUM((seg->>'crisisInterventions')::int) as crisis_interventions
+        FROM ai_conversations ac
+        CROSS JOIN jsonb_array_elements(ac.quality_metrics->'segments') as seg
+        WHERE ac.created_at >= $1 AND ac.created_at < $2
+          AND ($3::text IS NULL OR seg->>'promptVersion' LIKE $3)
+        GROUP BY 1, 2, 3
+        ORDER BY responses DESC
+      `, params),
+      pool.query(`
+        SELECT
+          seg->>'provider' as provider,
+          seg->>'model' as model,
+          seg->>'promptVersion' as prompt_version,
+          reason.key as reason,
+          SUM(reason.value::int) as count
+        FROM ai_conversations ac
+        CROSS JOIN jsonb_array_elements(ac.quality_metrics->'segments') as seg
+        CROSS JOIN jsonb_each_text(seg->'thumbsDownReasons') as reason
+        WHERE ac.created_at >= $1 AND ac.created_at < $2
+          AND ($3::text IS NULL OR seg->>'promptVersion' LIKE $3)
+        GROUP BY 1, 2, 3, 4
+      `, params)
+    ]);
+
+    const segmentKey = (row) => `${row.provider}|${row.model}|${row.prompt_version}`;
+    const reasonsBySegment = new Map();
+    reasonResult.rows.forEach(row => {
+      const reasons = reasonsBySegment.get(segmentKey(row)) || {};
+      reasons[row.reason] = parseInt(row.count);
+      reasonsBySegment.set(segmentKey(row), reasons);
+    });
+
+    return segmentResult.rows.map(row => {
+      const responses = parseInt(row.responses);
+      const ratedResponses = parseInt(row.rated_responses);
+      const fallbacks = parseInt(row.fallbacks);
+
+      return {
+        provider: row.provider,
+        model: row.model,
+        promptVersion: row.prompt_version,
+        conversations: parseInt(row.conversations),
+        responses,
+        ratedResponses,
+        meanRating: ratedResponses > 0
+          ? Math.round((parseInt(row.rating_sum) / ratedResponses) * 100) / 100
+          : null,
+        thumbsDown: parseInt(row.thumbs_down),
+        thumbsDownReasons: reasonsBySegment.get(segmentKey(row)) || {},
+        fallbacks,
+        fallbackRate: responses > 0 ? Math.round((fallbacks / responses) * 1000) / 1000 : 0,
+        crisisInterventions: parseInt(row.crisis_interventions)
+      };
+    });
+  }
+}
+
+module.exports = new FeedbackService();
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getPool } = require('../config/database');
+const groupService = require('./groupService');
+const groupMessageService = require('./groupMessageService');
+const blockService = require('./blockService');
+
+// Unambiguous characters for codes people read out and type in
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const INVITE_AUDIENCE = 'group-invite';
+
+const INVITE_COLUMNS = `
+  i.id, i.group_id, i.created_by, i.invitee_id, i.max_uses, i.use_count,
+  i.expires_at, i.revoked_at, i.created_at
+`;
+
+const JOIN_REQUEST_COLUMNS = `
+  r.id, r.group_id, r.user_id, r.message, r.status, r.decided_at, r.created_at,
+  u.first_name, u.last_name
+`;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code.toUpperCase()).digest('hex');
+
+// Ways into a group other than joining a public one: invitations from the
+// leader or a co-leader, as a signed link (a JWT naming the invite) or a short
+// code, and join requests to private groups that they approve or deny. Every
+// invite has a row so it can expire, be revoked, be limited to a number of uses
+// or be addressed to one member.
+class GroupInviteService {
+  constructor() {
+    this.secret = process.env.GROUP_INVITE_SECRET || process.env.JWT_SECRET;
+    this.linkBase = `${process.env.CLIENT_URL || ''}/community/invite`;
+  }
+
+  generateCode() {
+    return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  }
+
+  // The code and link are only returned here; the code is stored hashed. Returns
+  // { invite, code, token, link } or { error }: user_not_found, already_member or
+  // blocked (an invitation addressed to someone who can't be contacted).
+  async createInvite(groupId, inviter, { expiresInHours = 168, maxUses = null, inviteeId = null }) {
+    const pool = getPool();
+
+    if (inviteeId) {
+      const invitee = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [inviteeId]);
+      if (invitee.rows.length === 0) {
+        return { error: 'user_not_found' };
+      }
+      if (await groupService.getMembership(groupId, inviteeId)) {
+        return { error: 'already_member' };
+      }
+      if (!await blockService.canContact(inviter.id, inviteeId)) {
+        return { error: 'blocked' };
+      }
+    }
+
+    const code = this.generateCode();
+    const result = await pool.query(`
+      INSERT INTO group_invites (group_id, created_by, code_hash, invitee_id, max_uses, expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))
+      RETURNING id, group_id, created_by, invitee_id, max_uses, use_count, expires_at, revoked_at, created_at
+    `, [groupId, inviter.id, hashCode(code), inviteeId, inviteeId ? 1 : maxUses, expiresInHours]);
+
+    const invite = this.formatInvite(result.rows[0]);
+    const token = jwt.sign({ inviteId: invite.id, groupId }, this.secret, {
+      audience: INVITE_AUDIENCE,
+      expiresIn: expiresInHours * 3600
+    });
+    const link = `${this.linkBase}?token=${encodeURIComponent(token)}`;
+
+    if (inviteeId) {
+      groupMessageService.emitToUser(inviteeId, 'group:invited', { groupId, inviteId: invite.id, token, link });
+    }
+    return { invite, code, token, link };
+  }
+
+  // Invites that can still be used
+  async listInvites(groupId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${INVITE_COLUMNS}
+      FROM group_invites i
+      WHERE i.group_id = $1 AND i.revoked_at IS NULL AND i.expires_at > NOW()
+        AND (i.max_uses IS NULL OR i.use_count < i.max_uses)
+      ORDER BY i.created_at DESC
+    `, [groupId]);
+
+    return result.rows.map(row => this.formatInvite(row));
+  }
+
+  async revokeInvite(groupId, inviteId, actor) {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE group_invites i
+      SET revoked_at = NOW(), revoked_by = $3
+      WHERE i.id = $1 AND i.group_id = $2 AND i.revoked_at IS NULL
+      RETURNING ${INVITE_COLUMNS}
+    `, [inviteId, groupId, actor.id]);
+
+    return result.rows[0] ? this.formatInvite(result.rows[0]) : null;
+  }
+
+  // Join with a link token or a code. Returns { group, inviteId } or { error }:
+  // invalid_invite, or any joinError other than the privacy ones (an invitation
+  // is the way past those).
+  async acceptInvite(user, { token = null, code = null }) {
+    const pool = getPool();
+    let lookup;
+
+    if (token) {
+      let decoded;
+      try {
+        decoded = jwt.verify(token, this.secret, { audience: INVITE_AUDIENCE });
+      } catch (error) {
+        return { error: 'invalid_invite' };
+      }
+      lookup = await pool.query(
+        'SELECT id, group_id, created_by FROM group_invites WHERE id = $1 AND group_id = $2',
+        [decoded.inviteId, decoded.groupId]
+      );
+    } else {
+      lookup = await pool.query('SELECT id, group_id, created_by FROM group_invites WHERE code_hash = $1', [hashCode(code)]);
+    }
+
+    const invite = lookup.rows[0];
+    if (!invite) {
+      return { error: 'invalid_invite' };
+    }
+
+    const { group, error } = await groupService.addMember(invite.group_id, user, {
+      via: 'invite',
+      invitedBy: invite.created_by,
+      // Use up the invite only if the join goes ahead
+      beforeJoin: async (client) => {
+        const used = await client.query(`
+          UPDATE group_invites i
+          SET use_count = use_count + 1
+          WHERE i.id = $1 AND i.revoked_at IS NULL AND i.expires_at > NOW()
+            AND (i.max_uses IS NULL OR i.use_count < i.max_uses)
+            AND (i.invitee_id IS NULL OR i.invitee_id = $2)
+            -- An invite stops working if whoever created it no longer runs the group
+            AND EXISTS (
+              SELECT 1 FROM group_memberships gm
+              WHERE gm.group_id = i.group_id AND gm.user_id = i.created_by
+                AND gm.left_at IS NULL AND gm.role = ANY($3::text[])
+            )
+          RETURNING i.id
+        `, [invite.id, user.id, groupService.managerRoles]);
+        if (used.rows.length === 0) {
+          return 'invalid_invite';
+        }
+
+        // An invitation settles any request they had waiting
+        await client.query(`
+          UPDATE group_join_requests
+          SET status = 'cancelled', decided_at = NOW()
+          WHERE group_id = $1 AND user_id = $2 AND status = 'pending'
+        `, [invite.group_id, user.id]);
+        return null;
+      }
+    });
+
+    if (error) {
+      return { error };
+    }
+    return { group, inviteId: invite.id };
+  }
+
+  // Ask to join a private group. Asking again while a request is pending returns
+  // it. Returns { request, duplicate } or { error }: not_found, already_member,
+  // not_private or verification_required.
+  async requestToJoin(groupId, user, { message = null } = {}) {
+    const pool = getPool();
+    const groupResult = await pool.query(`
+      SELECT id, leader_id, privacy_level, verification_required
+      FROM groups
+      WHERE id = $1 AND is_active = TRUE
+    `, [groupId]);
+
+    const group = groupResult.rows[0];
+    if (!group) return { error: 'not_found' };
+    if (group.privacy_level !== 'private') return { error: 'not_private' };
+    if (await groupService.getMembership(groupId, user.id)) return { error: 'already_member' };
+    if (group.verification_required && !groupService.meetsGroupVerification(user)) {
+      return { error: 'verification_required' };
+    }
+
+    const inserted = await pool.query(`
+      INSERT INTO group_join_requests (group_id, user_id, message)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (group_id, user_id) WHERE status = 'pending' DO NOTHING
+      RETURNING id
+    `, [groupId, user.id, message]);
+
+    const duplicate = inserted.rows.length === 0;
+    const request = await this.getPendingRequest(groupId, user.id);
+    if (!duplicate) {
+      groupMessageService.emitToUser(group.leader_id, 'group:join-request', { groupId, requestId: request.id });
+    }
+    return { request, duplicate };
+  }
+
+  async getPendingRequest(groupId, userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${JOIN_REQUEST_COLUMNS}
+      FROM group_join_requests r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.group_id = $1 AND r.user_id = $2 AND r.status = 'pending'
+    `, [groupId, userId]);
+
+    return result.rows[0] ? this.formatJoinRequest(result.rows[0]) : null;
+  }
+
+  // Pending requests, oldest first
+  async listJoinRequests(groupId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${JOIN_REQUEST_COLUMNS}
+      FROM group_join_requests r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.group_id = $1 AND r.status = 'pending'
+      ORDER BY r.created_at ASC
+    `, [groupId]);
+
+    return result.rows.map(row => this.formatJoinRequest(row));
+  }
+
+  // Approve (adding the member) or deny a pending request. Returns { request } or
+  // { error }: not_found, or a joinError when the applicant can't be added.
+  async decideJoinRequest(groupId, requestId, actor, decision) {
+    const pool = getPool();
+    const pending = await pool.query(`
+      SELECT user_id FROM group_join_requests
+      WHERE id = $1 AND group_id = $2 AND status = 'pending'
+    `, [requestId, groupId]);
+
+    if (pending.rows.length === 0) {
+      return { error: 'not_found' };
+    }
+    const applicantId = pending.rows[0].user_id;
+
+    const markDecided = (client, status) => client.query(`
+      UPDATE group_join_requests
+      SET status = $3, decided_by = $4, decided_at = NOW()
+      WHERE id = $1 AND group_id = $2 AND status = 'pending'
+      RETURNING id
+    `, [requestId, groupId, status, actor.id]);
+
+    if (decision === 'approve') {
+      const applicant = await groupService.loadVerification(pool, applicantId);
+      if (!applicant) {
+        return { error: 'not_found' };
+      }
+
+      const { error } = await groupService.addMember(groupId, applicant, {
+        via: 'request',
+        invitedBy: actor.id,
+        beforeJoin: async (client) => {
+          const decided = await markDecided(client, 'approved');
+          return decided.rows.length > 0 ? null : 'not_found';
+        }
+      });
+      if (error) {
+        return { error };
+      }
+    } else {
+      const decided = await markDecided(pool, 'denied');
+      if (decided.rows.length === 0) {
+        return { error: 'not_found' };
+      }
+    }
+
+    const status = decision === 'approve' ? 'approved' : 'denied';
+    groupMessageService.emitToUser(applicantId, 'group:join-request:decided', { groupId, requestId, status });
+    return { request: { id: requestId, groupId, userId: applicantId, status } };
+  }
+
+  // Whether there was a pending request to withdraw
+  async cancelJoinRequest(groupId, userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE group_join_requests
+      SET status = 'cancelled', decided_at = NOW()
+      WHERE group_id = $1 AND user_id = $2 AND status = 'pending'
+      RETURNING id
+    `, [groupId, userId]);
+    return result.rows.length > 0;
+  }
+
+  formatInvite(row) {
+    return {
+      id: row.id,
+      groupId: row.group_id,
+      createdBy: row.created_by,
+      inviteeId: row.invitee_id,
+      maxUses: row.max_uses,
+      useCount: row.use_count,
+      expiresAt: row.expires_at,
+      revoked: !!row.revoked_at,
+      createdAt: row.created_at
+    };
+  }
+
+  formatJoinRequest(row) {
+    return {
+      id: row.id,
+      groupId: row.group_id,
+      user: {
+        id: row.user_id,
+        name: groupService.formatMemberName(row.first_name, row.last_name)
+      },
+      message: row.message,
+      status: row.status,
+      decidedAt: row.decided_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new GroupInviteService();
@@ -0,0 +1,183 @@
+const { getPool } = require('../config/database');
+const groupService = require('./groupService');
+const blockService = require('./blockService');
+const { logger } = require('../utils/logger');
+
+const MESSAGE_COLUMNS = `
+  m.id, m.group_id, m.user_id, m.message_content, m.message_type,
+  m.moderation_status, m.edited_at, m.created_at,
+  u.first_name, u.last_name
+`;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Opaque page cursor: the (created_at, id) of the last message on the page. The
+// time is kept in microseconds since the epoch; a JS Date would drop precision
+// and skip messages written in the same millisecond.
+const encodeCursor = (row) => Buffer.from(`${row.created_us}|${row.id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [createdUs, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  if (!UUID_PATTERN.test(id || '') || !/^\d{1,17}$/.test(createdUs || '')) {
+    return null;
+  }
+  return { createdUs, id };
+};
+
+// Group chat messages. Members read approved messages plus their own, newest
+// first with cursor pagination, minus anything from members they have blocked.
+// New messages start out pending until moderation (communityModerationService)
+// decides; approved ones are broadcast to the group's Socket.IO room and the
+// sender is told about each status change.
+class GroupMessageService {
+  constructor() {
+    this.io = null;
+  }
+
+  attach(io) {
+    this.io = io;
+  }
+
+  roomFor(groupId) {
+    return `group-${groupId}`;
+  }
+
+  // Every authenticated socket joins its user's room on connect
+  userRoom(userId) {
+    return `user-${userId}`;
+  }
+
+  isValidCursor(cursor) {
+    return decodeCursor(cursor) !== null;
+  }
+
+  async listMessages(groupId, userId, { cursor = null, limit = 50 } = {}) {
+    const pool = getPool();
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    // One extra row tells us whether there is another page
+    const result = await pool.query(`
+      SELECT ${MESSAGE_COLUMNS},
+        (EXTRACT(EPOCH FROM m.created_at) * 1000000)::bigint as created_us
+      FROM group_messages m
+      JOIN users u ON m.user_id = u.id
+      WHERE m.group_id = $1
+        AND (m.moderation_status = 'approved' OR m.user_id = $2)
+        AND NOT EXISTS (SELECT 1 FROM user_blocks b WHERE b.blocker_id = $2 AND b.blocked_id = m.user_id)
+        AND ($3::bigint IS NULL OR (m.created_at, m.id) < (TIMESTAMPTZ 'epoch' + $3::bigint * INTERVAL '1 microsecond', $4::uuid))
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $5
+    `, [groupId, userId, after ? after.createdUs : null, after ? after.id : null, limit + 1]);
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+
+    return {
+      messages: rows.map(row => this.formatMessage(row)),
+      pagination: {
+        nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null,
+        hasMore
+      }
+    };
+  }
+
+  async createMessage(groupId, user, { content, messageType = 'text' }) {
+    const pool = getPool();
+    const result = await pool.query(`
+      WITH inserted AS (
+        INSERT INTO group_messages (group_id, user_id, message_content, message_type, moderation_status)
+        VALUES ($1, $2, $3, $4, 'pending')
+        RETURNING *
+      )
+      SELECT ${MESSAGE_COLUMNS}
+      FROM inserted m
+      JOIN users u ON m.user_id = u.id
+    `, [groupId, user.id, content, messageType]);
+
+    return this.formatMessage(result.rows[0]);
+  }
+
+  // Send an approved message to the group room, skipping members who blocked the
+  // sender. If the block list can't be read the message is not pushed at all;
+  // members still get it on their next fetch.
+  async broadcast(message) {
+    if (!this.io) return;
+
+    try {
+      const blockerIds = await blockService.listBlockerIds(message.sender.id);
+      this.io.to(this.roomFor(message.groupId))
+        .except(blockerIds.map(userId => this.userRoom(userId)))
+        .emit('group:message', message);
+    } catch (error) {
+      logger.error('Group message broadcast failed:', { messageId: message.id, error: error.message });
+    }
+  }
+
+  // Tell the room a message it may have seen is no longer visible
+  withdraw(message) {
+    if (!this.io) return;
+    this.io.to(this.roomFor(message.groupId)).emit('group:message:removed', {
+      messageId: message.id,
+      groupId: message.groupId
+    });
+  }
+
+  notifySender(message, { reason = null } = {}) {
+    if (!this.io) return;
+    this.io.to(this.userRoom(message.sender.id)).emit('group:message:status', {
+      messageId: message.id,
+      groupId: message.groupId,
+      moderationStatus: message.moderationStatus,
+      reason
+    });
+  }
+
+  sendCrisisSupport(userId, support) {
+    this.emitToUser(userId, 'group:crisis-support', support);
+  }
+
+  emitToUser(userId, event, payload) {
+    if (!this.io) return;
+    this.io.to(this.userRoom(userId)).emit(event, payload);
+  }
+
+  // Drop a departing member's sockets from the group room
+  async removeFromRoom(groupId, userId) {
+    if (!this.io) return;
+
+    const sockets = await this.io.in(this.roomFor(groupId)).fetchSockets();
+    sockets
+      .filter(socket => socket.data.user && socket.data.user.id === userId)
+      .forEach(socket => socket.leave(this.roomFor(groupId)));
+  }
+
+  // Drop all of a user's sockets from every group room, e.g. on suspension
+  async removeFromAllGroups(userId) {
+    if (!this.io) return;
+
+    const sockets = await this.io.in(this.userRoom(userId)).fetchSockets();
+    sockets.forEach(socket => {
+      [...socket.rooms]
+        .filter(room => room.startsWith(this.roomFor('')))
+        .forEach(room => socket.leave(room));
+    });
+  }
+
+  formatMessage(row) {
+    return {
+      id: row.id,
+      groupId: row.group_id,
+      sender: {
+        id: row.user_id,
+        name: groupService.formatMemberName(row.first_name, row.last_name)
+      },
+      content: row.message_content,
+      messageType: row.message_type,
+      moderationStatus: row.moderation_status,
+      editedAt: row.edited_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new GroupMessageService();
@@ -0,0 +1,450 @@
+const { getPool } = require('../config/database');
+const { meetsVerification } = require('../utils/verification');
+
+// Members of groups that require verification need at least this level
+const GROUP_VERIFICATION_LEVEL = 'identity';
+
+// Group roles, lowest first. Moderators review messages; co-leaders also manage
+// invitations, join requests and members; the leader can do everything and is
+// the only one who can hand the group over.
+const GROUP_ROLES = ['member', 'moderator', 'co_leader', 'leader'];
+
+const GROUP_COLUMNS = `
+  g.id, g.name, g.description, g.group_type, g.member_count, g.max_members,
+  g.leader_id, g.verification_required, g.privacy_level, g.created_at,
+  u.first_name as leader_first_name, u.last_name as leader_last_name
+`;
+
+// Community groups and membership. Active members have a group_memberships row
+// with left_at NULL; groups.member_count caches their number and is only changed
+// while holding the group row lock, so concurrent joins can't overfill a group.
+class GroupService {
+  constructor() {
+    this.roles = GROUP_ROLES;
+    this.moderatorRoles = ['moderator', 'co_leader', 'leader'];
+    this.managerRoles = ['co_leader', 'leader'];
+  }
+
+  roleRank(role) {
+    return GROUP_ROLES.indexOf(role);
+  }
+
+  // Discoverable groups: public and private ones, plus invite-only groups the
+  // user already belongs to
+  async listGroups(userId, { type = null, page = 1, limit = 20 } = {}) {
+    const pool = getPool();
+    const offset = (page - 1) * limit;
+
+    const result = await pool.query(`
+      SELECT ${GROUP_COLUMNS},
+        gm.role as membership_role,
+        COUNT(*) OVER() as total_count
+      FROM groups g
+      JOIN users u ON g.leader_id = u.id
+      LEFT JOIN group_memberships gm ON gm.group_id = g.id AND gm.user_id = $1 AND gm.left_at IS NULL
+      WHERE g.is_active = TRUE
+        AND ($2::text IS NULL OR g.group_type = $2)
+        AND (g.privacy_level <> 'invite_only' OR gm.id IS NOT NULL)
+      ORDER BY g.created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [userId, type, limit, offset]);
+
+    const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    return {
+      groups: result.rows.map(row => this.formatGroup(row)),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.max(1, Math.ceil(totalCount / limit)),
+        totalCount
+      }
+    };
+  }
+
+  async listUserGroups(userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${GROUP_COLUMNS}, gm.role as membership_role, gm.joined_at
+      FROM group_memberships gm
+      JOIN groups g ON gm.group_id = g.id
+      JOIN users u ON g.leader_id = u.id
+      WHERE gm.user_id = $1 AND gm.left_at IS NULL AND g.is_active = TRUE
+      ORDER BY gm.joined_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => ({
+      ...this.formatGroup(row),
+      joinedAt: row.joined_at
+    }));
+  }
+
+  // Invite-only groups are only visible to their members
+  async getGroup(groupId, userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${GROUP_COLUMNS}, gm.role as membership_role
+      FROM groups g
+      JOIN users u ON g.leader_id = u.id
+      LEFT JOIN group_memberships gm ON gm.group_id = g.id AND gm.user_id = $2 AND gm.left_at IS NULL
+      WHERE g.id = $1 AND g.is_active = TRUE
+    `, [groupId, userId]);
+
+    const row = result.rows[0];
+    if (!row || (row.privacy_level === 'invite_only' && !row.membership_role)) {
+      return null;
+    }
+    return this.formatGroup(row);
+  }
+
+  // The creator leads the group and is its first member
+  async createGroup(leader, { name, description, groupType, maxMembers, privacyLevel, verificationRequired = false }) {
+    const pool = getPool();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const created = await client.query(`
+        INSERT INTO groups (
+          name, description, group_type, max_members, privacy_level,
+          verification_required, leader_id, member_count
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, 1)
+        RETURNING id
+      `, [name, description, groupType, maxMembers, privacyLevel, verificationRequired, leader.id]);
+
+      const groupId = created.rows[0].id;
+      await client.query(`
+        INSERT INTO group_memberships (group_id, user_id, role)
+        VALUES ($1, $2, 'leader')
+      `, [groupId, leader.id]);
+
+      await client.query('COMMIT');
+      return this.getGroup(groupId, leader.id);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Join a public group directly. Returns { group } or { error }: not_found,
+  // already_member, removed, requires_invitation (invite-only), requires_approval
+  // (private; see groupInviteService.requestToJoin), verification_required or group_full
+  async joinGroup(groupId, user) {
+    return this.addMember(groupId, user, { via: 'direct' });
+  }
+
+  // Add a member under the group row lock. via is 'direct', where the privacy
+  // rules apply, or 'invite' / 'request' when a group leader has let them in.
+  // beforeJoin(client, group) runs in the same transaction and may return an
+  // error code, e.g. to use up an invitation.
+  async addMember(groupId, user, { via = 'direct', invitedBy = null, beforeJoin = null } = {}) {
+    const pool = getPool();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Joins to the same group queue on this lock, so the capacity check holds
+      const locked = await client.query(`
+        SELECT id, member_count, max_members, privacy_level, verification_required
+        FROM groups
+        WHERE id = $1 AND is_active = TRUE
+        FOR UPDATE
+      `, [groupId]);
+
+      const group = locked.rows[0];
+      let error = group
+        ? await this.joinError(client, group, user, via)
+        : 'not_found';
+      if (!error && beforeJoin) {
+        error = await beforeJoin(client, group);
+      }
+
+      if (error) {
+        await client.query('ROLLBACK');
+        return { error };
+      }
+
+      await client.query(`
+        INSERT INTO group_memberships (group_id, user_id, role, invited_by)
+        VALUES ($1, $2, 'member', $3)
+      `, [groupId, user.id, invitedBy]);
+      await this.refreshMemberCount(client, groupId);
+
+      await client.query('COMMIT');
+      return { group: await this.getGroup(groupId, user.id) };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async joinError(client, group, user, via = 'direct') {
+    const previous = await client.query(`
+      SELECT left_at, removed_by
+      FROM group_memberships
+      WHERE group_id = $1 AND user_id = $2
+      ORDER BY joined_at DESC
+      LIMIT 1
+    `, [group.id, user.id]);
+    const latest = previous.rows[0];
+
+    if (latest && !latest.left_at) return 'already_member';
+    if (via === 'direct') {
+      // Someone removed from a group needs a leader's say-so to come back
+      if (latest && latest.removed_by) return 'removed';
+      if (group.privacy_level === 'invite_only') return 'requires_invitation';
+      if (group.privacy_level === 'private') return 'requires_approval';
+    }
+    if (group.verification_required && !this.meetsGroupVerification(user)) return 'verification_required';
+    if (group.member_count >= group.max_members) return 'group_full';
+    return null;
+  }
+
+  // Verified groups (and group leadership) need identity verification
+  meetsGroupVerification(user) {
+    return meetsVerification(user, GROUP_VERIFICATION_LEVEL);
+  }
+
+  // Returns { left: true, closed } or { error }: not_member or leader_must_transfer.
+  // A leader who is the last member closes the group by leaving.
+  async leaveGroup(groupId, userId) {
+    const pool = getPool();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(
+        'SELECT id, leader_id, member_count FROM groups WHERE id = $1 AND is_active = TRUE FOR UPDATE',
+        [groupId]
+      );
+      const group = locked.rows[0];
+
+      const membership = group
+        ? await client.query(
+          'SELECT id FROM group_memberships WHERE group_id = $1 AND user_id = $2 AND left_at IS NULL',
+          [groupId, userId]
+        )
+        : { rows: [] };
+
+      if (membership.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { error: 'not_member' };
+      }
+
+      const isLeader = group.leader_id === userId;
+      if (isLeader && group.member_count > 1) {
+        await client.query('ROLLBACK');
+        return { error: 'leader_must_transfer' };
+      }
+
+      await client.query('UPDATE group_memberships SET left_at = NOW() WHERE id = $1', [membership.rows[0].id]);
+      await this.refreshMemberCount(client, groupId);
+
+      if (isLeader) {
+        await client.query('UPDATE groups SET is_active = FALSE, updated_at = NOW() WHERE id = $1', [groupId]);
+      }
+
+      await client.query('COMMIT');
+      return { left: true, closed: isLeader };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Recount rather than increment so the cache can't drift from the memberships
+  async refreshMemberCount(client, groupId) {
+    await client.query(`
+      UPDATE groups
+      SET member_count = (
+        SELECT COUNT(*) FROM group_memberships
+        WHERE group_id = $1 AND left_at IS NULL
+      ), updated_at = NOW()
+      WHERE id = $1
+    `, [groupId]);
+  }
+
+  // Members by role (leader first), then by how long they've been in the group
+  async listMembers(groupId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT gm.user_id, gm.role, gm.joined_at, u.first_name, u.last_name
+      FROM group_memberships gm
+      JOIN users u ON gm.user_id = u.id
+      WHERE gm.group_id = $1 AND gm.left_at IS NULL
+      ORDER BY array_position($2::text[], gm.role) DESC, gm.joined_at ASC
+    `, [groupId, GROUP_ROLES]);
+
+    return result.rows.map(row => ({
+      userId: row.user_id,
+      name: this.formatMemberName(row.first_name, row.last_name),
+      role: row.role,
+      joinedAt: row.joined_at
+    }));
+  }
+
+  // Change a member's role below leader. The actor must outrank both the member's
+  // current role and the new one. Returns { member } or { error }: not_member or forbidden.
+  async setRole(groupId, actor, targetUserId, role) {
+    return this.withMemberLock(groupId, actor.id, targetUserId, async (client, { actorRole, target }) => {
+      const actorRank = this.roleRank(actorRole);
+      if (actorRank <= this.roleRank(target.role) || actorRank <= this.roleRank(role)) {
+        return { error: 'forbidden' };
+      }
+
+      await client.query('UPDATE group_memberships SET role = $2 WHERE id = $1', [target.id, role]);
+      return { member: { userId: targetUserId, role, previousRole: target.role } };
+    });
+  }
+
+  // Remove a member the actor outranks. Returns { removed: true } or { error }:
+  // not_member or forbidden.
+  async removeMember(groupId, actor, targetUserId) {
+    return this.withMemberLock(groupId, actor.id, targetUserId, async (client, { actorRole, target }) => {
+      if (!this.managerRoles.includes(actorRole) || this.roleRank(actorRole) <= this.roleRank(target.role)) {
+        return { error: 'forbidden' };
+      }
+
+      await client.query(
+        'UPDATE group_memberships SET left_at = NOW(), removed_by = $2 WHERE id = $1',
+        [target.id, actor.id]
+      );
+      await this.refreshMemberCount(client, groupId);
+      return { removed: true, role: target.role };
+    });
+  }
+
+  // Hand the group to another member, who must meet the verification required of
+  // group leaders. The old leader stays on as a co-leader. Returns { group } or
+  // { error }: forbidden (not the leader), not_member or verification_required.
+  async transferLeadership(groupId, actor, newLeaderId) {
+    const result = await this.withMemberLock(groupId, actor.id, newLeaderId, async (client, { actorRole, target }) => {
+      if (actorRole !== 'leader') {
+        return { error: 'forbidden' };
+      }
+
+      const newLeader = await this.loadVerification(client, newLeaderId);
+      if (!newLeader || !this.meetsGroupVerification(newLeader)) {
+        return { error: 'verification_required' };
+      }
+
+      // Demote first: only one active leader is allowed at a time
+      await client.query(`
+        UPDATE group_memberships SET role = 'co_leader'
+        WHERE group_id = $1 AND user_id = $2 AND left_at IS NULL
+      `, [groupId, actor.id]);
+      await client.query('UPDATE group_memberships SET role = $2 WHERE id = $1', [target.id, 'leader']);
+      await client.query('UPDATE groups SET leader_id = $2, updated_at = NOW() WHERE id = $1', [groupId, newLeaderId]);
+      return { transferred: true, previousRole: target.role };
+    });
+
+    if (result.error) {
+      return result;
+    }
+    return { group: await this.getGroup(groupId, actor.id), previousRole: result.previousRole };
+  }
+
+  // Lock the group and run change(client, { actorRole, target }) against another
+  // member's active membership; commits unless it returns { error }
+  async withMemberLock(groupId, actorId, targetUserId, change) {
+    if (actorId === targetUserId) {
+      return { error: 'forbidden' };
+    }
+
+    const pool = getPool();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query('SELECT id FROM groups WHERE id = $1 AND is_active = TRUE FOR UPDATE', [groupId]);
+      const memberships = locked.rows.length === 0 ? { rows: [] } : await client.query(`
+        SELECT id, user_id, role
+        FROM group_memberships
+        WHERE group_id = $1 AND user_id = ANY($2::uuid[]) AND left_at IS NULL
+      `, [groupId, [actorId, targetUserId]]);
+
+      const actor = memberships.rows.find(row => row.user_id === actorId);
+      const target = memberships.rows.find(row => row.user_id === targetUserId);
+      const result = !actor
+        ? { error: 'forbidden' }
+        : !target
+          ? { error: 'not_member' }
+          : await change(client, { actorRole: actor.role, target });
+
+      await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Just enough of a user for meetsVerification, including any re-verification sanction
+  async loadVerification(client, userId) {
+    const result = await client.query(`
+      SELECT u.id, vl.name as verification_level,
+        EXISTS (
+          SELECT 1 FROM user_sanctions s
+          WHERE s.user_id = u.id AND s.sanction_type = 'reverification'
+            AND s.lifted_at IS NULL AND s.starts_at <= NOW()
+            AND (s.expires_at IS NULL OR s.expires_at > NOW())
+        ) as reverification_required
+      FROM users u
+      JOIN verification_levels vl ON u.verification_level_id = vl.id
+      WHERE u.id = $1 AND u.is_active = TRUE AND u.deleted_at IS NULL
+    `, [userId]);
+
+    const row = result.rows[0];
+    return row
+      ? { id: row.id, verificationLevel: row.verification_level, reverificationRequired: row.reverification_required }
+      : null;
+  }
+
+  async getMembership(groupId, userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT gm.role, gm.joined_at
+      FROM group_memberships gm
+      JOIN groups g ON gm.group_id = g.id
+      WHERE gm.group_id = $1 AND gm.user_id = $2 AND gm.left_at IS NULL AND g.is_active = TRUE
+    `, [groupId, userId]);
+
+    const row = result.rows[0];
+    return row ? { role: row.role, joinedAt: row.joined_at } : null;
+  }
+
+  // First name and initial only; members don't see each other's full names
+  formatMemberName(firstName, lastName) {
+    return lastName ? `${firstName} ${lastName.charAt(0)}.` : firstName;
+  }
+
+  formatGroup(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      type: row.group_type,
+      memberCount: row.member_count,
+      maxMembers: row.max_members,
+      privacyLevel: row.privacy_level,
+      verificationRequired: row.verification_required,
+      leader: {
+        id: row.leader_id,
+        name: this.formatMemberName(row.leader_first_name, row.leader_last_name)
+      },
+      isUserMember: !!row.membership_role,
+      membershipRole: row.membership_role || null,
+      isFull: row.member_count >= row.max_members,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new GroupService();
@@ -0,0 +1,548 @@
+const { getPool } = require('../config/database');
+const groupService = require('./groupService');
+const groupMessageService = require('./groupMessageService');
+const { logger } = require('../utils/logger');
+
+const RSVP_STATUSES = ['going', 'maybe', 'not_going'];
+// Members can open the live room, and the facilitator can start, this long before the start time
+const LOBBY_MINUTES = 15;
+// IANA zone names only: Postgres reads bare offsets like '+05:00' with the sign reversed
+const TIMEZONE_PATTERN = /^[A-Za-z_]+(\/[A-Za-z0-9_+-]+)*$/;
+// An ISO time that names its own offset rather than a wall-clock time
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const SESSION_COLUMNS = `
+  s.id, s.group_id, s.facilitator_id, s.title, s.description, s.starts_at,
+  s.duration_minutes, s.timezone, s.status, s.live_started_at, s.ended_at, s.created_at,
+  u.first_name, u.last_name, mine.status as my_rsvp,
+  (SELECT COUNT(*)::int FROM group_session_rsvps r WHERE r.session_id = s.id AND r.status = 'going') as going_count,
+  (SELECT COUNT(*)::int FROM group_session_rsvps r WHERE r.session_id = s.id AND r.status = 'maybe') as maybe_count,
+  (SELECT COUNT(*)::int FROM group_session_attendance a WHERE a.session_id = s.id) as attendance_count
+`;
+
+// $1 is always the viewer, for their own RSVP
+const SESSION_FROM = `
+  FROM group_sessions s
+  JOIN users u ON s.facilitator_id = u.id
+  LEFT JOIN group_session_rsvps mine ON mine.session_id = s.id AND mine.user_id = $1
+`;
+
+const UPCOMING = `(s.status = 'live' OR (s.status = 'scheduled' AND s.starts_at + make_interval(mins => s.duration_minutes) > NOW()))`;
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !TIMEZONE_PATTERN.test(timezone)) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock time in a zone, e.g. '2026-10-19T18:30'
+const toLocalTime = (date, timezone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60000);
+
+// Scheduled practice sessions for groups and their live mode. Start times are
+// stored as absolute times; each session keeps the zone it was scheduled in and
+// every response also gives the start in the viewer's own users.timezone.
+// Members RSVP and those going (or maybe going) get a session:reminder on their
+// user room shortly before the start.
+//
+// Live sessions run in a Socket.IO room (see sockets/groupSessions). The
+// facilitator, or a group leader, starts and ends the session and can ring
+// interval bells; everyone in the room gets the bells, the shared timer
+// (start and end times plus the server clock, so clients can correct for
+// drift) and the presence list. Members present while a session is live are
+// recorded as attending, which counts towards their practice streak.
+class GroupSessionService {
+  constructor() {
+    this.io = null;
+    this.rsvpStatuses = RSVP_STATUSES;
+    this.reminderMinutes = parseInt(process.env.SESSION_REMINDER_MINUTES) || 30;
+    // Sessions end on their own once the time is up; endOverdue catches any
+    // whose timer was lost to a restart
+    this.endTimers = new Map();
+  }
+
+  attach(io) {
+    this.io = io;
+  }
+
+  // Under the group- prefix, so removeFromAllGroups also drops suspended members
+  // from live sessions
+  roomFor(sessionId) {
+    return `group-session-${sessionId}`;
+  }
+
+  isValidTimezone(timezone) {
+    return isValidTimezone(timezone);
+  }
+
+  // startsAt is either a wall-clock time ('2026-10-19T18:30') in timezone, which
+  // defaults to the facilitator's own, or an ISO time with an offset. Returns
+  // { session } or { error: 'invalid_time' } for a start in the past or more than
+  // a year away.
+  async createSession(groupId, facilitator, { title, description = null, startsAt, timezone = null, durationMinutes }) {
+    const zone = timezone || (isValidTimezone(facilitator.timezone) ? facilitator.timezone : 'UTC');
+    const pool = getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const inserted = await client.query(`
+        WITH scheduled AS (
+          SELECT CASE WHEN $6::boolean THEN $5::text::timestamptz ELSE $5::text::timestamp AT TIME ZONE $7 END as starts_at
+        )
+        INSERT INTO group_sessions (group_id, facilitator_id, title, description, starts_at, duration_minutes, timezone)
+        SELECT $1::uuid, $2::uuid, $3, $4, scheduled.starts_at, $8::int, $7
+        FROM scheduled
+        WHERE scheduled.starts_at > NOW() AND scheduled.starts_at < NOW() + INTERVAL '1 year'
+        RETURNING id
+      `, [groupId, facilitator.id, title, description, startsAt, OFFSET_PATTERN.test(startsAt), zone, durationMinutes]);
+
+      if (inserted.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { error: 'invalid_time' };
+      }
+
+      const sessionId = inserted.rows[0].id;
+      await client.query(`
+        INSERT INTO group_session_rsvps (session_id, user_id, status)
+        VALUES ($1, $2, 'going')
+      `, [sessionId, facilitator.id]);
+
+      await client.query('COMMIT');
+
+      const session = await this.getSession(groupId, sessionId, facilitator);
+      if (this.io) {
+        this.io.to(groupMessageService.roomFor(groupId)).emit('session:scheduled', { groupId, sessionId });
+      }
+      return { session };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Upcoming sessions (including a live one) soonest first, or past ones most recent first
+  async listSessions(groupId, viewer, { when = 'upcoming', limit = 20 } = {}) {
+    const pool = getPool();
+    const upcoming = when === 'upcoming';
+    const result = await pool.query(`
+      SELECT ${SESSION_COLUMNS}
+      ${SESSION_FROM}
+      WHERE s.group_id = $2 AND ${upcoming ? UPCOMING : `NOT ${UPCOMING}`}
+      ORDER BY s.starts_at ${upcoming ? 'ASC' : 'DESC'}
+      LIMIT $3
+    `, [viewer.id, groupId, limit]);
+
+    return result.rows.map(row => this.formatSession(row, viewer.timezone));
+  }
+
+  async getSession(groupId, sessionId, viewer) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${SESSION_COLUMNS}
+      ${SESSION_FROM}
+      WHERE s.id = $2 AND s.group_id = $3
+    `, [viewer.id, sessionId, groupId]);
+
+    return result.rows[0] ? this.formatSession(result.rows[0], viewer.timezone) : null;
+  }
+
+  // Returns { session } or { error }: not_found or closed (the session is over,
+  // cancelled or past its end time)
+  async rsvp(groupId, sessionId, user, status) {
+    const pool = getPool();
+    const result = await pool.query(`
+      INSERT INTO group_session_rsvps (session_id, user_id, status)
+      SELECT s.id, $3::uuid, $4
+      FROM group_sessions s
+      WHERE s.id = $1 AND s.group_id = $2 AND ${UPCOMING}
+      ON CONFLICT (session_id, user_id) DO UPDATE SET status = EXCLUDED.status, updated_at = NOW()
+      RETURNING session_id
+    `, [sessionId, groupId, user.id, status]);
+
+    if (result.rows.length === 0) {
+      const session = await this.getSession(groupId, sessionId, user);
+      return { error: session ? 'closed' : 'not_found' };
+    }
+    return { session: await this.getSession(groupId, sessionId, user) };
+  }
+
+  // The facilitator or a group leader can run (start, ring, end or cancel) a session
+  canRun(session, userId, role) {
+    return session.facilitator.id === userId || groupService.managerRoles.includes(role);
+  }
+
+  // Only sessions that haven't started can be cancelled. Returns { session } or
+  // { error }: not_found, forbidden or not_scheduled.
+  async cancelSession(groupId, sessionId, actor, membership) {
+    const session = await this.getSession(groupId, sessionId, actor);
+    if (!session) return { error: 'not_found' };
+    if (!this.canRun(session, actor.id, membership.role)) return { error: 'forbidden' };
+
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE group_sessions
+      SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'scheduled'
+      RETURNING id
+    `, [sessionId]);
+
+    if (result.rows.length === 0) {
+      return { error: 'not_scheduled' };
+    }
+
+    const attendees = await this.listRsvpUserIds(sessionId);
+    attendees.forEach(userId => {
+      groupMessageService.emitToUser(userId, 'session:cancelled', { groupId, sessionId, title: session.title });
+    });
+    return { session: await this.getSession(groupId, sessionId, actor) };
+  }
+
+  // Members who said they're going or might
+  async listRsvpUserIds(sessionId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT user_id FROM group_session_rsvps
+      WHERE session_id = $1 AND status IN ('going', 'maybe')
+    `, [sessionId]);
+    return result.rows.map(row => row.user_id);
+  }
+
+  // Remind members who are going (or maybe) once, reminderMinutes before the
+  // start, in their own timezone. Returns how many reminders went out.
+  async sendReminders() {
+    const pool = getPool();
+    const result = await pool.query(`
+      WITH due AS (
+        UPDATE group_session_rsvps r
+        SET reminded_at = NOW()
+        FROM group_sessions s
+        WHERE r.session_id = s.id AND r.reminded_at IS NULL AND r.status IN ('going', 'maybe')
+          AND s.status = 'scheduled'
+          AND s.starts_at > NOW() AND s.starts_at <= NOW() + make_interval(mins => $1)
+          AND EXISTS (
+            SELECT 1 FROM group_memberships gm
+            WHERE gm.group_id = s.group_id AND gm.user_id = r.user_id AND gm.left_at IS NULL
+          )
+        RETURNING r.user_id, r.status, s.id, s.group_id, s.title, s.starts_at, s.duration_minutes
+      )
+      SELECT due.*, u.timezone as user_timezone, g.name as group_name
+      FROM due
+      JOIN users u ON due.user_id = u.id
+      JOIN groups g ON due.group_id = g.id
+    `, [this.reminderMinutes]);
+
+    result.rows.forEach(row => {
+      const timezone = isValidTimezone(row.user_timezone) ? row.user_timezone : 'UTC';
+      groupMessageService.emitToUser(row.user_id, 'session:reminder', {
+        sessionId: row.id,
+        groupId: row.group_id,
+        groupName: row.group_name,
+        title: row.title,
+        rsvp: row.status,
+        startsAt: row.starts_at,
+        durationMinutes: row.duration_minutes,
+        local: { timezone, startsAt: toLocalTime(row.starts_at, timezone) }
+      });
+    });
+
+    if (result.rows.length > 0) {
+      logger.info('Group session reminders sent', { count: result.rows.length });
+    }
+    return result.rows.length;
+  }
+
+  // Load a session by ID along with the user's role in its group
+  async loadForMember(sessionId, user) {
+    const pool = getPool();
+    const lookup = await pool.query('SELECT group_id FROM group_sessions WHERE id = $1', [sessionId]);
+    if (lookup.rows.length === 0) {
+      return { error: 'not_found' };
+    }
+
+    const groupId = lookup.rows[0].group_id;
+    const membership = await groupService.getMembership(groupId, user.id);
+    if (!membership) {
+      return { error: 'not_member' };
+    }
+
+    const session = await this.getSession(groupId, sessionId, user);
+    return { session, membership };
+  }
+
+  isOpen(session) {
+    if (session.status === 'live') return true;
+    if (session.status !== 'scheduled') return false;
+
+    const now = Date.now();
+    return now >= addMinutes(session.startsAt, -LOBBY_MINUTES).getTime() && now < new Date(session.endsAt).getTime();
+  }
+
+  // Whether a member may enter the live room now (from LOBBY_MINUTES before the
+  // start until the session ends); attendance is recorded if it's already live.
+  // Returns { session, canRun } or { error }: not_found, not_member or not_open.
+  async joinLive(sessionId, user) {
+    const { session, membership, error } = await this.loadForMember(sessionId, user);
+    if (error) return { error };
+    if (!this.isOpen(session)) return { error: 'not_open' };
+
+    if (session.status === 'live') {
+      await this.recordAttendance(sessionId, [user.id]);
+    }
+    return { session, canRun: this.canRun(session, user.id, membership.role) };
+  }
+
+  // Stamp when a member was last in the room while it was live
+  async markSeen(sessionId, userId) {
+    const pool = getPool();
+    await pool.query(`
+      UPDATE group_session_attendance a
+      SET last_seen_at = NOW()
+      FROM group_sessions s
+      WHERE a.session_id = s.id AND s.id = $1 AND a.user_id = $2 AND s.status = 'live'
+    `, [sessionId, userId]);
+  }
+
+  async recordAttendance(sessionId, userIds) {
+    if (userIds.length === 0) return;
+
+    const pool = getPool();
+    await pool.query(`
+      INSERT INTO group_session_attendance (session_id, user_id)
+      SELECT $1::uuid, user_id FROM unnest($2::uuid[]) as user_id
+      ON CONFLICT (session_id, user_id) DO UPDATE SET last_seen_at = NOW()
+    `, [sessionId, userIds]);
+  }
+
+  // Returns { session } or { error }: not_found, not_member, forbidden or
+  // not_startable (already started, cancelled, or outside the lobby-to-end window)
+  async startLive(sessionId, actor) {
+    const { session: scheduled, membership, error } = await this.loadForMember(sessionId, actor);
+    if (error) return { error };
+    if (!this.canRun(scheduled, actor.id, membership.role)) return { error: 'forbidden' };
+
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE group_sessions
+      SET status = 'live', live_started_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'scheduled'
+        AND NOW() >= starts_at - make_interval(mins => $2)
+        AND NOW() < starts_at + make_interval(mins => duration_minutes)
+      RETURNING id
+    `, [sessionId, LOBBY_MINUTES]);
+
+    if (result.rows.length === 0) {
+      return { error: 'not_startable' };
+    }
+
+    const session = await this.getSession(scheduled.groupId, sessionId, actor);
+    const present = await this.listPresence(sessionId);
+    await this.recordAttendance(sessionId, present.map(participant => participant.id));
+
+    this.scheduleEnd(session);
+    this.ringBell(session, 'start');
+    this.emitState(session);
+
+    // Let those who said they'd come know it has begun
+    const attendees = await this.listRsvpUserIds(sessionId);
+    attendees
+      .filter(userId => !present.some(participant => participant.id === userId))
+      .forEach(userId => {
+        groupMessageService.emitToUser(userId, 'session:live', { groupId: session.groupId, sessionId, title: session.title });
+      });
+
+    return { session };
+  }
+
+  // An interval bell from whoever runs the session. Returns { session } or
+  // { error }: not_found, not_member, forbidden or not_live.
+  async ringIntervalBell(sessionId, actor) {
+    const { session, membership, error } = await this.loadForMember(sessionId, actor);
+    if (error) return { error };
+    if (!this.canRun(session, actor.id, membership.role)) return { error: 'forbidden' };
+    if (session.status !== 'live') return { error: 'not_live' };
+
+    this.ringBell(session, 'interval');
+    return { session };
+  }
+
+  // End a live session: by whoever runs it, or with no actor when the time is up.
+  // Returns { session } or { error }: not_found, not_member, forbidden or not_live.
+  async endLive(sessionId, actor = null) {
+    if (actor) {
+      const { session, membership, error } = await this.loadForMember(sessionId, actor);
+      if (error) return { error };
+      if (!this.canRun(session, actor.id, membership.role)) return { error: 'forbidden' };
+    }
+
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE group_sessions
+      SET status = 'ended', ended_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'live'
+      RETURNING group_id, facilitator_id
+    `, [sessionId]);
+
+    if (result.rows.length === 0) {
+      return { error: actor ? 'not_live' : 'not_found' };
+    }
+
+    this.clearEndTimer(sessionId);
+
+    // Everyone still in the room was there to the end
+    const present = await this.listPresence(sessionId);
+    await this.recordAttendance(sessionId, present.map(participant => participant.id));
+
+    const session = await this.getSession(result.rows[0].group_id, sessionId, actor || { id: result.rows[0].facilitator_id });
+    this.ringBell(session, 'end');
+    this.emitState(session);
+    return { session };
+  }
+
+  // Live sessions past their time whose end timer didn't fire
+  async endOverdue() {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT id FROM group_sessions
+      WHERE status = 'live' AND live_started_at + make_interval(mins => duration_minutes) <= NOW()
+    `);
+
+    for (const row of result.rows) {
+      await this.endLive(row.id);
+    }
+    return result.rows.length;
+  }
+
+  scheduleEnd(session) {
+    this.clearEndTimer(session.id);
+
+    const delay = Math.max(0, new Date(session.timer.endsAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.endTimers.delete(session.id);
+      this.endLive(session.id).catch(error => {
+        logger.error('Group session auto-end failed:', { sessionId: session.id, error: error.message });
+      });
+    }, delay);
+    timer.unref();
+    this.endTimers.set(session.id, timer);
+  }
+
+  clearEndTimer(sessionId) {
+    const timer = this.endTimers.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.endTimers.delete(sessionId);
+    }
+  }
+
+  // Members in the live room, once each however many tabs they have open
+  async listPresence(sessionId) {
+    if (!this.io) return [];
+
+    const sockets = await this.io.in(this.roomFor(sessionId)).fetchSockets();
+    const present = new Map();
+    sockets.forEach(socket => {
+      const user = socket.data.user;
+      if (user && !present.has(user.id)) {
+        present.set(user.id, { id: user.id, name: groupService.formatMemberName(user.firstName, user.lastName) });
+      }
+    });
+    return [...present.values()];
+  }
+
+  async emitPresence(sessionId) {
+    if (!this.io) return;
+
+    const participants = await this.listPresence(sessionId);
+    this.io.to(this.roomFor(sessionId)).emit('session:presence', { sessionId, participants });
+  }
+
+  ringBell(session, kind) {
+    if (!this.io) return;
+    this.io.to(this.roomFor(session.id)).emit('session:bell', {
+      sessionId: session.id,
+      kind,
+      at: new Date().toISOString()
+    });
+  }
+
+  emitState(session) {
+    if (!this.io) return;
+    this.io.to(this.roomFor(session.id)).emit('session:state', this.formatState(session));
+  }
+
+  // What the live room shows: the shared timer runs from timer.startedAt to
+  // timer.endsAt, and serverTime lets clients allow for their own clock's drift
+  formatState(session) {
+    return {
+      sessionId: session.id,
+      groupId: session.groupId,
+      title: session.title,
+      facilitator: session.facilitator,
+      status: session.status,
+      startsAt: session.startsAt,
+      durationMinutes: session.durationMinutes,
+      timer: session.timer,
+      endedAt: session.endedAt,
+      serverTime: new Date().toISOString()
+    };
+  }
+
+  formatSession(row, viewerTimezone) {
+    const timezone = isValidTimezone(viewerTimezone) ? viewerTimezone : 'UTC';
+    return {
+      id: row.id,
+      groupId: row.group_id,
+      title: row.title,
+      description: row.description,
+      facilitator: {
+        id: row.facilitator_id,
+        name: groupService.formatMemberName(row.first_name, row.last_name)
+      },
+      startsAt: row.starts_at,
+      endsAt: addMinutes(row.starts_at, row.duration_minutes),
+      durationMinutes: row.duration_minutes,
+      timezone: row.timezone,
+      local: {
+        timezone,
+        startsAt: toLocalTime(row.starts_at, timezone)
+      },
+      status: row.status,
+      timer: row.live_started_at
+        ? { startedAt: row.live_started_at, endsAt: addMinutes(row.live_started_at, row.duration_minutes) }
+        : null,
+      endedAt: row.ended_at,
+      rsvpCounts: {
+        going: row.going_count,
+        maybe: row.maybe_count
+      },
+      myRsvp: row.my_rsvp || null,
+      attendanceCount: row.attendance_count,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new GroupSessionService();
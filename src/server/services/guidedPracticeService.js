@@ -0,0 +1,427 @@
+const { getPool } = require('../config/database');
+const { LLMService } = require('./llmService');
+const conversationService = require('./conversationService');
+const usageService = require('./usageService');
+const outputGuardrailService = require('./outputGuardrailService');
+const { validate } = require('../utils/jsonSchema');
+const { logger } = require('../utils/logger');
+
+const MIN_PAUSE_SECONDS = 5;
+const MAX_BELL_SECONDS = 10;
+const BELL_SECONDS = 5;
+// How far the model's own timing may be from the requested length before the
+// output is sent back; closer than this, pauses are stretched or shortened to fit
+const DURATION_TOLERANCE = 0.5;
+// Quota held while a practice is generated: the 2000-token reply plus prompt and a retry
+const PRACTICE_RESERVATION_TOKENS = 4000;
+
+const sumDurations = (steps) => steps.reduce((total, step) => total + step.durationSeconds, 0);
+
+// Shape the coach must return. The example doubles as the mock provider's reply.
+const PRACTICE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'intention', 'steps'],
+  properties: {
+    title: { type: 'string', minLength: 3, maxLength: 100 },
+    intention: { type: 'string', maxLength: 300 },
+    steps: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 40,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'durationSeconds'],
+        properties: {
+          type: { type: 'string', enum: ['instruction', 'pause', 'bell'] },
+          text: { type: 'string', maxLength: 600 },
+          durationSeconds: { type: 'integer', minimum: 1, maximum: 3600 }
+        }
+      }
+    }
+  },
+  examples: [{
+    title: 'Settling with the Breath',
+    intention: 'A few quiet minutes to arrive and rest attention on breathing.',
+    steps: [
+      { type: 'bell', durationSeconds: 5 },
+      { type: 'instruction', text: 'Find a comfortable seat and let your eyes close or rest softly on the floor.', durationSeconds: 20 },
+      { type: 'pause', durationSeconds: 30 },
+      { type: 'instruction', text: 'Bring your attention to the breath, wherever you feel it most clearly.', durationSeconds: 20 },
+      { type: 'pause', durationSeconds: 90 },
+      { type: 'instruction', text: 'If the mind has wandered, notice where it went, and gently come back to the next breath.', durationSeconds: 20 },
+      { type: 'pause', durationSeconds: 90 },
+      { type: 'instruction', text: 'Let the practice go. Notice how you feel, and open your eyes when you are ready.', durationSeconds: 20 },
+      { type: 'bell', durationSeconds: 5 }
+    ]
+  }]
+};
+
+// Offered when the coach can't produce a valid practice
+const BUILTIN_PRACTICE = {
+  title: 'Breath Awareness',
+  intention: 'Rest attention on the breath and come back to it whenever the mind wanders.',
+  steps: [
+    { type: 'bell', durationSeconds: BELL_SECONDS },
+    { type: 'instruction', text: 'Settle into a comfortable position and let your body be still.', durationSeconds: 15 },
+    { type: 'pause', durationSeconds: 30 },
+    { type: 'instruction', text: 'Notice the breath moving in and out. There is no need to change it.', durationSeconds: 15 },
+    { type: 'pause', durationSeconds: 120 },
+    { type: 'instruction', text: 'When you notice the mind has wandered, that is a moment of awareness. Kindly return to the breath.', durationSeconds: 15 },
+    { type: 'pause', durationSeconds: 120 },
+    { type: 'instruction', text: 'Widen your attention to the whole body, then slowly bring the practice to a close.', durationSeconds: 15 },
+    { type: 'bell', durationSeconds: BELL_SECONDS }
+  ]
+};
+
+const GUARDRAIL_REASONS = {
+  medical_advice: 'must not give medical advice',
+  off_topic: 'must stay on the meditation practice'
+};
+
+// Guided meditations built by the coach from a user's request: a timed sequence
+// of spoken instructions, silent pauses and bells that the client plays step by
+// step, and that users can save to their own practice library.
+class GuidedPracticeService {
+  constructor() {
+    this.schema = PRACTICE_SCHEMA;
+  }
+
+  // Returns { practice, sources, isFallback, quotaExceeded, ... }, or
+  // { crisisSupport } when the request itself needs the crisis response. Over-quota
+  // users get the built-in practice and the day's static practice (as chat does)
+  // instead of a model call.
+  async generate(user, { prompt, durationMinutes }) {
+    const targetSeconds = durationMinutes * 60;
+    const [userContext, quota] = await Promise.all([
+      conversationService.buildUserContext(user),
+      usageService.reserveQuota(user, 'practice', PRACTICE_RESERVATION_TOKENS)
+    ]);
+
+    // Requests go through the same crisis screening as chat messages
+    const crisisAssessment = await LLMService.assessCrisisRisk(prompt, { conversationHistory: [], userContext });
+    if (crisisAssessment.requiresIntervention) {
+      await usageService.releaseReservation(quota.reservationId);
+      return {
+        crisisSupport: {
+          response: crisisAssessment.response,
+          resources: crisisAssessment.resources,
+          safetyPlan: crisisAssessment.safetyPlan,
+          resourceLocale: crisisAssessment.resourceLocale,
+          escalation: crisisAssessment.escalation
+        }
+      };
+    }
+
+    if (!quota.allowed) {
+      return {
+        practice: this.normalize(BUILTIN_PRACTICE, targetSeconds),
+        sources: [],
+        isFallback: true,
+        reason: 'quota_exceeded',
+        quotaExceeded: quota.exceeded,
+        staticPractice: usageService.getStaticPractice()
+      };
+    }
+
+    const sources = await LLMService.searchCurriculumContent(prompt, 3).catch(error => {
+      logger.error('Curriculum search for guided practice failed:', { error: error.message });
+      return [];
+    });
+    const guardContext = { userMessage: prompt, conversationHistory: [], userId: user.id };
+
+    let result;
+    try {
+      result = await LLMService.completeJson({
+        systemPrompt: this.buildPrompt(targetSeconds, userContext, sources),
+        messages: [{ role: 'user', content: prompt }],
+        maxTokens: 2000,
+        temperature: 0.7
+      }, PRACTICE_SCHEMA, {
+        check: (data) => [
+          ...this.checkPractice(data, targetSeconds),
+          ...this.screenSteps(data.steps, guardContext).errors
+        ]
+      });
+    } catch (error) {
+      logger.error('Guided practice generation failed:', { userId: user.id, error: error.message });
+      await usageService.recordUsage({
+        userId: user.id,
+        purpose: 'practice',
+        usage: error.result ? usageService.describeUsage(error.result) : null,
+        reservationId: quota.reservationId
+      });
+
+      return {
+        practice: this.normalize(BUILTIN_PRACTICE, targetSeconds),
+        sources: [],
+        isFallback: true,
+        reason: error.code === 'invalid_output' ? 'invalid_output' : 'unavailable',
+        quotaExceeded: null
+      };
+    }
+
+    await usageService.recordUsage({
+      userId: user.id,
+      purpose: 'practice',
+      usage: usageService.describeUsage(result),
+      reservationId: quota.reservationId
+    });
+
+    const screened = this.screenSteps(result.data.steps, guardContext);
+    if (screened.findings.length > 0) {
+      outputGuardrailService.logFindings(screened.findings, { userId: user.id, provider: result.provider, outcome: 'redact' });
+    }
+
+    return {
+      practice: this.normalize({ ...result.data, steps: screened.steps }, targetSeconds),
+      sources: sources.map(source => ({ lessonId: source.id, title: source.title, courseTitle: source.courseTitle })),
+      isFallback: false,
+      quotaExceeded: null,
+      provider: result.provider,
+      model: result.model
+    };
+  }
+
+  buildPrompt(targetSeconds, userContext, sources) {
+    let prompt = `You are a mindfulness teacher scripting a guided meditation for the Applied Mindfulness app. Build a practice of about ${Math.round(targetSeconds / 60)} minutes that answers the user's request, as a sequence of steps:
+- "instruction": words the narrator speaks. durationSeconds covers speaking them (about 2 words per second) and a moment to follow along.
+- "pause": silence while the listener practises. durationSeconds is its length, at least ${MIN_PAUSE_SECONDS}.
+- "bell": a bell sound of ${BELL_SECONDS} seconds. Open and close the practice with one.
+
+Spend most of the time in pauses. Keep the language simple, warm and secular. Do not give medical advice or mention medication. Step durations should add up to about ${targetSeconds} seconds.
+
+The user's experience level is ${userContext.currentLevel}.`;
+
+    if (sources.length > 0) {
+      prompt += `\n\nWhere it fits, draw on these lessons from the user's course:\n${sources
+        .map((source, index) => `[${index + 1}] ${source.title}: ${source.excerpt}`)
+        .join('\n')}`;
+    }
+
+    return prompt;
+  }
+
+  // Checks beyond the schema. With a target, the total must be close enough for
+  // normalize() to fit it by adjusting pauses.
+  checkPractice(practice, targetSeconds = null) {
+    const errors = [];
+
+    practice.steps.forEach((step, index) => {
+      if (step.type === 'instruction' && !(step.text && step.text.trim())) {
+        errors.push(`steps[${index}].text is required for an instruction`);
+      }
+      if (step.type === 'bell' && step.durationSeconds > MAX_BELL_SECONDS) {
+        errors.push(`steps[${index}].durationSeconds must be <= ${MAX_BELL_SECONDS} for a bell`);
+      }
+      if (step.type === 'pause' && step.durationSeconds < MIN_PAUSE_SECONDS) {
+        errors.push(`steps[${index}].durationSeconds must be >= ${MIN_PAUSE_SECONDS} for a pause`);
+      }
+    });
+
+    if (!practice.steps.some(step => step.type === 'instruction')) {
+      errors.push('steps must include at least one instruction');
+    }
+
+    if (targetSeconds) {
+      const total = sumDurations(practice.steps);
+      if (Math.abs(total - targetSeconds) > targetSeconds * DURATION_TOLERANCE) {
+        errors.push(`step durations add up to ${total} seconds but should be about ${targetSeconds}`);
+      }
+    }
+
+    return errors;
+  }
+
+  // Run spoken text through the output guardrails. Steps a check would regenerate
+  // come back as errors for the model to fix; redactions are applied.
+  screenSteps(steps, guardContext) {
+    const errors = [];
+    const findings = [];
+
+    const screened = steps.map((step, index) => {
+      if (!step.text) return step;
+
+      const review = outputGuardrailService.review(step.text, guardContext);
+      findings.push(...review.findings);
+      review.findings
+        .filter(finding => finding.action === 'regenerate' || finding.action === 'fallback')
+        .forEach(finding => {
+          errors.push(`steps[${index}].text ${GUARDRAIL_REASONS[finding.check] || `failed the ${finding.check} check`}`);
+        });
+
+      return { ...step, text: review.text };
+    });
+
+    return { steps: screened, errors: [...new Set(errors)], findings };
+  }
+
+  // Playable form: bells at both ends, pauses fitted to the requested length and
+  // each step's start offset, so the client can schedule or seek through it
+  normalize(practice, targetSeconds = null) {
+    let steps = practice.steps.map(step => ({
+      type: step.type,
+      text: step.type === 'bell' ? null : ((step.text || '').trim() || null),
+      durationSeconds: step.durationSeconds
+    }));
+
+    if (steps[0].type !== 'bell') {
+      steps.unshift({ type: 'bell', text: null, durationSeconds: BELL_SECONDS });
+    }
+    if (steps[steps.length - 1].type !== 'bell') {
+      steps.push({ type: 'bell', text: null, durationSeconds: BELL_SECONDS });
+    }
+
+    if (targetSeconds) {
+      steps = this.fitDuration(steps, targetSeconds);
+    }
+
+    let startSeconds = 0;
+    return {
+      title: practice.title.trim(),
+      intention: (practice.intention || '').trim() || null,
+      totalDurationSeconds: sumDurations(steps),
+      steps: steps.map((step, index) => {
+        const timed = { index, ...step, startSeconds };
+        startSeconds += step.durationSeconds;
+        return timed;
+      })
+    };
+  }
+
+  // Scale pauses so the whole practice lasts targetSeconds; spoken steps and bells
+  // keep their timing. Left as is when the pauses can't absorb the difference.
+  fitDuration(steps, targetSeconds) {
+    const pauseTotal = sumDurations(steps.filter(step => step.type === 'pause'));
+    const available = targetSeconds - (sumDurations(steps) - pauseTotal);
+    const pauseCount = steps.filter(step => step.type === 'pause').length;
+
+    if (pauseCount === 0 || available < pauseCount * MIN_PAUSE_SECONDS) {
+      return steps;
+    }
+
+    const scale = available / pauseTotal;
+    const fitted = steps.map(step => (step.type === 'pause'
+      ? { ...step, durationSeconds: Math.max(MIN_PAUSE_SECONDS, Math.round(step.durationSeconds * scale)) }
+      : step));
+
+    // Rounding leftovers go on the longest pause
+    const drift = targetSeconds - sumDurations(fitted);
+    const longest = fitted.reduce((best, step, index) => (
+      step.type === 'pause' && (best === -1 || step.durationSeconds > fitted[best].durationSeconds) ? index : best
+    ), -1);
+    if (drift !== 0 && fitted[longest].durationSeconds + drift >= MIN_PAUSE_SECONDS) {
+      fitted[longest] = { ...fitted[longest], durationSeconds: fitted[longest].durationSeconds + drift };
+    }
+
+    return fitted;
+  }
+
+  // Save a practice (usually one just generated) to the user's library. Returns
+  // { errors } when it doesn't hold together as a playable practice.
+  async savePractice(userId, { title, intention, steps, prompt = null, sourceLessonIds = [] }) {
+    // Played-back form carries index, startSeconds and null texts; keep what the schema describes
+    const input = {
+      title,
+      intention: intention || '',
+      steps: steps.map(({ type, text, durationSeconds }) => ({ type, durationSeconds, ...(text ? { text } : {}) }))
+    };
+    const errors = validate(PRACTICE_SCHEMA, input);
+    if (errors.length === 0) {
+      errors.push(...this.checkPractice(input));
+    }
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const practice = this.normalize(input);
+    const pool = getPool();
+    const result = await pool.query(`
+      INSERT INTO personal_practices (
+        user_id, title, intention, prompt, steps, total_duration_seconds, source_lesson_ids
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      userId,
+      practice.title,
+      practice.intention,
+      prompt,
+      JSON.stringify(practice.steps),
+      practice.totalDurationSeconds,
+      sourceLessonIds
+    ]);
+
+    return { practice: this.formatPractice(result.rows[0]) };
+  }
+
+  async listPractices(userId, limit = 20, offset = 0) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT id, title, intention, total_duration_seconds, play_count, last_played_at, created_at
+      FROM personal_practices
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      intention: row.intention,
+      totalDurationSeconds: row.total_duration_seconds,
+      playCount: row.play_count,
+      lastPlayedAt: row.last_played_at,
+      createdAt: row.created_at
+    }));
+  }
+
+  async getPractice(userId, practiceId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'SELECT * FROM personal_practices WHERE id = $1 AND user_id = $2',
+      [practiceId, userId]
+    );
+
+    return result.rows[0] ? this.formatPractice(result.rows[0]) : null;
+  }
+
+  async recordPlay(userId, practiceId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE personal_practices
+      SET play_count = play_count + 1, last_played_at = NOW()
+      WHERE id = $1 AND user_id = $2
+      RETURNING play_count, last_played_at
+    `, [practiceId, userId]);
+
+    const row = result.rows[0];
+    return row ? { playCount: row.play_count, lastPlayedAt: row.last_played_at } : null;
+  }
+
+  async deletePractice(userId, practiceId) {
+    const pool = getPool();
+    const result = await pool.query(
+      'DELETE FROM personal_practices WHERE id = $1 AND user_id = $2',
+      [practiceId, userId]
+    );
+    return result.rowCount > 0;
+  }
+
+  formatPractice(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      intention: row.intention,
+      prompt: row.prompt,
+      totalDurationSeconds: row.total_duration_seconds,
+      steps: row.steps,
+      sourceLessonIds: row.source_lesson_ids,
+      playCount: row.play_count,
+      lastPlayedAt: row.last_played_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new GuidedPracticeService();
@@ -0,0 +1,68 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const BaseProvider = require('./baseProvider');
+
+class AnthropicProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('anthropic', options);
+    this.model = options.model || process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229';
+    this.client = new Anthropic({ apiKey: options.apiKey });
+  }
+
+  async complete(request) {
+    const response = await this.withTimeout(this.client.messages.create({
+      model: this.model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      system: request.systemPrompt,
+      messages: request.messages
+    }));
+
+    return {
+      response: response.content[0].text,
+      tokens: response.usage.input_tokens + response.usage.output_tokens,
+      usage: {
+        inputTokens: response.usage.input_tokens,
+        outputTokens: response.usage.output_tokens
+      },
+      model: this.model
+    };
+  }
+
+  async stream(request, onToken) {
+    const usage = { input: 0, output: 0 };
+
+    const stream = await this.withTimeout(this.client.messages.create({
+      model: this.model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      system: request.systemPrompt,
+      messages: request.messages,
+      stream: true
+    }));
+
+    const text = await this.readStream(stream, (event) => {
+      if (event.type === 'message_start' && event.message.usage) {
+        usage.input = event.message.usage.input_tokens || 0;
+      }
+      if (event.type === 'message_delta' && event.usage) {
+        usage.output = event.usage.output_tokens || 0;
+      }
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        return event.delta.text;
+      }
+      return null;
+    }, onToken);
+
+    return {
+      response: text,
+      tokens: usage.input + usage.output,
+      usage: {
+        inputTokens: usage.input,
+        outputTokens: usage.output
+      },
+      model: this.model
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,65 @@
+// Base class for LLM provider adapters. Subclasses implement complete() and stream();
+// both take a request of { systemPrompt, messages, maxTokens, temperature, context }
+// and resolve to { response, tokens, usage: { inputTokens, outputTokens }, model }.
+// Structured requests (LLMService.completeJson) also carry responseSchema, the JSON
+// Schema the reply must match; it is already described in the system prompt.
+class BaseProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT) || 10000;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async complete(request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  async stream(request, onToken) {
+    throw new Error(`${this.name} provider does not implement stream()`);
+  }
+
+  async readStream(stream, extractDelta, onToken) {
+    const iterator = stream[Symbol.asyncIterator]();
+    let text = '';
+
+    try {
+      while (true) {
+        // The timeout applies per chunk so long answers aren't cut off mid-stream
+        const { value, done } = await this.withTimeout(iterator.next());
+        if (done) break;
+
+        const delta = extractDelta(value);
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      }
+    } catch (error) {
+      error.streamStarted = text.length > 0;
+      if (stream.controller) stream.controller.abort();
+      throw error;
+    }
+
+    return text;
+  }
+
+  withTimeout(promise) {
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Timeout')), this.timeout);
+      })
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  estimateTokens(text) {
+    // Rough heuristic (~4 characters per token) for backends that don't report usage
+    return Math.ceil((text || '').length / 4);
+  }
+}
+
+module.exports = BaseProvider;
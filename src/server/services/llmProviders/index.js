@@ -0,0 +1,78 @@
+const { logger } = require('../../utils/logger');
+const BaseProvider = require('./baseProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!(provider instanceof BaseProvider)) {
+      throw new Error('LLM providers must extend BaseProvider');
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  unregister(name) {
+    this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  names() {
+    return Array.from(this.providers.keys());
+  }
+}
+
+// Build the registry from environment configuration
+const createDefaultRegistry = () => {
+  const registry = new ProviderRegistry();
+
+  if (process.env.ANTHROPIC_API_KEY) {
+    registry.register(new AnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY }));
+  }
+
+  if (process.env.OPENAI_API_KEY) {
+    registry.register(new OpenAIProvider({ apiKey: process.env.OPENAI_API_KEY }));
+  }
+
+  if (process.env.LLM_LOCAL_BASE_URL) {
+    registry.register(new OpenAICompatibleProvider({
+      baseURL: process.env.LLM_LOCAL_BASE_URL,
+      apiKey: process.env.LLM_LOCAL_API_KEY,
+      model: process.env.LLM_LOCAL_MODEL
+    }));
+  }
+
+  // The mock keeps the pipeline usable on dev and CI machines without any real backend
+  const noneConfigured = registry.names().length === 0;
+  if (process.env.MOCK_EXTERNAL_APIS === 'true' || (noneConfigured && process.env.NODE_ENV !== 'production')) {
+    if (noneConfigured) {
+      logger.warn('No LLM providers configured, using mock provider');
+    }
+    registry.register(new MockProvider());
+  }
+
+  return registry;
+};
+
+module.exports = {
+  ProviderRegistry,
+  createDefaultRegistry,
+  BaseProvider,
+  AnthropicProvider,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  MockProvider
+};
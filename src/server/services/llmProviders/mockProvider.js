@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const BaseProvider = require('./baseProvider');
+const { sample } = require('../../utils/jsonSchema');
+
+const RESPONSES = [
+  "Thank you for sharing that. Let's pause together for a moment: notice three slow breaths, feeling the air move in and out. What do you notice in your body right now?",
+  "It sounds like there's a lot on your mind. Try gently labelling each thought as it arises - \"planning\", \"worrying\", \"remembering\" - and then returning to the breath. How does that feel?",
+  "That's a really honest observation. Mindfulness isn't about stopping thoughts, it's about noticing them with kindness. Could you try a short body scan, starting at the top of your head?",
+  "I appreciate you checking in. A simple practice for this moment: rest your attention on the soles of your feet for one minute. What changes when you come back?"
+];
+
+// Deterministic offline provider for CI and development without API keys.
+// The same conversation always produces the same reply.
+class MockProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('mock', options);
+    this.model = 'mock-coach-v1';
+  }
+
+  buildResponse(request) {
+    // Structured requests get the schema's example (or a minimal valid object)
+    if (request.responseSchema) {
+      return JSON.stringify(sample(request.responseSchema));
+    }
+
+    const lastMessage = request.messages[request.messages.length - 1];
+    const digest = crypto.createHash('sha256').update(lastMessage ? lastMessage.content : '').digest();
+    let response = RESPONSES[digest[0] % RESPONSES.length];
+
+    const curriculum = (request.context && request.context.curriculum_context) || [];
+    if (curriculum.length > 0) {
+      response += ` As covered in ${curriculum[0].title}, small moments of awareness add up [1].`;
+    }
+
+    return response;
+  }
+
+  async complete(request) {
+    const response = this.buildResponse(request);
+    const usage = {
+      inputTokens: this.estimateTokens(request.systemPrompt + request.messages.map(msg => msg.content).join(' ')),
+      outputTokens: this.estimateTokens(response)
+    };
+
+    return {
+      response,
+      tokens: usage.inputTokens + usage.outputTokens,
+      usage,
+      model: this.model
+    };
+  }
+
+  async stream(request, onToken) {
+    const result = await this.complete(request);
+    result.response.split(/(?<=\s)/).forEach(word => onToken(word));
+    return result;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,18 @@
+const OpenAIProvider = require('./openaiProvider');
+
+// Self-hosted models behind an OpenAI-compatible HTTP API (Ollama, vLLM, LM Studio, ...).
+// Most of these servers ignore the API key but the SDK requires one to be set.
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: options.name || 'local',
+      apiKey: options.apiKey || 'not-needed',
+      model: options.model || 'llama3',
+      timeout: options.timeout || parseInt(process.env.LLM_LOCAL_TIMEOUT) || 30000
+    });
+    this.baseURL = options.baseURL;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
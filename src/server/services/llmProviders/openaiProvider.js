@@ -0,0 +1,76 @@
+const OpenAI = require('openai');
+const BaseProvider = require('./baseProvider');
+
+class OpenAIProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options.name || 'openai', options);
+    this.model = options.model || process.env.OPENAI_MODEL || 'gpt-4';
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      ...(options.baseURL && { baseURL: options.baseURL })
+    });
+  }
+
+  buildMessages(request) {
+    return [
+      { role: 'system', content: request.systemPrompt },
+      ...request.messages
+    ];
+  }
+
+  async complete(request) {
+    const response = await this.withTimeout(this.client.chat.completions.create({
+      model: this.model,
+      messages: this.buildMessages(request),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+    }));
+
+    const text = response.choices[0].message.content;
+    const usage = response.usage
+      ? { inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens }
+      : this.estimateUsage(request, text);
+
+    return {
+      response: text,
+      tokens: usage.inputTokens + usage.outputTokens,
+      usage,
+      model: this.model
+    };
+  }
+
+  async stream(request, onToken) {
+    const stream = await this.withTimeout(this.client.chat.completions.create({
+      model: this.model,
+      messages: this.buildMessages(request),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      stream: true
+    }));
+
+    const text = await this.readStream(stream, (chunk) => {
+      const choice = chunk.choices && chunk.choices[0];
+      return (choice && choice.delta && choice.delta.content) || null;
+    }, onToken);
+
+    // Streamed completions don't report usage, so estimate it
+    const usage = this.estimateUsage(request, text);
+
+    return {
+      response: text,
+      tokens: usage.inputTokens + usage.outputTokens,
+      usage,
+      model: this.model
+    };
+  }
+
+  estimateUsage(request, text) {
+    const promptText = request.systemPrompt + request.messages.map(msg => msg.content).join(' ');
+    return {
+      inputTokens: this.estimateTokens(promptText),
+      outputTokens: this.estimateTokens(text)
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
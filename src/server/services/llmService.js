@@ -1,202 +1,427 @@
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
+const { createDefaultRegistry } = require('./llmProviders');
+const CircuitBreaker = require('./circuitBreaker');
+const curriculumIndexService = require('./curriculumIndexService');
+const citationService = require('./citationService');
+const promptTemplateService = require('./promptTemplateService');
+const crisisReviewService = require('./crisisReviewService');
+const crisisEscalationService = require('./crisisEscalationService');
+const { getDefaultModel } = require('./crisisRiskModel');
+const crisisResourceService = require('./crisisResourceService');
+const safetyPlanService = require('./safetyPlanService');
+const outputGuardrailService = require('./outputGuardrailService');
+const { validate, extractJson } = require('../utils/jsonSchema');
 const { logger, logSecurityEvent } = require('../utils/logger');
-const { getPool } = require('../config/database');
 
 class LLMService {
   constructor() {
-    this.providers = {};
+    this.registry = null;
+    this.breakers = new Map();
     this.defaultProvider = process.env.LLM_DEFAULT_PROVIDER || 'anthropic';
-    this.timeout = parseInt(process.env.LLM_TIMEOUT) || 10000;
+    this.fallbackOrder = (process.env.LLM_FALLBACK_ORDER || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
     this.maxRetries = parseInt(process.env.LLM_MAX_RETRIES) || 2;
+    this.retryBaseDelay = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS) || 500;
+    this.retryMaxDelay = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS) || 8000;
     this.fallbackMessage = "I'm experiencing some technical difficulties right now. Let's try a grounding exercise: Take a deep breath in for 4 counts, hold for 4, then exhale for 6. Focus on the sensation of your breath.";
 
     this.initializeProviders();
   }
 
   initializeProviders() {
-    // Initialize Anthropic Claude
-    if (process.env.ANTHROPIC_API_KEY) {
-      this.providers.anthropic = new Anthropic({
-        apiKey: process.env.ANTHROPIC_API_KEY,
-      });
-    }
+    this.registry = createDefaultRegistry();
 
-    // Initialize OpenAI
-    if (process.env.OPENAI_API_KEY) {
-      this.providers.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
+    if (!this.registry.has(this.defaultProvider) && this.registry.names().length > 0) {
+      logger.warn('Default LLM provider not configured', { requested: this.defaultProvider });
+      this.defaultProvider = this.registry.names()[0];
     }
 
     logger.info('LLM providers initialized', { 
-      providers: Object.keys(this.providers),
+      providers: this.registry.names(),
       default: this.defaultProvider 
     });
   }
 
+  // Add or replace a provider adapter at runtime (see services/llmProviders)
+  registerProvider(provider) {
+    this.registry.register(provider);
+    logger.info('LLM provider registered', { provider: provider.name });
+  }
+
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(`llm:${name}`));
+    }
+    return this.breakers.get(name);
+  }
+
+  // Ordered list of providers to try: the requested one, then LLM_FALLBACK_ORDER,
+  // then anything else registered
+  getProviderChain(preferred) {
+    const chain = [preferred || this.defaultProvider, this.defaultProvider, ...this.fallbackOrder, ...this.registry.names()];
+    return [...new Set(chain)].filter(name => this.registry.has(name));
+  }
+
+  getProviderHealth() {
+    const providers = {};
+    this.registry.names().forEach(name => {
+      providers[name] = {
+        model: this.registry.get(name).model || null,
+        ...this.getBreaker(name).toJSON()
+      };
+    });
+
+    return {
+      defaultProvider: this.defaultProvider,
+      fallbackChain: this.getProviderChain(),
+      providers
+    };
+  }
+
   async generateResponse(context, message, options = {}) {
-    const provider = options.provider || this.defaultProvider;
-    const retries = options.retries || this.maxRetries;
+    // Check for crisis signals before generating response
+    const crisisAssessment = await this.assessCrisisRisk(message, context);
+    if (crisisAssessment.requiresIntervention) {
+      return crisisAssessment;
+    }
 
-    try {
-      // Enrich context with RAG data
-      const enrichedContext = await this.enrichWithRAG(context, message);
-      
-      // Check for crisis signals before generating response
-      const crisisAssessment = await this.assessCrisisRisk(message, context);
-      if (crisisAssessment.requiresIntervention) {
-        return crisisAssessment;
-      }
+    // Over-quota users get a static practice instead of a model call; crisis
+    // screening above still applies to them
+    if (options.staticPractice) {
+      return {
+        response: options.staticPractice.instructions,
+        isFallback: true,
+        reason: 'quota_exceeded',
+        ...this.riskFields(crisisAssessment)
+      };
+    }
 
-      // Generate response based on provider
-      let response;
-      switch (provider) {
-        case 'anthropic':
-          response = await this.callClaude(enrichedContext, message);
-          break;
-        case 'openai':
-          response = await this.callOpenAI(enrichedContext, message);
-          break;
-        default:
-          throw new Error(`Unknown provider: ${provider}`);
+    // Elevated but below intervention: have the coach lead with the user's own safety plan
+    if (crisisAssessment.monitoring) {
+      const safetyPlan = await safetyPlanService.getPlanForSupport((context.userContext || {}).userId);
+      if (safetyPlan) {
+        context = { ...context, safetyPlan };
       }
+    }
 
-      // Add citations and return
-      return this.addCitations(response, enrichedContext.curriculum_context);
+    // Enrich context with RAG data
+    const enrichedContext = await this.enrichWithRAG(context, message);
 
-    } catch (error) {
-      logger.error('LLM generation error:', { error: error.message, provider });
-      
-      if (this.isTimeout(error) || this.isRateLimit(error)) {
-        if (retries > 0) {
-          logger.info('Retrying LLM request', { retries: retries - 1 });
-          await this.delay(1000);
-          return this.generateResponse(context, message, { ...options, retries: retries - 1 });
-        }
-        return {
-          response: this.fallbackMessage,
-          isFallback: true,
-          reason: 'timeout_or_rate_limit'
-        };
-      }
+    const request = this.buildRequest(enrichedContext, message);
+    const guardContext = {
+      userMessage: message,
+      conversationHistory: context.conversationHistory,
+      userId: (context.userContext || {}).userId
+    };
 
-      // Try fallback provider
-      if (retries > 0 && provider !== 'fallback') {
-        const fallbackProvider = provider === 'anthropic' ? 'openai' : 'anthropic';
-        if (this.providers[fallbackProvider]) {
-          logger.info('Trying fallback provider', { from: provider, to: fallbackProvider });
-          return this.generateResponse(context, message, { 
-            ...options, 
-            provider: fallbackProvider, 
-            retries: retries - 1 
-          });
-        }
-      }
+    // Streamed text passes through the output guardrails before reaching the client
+    const gate = typeof options.onToken === 'function'
+      ? outputGuardrailService.createStreamGate(options.onToken, guardContext)
+      : null;
+    const { response, provider, failureReason } = await this.runWithFallback(
+      request,
+      gate ? { ...options, onToken: gate.push } : options
+    );
 
+    if (!response) {
       return {
         response: this.fallbackMessage,
         isFallback: true,
-        reason: 'provider_error'
+        reason: failureReason,
+        ...this.riskFields(crisisAssessment)
       };
     }
+
+    const streamed = gate ? gate.finish() : null;
+    const guarded = await this.applyGuardrails({ response, provider }, request, guardContext);
+
+    if (guarded.fallback) {
+      return {
+        ...guarded.response,
+        response: this.fallbackMessage,
+        isFallback: true,
+        reason: `guardrail_${guarded.fallback}`,
+        provider: guarded.provider,
+        guardrail: { ...guarded.guardrail, replacesStream: !!streamed },
+        ...this.riskFields(crisisAssessment)
+      };
+    }
+
+    // Add citations and return, keeping the risk assessment for persistence
+    const result = this.addCitations(guarded.response, enrichedContext.curriculum_context);
+    return {
+      ...result,
+      provider: guarded.provider,
+      // Tell a streaming client to swap in the final text when it differs from what it was sent
+      guardrail: {
+        ...guarded.guardrail,
+        replacesStream: !!streamed && (streamed.halted || streamed.emitted.trim() !== guarded.response.response.trim())
+      },
+      ...this.riskFields(crisisAssessment)
+    };
   }
 
-  async callClaude(context, message) {
-    const claude = this.providers.anthropic;
-    if (!claude) {
-      throw new Error('Anthropic provider not initialized');
+  // Run the output guardrails over a generated reply. Regenerate (without streaming)
+  // while a check asks for it and attempts remain, then redact or give up to the
+  // fallback. Usage from every attempt is summed so rejected drafts are still billed.
+  async applyGuardrails({ response, provider }, request, guardContext) {
+    let current = response;
+    let currentProvider = provider;
+    let review = outputGuardrailService.review(current.response, guardContext);
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    const fired = [];
+    let regenerations = 0;
+
+    const addUsage = (attempt) => {
+      usage.inputTokens += (attempt.usage && attempt.usage.inputTokens) || 0;
+      usage.outputTokens += (attempt.usage && attempt.usage.outputTokens) || attempt.tokens || 0;
+    };
+    addUsage(current);
+
+    while (review.action === 'regenerate' && regenerations < outputGuardrailService.maxRegenerations) {
+      regenerations++;
+      fired.push(...review.findings);
+      outputGuardrailService.logFindings(review.findings, {
+        userId: guardContext.userId,
+        provider: currentProvider,
+        outcome: 'regenerate',
+        attempt: regenerations
+      });
+
+      const retry = await this.runWithFallback({
+        ...request,
+        systemPrompt: request.systemPrompt + outputGuardrailService.regenerationInstruction(review.findings)
+      });
+      if (!retry.response) break;
+
+      current = retry.response;
+      currentProvider = retry.provider;
+      addUsage(current);
+      review = outputGuardrailService.review(current.response, guardContext);
     }
 
-    const systemPrompt = this.buildSystemPrompt(context);
-    const conversationHistory = this.formatConversationHistory(context.conversationHistory);
-
-    const response = await Promise.race([
-      claude.messages.create({
-        model: 'claude-3-sonnet-20240229',
-        max_tokens: 1000,
-        temperature: 0.7,
-        system: systemPrompt,
-        messages: [
-          ...conversationHistory,
-          { role: 'user', content: message }
-        ]
-      }),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Timeout')), this.timeout)
-      )
-    ]);
+    fired.push(...review.findings);
+    const blocking = review.action === 'regenerate' || review.action === 'fallback';
+    const outcome = blocking ? 'fallback' : review.action;
+    if (review.findings.length > 0) {
+      outputGuardrailService.logFindings(review.findings, { userId: guardContext.userId, provider: currentProvider, outcome });
+    }
 
+    const guardrail = {
+      action: regenerations > 0 && outcome !== 'fallback' ? 'regenerated' : outcome,
+      rules: [...new Set(fired.map(finding => `${finding.check}.${finding.rule}`))],
+      regenerations
+    };
+
+    return {
+      response: {
+        ...current,
+        response: review.text,
+        tokens: usage.inputTokens + usage.outputTokens,
+        usage
+      },
+      provider: currentProvider,
+      guardrail,
+      fallback: blocking ? review.findings.find(finding => finding.action === review.action).check : null
+    };
+  }
+
+  // Assessment fields carried on every response so the user message's risk
+  // signals can be persisted with their explanation
+  riskFields(crisisAssessment) {
     return {
-      response: response.content[0].text,
-      tokens: response.usage.input_tokens + response.usage.output_tokens,
-      model: 'claude-3-sonnet-20240229'
+      riskScore: crisisAssessment.riskScore,
+      monitoring: crisisAssessment.monitoring,
+      rulesVersion: crisisAssessment.rulesVersion,
+      explanations: crisisAssessment.explanations
     };
   }
 
-  async callOpenAI(context, message) {
-    const openai = this.providers.openai;
-    if (!openai) {
-      throw new Error('OpenAI provider not initialized');
+  // Plain completion through the provider chain, without RAG or crisis screening.
+  // Used for internal tasks such as summarization; throws if no provider succeeds.
+  async complete(request, options = {}) {
+    const { response, provider, failureReason } = await this.runWithFallback({
+      maxTokens: 500,
+      temperature: 0.3,
+      context: {},
+      ...request
+    }, options);
+
+    if (!response) {
+      throw new Error(`LLM completion unavailable: ${failureReason}`);
     }
+    return { ...response, provider };
+  }
+
+  // Completion that must come back as a JSON object matching `schema` (see
+  // utils/jsonSchema). Output that doesn't parse or validate, or that `check` finds
+  // errors in, is sent back with the errors for another try. Throws with
+  // code 'invalid_output' when no attempt is valid; usage so far is on error.result.
+  async completeJson(request, schema, { check = null, repairs = 1, ...options } = {}) {
+    // Examples are for the mock provider; in the prompt they get copied verbatim
+    const promptSchema = JSON.stringify(schema, (key, value) => (key === 'examples' ? undefined : value));
+    const systemPrompt = `${request.systemPrompt}\n\nRespond with a single JSON object and nothing else (no prose, no code fences) that matches this JSON Schema:\n${promptSchema}`;
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let messages = request.messages;
+    let errors = [];
+    let result = null;
+
+    for (let attempt = 1; attempt <= repairs + 1; attempt++) {
+      result = await this.complete({ ...request, systemPrompt, messages, responseSchema: schema }, options);
+      usage.inputTokens += (result.usage && result.usage.inputTokens) || 0;
+      usage.outputTokens += (result.usage && result.usage.outputTokens) || result.tokens || 0;
+
+      const data = extractJson(result.response);
+      errors = data === null ? ['response was not a JSON object'] : validate(schema, data);
+      if (errors.length === 0 && check) {
+        errors = check(data);
+      }
+
+      if (errors.length === 0) {
+        return { ...result, data, tokens: usage.inputTokens + usage.outputTokens, usage, attempts: attempt };
+      }
+
+      logger.info('Structured LLM output rejected', { provider: result.provider, attempt, errors: errors.slice(0, 5) });
+      messages = [
+        ...request.messages,
+        { role: 'assistant', content: result.response },
+        { role: 'user', content: `That JSON was invalid:\n- ${errors.slice(0, 10).join('\n- ')}\nReply with the corrected JSON object only.` }
+      ];
+    }
+
+    const error = new Error(`Structured LLM output invalid: ${errors[0]}`);
+    error.code = 'invalid_output';
+    error.result = { provider: result.provider, model: result.model, tokens: usage.inputTokens + usage.outputTokens, usage };
+    throw error;
+  }
+
+  // Try each provider in the fallback chain, retrying transient errors with backoff.
+  // Resolves to { response, provider } or { response: null, failureReason }.
+  async runWithFallback(request, options = {}) {
+    const streaming = typeof options.onToken === 'function';
+    let lastError = null;
+
+    for (const provider of this.getProviderChain(options.provider)) {
+      const adapter = this.registry.get(provider);
+      const breaker = this.getBreaker(provider);
+
+      for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+        if (!breaker.allowRequest()) {
+          logger.info('Skipping LLM provider with open circuit', { provider });
+          break;
+        }
+
+        const started = Date.now();
+        try {
+          // Stream deltas when a token callback is given
+          const response = streaming
+            ? await adapter.stream(request, options.onToken)
+            : await adapter.complete(request);
+
+          breaker.recordSuccess(Date.now() - started);
+          return { response, provider };
+        } catch (error) {
+          breaker.recordFailure(error, Date.now() - started);
+          lastError = error;
+          logger.error('LLM generation error:', { error: error.message, provider, attempt });
+
+          // Tokens already reached the client, so a retry would duplicate output
+          if (error.streamStarted) {
+            return { response: null, failureReason: 'stream_interrupted' };
+          }
+
+          // Only transient errors are worth retrying on the same provider
+          if (!this.isRetryable(error) || attempt === this.maxRetries) {
+            break;
+          }
+
+          const wait = this.backoffDelay(attempt);
+          logger.info('Retrying LLM request', { provider, attempt: attempt + 1, delayMs: wait });
+          await this.delay(wait);
+        }
+      }
+
+      logger.info('Trying next provider in fallback chain', { from: provider });
+    }
+
+    let failureReason = 'circuit_open';
+    if (lastError) {
+      failureReason = this.isRetryable(lastError) ? 'timeout_or_rate_limit' : 'provider_error';
+    }
+
+    return { response: null, failureReason };
+  }
+
+  // Exponential backoff with equal jitter: half the delay is fixed, half is random
+  backoffDelay(attempt) {
+    const exponential = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, attempt));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
 
-    const systemPrompt = this.buildSystemPrompt(context);
-    const conversationHistory = this.formatConversationHistory(context.conversationHistory);
-
-    const response = await Promise.race([
-      openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          ...conversationHistory,
-          { role: 'user', content: message }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-      }),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Timeout')), this.timeout)
-      )
-    ]);
+  isRetryable(error) {
+    return this.isTimeout(error) || this.isRateLimit(error) || (error.status >= 500 && error.status < 600);
+  }
 
+  buildRequest(context, message) {
     return {
-      response: response.choices[0].message.content,
-      tokens: response.usage.total_tokens,
-      model: 'gpt-4'
+      systemPrompt: this.buildSystemPrompt(context),
+      messages: [
+        ...this.formatConversationHistory(context.conversationHistory),
+        { role: 'user', content: message }
+      ],
+      maxTokens: 1000,
+      temperature: 0.7,
+      context
     };
   }
 
+  // Render the prompt template chosen for this user (see promptTemplateService);
+  // the dynamic blocks below fill its {{variables}}
   buildSystemPrompt(context) {
+    const template = context.promptTemplate || promptTemplateService.getBuiltinTemplate();
+    return promptTemplateService.render(template.body, this.buildPromptBlocks(context));
+  }
+
+  buildPromptBlocks(context) {
     const curriculumContext = context.curriculum_context || [];
     const userContext = context.userContext || {};
-    
-    let prompt = `You are a compassionate AI mindfulness coach trained in the "Meeting Your Mind Full" methodology. Your role is to provide personalized guidance based on the user's progress and the curriculum content.
+    const blocks = {};
 
-Core Principles:
-- Always respond with warmth, empathy, and non-judgment
-- Ground your responses in the curriculum materials when relevant
-- Encourage self-discovery rather than giving direct advice
-- Use mindfulness language and concepts appropriately
-- Keep responses concise and actionable (2-3 paragraphs maximum)
-- Never provide medical or psychological treatment advice
-
-User Context:
+    blocks.userContext = `User Context:
 - Progress: ${userContext.completedLessons || 0} lessons completed
 - Current level: ${userContext.currentLevel || 'beginner'}
 - Recent activity: ${userContext.recentActivity || 'none'}
 - Preferences: ${JSON.stringify(userContext.preferences || {})}`;
 
+    const longTermMemory = context.longTermMemory || [];
+    if (longTermMemory.length > 0) {
+      const labels = { goal: 'Goal', struggle: 'Recurring struggle', practice: 'Favorite practice', note: 'Note' };
+      blocks.longTermMemory = `\n\nWhat you remember about this user from earlier conversations:\n`;
+      longTermMemory.forEach(item => {
+        blocks.longTermMemory += `- ${labels[item.category] || 'Note'}: ${item.content}\n`;
+      });
+      blocks.longTermMemory += `Use this memory naturally; don't recite it back unprompted.`;
+    }
+
+    if (context.conversationSummary) {
+      blocks.conversationSummary = `\n\nSummary of earlier parts of this conversation:\n${context.conversationSummary}`;
+    }
+
     if (curriculumContext.length > 0) {
-      prompt += `\n\nRelevant Curriculum Content:\n`;
+      blocks.curriculum = `\n\nRelevant Curriculum Content (numbered sources):\n`;
       curriculumContext.forEach((content, index) => {
-        prompt += `${index + 1}. "${content.title}" - ${content.excerpt}\n`;
+        blocks.curriculum += `[${index + 1}] "${content.title}" (${content.courseTitle})\n${content.content || content.excerpt}\n\n`;
       });
-      prompt += `\nWhen referencing curriculum content, cite it as: "As covered in [Lesson Title]..."`;
+      blocks.curriculum += `When a sentence draws on a source above, end that sentence with its number in square brackets, e.g. "Noticing the breath can steady attention [2]." Only cite a source for ideas it actually contains, and never invent source numbers.`;
     }
 
-    prompt += `\n\nImportant: If the user expresses thoughts of self-harm, suicide, or serious mental health crisis, respond supportively but immediately note this requires professional help and provide crisis resources.`;
+    blocks.safety = `\n\nImportant: If the user expresses thoughts of self-harm, suicide, or serious mental health crisis, respond supportively but immediately note this requires professional help and provide crisis resources.`;
+    if (context.safetyPlan) {
+      blocks.safety += safetyPlanService.formatPromptBlock(context.safetyPlan);
+    }
 
-    return prompt;
+    return blocks;
   }
 
   formatConversationHistory(history) {
@@ -224,77 +449,33 @@ User Context:
   }
 
   async searchCurriculumContent(message, limit = 5) {
-    // For now, use basic keyword matching. In production, this would use vector embeddings
-    const pool = getPool();
-    
-    // Simple keyword extraction (in production, use proper NLP)
-    const keywords = message.toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 3)
-      .slice(0, 10);
-
-    if (keywords.length === 0) return [];
-
-    const searchPattern = keywords.join('|');
-    
-    const result = await pool.query(`
-      SELECT 
-        l.id, l.title, l.content_text,
-        c.title as course_title,
-        LEFT(l.content_text, 200) as excerpt
-      FROM lessons l
-      JOIN courses c ON l.course_id = c.id
-      WHERE c.status_id = 5 
-        AND (l.title ~* $1 OR l.content_text ~* $1 OR l.learning_objectives::text ~* $1)
-      ORDER BY 
-        CASE 
-          WHEN l.title ~* $1 THEN 3
-          WHEN l.learning_objectives::text ~* $1 THEN 2
-          ELSE 1
-        END DESC
-      LIMIT $2
-    `, [searchPattern, limit]);
-
-    return result.rows.map(row => ({
-      id: row.id,
-      title: row.title,
-      courseTitle: row.course_title,
-      excerpt: row.excerpt || ''
-    }));
+    // Hybrid vector + keyword retrieval over chunked lessons and transcripts
+    return curriculumIndexService.search(message, limit);
   }
 
   addCitations(response, curriculumContext) {
-    if (!curriculumContext || curriculumContext.length === 0) {
-      return { ...response, citations: [] };
-    }
-
-    // Simple citation matching - in production, use more sophisticated NLP
-    const citations = [];
-    curriculumContext.forEach(content => {
-      const titleWords = content.title.toLowerCase().split(/\s+/);
-      const hasReference = titleWords.some(word => 
-        word.length > 3 && response.response.toLowerCase().includes(word)
-      );
-      
-      if (hasReference) {
-        citations.push({
-          lessonId: content.id,
-          title: content.title,
-          courseTitle: content.courseTitle
-        });
-      }
-    });
+    // Validate the model's [n] markers against the numbered sources in the prompt
+    const { text, citations } = citationService.extract(response.response, curriculumContext);
 
     return {
       ...response,
+      response: text,
       citations
     };
   }
 
   async assessCrisisRisk(message, context) {
     const crisisDetector = new CrisisDetector();
-    return await crisisDetector.assessRisk(message, context.conversationHistory, context.userContext);
+    // Review context links a queued crisis item back to the conversation and message
+    return await crisisDetector.assessRisk(message, context.conversationHistory, {
+      ...context.userContext,
+      ...context.reviewContext
+    });
+  }
+
+  estimateTokens(text) {
+    // Rough heuristic (~4 characters per token) for messages we don't send on their own
+    return Math.ceil((text || '').length / 4);
   }
 
   isTimeout(error) {
@@ -314,61 +495,73 @@ User Context:
   }
 }
 
+// Scores messages with the configured crisis risk model (config/crisisRules) and
+// queues high-risk ones for human review
 class CrisisDetector {
-  constructor() {
-    this.HIGH_RISK_THRESHOLD = 0.8;
-    this.MEDIUM_RISK_THRESHOLD = 0.5;
-    
-    // Crisis keywords with weights
-    this.crisisKeywords = [
-      { pattern: /\b(kill|suicide|end it all|don't want to live)\b/i, weight: 1.0 },
-      { pattern: /\b(hurt myself|self harm|cutting|overdose)\b/i, weight: 0.9 },
-      { pattern: /\b(hopeless|can't go on|no point|give up)\b/i, weight: 0.7 },
-      { pattern: /\b(depressed|anxious|panic|overwhelmed)\b/i, weight: 0.4 },
-      { pattern: /\b(stressed|worried|sad|lonely)\b/i, weight: 0.2 }
-    ];
-
-    // Negation patterns that reduce risk
-    this.negationPatterns = [
-      /\b(not|don't|won't|never|no longer|used to|in the past)\b/i,
-      /\b(feeling better|getting help|seeing therapist|taking medication)\b/i
-    ];
+  constructor(model = getDefaultModel()) {
+    this.model = model;
+    this.HIGH_RISK_THRESHOLD = model.thresholds.high;
+    this.MEDIUM_RISK_THRESHOLD = model.thresholds.medium;
   }
 
   async assessRisk(message, conversationHistory, userContext) {
     try {
-      const signals = {
-        keywords: this.detectKeywords(message),
-        sentiment: this.analyzeSentiment(message),
-        temporalPattern: this.analyzeTemporalPatterns(conversationHistory),
-        negation: this.handleNegation(message),
-        priorFlags: userContext.riskHistory || [],
-        contextualFactors: this.assessContextualFactors(userContext)
-      };
-
-      const riskScore = this.calculateCompositeRisk(signals);
+      const assessment = this.model.score(message, {
+        history: conversationHistory || [],
+        userContext
+      });
+      const riskScore = assessment.score;
 
       if (riskScore >= this.HIGH_RISK_THRESHOLD) {
+        const [regional, safetyPlan] = await Promise.all([
+          this.getRegionalResources(userContext),
+          safetyPlanService.getPlanForSupport(userContext.userId)
+        ]);
+
         await this.queueForHumanReview({
           userId: userContext.userId,
-          signals: signals,
+          conversationId: userContext.conversationId,
+          messageId: userContext.messageId,
+          signals: {
+            rulesVersion: assessment.rulesVersion,
+            categories: assessment.categories,
+            explanations: assessment.explanations,
+            priorFlags: (userContext.riskHistory || []).length,
+            // Where the message came from when it isn't a coach conversation
+            ...(userContext.source && { source: userContext.source })
+          },
           riskScore: riskScore,
           redactedContent: this.redactPII(message),
-          suggestedResources: this.getRegionalResources(userContext.location || 'US')
+          suggestedResources: {
+            country: regional.country,
+            language: regional.language,
+            source: regional.source,
+            isFallback: regional.isFallback,
+            hotlines: regional.resources
+          }
         });
 
         logSecurityEvent('crisis_risk_detected', {
           userId: userContext.userId,
           riskScore: riskScore,
+          rulesVersion: assessment.rulesVersion,
+          categories: assessment.categories,
           severity: 'high'
         });
 
         return {
           requiresIntervention: true,
-          response: this.generateSupportiveResponse(),
-          resources: this.getRegionalHotlines(userContext.location || 'US'),
+          // The user's own plan comes before the generic message
+          response: safetyPlan
+            ? `${safetyPlanService.formatCrisisSection(safetyPlan, regional.language)}\n\n${regional.response}`
+            : regional.response,
+          resources: regional.resources,
+          safetyPlan,
+          resourceLocale: { country: regional.country, language: regional.language, isFallback: regional.isFallback },
           escalation: 'queued_for_review',
-          riskScore: riskScore
+          riskScore: riskScore,
+          rulesVersion: assessment.rulesVersion,
+          explanations: assessment.explanations
         };
       }
 
@@ -376,6 +569,8 @@ class CrisisDetector {
         logSecurityEvent('crisis_risk_detected', {
           userId: userContext.userId,
           riskScore: riskScore,
+          rulesVersion: assessment.rulesVersion,
+          categories: assessment.categories,
           severity: 'medium'
         });
       }
@@ -383,7 +578,9 @@ class CrisisDetector {
       return { 
         requiresIntervention: false, 
         riskScore: riskScore,
-        monitoring: riskScore > this.MEDIUM_RISK_THRESHOLD
+        monitoring: riskScore > this.MEDIUM_RISK_THRESHOLD,
+        rulesVersion: assessment.rulesVersion,
+        explanations: assessment.explanations
       };
 
     } catch (error) {
@@ -392,155 +589,40 @@ class CrisisDetector {
     }
   }
 
-  detectKeywords(message) {
-    let keywordScore = 0;
-    const matches = [];
-
-    this.crisisKeywords.forEach(({ pattern, weight }) => {
-      const match = message.match(pattern);
-      if (match) {
-        keywordScore += weight;
-        matches.push({ keyword: match[0], weight });
-      }
-    });
-
-    return { score: Math.min(keywordScore, 1.0), matches };
-  }
-
-  analyzeSentiment(message) {
-    // Simple sentiment analysis - in production, use proper NLP library
-    const negativeWords = ['sad', 'depressed', 'hopeless', 'terrible', 'awful', 'worst', 'hate', 'angry'];
-    const positiveWords = ['good', 'better', 'happy', 'grateful', 'peaceful', 'calm', 'hopeful'];
-    
-    const words = message.toLowerCase().split(/\s+/);
-    let sentiment = 0;
-    
-    words.forEach(word => {
-      if (negativeWords.includes(word)) sentiment -= 1;
-      if (positiveWords.includes(word)) sentiment += 1;
-    });
-    
-    // Normalize to 0-1 scale (higher = more negative/risky)
-    return Math.max(0, Math.min(1, (-sentiment / words.length) + 0.5));
-  }
-
-  analyzeTemporalPatterns(conversationHistory) {
-    if (!conversationHistory || conversationHistory.length < 2) return 0;
-    
-    const recentMessages = conversationHistory.slice(-5);
-    const crisisTerms = recentMessages.filter(msg => 
-      this.crisisKeywords.some(({ pattern }) => pattern.test(msg.content))
-    ).length;
-    
-    return crisisTerms / recentMessages.length;
-  }
-
-  handleNegation(message) {
-    const hasNegation = this.negationPatterns.some(pattern => pattern.test(message));
-    return hasNegation ? 0.3 : 1.0; // Reduce risk if negation is present
-  }
-
-  assessContextualFactors(userContext) {
-    let score = 0;
-    
-    // Time of day (higher risk late night/early morning)
-    const hour = new Date().getHours();
-    if (hour >= 22 || hour <= 6) score += 0.2;
-    
-    // Recent activity patterns
-    if (userContext.recentActivity === 'declined') score += 0.3;
-    
-    return score;
-  }
-
-  calculateCompositeRisk(signals) {
-    const weights = {
-      keywords: 0.4,
-      sentiment: 0.2,
-      temporalPattern: 0.2,
-      contextualFactors: 0.1,
-      negation: -0.1 // Negative weight to reduce overall risk
-    };
-
-    let riskScore = 0;
-    riskScore += signals.keywords.score * weights.keywords;
-    riskScore += signals.sentiment * weights.sentiment;
-    riskScore += signals.temporalPattern * weights.temporalPattern;
-    riskScore += signals.contextualFactors * weights.contextualFactors;
-    riskScore *= signals.negation; // Apply negation multiplier
-
-    // Factor in prior risk history
-    if (signals.priorFlags.length > 0) {
-      riskScore += 0.1; // Slight increase if user has history
-    }
-
-    return Math.max(0, Math.min(1, riskScore));
-  }
-
   async queueForHumanReview(reviewData) {
     try {
-      const pool = getPool();
-      
       // Store in human review queue
-      await pool.query(`
-        INSERT INTO human_review_queue (
-          user_id, content_type, risk_score, signals, 
-          redacted_content, suggested_resources, created_at, priority
-        ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7)
-      `, [
-        reviewData.userId,
-        'crisis_detection',
-        reviewData.riskScore,
-        JSON.stringify(reviewData.signals),
-        reviewData.redactedContent,
-        JSON.stringify(reviewData.suggestedResources),
-        reviewData.riskScore >= 0.9 ? 'urgent' : 'high'
-      ]);
+      const item = await crisisReviewService.enqueue({
+        userId: reviewData.userId,
+        conversationId: reviewData.conversationId || null,
+        messageId: reviewData.messageId || null,
+        contentType: 'crisis_detection',
+        riskScore: reviewData.riskScore,
+        signals: reviewData.signals,
+        redactedContent: reviewData.redactedContent,
+        suggestedResources: reviewData.suggestedResources,
+        priority: reviewData.riskScore >= 0.9 ? 'urgent' : 'high'
+      });
 
       logger.info('Crisis review queued', { 
         userId: reviewData.userId, 
         riskScore: reviewData.riskScore 
       });
+
+      // Page reviewers without holding up the supportive response to the user
+      crisisEscalationService.page(item.id, 'queued').catch(error => {
+        logger.error('Failed to page crisis reviewers:', { itemId: item.id, error: error.message });
+      });
       
     } catch (error) {
       logger.error('Failed to queue crisis review:', error);
     }
   }
 
-  generateSupportiveResponse() {
-    return `I hear that you're going through a difficult time, and I want you to know that your feelings are valid and you're not alone. While I'm here to support your mindfulness practice, I think it would be helpful to speak with someone who can provide more comprehensive support.
-
-If you're having thoughts of hurting yourself, please reach out to a crisis hotline immediately - they have trained counselors available 24/7. In the meantime, let's try a grounding exercise: Notice 5 things you can see, 4 things you can touch, 3 things you can hear, 2 things you can smell, and 1 thing you can taste.`;
-  }
-
-  getRegionalHotlines(location) {
-    const resources = {
-      'US': [
-        { name: 'National Suicide Prevention Lifeline', phone: '988', available: '24/7' },
-        { name: 'Crisis Text Line', text: 'HOME to 741741', available: '24/7' }
-      ],
-      'UK': [
-        { name: 'Samaritans', phone: '116 123', available: '24/7' },
-        { name: 'Crisis Text Line UK', text: 'SHOUT to 85258', available: '24/7' }
-      ],
-      'CA': [
-        { name: 'Canada Suicide Prevention Service', phone: '1-833-456-4566', available: '24/7' },
-        { name: 'Crisis Services Canada', text: '45645', available: '24/7' }
-      ]
-    };
-
-    return resources[location] || resources['US'];
-  }
-
-  getRegionalResources(location) {
-    return {
-      location,
-      hotlines: this.getRegionalHotlines(location),
-      additionalResources: [
-        'https://suicidepreventionlifeline.org',
-        'https://www.crisistextline.org'
-      ]
-    };
+  // Where the user is and what to show them; directory lookups fall back to
+  // worldwide services rather than failing the crisis response
+  async getRegionalResources(userContext) {
+    return crisisResourceService.getDirectory(userContext);
   }
 
   redactPII(content) {
@@ -553,37 +635,4 @@ If you're having thoughts of hurting yourself, please reach out to a crisis hotl
   }
 }
 
-// Add human review queue table if not exists
-const createReviewQueueTable = async () => {
-  try {
-    const pool = getPool();
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS human_review_queue (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID REFERENCES users(id),
-        content_type TEXT NOT NULL,
-        risk_score NUMERIC(3,2),
-        signals JSONB DEFAULT '{}',
-        redacted_content TEXT,
-        suggested_resources JSONB DEFAULT '{}',
-        priority TEXT DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
-        status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'in_review', 'completed', 'escalated')),
-        reviewed_by UUID REFERENCES users(id),
-        reviewed_at TIMESTAMPTZ,
-        notes TEXT,
-        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_review_queue_status_priority 
-        ON human_review_queue(status, priority, created_at) 
-        WHERE status = 'pending';
-    `);
-  } catch (error) {
-    logger.error('Failed to create review queue table:', error);
-  }
-};
-
-// Initialize table on startup
-createReviewQueueTable();
-
 module.exports = { LLMService: new LLMService(), CrisisDetector };
\ No newline at end of file
@@ -0,0 +1,407 @@
+const { getPool } = require('../config/database');
+const groupMessageService = require('./groupMessageService');
+const sanctionService = require('./sanctionService');
+const { logger, auditLogger } = require('../utils/logger');
+
+const OPEN_STATUSES = ['pending', 'in_review'];
+
+const APPEAL_COLUMNS = `
+  id, appellant_id, subject_type, subject_id, group_id, original_decision,
+  original_decider_id, reason, status, assigned_to, assigned_at, sla_due_at,
+  sla_breached_at, decided_by, decided_at, resolution_note, created_at, updated_at
+`;
+
+// Appeals against moderation decisions. Each kind of decision that can be appealed
+// is a subject type with a handler that loads it and, when an appeal is
+// overturned, restores it. Every transition is written to the append-only
+// moderation_appeal_events table and the audit log.
+class ModerationAppealService {
+  constructor() {
+    this.slaHours = parseInt(process.env.APPEAL_SLA_HOURS) || 72;
+    this.windowDays = parseInt(process.env.APPEAL_WINDOW_DAYS) || 30;
+    this.subjectHandlers = new Map();
+    this.registerSubjectType('group_message', {
+      load: (subjectId) => this.loadGroupMessage(subjectId),
+      restore: (client, subject, appeal) => this.restoreGroupMessage(client, subject, appeal),
+      afterRestore: ({ message, liftedSanctions }) => {
+        groupMessageService.notifySender(message, { reason: 'appeal_overturned' });
+        groupMessageService.broadcast(message);
+        sanctionService.notifyLifted(liftedSanctions);
+      }
+    });
+    this.registerSubjectType('account_restriction', {
+      load: (subjectId) => sanctionService.loadForAppeal(subjectId),
+      restore: (client, subject, appeal) => sanctionService.liftForAppeal(client, subject, appeal),
+      afterRestore: (lifted) => sanctionService.notifyLifted(lifted)
+    });
+  }
+
+  // handler: { load(subjectId) -> subject | null, restore(client, subject, appeal) -> restored,
+  // afterRestore?(restored) }
+  // where subject is { ownerId, groupId, decision, deciderId, decidedAt, appealable }
+  registerSubjectType(type, handler) {
+    this.subjectHandlers.set(type, handler);
+  }
+
+  async loadGroupMessage(messageId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT id, user_id, group_id, moderation_status, human_reviewed, reviewed_by, reviewed_at, created_at
+      FROM group_messages
+      WHERE id = $1
+    `, [messageId]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      ownerId: row.user_id,
+      groupId: row.group_id,
+      decision: row.moderation_status,
+      deciderId: row.human_reviewed ? row.reviewed_by : null,
+      decidedAt: row.reviewed_at || row.created_at,
+      appealable: row.moderation_status === 'rejected'
+    };
+  }
+
+  async restoreGroupMessage(client, subject, appeal) {
+    const result = await client.query(`
+      UPDATE group_messages m
+      SET moderation_status = 'approved',
+        moderation_metadata = m.moderation_metadata || $2::jsonb
+      FROM users u
+      WHERE m.id = $1 AND m.user_id = u.id
+      RETURNING m.id, m.group_id, m.user_id, m.message_content, m.message_type,
+        m.moderation_status, m.edited_at, m.created_at, u.first_name, u.last_name
+    `, [subject.id, JSON.stringify({ appeal: { appealId: appeal.id, outcome: 'overturned', at: new Date().toISOString() } })]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    // The rejection no longer counts against the sender
+    const liftedSanctions = await sanctionService.reverseSource(client, 'group_message', subject.id, appeal.assigned_to, 'appeal_overturned');
+    return { message: groupMessageService.formatMessage(result.rows[0]), liftedSanctions };
+  }
+
+  // Returns { appeal } or { error }: unsupported_subject, not_found, not_appealable,
+  // window_closed or already_appealed
+  async fileAppeal(user, { subjectType, subjectId, reason }) {
+    const handler = this.subjectHandlers.get(subjectType);
+    if (!handler) {
+      return { error: 'unsupported_subject' };
+    }
+
+    // Other people's decisions look the same as missing ones
+    const subject = await handler.load(subjectId);
+    if (!subject || subject.ownerId !== user.id) {
+      return { error: 'not_found' };
+    }
+    if (!subject.appealable) {
+      return { error: 'not_appealable' };
+    }
+    if (Date.now() - new Date(subject.decidedAt).getTime() > this.windowDays * 24 * 60 * 60 * 1000) {
+      return { error: 'window_closed' };
+    }
+
+    const pool = getPool();
+    const client = await pool.connect();
+    let appeal;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO moderation_appeals (
+          appellant_id, subject_type, subject_id, group_id, original_decision,
+          original_decider_id, reason, sla_due_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(hours => $8))
+        ON CONFLICT (subject_type, subject_id) DO NOTHING
+        RETURNING ${APPEAL_COLUMNS}
+      `, [user.id, subjectType, subjectId, subject.groupId || null, subject.decision, subject.deciderId, reason, this.slaHours]);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { error: 'already_appealed' };
+      }
+
+      appeal = result.rows[0];
+      await this.recordEvent(client, appeal, 'filed', user.id, null, 'pending', { subjectType, subjectId });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { appeal: this.formatAppeal(appeal) };
+  }
+
+  async listForUser(userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${APPEAL_COLUMNS}
+      FROM moderation_appeals
+      WHERE appellant_id = $1
+      ORDER BY created_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => this.formatAppeal(row));
+  }
+
+  // Open appeals, most overdue first. canHandle is false where the moderator made
+  // the original decision or is the appellant.
+  async listQueue(moderator, { status = null, limit = 50 } = {}) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${APPEAL_COLUMNS}
+      FROM moderation_appeals
+      WHERE status = ANY($1::text[])
+      ORDER BY sla_due_at ASC
+      LIMIT $2
+    `, [status ? [status] : OPEN_STATUSES, limit]);
+
+    return result.rows.map(row => ({
+      ...this.formatAppeal(row),
+      canHandle: this.conflictOfInterest(row, moderator) === null
+    }));
+  }
+
+  // The appeal with its event trail, for the appellant or a moderator
+  async getAppeal(appealId, viewer, { isModerator = false } = {}) {
+    const pool = getPool();
+    const result = await pool.query(`SELECT ${APPEAL_COLUMNS} FROM moderation_appeals WHERE id = $1`, [appealId]);
+    const row = result.rows[0];
+    if (!row || (!isModerator && row.appellant_id !== viewer.id)) {
+      return null;
+    }
+
+    const events = await pool.query(`
+      SELECT event_type, actor_id, from_status, to_status, details, created_at
+      FROM moderation_appeal_events
+      WHERE appeal_id = $1
+      ORDER BY created_at ASC
+    `, [appealId]);
+
+    return {
+      ...this.formatAppeal(row),
+      events: events.rows.map(event => ({
+        type: event.event_type,
+        // Appellants see what happened, not which moderator did it
+        actorId: isModerator || event.actor_id === viewer.id ? event.actor_id : null,
+        fromStatus: event.from_status,
+        toStatus: event.to_status,
+        details: event.details,
+        createdAt: event.created_at
+      }))
+    };
+  }
+
+  conflictOfInterest(appeal, moderator) {
+    if (appeal.appellant_id === moderator.id) return 'own_appeal';
+    if (appeal.original_decider_id && appeal.original_decider_id === moderator.id) return 'original_decider';
+    return null;
+  }
+
+  // Take an appeal for review. Returns { appeal } or { error }: not_found,
+  // not_claimable, own_appeal or original_decider.
+  async claim(appealId, moderator) {
+    return this.transition(appealId, moderator, async (client, appeal) => {
+      if (!OPEN_STATUSES.includes(appeal.status) || (appeal.assigned_to && appeal.assigned_to !== moderator.id)) {
+        return { error: 'not_claimable' };
+      }
+
+      const updated = await client.query(`
+        UPDATE moderation_appeals
+        SET status = 'in_review', assigned_to = $2, assigned_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${APPEAL_COLUMNS}
+      `, [appealId, moderator.id]);
+
+      await this.recordEvent(client, appeal, 'claimed', moderator.id, appeal.status, 'in_review');
+      return { appeal: updated.rows[0] };
+    });
+  }
+
+  // Decide an appeal the moderator has claimed: 'overturn' restores the content,
+  // 'uphold' keeps the original decision. Returns { appeal } or { error }.
+  async decide(appealId, moderator, { outcome, note = null }) {
+    let restored = null;
+
+    const result = await this.transition(appealId, moderator, async (client, appeal) => {
+      if (appeal.status !== 'in_review' || appeal.assigned_to !== moderator.id) {
+        return { error: 'not_claimed' };
+      }
+
+      const status = outcome === 'overturn' ? 'overturned' : 'upheld';
+      if (status === 'overturned') {
+        const handler = this.subjectHandlers.get(appeal.subject_type);
+        const subject = await handler.load(appeal.subject_id);
+        if (subject) {
+          restored = await handler.restore(client, subject, appeal);
+        }
+      }
+
+      const updated = await client.query(`
+        UPDATE moderation_appeals
+        SET status = $2, decided_by = $3, decided_at = NOW(), resolution_note = $4, updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${APPEAL_COLUMNS}
+      `, [appealId, status, moderator.id, note]);
+
+      await this.recordEvent(client, appeal, 'decided', moderator.id, appeal.status, status, {
+        outcome: status,
+        restored: !!restored
+      });
+      return { appeal: updated.rows[0] };
+    });
+
+    if (result.appeal) {
+      const handler = this.subjectHandlers.get(result.appeal.subjectType);
+      if (restored && handler.afterRestore) {
+        handler.afterRestore(restored);
+      }
+      groupMessageService.emitToUser(result.appeal.appellantId, 'appeal:updated', {
+        appealId: result.appeal.id,
+        status: result.appeal.status
+      });
+    }
+    return result;
+  }
+
+  // The appellant can withdraw while the appeal is open
+  async withdraw(appealId, user) {
+    return this.transition(appealId, user, async (client, appeal) => {
+      if (appeal.appellant_id !== user.id) {
+        return { error: 'not_found' };
+      }
+      if (!OPEN_STATUSES.includes(appeal.status)) {
+        return { error: 'not_open' };
+      }
+
+      const updated = await client.query(`
+        UPDATE moderation_appeals
+        SET status = 'withdrawn', updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${APPEAL_COLUMNS}
+      `, [appealId]);
+
+      await this.recordEvent(client, appeal, 'withdrawn', user.id, appeal.status, 'withdrawn');
+      return { appeal: updated.rows[0] };
+    }, { checkConflict: false });
+  }
+
+  // Lock the appeal, run the change and commit. The callback returns { appeal: row }
+  // or { error }; the actor may never be the appellant or the original decider.
+  async transition(appealId, actor, change, { checkConflict = true } = {}) {
+    const pool = getPool();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(`SELECT ${APPEAL_COLUMNS} FROM moderation_appeals WHERE id = $1 FOR UPDATE`, [appealId]);
+      const appeal = locked.rows[0];
+      if (!appeal) {
+        await client.query('ROLLBACK');
+        return { error: 'not_found' };
+      }
+
+      const conflict = checkConflict ? this.conflictOfInterest(appeal, actor) : null;
+      const result = conflict ? { error: conflict } : await change(client, appeal);
+
+      if (result.error) {
+        await client.query('ROLLBACK');
+        return result;
+      }
+
+      await client.query('COMMIT');
+      return { appeal: this.formatAppeal(result.appeal) };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Stamp open appeals that have passed their SLA, once each. Run from cron.
+  async flagOverdue() {
+    const pool = getPool();
+    const client = await pool.connect();
+    let overdue = [];
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        UPDATE moderation_appeals
+        SET sla_breached_at = NOW(), updated_at = NOW()
+        WHERE status = ANY($1::text[]) AND sla_due_at < NOW() AND sla_breached_at IS NULL
+        RETURNING ${APPEAL_COLUMNS}
+      `, [OPEN_STATUSES]);
+
+      overdue = result.rows;
+      for (const appeal of overdue) {
+        await this.recordEvent(client, appeal, 'sla_breached', null, appeal.status, appeal.status, {
+          slaDueAt: appeal.sla_due_at
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (overdue.length > 0) {
+      logger.warn('Moderation appeals past SLA', { count: overdue.length });
+    }
+    return overdue.length;
+  }
+
+  async recordEvent(client, appeal, eventType, actorId, fromStatus, toStatus, details = {}) {
+    await client.query(`
+      INSERT INTO moderation_appeal_events (appeal_id, event_type, actor_id, from_status, to_status, details)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [appeal.id, eventType, actorId, fromStatus, toStatus, JSON.stringify(details)]);
+
+    auditLogger.info('moderation_appeal', {
+      timestamp: new Date().toISOString(),
+      event_type: 'moderation_appeal',
+      appeal_id: appeal.id,
+      appeal_event: eventType,
+      actor_id: actorId,
+      appellant_id: appeal.appellant_id,
+      subject_type: appeal.subject_type,
+      subject_id: appeal.subject_id,
+      from_status: fromStatus,
+      to_status: toStatus,
+      ...details
+    });
+  }
+
+  formatAppeal(row) {
+    return {
+      id: row.id,
+      appellantId: row.appellant_id,
+      subjectType: row.subject_type,
+      subjectId: row.subject_id,
+      groupId: row.group_id,
+      originalDecision: row.original_decision,
+      automatedDecision: row.original_decider_id === null,
+      reason: row.reason,
+      status: row.status,
+      assignedTo: row.assigned_to,
+      slaDueAt: row.sla_due_at,
+      slaBreached: !!row.sla_breached_at || (OPEN_STATUSES.includes(row.status) && new Date(row.sla_due_at) < new Date()),
+      decidedAt: row.decided_at,
+      resolutionNote: row.resolution_note,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new ModerationAppealService();
@@ -0,0 +1,36 @@
+// Base class for community message classifiers. Subclasses implement
+// classify(text, context) and resolve to a result from result():
+//   { category, score, labels, details? }
+// score is 0-1; what happens at a given score is decided per group by the
+// thresholds in groups.moderation_settings (see communityModerationService).
+// context carries the sender, the group and the sender's recent messages.
+class BaseClassifier {
+  constructor(category, options = {}) {
+    this.category = category;
+    this.enabled = options.enabled !== false;
+  }
+
+  async classify() {
+    throw new Error(`${this.category} classifier must implement classify()`);
+  }
+
+  result(score, labels = [], extra = {}) {
+    return {
+      category: this.category,
+      score: Math.max(0, Math.min(1, Math.round(score * 100) / 100)),
+      labels,
+      ...extra
+    };
+  }
+
+  // Highest weight among the rules whose pattern matches, with their names
+  scoreRules(rules, text) {
+    const matched = rules.filter(rule => rule.pattern.test(text));
+    return {
+      score: matched.reduce((max, rule) => Math.max(max, rule.weight), 0),
+      labels: matched.map(rule => rule.name)
+    };
+  }
+}
+
+module.exports = BaseClassifier;
@@ -0,0 +1,27 @@
+const BaseClassifier = require('./baseClassifier');
+
+const RULES = [
+  { name: 'self_harm_incitement', weight: 0.95, pattern: /\b(kys|go (kill|hurt) yourself|(you should|just) (die|kill yourself)|nobody would miss you)\b/i },
+  { name: 'threat', weight: 0.95, pattern: /\b(i('| wi)ll|i'?m going to|gonna) (hurt|kill|find|beat|get) you\b/i },
+  { name: 'directed_insult', weight: 0.7, pattern: /\b(you('| a)re|you|ur) (such an? |an? |so )?(idiot|stupid|pathetic|worthless|loser|moron|freak|disgusting|useless|trash)\b/i },
+  { name: 'dismissal', weight: 0.5, pattern: /\b(shut up|nobody (cares|asked)|get lost|go away)\b/i },
+  { name: 'profanity', weight: 0.3, pattern: /\b(f+u+c+k+\w*|shit\w*|bitch\w*|bastard|asshole|dickhead)\b/i }
+];
+
+// Hostility aimed at other members. Profanity on its own scores low, since people
+// describing their own struggles shouldn't be held for swearing.
+class HarassmentClassifier extends BaseClassifier {
+  constructor(options = {}) {
+    super('harassment', options);
+  }
+
+  async classify(text) {
+    const { score, labels } = this.scoreRules(RULES, text);
+
+    // Profanity aimed at someone is worse than profanity alone
+    const directed = labels.includes('profanity') && /\byou\b/i.test(text);
+    return this.result(directed ? Math.max(score, 0.6) : score, labels);
+  }
+}
+
+module.exports = HarassmentClassifier;
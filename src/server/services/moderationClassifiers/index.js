@@ -0,0 +1,29 @@
+const { logger } = require('../../utils/logger');
+const BaseClassifier = require('./baseClassifier');
+const HarassmentClassifier = require('./harassmentClassifier');
+const SelfHarmClassifier = require('./selfHarmClassifier');
+const SpamClassifier = require('./spamClassifier');
+const PiiClassifier = require('./piiClassifier');
+
+// MODERATION_DISABLED_CLASSIFIERS is a comma-separated list of categories to skip
+const createDefaultClassifiers = () => {
+  const disabled = new Set((process.env.MODERATION_DISABLED_CLASSIFIERS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean));
+
+  const classifiers = [new HarassmentClassifier(), new SelfHarmClassifier(), new SpamClassifier(), new PiiClassifier()]
+    .filter(classifier => !disabled.has(classifier.category));
+
+  logger.info('Moderation classifiers initialized', { classifiers: classifiers.map(classifier => classifier.category) });
+  return classifiers;
+};
+
+module.exports = {
+  BaseClassifier,
+  HarassmentClassifier,
+  SelfHarmClassifier,
+  SpamClassifier,
+  PiiClassifier,
+  createDefaultClassifiers
+};
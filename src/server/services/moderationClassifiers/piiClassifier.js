@@ -0,0 +1,24 @@
+const BaseClassifier = require('./baseClassifier');
+
+const RULES = [
+  { name: 'ssn', weight: 0.95, pattern: /\b\d{3}-\d{2}-\d{4}\b/ },
+  { name: 'card_number', weight: 0.95, pattern: /\b(?:\d[ -]?){13,16}\b/ },
+  { name: 'email', weight: 0.6, pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/ },
+  { name: 'phone', weight: 0.6, pattern: /(?:\+?\d{1,3}[ .-]?)?\(?\d{3}\)?[ .-]?\d{3}[ .-]?\d{4}\b/ },
+  { name: 'street_address', weight: 0.5, pattern: /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(street|st|avenue|ave|road|rd|lane|ln|drive|dr|boulevard|blvd)\b/i }
+];
+
+// Personal details posted in a group. Members of support groups often overshare
+// while upset, so contact details are held for a moderator rather than published.
+class PiiClassifier extends BaseClassifier {
+  constructor(options = {}) {
+    super('pii', options);
+  }
+
+  async classify(text) {
+    const { score, labels } = this.scoreRules(RULES, text);
+    return this.result(score, labels);
+  }
+}
+
+module.exports = PiiClassifier;
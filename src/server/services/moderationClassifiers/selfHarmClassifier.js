@@ -0,0 +1,43 @@
+const BaseClassifier = require('./baseClassifier');
+
+// Self-harm and suicide risk, scored by the same CrisisDetector as coach messages.
+// High-risk posts are queued for the crisis team there, and the sender gets the
+// localized crisis response (returned as crisisSupport).
+class SelfHarmClassifier extends BaseClassifier {
+  constructor(options = {}) {
+    super('self_harm', options);
+    // Required lazily: llmService pulls in the whole coaching stack
+    this.createDetector = options.createDetector || (() => {
+      const { CrisisDetector } = require('../llmService');
+      return new CrisisDetector();
+    });
+  }
+
+  async classify(text, context = {}) {
+    const assessment = await this.createDetector().assessRisk(text, [], {
+      ...context.userContext,
+      userId: context.sender && context.sender.id,
+      source: { type: 'group_message', groupId: context.groupId, messageId: context.messageId }
+    });
+
+    if (assessment.error) {
+      throw new Error('Crisis risk assessment failed');
+    }
+
+    const labels = [...new Set((assessment.explanations || [])
+      .filter(explanation => explanation.contribution > 0)
+      .map(explanation => explanation.category || explanation.feature))];
+
+    return this.result(assessment.riskScore || 0, labels, assessment.requiresIntervention
+      ? {
+        crisisSupport: {
+          response: assessment.response,
+          resources: assessment.resources,
+          resourceLocale: assessment.resourceLocale
+        }
+      }
+      : {});
+  }
+}
+
+module.exports = SelfHarmClassifier;
@@ -0,0 +1,64 @@
+const BaseClassifier = require('./baseClassifier');
+
+const RULES = [
+  { name: 'promotion', weight: 0.5, pattern: /\b(buy now|discount code|promo code|limited offer|free trial|click (here|the link)|dm me for|check out my (channel|page|shop))\b/i },
+  { name: 'money_scheme', weight: 0.7, pattern: /\b(crypto|bitcoin|forex|investment opportunity|make \$?\d+ (a|per) (day|week)|work from home and earn)\b/i },
+  { name: 'repeated_characters', weight: 0.3, pattern: /(.)\1{9,}/ }
+];
+
+const URL_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+/gi;
+const DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+const FLOOD_WINDOW_MS = 60 * 1000;
+const FLOOD_MESSAGES = 5;
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Promotion, link dumps, repeated posts and flooding. Uses the sender's recent
+// messages from context.recentMessages ([{ content, createdAt }]).
+class SpamClassifier extends BaseClassifier {
+  constructor(options = {}) {
+    super('spam', options);
+  }
+
+  async classify(text, context = {}) {
+    const now = Date.now();
+    const { score: ruleScore, labels } = this.scoreRules(RULES, text);
+    let score = ruleScore;
+
+    const links = (text.match(URL_PATTERN) || []).length;
+    if (links >= 3) {
+      score = Math.max(score, 0.6);
+      labels.push('many_links');
+    }
+
+    const letters = text.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 20 && letters === letters.toUpperCase()) {
+      score = Math.max(score, 0.3);
+      labels.push('all_caps');
+    }
+
+    const recent = context.recentMessages || [];
+    const duplicates = recent.filter(message => now - new Date(message.createdAt).getTime() <= DUPLICATE_WINDOW_MS
+      && normalize(message.content) === normalize(text));
+    if (duplicates.length > 0) {
+      // Posting the same thing once more is usually a retry; more than that is spam
+      score = Math.max(score, duplicates.length >= 2 ? 0.9 : 0.4);
+      labels.push('duplicate');
+    }
+
+    const lastMinute = recent.filter(message => now - new Date(message.createdAt).getTime() <= FLOOD_WINDOW_MS);
+    if (lastMinute.length >= FLOOD_MESSAGES) {
+      score = Math.max(score, 0.7);
+      labels.push('flooding');
+    }
+
+    // Several weaker signals together are more telling than any one
+    if (labels.length >= 3) {
+      score = Math.min(1, score + 0.2);
+    }
+
+    return this.result(score, labels, { details: { links } });
+  }
+}
+
+module.exports = SpamClassifier;
@@ -0,0 +1,145 @@
+const { createDefaultChecks } = require('./outputGuardrails');
+const { logger, logSecurityEvent } = require('../utils/logger');
+
+const ACTION_RANK = { pass: 0, redact: 1, regenerate: 2, fallback: 3 };
+
+// Text is released to a streaming client a sentence at a time, or after this many
+// characters if no sentence boundary turns up
+const STREAM_RELEASE_CHARS = 400;
+
+// Post-generation checks on coach replies (see outputGuardrails/). A review
+// settles on the strongest action any check asks for: redact < regenerate < fallback.
+class OutputGuardrailService {
+  constructor() {
+    this.checks = null;
+    const maxRegenerations = parseInt(process.env.AI_GUARDRAIL_MAX_REGENERATIONS);
+    this.maxRegenerations = Number.isNaN(maxRegenerations) ? 1 : maxRegenerations;
+  }
+
+  getChecks() {
+    if (!this.checks) {
+      this.checks = createDefaultChecks();
+    }
+    return this.checks;
+  }
+
+  // Add a check, replacing any with the same name
+  registerCheck(check) {
+    this.checks = [...this.getChecks().filter(existing => existing.name !== check.name), check];
+  }
+
+  inspect(text, context = {}) {
+    const findings = [];
+    this.getChecks().forEach(check => {
+      if (!check.enabled) return;
+      try {
+        findings.push(...check.inspect(text, context));
+      } catch (error) {
+        logger.error('Output guardrail check failed:', { check: check.name, error: error.message });
+      }
+    });
+
+    const action = findings.reduce(
+      (strongest, finding) => (ACTION_RANK[finding.action] > ACTION_RANK[strongest] ? finding.action : strongest),
+      'pass'
+    );
+    return { action, findings };
+  }
+
+  // Apply redaction spans right to left so earlier offsets stay valid; overlapping
+  // spans keep the one that starts first
+  applyRedactions(text, findings) {
+    const spans = findings
+      .flatMap(finding => finding.redactions || [])
+      .sort((a, b) => a.start - b.start || b.end - a.end)
+      .filter((span, index, sorted) => index === 0 || span.start >= sorted[index - 1].end);
+
+    let result = text;
+    for (let i = spans.length - 1; i >= 0; i--) {
+      result = result.slice(0, spans[i].start) + spans[i].replacement + result.slice(spans[i].end);
+    }
+    return result.replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  review(text, context = {}) {
+    const { action, findings } = this.inspect(text, context);
+    return {
+      action,
+      findings,
+      text: action === 'redact' ? this.applyRedactions(text, findings) : text
+    };
+  }
+
+  // Appended to the system prompt when asking the model to try again
+  regenerationInstruction(findings) {
+    const reasons = {
+      medical_advice: 'it gave medical advice (medication, dosages or a diagnosis). Do not name doses, tell the user to start, stop or change medication, or suggest what condition they have; suggest they speak with a doctor or pharmacist instead',
+      off_topic: 'it drifted away from mindfulness coaching. Stay within mindfulness and wellbeing support and gently redirect'
+    };
+    const lines = [...new Set(findings.filter(finding => finding.action === 'regenerate').map(finding => finding.check))]
+      .map(check => `- ${reasons[check] || `it failed the ${check} check`}`);
+
+    return `\n\nA previous draft of this reply was rejected because:\n${lines.join('\n')}\nWrite a new reply that avoids this.`;
+  }
+
+  logFindings(findings, meta = {}) {
+    if (findings.length === 0) return;
+
+    logSecurityEvent('ai_output_guardrail', {
+      ...meta,
+      rules: findings.map(finding => `${finding.check}.${finding.rule}`),
+      actions: [...new Set(findings.map(finding => finding.action))]
+    });
+  }
+
+  // Wrap a streaming token callback so text only reaches the client after passing
+  // the checks. Completed sentences are inspected together with everything before
+  // them: redactions are applied on the way out, and once a check wants the reply
+  // regenerated or replaced nothing more is sent.
+  createStreamGate(onToken, context = {}) {
+    let raw = '';
+    let inspected = 0;
+    let emitted = '';
+    let halted = false;
+
+    const release = (upTo) => {
+      const { action, findings } = this.inspect(raw.slice(0, upTo), context);
+      inspected = upTo;
+
+      if (action === 'regenerate' || action === 'fallback') {
+        halted = true;
+        return;
+      }
+
+      const visible = action === 'redact' ? this.applyRedactions(raw.slice(0, upTo), findings) : raw.slice(0, upTo);
+      if (visible.length > emitted.length && visible.startsWith(emitted)) {
+        onToken(visible.slice(emitted.length));
+        emitted = visible;
+      }
+    };
+
+    return {
+      push: (delta) => {
+        raw += delta;
+        if (halted) return;
+
+        const pending = raw.slice(inspected);
+        const boundaries = Array.from(pending.matchAll(/[.!?]\s|\n/g));
+        if (boundaries.length > 0) {
+          const last = boundaries[boundaries.length - 1];
+          release(inspected + last.index + last[0].length);
+        } else if (pending.length >= STREAM_RELEASE_CHARS) {
+          release(raw.length);
+        }
+      },
+      finish: () => {
+        if (!halted && inspected < raw.length) {
+          release(raw.length);
+        }
+        return { halted, emitted };
+      }
+    };
+  }
+}
+
+module.exports = new OutputGuardrailService();
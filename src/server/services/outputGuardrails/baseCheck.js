@@ -0,0 +1,36 @@
+// Base class for post-generation checks on model output. Subclasses implement
+// inspect(text, context) and return findings:
+//   { check, rule, action, details?, redactions?: [{ start, end, replacement }] }
+// action is 'redact' (apply the redactions), 'regenerate' (ask the model again)
+// or 'fallback' (replace the reply). context carries the user's message and history.
+class BaseCheck {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.action = options.action || this.defaultAction();
+    this.enabled = options.enabled !== false;
+  }
+
+  defaultAction() {
+    return 'regenerate';
+  }
+
+  inspect() {
+    throw new Error(`${this.name} check must implement inspect()`);
+  }
+
+  finding(rule, extra = {}) {
+    return {
+      check: this.name,
+      rule,
+      action: this.action,
+      ...extra
+    };
+  }
+
+  // Every match of a global regex as { index, text }
+  matchAll(pattern, text) {
+    return Array.from(text.matchAll(pattern), match => ({ index: match.index, text: match[0] }));
+  }
+}
+
+module.exports = BaseCheck;
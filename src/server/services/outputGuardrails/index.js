@@ -0,0 +1,29 @@
+const { logger } = require('../../utils/logger');
+const BaseCheck = require('./baseCheck');
+const MedicalAdviceCheck = require('./medicalAdviceCheck');
+const PiiEchoCheck = require('./piiEchoCheck');
+const OffTopicCheck = require('./offTopicCheck');
+const LengthFormatCheck = require('./lengthFormatCheck');
+
+// AI_GUARDRAIL_DISABLED_CHECKS is a comma-separated list of check names to skip
+const createDefaultChecks = () => {
+  const disabled = new Set((process.env.AI_GUARDRAIL_DISABLED_CHECKS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean));
+
+  const checks = [new MedicalAdviceCheck(), new PiiEchoCheck(), new OffTopicCheck(), new LengthFormatCheck()]
+    .filter(check => !disabled.has(check.name));
+
+  logger.info('Output guardrail checks initialized', { checks: checks.map(check => `${check.name}:${check.action}`) });
+  return checks;
+};
+
+module.exports = {
+  BaseCheck,
+  MedicalAdviceCheck,
+  PiiEchoCheck,
+  OffTopicCheck,
+  LengthFormatCheck,
+  createDefaultChecks
+};
@@ -0,0 +1,50 @@
+const BaseCheck = require('./baseCheck');
+
+// Keeps replies to the chat format the coach promises: bounded length, no raw
+// HTML, no markdown headings or tables. Over-long replies are cut at the last
+// sentence that fits.
+class LengthFormatCheck extends BaseCheck {
+  constructor(options = {}) {
+    super('length_format', options);
+    this.maxChars = options.maxChars || parseInt(process.env.AI_RESPONSE_MAX_CHARS) || 2400;
+  }
+
+  defaultAction() {
+    return 'redact';
+  }
+
+  inspect(text) {
+    const findings = [];
+
+    const markup = this.matchAll(/<\/?[a-zA-Z][^>]*>/g, text);
+    if (markup.length > 0) {
+      findings.push(this.finding('html', {
+        details: { matches: markup.length },
+        redactions: markup.map(match => ({ start: match.index, end: match.index + match.text.length, replacement: '' }))
+      }));
+    }
+
+    const headings = this.matchAll(/^#{1,6} +/gm, text);
+    const tableRules = this.matchAll(/^\s*\|?(?:\s*:?-{3,}:?\s*\|)+\s*:?-*:?\s*\|?\s*$\n?/gm, text);
+    if (headings.length + tableRules.length > 0) {
+      findings.push(this.finding('markdown', {
+        details: { headings: headings.length, tables: tableRules.length },
+        redactions: [...headings, ...tableRules].map(match => ({ start: match.index, end: match.index + match.text.length, replacement: '' }))
+      }));
+    }
+
+    if (text.length > this.maxChars) {
+      const head = text.slice(0, this.maxChars);
+      const boundary = Math.max(head.lastIndexOf('. '), head.lastIndexOf('.\n'), head.lastIndexOf('\n\n'));
+      const cut = boundary > this.maxChars / 2 ? boundary + 1 : this.maxChars;
+      findings.push(this.finding('too_long', {
+        details: { length: text.length, maxChars: this.maxChars },
+        redactions: [{ start: cut, end: text.length, replacement: '' }]
+      }));
+    }
+
+    return findings;
+  }
+}
+
+module.exports = LengthFormatCheck;
@@ -0,0 +1,55 @@
+const BaseCheck = require('./baseCheck');
+
+const CONDITIONS = [
+  'depression', 'clinical depression', 'major depressive disorder', 'bipolar(?: disorder)?',
+  'ptsd', 'ocd', 'adhd', 'borderline personality disorder', 'bpd', 'schizophrenia',
+  '(?:generalized )?anxiety disorder', 'panic disorder', 'an eating disorder', 'anorexia', 'bulimia'
+].join('|');
+
+const MEDICATIONS = [
+  'sertraline', 'fluoxetine', 'escitalopram', 'citalopram', 'paroxetine', 'venlafaxine', 'duloxetine',
+  'bupropion', 'mirtazapine', 'lorazepam', 'alprazolam', 'diazepam', 'clonazepam', 'zolpidem',
+  'quetiapine', 'lithium', 'melatonin', 'zoloft', 'prozac', 'lexapro', 'xanax', 'valium', 'ambien'
+].join('|');
+
+// Dosages, instructions to start/stop/change medication, and diagnoses of the
+// user. Hedged mentions ("only a doctor can say whether you have ...") are allowed.
+class MedicalAdviceCheck extends BaseCheck {
+  constructor(options = {}) {
+    super('medical_advice', options);
+    this.rules = {
+      dosage: /\b\d+(?:\.\d+)?\s?(?:mg|mcg|µg|milligrams?|micrograms?|ml|iu)\b/gi,
+      medication_instruction: new RegExp(
+        `\\b(?:take|taking|start|stop|stopping|increase|decrease|reduce|double|skip|switch(?: to)?|try)\\s+` +
+        `(?:your |the |some |a )?(?:dose|dosage|medication|meds|pills?|antidepressants?|ssris?|benzodiazepines?|prescription|${MEDICATIONS})\\b`,
+        'gi'
+      ),
+      diagnosis: new RegExp(
+        `\\b(?:you (?:probably |likely |clearly |definitely |may |might |seem to )?` +
+        `(?:have|are suffering from|suffer from|are showing signs of|meet the criteria for)|sounds like(?: you have)?)\\s+` +
+        `(?:a |an )?(?:clinical |major |severe )?(?:${CONDITIONS})\\b`,
+        'gi'
+      )
+    };
+    // Deferring to a professional is what we want the coach to do
+    this.hedges = /\b(?:whether|if|can't|cannot|not|only a|ask (?:a|your)|talk (?:to|with)|doctor|professional|clinician|psychiatrist|pharmacist)\b/i;
+  }
+
+  isHedged(text, index) {
+    const sentenceStart = Math.max(text.lastIndexOf('.', index), text.lastIndexOf('\n', index), 0);
+    return this.hedges.test(text.slice(sentenceStart, index));
+  }
+
+  inspect(text) {
+    const findings = [];
+    Object.entries(this.rules).forEach(([rule, pattern]) => {
+      const matches = this.matchAll(pattern, text).filter(match => !this.isHedged(text, match.index));
+      if (matches.length > 0) {
+        findings.push(this.finding(rule, { details: { matches: matches.length } }));
+      }
+    });
+    return findings;
+  }
+}
+
+module.exports = MedicalAdviceCheck;
@@ -0,0 +1,37 @@
+const BaseCheck = require('./baseCheck');
+
+const TOPICS = {
+  code: /```|\bfunction\s*\(|\bconsole\.log\b|\bdef \w+\(|\bimport \w+|\bSELECT\b[\s\S]{1,80}\bFROM\b/gi,
+  finance: /\b(?:stocks?|crypto(?:currency)?|bitcoin|invest(?:ing|ment|ments)?|portfolio|dividends?|mortgage|tax returns?)\b/gi,
+  legal: /\b(?:lawsuit|sue|attorney|legal advice|liability|custody hearing|plaintiff|defendant)\b/gi,
+  politics: /\b(?:democrats?|republicans?|election|vote for|political part(?:y|ies)|left-wing|right-wing)\b/gi
+};
+
+// Words that keep a reply anchored in the coaching domain
+const ANCHORS = /\b(?:breath(?:e|ing)?|mindful(?:ness)?|meditat\w*|awareness|notice|noticing|present moment|practice|body|feel(?:ing|ings)?|grounding|calm|compassion|attention)\b/gi;
+
+// Flags replies that have wandered into another domain (writing code, picking
+// investments, legal strategy, politics) without tying back to the practice
+class OffTopicCheck extends BaseCheck {
+  constructor(options = {}) {
+    super('off_topic', options);
+    this.minHits = options.minHits || 2;
+    this.maxAnchors = options.maxAnchors !== undefined ? options.maxAnchors : 1;
+  }
+
+  inspect(text) {
+    const anchors = (text.match(ANCHORS) || []).length;
+    if (anchors > this.maxAnchors) return [];
+
+    const findings = [];
+    Object.entries(TOPICS).forEach(([topic, pattern]) => {
+      const hits = (text.match(pattern) || []).length;
+      if (hits >= this.minHits) {
+        findings.push(this.finding(topic, { details: { hits, anchors } }));
+      }
+    });
+    return findings;
+  }
+}
+
+module.exports = OffTopicCheck;
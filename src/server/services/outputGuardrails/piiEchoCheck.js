@@ -0,0 +1,67 @@
+const BaseCheck = require('./baseCheck');
+
+// Always redacted; never something the coach should write
+const SENSITIVE_PATTERNS = {
+  ssn: /\b\d{3}-\d{2}-\d{4}\b/g,
+  card: /\b(?:\d[ -]?){13,16}\b/g
+};
+
+// Contact details the user shared, looked for when repeated back
+const ECHO_PATTERNS = {
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  phone: /(?:\+?\d{1,3}[ .-]?)?\(?\d{3}\)?[ .-]?\d{3}[ .-]?\d{4}\b/g
+};
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+// Redacts personal details from the user's own messages that the model repeats
+// back (they would otherwise be stored again in the reply), plus ID and card numbers.
+// Numbers the user never sent, such as crisis lines, are left alone.
+class PiiEchoCheck extends BaseCheck {
+  constructor(options = {}) {
+    super('pii_echo', options);
+  }
+
+  defaultAction() {
+    return 'redact';
+  }
+
+  userValues(context) {
+    const userText = [
+      context.userMessage || '',
+      ...(context.conversationHistory || [])
+        .filter(msg => msg.sender === 'user')
+        .map(msg => msg.content || '')
+    ].join('\n');
+
+    return {
+      email: new Set(this.matchAll(ECHO_PATTERNS.email, userText).map(match => match.text.toLowerCase())),
+      phone: new Set(this.matchAll(ECHO_PATTERNS.phone, userText).map(match => digitsOf(match.text)))
+    };
+  }
+
+  inspect(text, context = {}) {
+    const findings = [];
+    const known = this.userValues(context);
+
+    const redactAll = (rule, matches, label) => {
+      if (matches.length === 0) return;
+      findings.push(this.finding(rule, {
+        details: { matches: matches.length },
+        redactions: matches.map(match => ({ start: match.index, end: match.index + match.text.length, replacement: label }))
+      }));
+    };
+
+    redactAll('ssn', this.matchAll(SENSITIVE_PATTERNS.ssn, text), '[REDACTED]');
+    redactAll('card_number', this.matchAll(SENSITIVE_PATTERNS.card, text)
+      .filter(match => digitsOf(match.text).length >= 13), '[REDACTED]');
+    redactAll('email_echo', this.matchAll(ECHO_PATTERNS.email, text)
+      .filter(match => known.email.has(match.text.toLowerCase())), '[EMAIL]');
+    redactAll('phone_echo', this.matchAll(ECHO_PATTERNS.phone, text)
+      .filter(match => known.phone.has(digitsOf(match.text))), '[PHONE]');
+
+    return findings;
+  }
+}
+
+module.exports = PiiEchoCheck;
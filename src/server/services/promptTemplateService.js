@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const { getPool } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+// Variables a template can place; LLMService renders each block (empty when unused)
+const TEMPLATE_VARIABLES = ['userContext', 'longTermMemory', 'conversationSummary', 'curriculum', 'safety'];
+const REQUIRED_VARIABLES = ['safety'];
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Used when the database has no active version (or can't be reached), so the
+// coach never runs without a persona
+const BUILTIN_TEMPLATES = {
+  coach_persona: `You are a compassionate AI mindfulness coach trained in the "Meeting Your Mind Full" methodology. Your role is to provide personalized guidance based on the user's progress and the curriculum content.
+
+Core Principles:
+- Always respond with warmth, empathy, and non-judgment
+- Ground your responses in the curriculum materials when relevant
+- Encourage self-discovery rather than giving direct advice
+- Use mindfulness language and concepts appropriately
+- Keep responses concise and actionable (2-3 paragraphs maximum)
+- Never provide medical or psychological treatment advice
+
+{{userContext}}{{longTermMemory}}{{conversationSummary}}{{curriculum}}{{safety}}`
+};
+
+class PromptTemplateService {
+  constructor() {
+    this.cacheTtl = parseInt(process.env.PROMPT_TEMPLATE_CACHE_MS) || 60000;
+    this.cache = new Map();
+  }
+
+  getBuiltinTemplate(name = 'coach_persona') {
+    return {
+      id: null,
+      name,
+      version: null,
+      body: BUILTIN_TEMPLATES[name],
+      promptVersion: `${name}@builtin`,
+      experimentId: null,
+      arm: null
+    };
+  }
+
+  formatVersion(template) {
+    return `${template.name}@v${template.version}`;
+  }
+
+  invalidate(name) {
+    if (name) {
+      this.cache.delete(name);
+    } else {
+      this.cache.clear();
+    }
+  }
+
+  // Active version, running experiment, and the templates its arms point at
+  async loadTemplateState(name) {
+    const cached = this.cache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.state;
+    }
+
+    const pool = getPool();
+    const [activeResult, experimentResult] = await Promise.all([
+      pool.query(`
+        SELECT id, name, version, body
+        FROM prompt_templates
+        WHERE name = $1 AND is_active = TRUE
+      `, [name]),
+      pool.query(`
+        SELECT id, name, arms
+        FROM prompt_experiments
+        WHERE template_name = $1 AND status = 'running'
+      `, [name])
+    ]);
+
+    const experiment = experimentResult.rows[0] || null;
+    let armTemplates = new Map();
+
+    if (experiment) {
+      const templateIds = experiment.arms.map(arm => arm.templateId);
+      const templatesResult = await pool.query(`
+        SELECT id, name, version, body
+        FROM prompt_templates
+        WHERE id = ANY($1::uuid[])
+      `, [templateIds]);
+      armTemplates = new Map(templatesResult.rows.map(row => [row.id, row]));
+    }
+
+    const state = {
+      active: activeResult.rows[0] || null,
+      experiment,
+      armTemplates
+    };
+
+    this.cache.set(name, { state, expiresAt: Date.now() + this.cacheTtl });
+    return state;
+  }
+
+  // Deterministic arm choice: the same user always lands in the same arm of an experiment
+  assignArm(experiment, userId) {
+    const totalWeight = experiment.arms.reduce((sum, arm) => sum + arm.weight, 0);
+    if (totalWeight <= 0) return null;
+
+    const digest = crypto.createHash('sha256').update(`${experiment.id}:${userId}`).digest();
+    let bucket = digest.readUInt32BE(0) % totalWeight;
+
+    for (const arm of experiment.arms) {
+      if (bucket < arm.weight) return arm;
+      bucket -= arm.weight;
+    }
+    return null;
+  }
+
+  // Template to use for this user's next reply, with the version and experiment
+  // arm to record on the assistant message
+  async resolveForUser(userId, name = 'coach_persona') {
+    try {
+      const state = await this.loadTemplateState(name);
+
+      if (state.experiment) {
+        const arm = this.assignArm(state.experiment, userId);
+        const template = arm && state.armTemplates.get(arm.templateId);
+        if (template) {
+          return {
+            id: template.id,
+            name: template.name,
+            version: template.version,
+            body: template.body,
+            promptVersion: this.formatVersion(template),
+            experimentId: state.experiment.id,
+            arm: arm.key
+          };
+        }
+      }
+
+      if (state.active) {
+        return {
+          id: state.active.id,
+          name: state.active.name,
+          version: state.active.version,
+          body: state.active.body,
+          promptVersion: this.formatVersion(state.active),
+          experimentId: null,
+          arm: null
+        };
+      }
+    } catch (error) {
+      logger.error('Prompt template lookup failed, using built-in template:', { name, error: error.message });
+    }
+
+    return this.getBuiltinTemplate(name);
+  }
+
+  // Substitute {{variable}} placeholders. The safety block is always included,
+  // even if a template somehow lacks the placeholder.
+  render(body, variables) {
+    const used = new Set();
+    let prompt = body.replace(VARIABLE_PATTERN, (match, key) => {
+      used.add(key);
+      return variables[key] || '';
+    });
+
+    REQUIRED_VARIABLES.forEach(key => {
+      if (!used.has(key) && variables[key]) {
+        prompt += variables[key];
+      }
+    });
+
+    return prompt;
+  }
+
+  validateBody(body) {
+    const found = new Set();
+    let match;
+    const pattern = new RegExp(VARIABLE_PATTERN.source, 'g');
+    while ((match = pattern.exec(body)) !== null) {
+      found.add(match[1]);
+    }
+
+    const unknown = [...found].filter(key => !TEMPLATE_VARIABLES.includes(key));
+    if (unknown.length > 0) {
+      return `Unknown template variables: ${unknown.join(', ')}`;
+    }
+
+    const missing = REQUIRED_VARIABLES.filter(key => !found.has(key));
+    if (missing.length > 0) {
+      return `Template must include: ${missing.map(key => `{{${key}}}`).join(', ')}`;
+    }
+
+    return null;
+  }
+
+  formatTemplate(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      version: row.version,
+      promptVersion: this.formatVersion(row),
+      body: row.body,
+      description: row.description,
+      isActive: row.is_active,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  formatExperiment(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      templateName: row.template_name,
+      arms: row.arms,
+      status: row.status,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      createdAt: row.created_at
+    };
+  }
+
+  async listTemplates(name = null) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT id, name, version, body, description, is_active, created_by, created_at
+      FROM prompt_templates
+      WHERE ($1::text IS NULL OR name = $1)
+      ORDER BY name, version DESC
+    `, [name]);
+
+    return result.rows.map(row => this.formatTemplate(row));
+  }
+
+  async createTemplateVersion({ name, body, description, activate = false }, userId) {
+    const validationError = this.validateBody(body);
+    if (validationError) {
+      return { error: validationError };
+    }
+
+    const pool = getPool();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Serialize version numbering per template name
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`prompt_template:${name}`]);
+
+      if (activate) {
+        await client.query(`
+          UPDATE prompt_templates SET is_active = FALSE WHERE name = $1 AND is_active = TRUE
+        `, [name]);
+      }
+
+      const result = await client.query(`
+        INSERT INTO prompt_templates (name, version, body, description, is_active, created_by)
+        SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5
+        FROM prompt_templates
+        WHERE name = $1
+        RETURNING id, name, version, body, description, is_active, created_by, created_at
+      `, [name, body, description || null, activate, userId]);
+
+      await client.query('COMMIT');
+      this.invalidate(name);
+
+      return { template: this.formatTemplate(result.rows[0]) };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async activateTemplate(name, version) {
+    const pool = getPool();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const target = await client.query(`
+        SELECT id FROM prompt_templates WHERE name = $1 AND version = $2
+      `, [name, version]);
+
+      if (target.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query(`
+        UPDATE prompt_templates SET is_active = FALSE WHERE name = $1 AND is_active = TRUE
+      `, [name]);
+
+      const result = await client.query(`
+        UPDATE prompt_templates SET is_active = TRUE
+        WHERE id = $1
+        RETURNING id, name, version, body, description, is_active, created_by, created_at
+      `, [target.rows[0].id]);
+
+      await client.query('COMMIT');
+      this.invalidate(name);
+
+      return this.formatTemplate(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listExperiments(templateName = null) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT id, name, template_name, arms, status, started_at, ended_at, created_at
+      FROM prompt_experiments
+      WHERE ($1::text IS NULL OR template_name = $1)
+      ORDER BY created_at DESC
+    `, [templateName]);
+
+    return result.rows.map(row => this.formatExperiment(row));
+  }
+
+  async createExperiment({ name, templateName, arms }, userId) {
+    const keys = new Set(arms.map(arm => arm.key));
+    if (keys.size !== arms.length) {
+      return { error: 'Arm keys must be unique' };
+    }
+
+    const pool = getPool();
+    const templates = await pool.query(`
+      SELECT id FROM prompt_templates
+      WHERE name = $1 AND id = ANY($2::uuid[])
+    `, [templateName, arms.map(arm => arm.templateId)]);
+
+    const known = new Set(templates.rows.map(row => row.id));
+    const unknownArm = arms.find(arm => !known.has(arm.templateId));
+    if (unknownArm) {
+      return { error: `Arm "${unknownArm.key}" does not reference a version of ${templateName}` };
+    }
+
+    const result = await pool.query(`
+      INSERT INTO prompt_experiments (name, template_name, arms, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, name, template_name, arms, status, started_at, ended_at, created_at
+    `, [
+      name,
+      templateName,
+      JSON.stringify(arms.map(arm => ({ key: arm.key, templateId: arm.templateId, weight: arm.weight }))),
+      userId
+    ]);
+
+    return { experiment: this.formatExperiment(result.rows[0]) };
+  }
+
+  // draft -> running -> stopped. Starting fails with a unique violation if another
+  // experiment on the same template is already running.
+  async updateExperimentStatus(experimentId, status) {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE prompt_experiments
+      SET status = $2,
+        started_at = CASE WHEN $2 = 'running' THEN NOW() ELSE started_at END,
+        ended_at = CASE WHEN $2 = 'stopped' THEN NOW() ELSE ended_at END
+      WHERE id = $1
+        AND ((status = 'draft' AND $2 = 'running') OR (status = 'running' AND $2 = 'stopped'))
+      RETURNING id, name, template_name, arms, status, started_at, ended_at, created_at
+    `, [experimentId, status]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    this.invalidate(result.rows[0].template_name);
+    return this.formatExperiment(result.rows[0]);
+  }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,223 @@
+const { getPool } = require('../config/database');
+const groupService = require('./groupService');
+const groupMessageService = require('./groupMessageService');
+const sanctionService = require('./sanctionService');
+const { logSecurityEvent } = require('../utils/logger');
+
+const REPORT_CATEGORIES = ['harassment', 'hate', 'self_harm', 'spam', 'privacy', 'inappropriate', 'other'];
+
+const REPORT_COLUMNS = `
+  id, reporter_id, subject_type, subject_id, reported_user_id, group_id, category,
+  details, status, reviewed_by, reviewed_at, resolution_note, created_at
+`;
+
+// Member reports. A reported message goes to its group's moderation queue (see
+// communityModerationService.listQueue) and is pulled back for review once
+// enough different members report it. Reports about a member go to the platform
+// moderators; upholding one is a strike against the member. Each member can
+// report the same message or member only once.
+class ReportService {
+  constructor() {
+    this.categories = REPORT_CATEGORIES;
+    this.holdThreshold = parseInt(process.env.REPORT_HOLD_THRESHOLD) || 3;
+  }
+
+  // Returns { report, duplicate } or { error }: not_found or own_content
+  async reportMessage(reporter, groupId, messageId, { category, details = null }) {
+    const pool = getPool();
+    // Only messages the reporter can actually see
+    const message = await pool.query(`
+      SELECT id, user_id, group_id
+      FROM group_messages
+      WHERE id = $1 AND group_id = $2 AND moderation_status = 'approved'
+    `, [messageId, groupId]);
+
+    const row = message.rows[0];
+    if (!row) {
+      return { error: 'not_found' };
+    }
+    if (row.user_id === reporter.id) {
+      return { error: 'own_content' };
+    }
+
+    const { report, duplicate } = await this.insertReport(reporter.id, {
+      subjectType: 'group_message',
+      subjectId: messageId,
+      reportedUserId: row.user_id,
+      groupId,
+      category,
+      details
+    });
+
+    if (!duplicate) {
+      await this.holdIfReportedOften(messageId);
+    }
+    return { report, duplicate };
+  }
+
+  // Returns { report, duplicate } or { error }: user_not_found or own_account
+  async reportUser(reporter, reportedUserId, { category, details = null, groupId = null }) {
+    if (reportedUserId === reporter.id) {
+      return { error: 'own_account' };
+    }
+
+    const pool = getPool();
+    const user = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [reportedUserId]);
+    if (user.rows.length === 0) {
+      return { error: 'user_not_found' };
+    }
+
+    return this.insertReport(reporter.id, {
+      subjectType: 'user',
+      subjectId: reportedUserId,
+      reportedUserId,
+      groupId,
+      category,
+      details
+    });
+  }
+
+  // A repeat report from the same member returns their original report
+  async insertReport(reporterId, { subjectType, subjectId, reportedUserId, groupId, category, details }) {
+    const pool = getPool();
+    const inserted = await pool.query(`
+      INSERT INTO user_reports (reporter_id, subject_type, subject_id, reported_user_id, group_id, category, details)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (reporter_id, subject_type, subject_id) DO NOTHING
+      RETURNING ${REPORT_COLUMNS}
+    `, [reporterId, subjectType, subjectId, reportedUserId, groupId, category, details]);
+
+    if (inserted.rows.length > 0) {
+      return { report: this.formatReport(inserted.rows[0]), duplicate: false };
+    }
+
+    const existing = await pool.query(`
+      SELECT ${REPORT_COLUMNS}
+      FROM user_reports
+      WHERE reporter_id = $1 AND subject_type = $2 AND subject_id = $3
+    `, [reporterId, subjectType, subjectId]);
+    return { report: this.formatReport(existing.rows[0]), duplicate: true };
+  }
+
+  // Take a visible message down for moderator review once enough members report it
+  async holdIfReportedOften(messageId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE group_messages m
+      SET moderation_status = 'flagged',
+        moderation_metadata = m.moderation_metadata || jsonb_build_object('reportHold', jsonb_build_object('at', NOW()))
+      FROM users u
+      WHERE m.id = $1 AND m.user_id = u.id AND m.moderation_status = 'approved'
+        AND (
+          SELECT COUNT(*) FROM user_reports r
+          WHERE r.subject_type = 'group_message' AND r.subject_id = m.id AND r.status = 'open'
+        ) >= $2
+      RETURNING m.id, m.group_id, m.user_id, m.message_content, m.message_type,
+        m.moderation_status, m.edited_at, m.created_at, u.first_name, u.last_name
+    `, [messageId, this.holdThreshold]);
+
+    if (result.rows.length === 0) return;
+
+    const message = groupMessageService.formatMessage(result.rows[0]);
+    logSecurityEvent('community_message_held_by_reports', {
+      messageId: message.id,
+      groupId: message.groupId,
+      userId: message.sender.id
+    });
+    groupMessageService.withdraw(message);
+    groupMessageService.notifySender(message, { reason: 'reported' });
+  }
+
+  // Close the open reports on a message once a moderator has decided it
+  async resolveForMessage(messageId, moderator, { status, note = null }) {
+    const pool = getPool();
+    await pool.query(`
+      UPDATE user_reports
+      SET status = $2, reviewed_by = $3, reviewed_at = NOW(), resolution_note = $4
+      WHERE subject_type = 'group_message' AND subject_id = $1 AND status = 'open'
+    `, [messageId, status, moderator.id, note]);
+  }
+
+  // Open reports about members, oldest first, grouped by the reported member
+  async listUserReportQueue({ limit = 50 } = {}) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT r.reported_user_id, u.first_name, u.last_name,
+        COUNT(*)::int as report_count,
+        array_agg(DISTINCT r.category) as categories,
+        MIN(r.created_at) as first_reported_at,
+        json_agg(json_build_object(
+          'id', r.id, 'category', r.category, 'details', r.details,
+          'groupId', r.group_id, 'createdAt', r.created_at
+        ) ORDER BY r.created_at) as reports
+      FROM user_reports r
+      JOIN users u ON r.reported_user_id = u.id
+      WHERE r.subject_type = 'user' AND r.status = 'open'
+      GROUP BY r.reported_user_id, u.first_name, u.last_name
+      ORDER BY MIN(r.created_at) ASC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows.map(row => ({
+      userId: row.reported_user_id,
+      name: groupService.formatMemberName(row.first_name, row.last_name),
+      reportCount: row.report_count,
+      categories: row.categories,
+      firstReportedAt: row.first_reported_at,
+      reports: row.reports
+    }));
+  }
+
+  // Decide every open report about a member at once. Upholding counts one strike
+  // however many members reported them. Returns { resolved, sanction } or
+  // { error }: not_found or conflict (a moderator deciding reports about themselves).
+  async resolveUserReports(reportedUserId, moderator, { decision, note = null }) {
+    if (reportedUserId === moderator.id) {
+      return { error: 'conflict' };
+    }
+
+    const status = decision === 'uphold' ? 'upheld' : 'dismissed';
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE user_reports
+      SET status = $2, reviewed_by = $3, reviewed_at = NOW(), resolution_note = $4
+      WHERE subject_type = 'user' AND subject_id = $1 AND status = 'open'
+      RETURNING ${REPORT_COLUMNS}
+    `, [reportedUserId, status, moderator.id, note]);
+
+    if (result.rows.length === 0) {
+      return { error: 'not_found' };
+    }
+
+    const reports = result.rows.map(row => this.formatReport(row));
+    let sanction = null;
+    if (status === 'upheld') {
+      // The earliest report stands for the strike
+      const first = [...reports].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+      sanction = await sanctionService.recordStrike(reportedUserId, 'report_upheld', {
+        sourceType: 'user_report',
+        sourceId: first.id,
+        groupId: first.groupId,
+        reason: `Reports upheld: ${[...new Set(reports.map(report => report.category))].join(', ')}`
+      });
+    }
+
+    return { resolved: reports.length, sanction };
+  }
+
+  // What reporters see: never who else reported, or who reviewed it
+  formatReport(row) {
+    return {
+      id: row.id,
+      subjectType: row.subject_type,
+      subjectId: row.subject_id,
+      groupId: row.group_id,
+      category: row.category,
+      details: row.details,
+      status: row.status,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,250 @@
+const { getPool } = require('../config/database');
+const { encryptJson, decryptJson, isEncryptionConfigured } = require('../utils/encryption');
+const supportiveResponses = require('../config/crisisSupport/supportiveResponses.json');
+const { logger } = require('../utils/logger');
+
+const PLAN_SECTIONS = ['warningSigns', 'copingPractices', 'trustedContacts', 'professionalContacts'];
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// A user's personal crisis safety plan. The plan is encrypted with the user ID bound
+// as associated data and is only decrypted for the user, for their own crisis
+// response, and (warning signs and practices only) for the coach prompt.
+class SafetyPlanService {
+  constructor() {
+    this.sections = PLAN_SECTIONS;
+  }
+
+  isAvailable() {
+    return isEncryptionConfigured();
+  }
+
+  emptyPlan() {
+    return {
+      warningSigns: [],
+      copingPractices: [],
+      trustedContacts: [],
+      professionalContacts: []
+    };
+  }
+
+  async getPlan(userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ciphertext, key_id, revision, created_at, updated_at
+      FROM safety_plans
+      WHERE user_id = $1
+    `, [userId]);
+
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    return {
+      plan: { ...this.emptyPlan(), ...decryptJson({ keyId: row.key_id, ciphertext: row.ciphertext }, userId) },
+      revision: row.revision,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Completed lessons a user can pick coping practices from
+  async getPracticeSuggestions(userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT l.id, l.title, c.title as course_title, up.completed_at
+      FROM user_progress up
+      JOIN lessons l ON up.lesson_id = l.id
+      JOIN courses c ON l.course_id = c.id
+      WHERE up.user_id = $1 AND up.completed_at IS NOT NULL
+      ORDER BY up.completed_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => ({
+      lessonId: row.id,
+      title: row.title,
+      courseTitle: row.course_title,
+      completedAt: row.completed_at
+    }));
+  }
+
+  // Save the whole plan. Practices tied to a lesson must be ones the user completed;
+  // their titles come from the lesson. Pass the revision last read to reject a save
+  // over a newer edit from another device.
+  async savePlan(userId, plan, expectedRevision = null) {
+    const lessonIds = plan.copingPractices
+      .map(practice => practice.lessonId)
+      .filter(Boolean);
+
+    let lessons = new Map();
+    if (lessonIds.length > 0) {
+      const completed = await this.getPracticeSuggestions(userId);
+      lessons = new Map(completed.map(lesson => [lesson.lessonId, lesson]));
+      if (lessonIds.some(lessonId => !lessons.has(lessonId))) {
+        return { error: 'lesson_not_completed' };
+      }
+    }
+
+    const normalized = {
+      ...plan,
+      copingPractices: plan.copingPractices.map(practice => ({
+        lessonId: practice.lessonId || null,
+        title: practice.lessonId ? lessons.get(practice.lessonId).title : practice.title,
+        note: practice.note || null
+      }))
+    };
+
+    const { keyId, ciphertext } = encryptJson(normalized, userId);
+
+    const pool = getPool();
+    const result = await pool.query(`
+      INSERT INTO safety_plans (user_id, ciphertext, key_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id)
+      DO UPDATE SET
+        ciphertext = EXCLUDED.ciphertext,
+        key_id = EXCLUDED.key_id,
+        revision = safety_plans.revision + 1,
+        updated_at = NOW()
+      WHERE $4::int IS NULL OR safety_plans.revision = $4
+      RETURNING revision, created_at, updated_at, (xmax = 0) as inserted
+    `, [userId, ciphertext, keyId, expectedRevision]);
+
+    const row = result.rows[0];
+    if (!row) {
+      return { error: 'revision_conflict' };
+    }
+
+    return {
+      created: row.inserted,
+      safetyPlan: {
+        plan: normalized,
+        revision: row.revision,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }
+    };
+  }
+
+  async deletePlan(userId) {
+    const pool = getPool();
+    const result = await pool.query('DELETE FROM safety_plans WHERE user_id = $1', [userId]);
+    return result.rowCount > 0;
+  }
+
+  // Plan for the crisis path and coach prompt. Never throws: a missing or
+  // malformed key or an unreadable row must not hold up a crisis response.
+  async getPlanForSupport(userId) {
+    if (!userId) return null;
+
+    try {
+      if (!this.isAvailable()) return null;
+
+      const saved = await this.getPlan(userId);
+      if (!saved || this.isEmpty(saved.plan)) return null;
+
+      const pool = getPool();
+      await pool.query('UPDATE safety_plans SET last_surfaced_at = NOW() WHERE user_id = $1', [userId]);
+      return saved.plan;
+    } catch (error) {
+      logger.error('Failed to load safety plan for support:', { userId, error: error.message });
+      return null;
+    }
+  }
+
+  isEmpty(plan) {
+    return PLAN_SECTIONS.every(section => !plan[section] || plan[section].length === 0);
+  }
+
+  // Opening of the crisis response: the user's own practices before anything
+  // generic. The response text is stored with the conversation, so notes and
+  // contact details stay out of it; the client shows those from the plan itself.
+  formatCrisisSection(plan, language = 'en') {
+    const strings = (supportiveResponses[language] || supportiveResponses.en).safetyPlan;
+    const lines = [strings.intro];
+
+    if (plan.copingPractices.length > 0) {
+      lines.push('', `${strings.coping}:`);
+      plan.copingPractices.slice(0, 3).forEach(practice => lines.push(`- ${practice.title}`));
+    }
+
+    if (plan.trustedContacts.length + plan.professionalContacts.length > 0) {
+      lines.push('', strings.contacts);
+    }
+
+    return lines.join('\n');
+  }
+
+  // Coach prompt context. Contact details stay out of the model request.
+  formatPromptBlock(plan) {
+    let block = `\n\nThe user has a personal safety plan. Their risk signals are elevated, so gently bring it up before other suggestions.`;
+    if (plan.warningSigns.length > 0) {
+      block += `\nWarning signs they listed: ${plan.warningSigns.join('; ')}`;
+    }
+    if (plan.copingPractices.length > 0) {
+      block += `\nCoping practices they chose: ${plan.copingPractices.map(practice => practice.title).join('; ')}`;
+    }
+    const contactCount = plan.trustedContacts.length + plan.professionalContacts.length;
+    if (contactCount > 0) {
+      block += `\nThey listed ${contactCount} ${contactCount === 1 ? 'person' : 'people'} they can contact; encourage reaching out.`;
+    }
+    return block;
+  }
+
+  // Self-contained HTML page laid out for printing
+  renderPrintable(plan, { name = null, updatedAt = null } = {}) {
+    const list = (items, render) => (items.length > 0
+      ? `<ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>`
+      : '<p class="empty">Nothing added yet.</p>');
+
+    const contact = (item) => [
+      `<strong>${escapeHtml(item.name)}</strong>`,
+      item.relationship || item.role ? escapeHtml(item.relationship || item.role) : null,
+      item.organization ? escapeHtml(item.organization) : null,
+      item.phone ? escapeHtml(item.phone) : null
+    ].filter(Boolean).join(' &middot; ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>My Safety Plan</title>
+<style>
+  body { font-family: Georgia, serif; max-width: 40rem; margin: 2rem auto; color: #222; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { border-bottom: 1px solid #ccc; padding-bottom: 0.25rem; margin-top: 2rem; }
+  .meta, .empty { color: #666; }
+  .note { color: #444; }
+  @media print { body { margin: 0; } a { color: inherit; text-decoration: none; } }
+</style>
+</head>
+<body>
+<h1>My Safety Plan</h1>
+<p class="meta">${name ? `${escapeHtml(name)} &middot; ` : ''}${updatedAt ? `Updated ${escapeHtml(new Date(updatedAt).toDateString())}` : ''}</p>
+
+<h2>1. Warning signs</h2>
+${list(plan.warningSigns, item => escapeHtml(item))}
+
+<h2>2. Things that help me cope</h2>
+${list(plan.copingPractices, item => `${escapeHtml(item.title)}${item.note ? ` <span class="note">&ndash; ${escapeHtml(item.note)}</span>` : ''}`)}
+
+<h2>3. People I can reach out to</h2>
+${list(plan.trustedContacts, contact)}
+
+<h2>4. Professionals and services</h2>
+${list(plan.professionalContacts, contact)}
+
+<p class="meta">If you are in immediate danger, call your local emergency number.</p>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new SafetyPlanService();
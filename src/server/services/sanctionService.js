@@ -0,0 +1,303 @@
+const { getPool } = require('../config/database');
+const trustService = require('./trustService');
+const groupMessageService = require('./groupMessageService');
+const { logger, logSecurityEvent } = require('../utils/logger');
+
+// Each strike inside the window moves a member one rung up the ladder. Durations
+// are in hours; null lasts until a moderator lifts it.
+const LADDER = [
+  { type: 'warning', hours: 30 * 24 },
+  { type: 'message_hold', hours: 3 * 24 },
+  { type: 'group_mute', hours: 7 * 24 },
+  { type: 'suspension', hours: 7 * 24 },
+  { type: 'reverification', hours: null }
+];
+
+const DEFAULT_HOURS = LADDER.reduce((acc, step) => {
+  acc[step.type] = step.hours;
+  return acc;
+}, {});
+
+// Sanctions that keep a member out of the community altogether
+const BLOCKING_TYPES = ['suspension', 'reverification'];
+
+const SANCTION_COLUMNS = `
+  id, user_id, sanction_type, group_id, reason, source_type, source_id, strike_count,
+  issued_by, starts_at, expires_at, lifted_at, lifted_by, lift_reason, created_at
+`;
+
+const ACTIVE_CONDITION = `
+  lifted_at IS NULL AND starts_at <= NOW() AND (expires_at IS NULL OR expires_at > NOW())
+`;
+
+// Graduated sanctions for community members: warning, message hold (everything
+// they post goes to a moderator), mute in one group, suspension from the
+// community, and re-verification to identity level. Strikes from moderation
+// issue them automatically; moderators can also issue and lift them. They expire
+// on their own once expires_at passes.
+class SanctionService {
+  constructor() {
+    this.strikeWindowDays = parseInt(process.env.STRIKE_WINDOW_DAYS) || 90;
+    this.types = LADDER.map(step => step.type);
+  }
+
+  // Count a strike against a member and issue the next sanction on the ladder.
+  // Returns the sanction, or null when this strike had already been counted.
+  async recordStrike(userId, eventType, { sourceType, sourceId, groupId = null, reason }) {
+    const pool = getPool();
+    const client = await pool.connect();
+    let sanction;
+    try {
+      await client.query('BEGIN');
+
+      // One strike at a time per member, so two can't land on the same rung
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+      const event = await trustService.recordEvent(client, userId, eventType, { sourceType, sourceId, groupId });
+      if (!event) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const strikes = await trustService.countStrikes(client, userId, this.strikeWindowDays);
+      const step = this.ladderStep(strikes, groupId);
+      sanction = await this.insertSanction(client, {
+        userId,
+        type: step.type,
+        groupId: step.type === 'group_mute' ? groupId : null,
+        reason,
+        sourceType,
+        sourceId,
+        strikeCount: strikes,
+        issuedBy: null,
+        hours: step.hours
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logSecurityEvent('community_sanction_issued', {
+      userId,
+      sanctionId: sanction.id,
+      type: sanction.type,
+      strikeCount: sanction.strikeCount,
+      sourceType,
+      sourceId
+    });
+    await this.notifyIssued(sanction);
+    return sanction;
+  }
+
+  ladderStep(strikes, groupId) {
+    const step = LADDER[Math.min(Math.max(strikes, 1), LADDER.length) - 1];
+    // A strike that didn't happen in a group can't be answered with a group mute
+    if (step.type === 'group_mute' && !groupId) {
+      return LADDER.find(candidate => candidate.type === 'message_hold');
+    }
+    return step;
+  }
+
+  // A moderator's sanction. durationHours defaults to the ladder's duration for
+  // the type. Returns { sanction } or { error: 'user_not_found' }.
+  async issue(moderator, { userId, type, groupId = null, reason, durationHours }) {
+    const pool = getPool();
+    const user = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    if (user.rows.length === 0) {
+      return { error: 'user_not_found' };
+    }
+
+    const sanction = await this.insertSanction(pool, {
+      userId,
+      type,
+      groupId: type === 'group_mute' ? groupId : null,
+      reason,
+      sourceType: null,
+      sourceId: null,
+      strikeCount: null,
+      issuedBy: moderator.id,
+      hours: durationHours !== undefined ? durationHours : DEFAULT_HOURS[type]
+    });
+
+    await this.notifyIssued(sanction);
+    return { sanction };
+  }
+
+  async insertSanction(client, { userId, type, groupId, reason, sourceType, sourceId, strikeCount, issuedBy, hours }) {
+    const result = await client.query(`
+      INSERT INTO user_sanctions (
+        user_id, sanction_type, group_id, reason, source_type, source_id, strike_count, issued_by, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+        CASE WHEN $9::int IS NULL THEN NULL ELSE NOW() + make_interval(hours => $9::int) END)
+      RETURNING ${SANCTION_COLUMNS}
+    `, [userId, type, groupId, reason, sourceType, sourceId, strikeCount, issuedBy, hours]);
+
+    return this.formatSanction(result.rows[0]);
+  }
+
+  async getActive(userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${SANCTION_COLUMNS}
+      FROM user_sanctions
+      WHERE user_id = $1 AND ${ACTIVE_CONDITION}
+      ORDER BY created_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => this.formatSanction(row));
+  }
+
+  // Every sanction a member has had, newest first
+  async listForUser(userId, { limit = 50 } = {}) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT ${SANCTION_COLUMNS}
+      FROM user_sanctions
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [userId, limit]);
+
+    return result.rows.map(row => this.formatSanction(row));
+  }
+
+  // Trust score and active sanctions, or null for an unknown user
+  async getStanding(userId) {
+    const [trust, sanctions] = await Promise.all([
+      trustService.getScore(userId),
+      this.getActive(userId)
+    ]);
+    if (!trust) {
+      return null;
+    }
+
+    return {
+      trustScore: trust.score,
+      trustComponents: trust.components,
+      lowTrust: trustService.isLowTrust(trust),
+      sanctions
+    };
+  }
+
+  // The most severe sanction that keeps the member out of the community, if any
+  findBlocking(sanctions) {
+    return sanctions
+      .filter(sanction => BLOCKING_TYPES.includes(sanction.type))
+      .sort((a, b) => this.types.indexOf(b.type) - this.types.indexOf(a.type))[0] || null;
+  }
+
+  findMute(sanctions, groupId) {
+    return sanctions.find(sanction => sanction.type === 'group_mute' && sanction.groupId === groupId) || null;
+  }
+
+  hasMessageHold(sanctions) {
+    return sanctions.some(sanction => sanction.type === 'message_hold');
+  }
+
+  // Returns { sanction } or { error }: not_found or not_active
+  async lift(sanctionId, moderator, reason) {
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE user_sanctions
+      SET lifted_at = NOW(), lifted_by = $2, lift_reason = $3
+      WHERE id = $1 AND lifted_at IS NULL
+      RETURNING ${SANCTION_COLUMNS}
+    `, [sanctionId, moderator.id, reason]);
+
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT id FROM user_sanctions WHERE id = $1', [sanctionId]);
+      return { error: exists.rows.length === 0 ? 'not_found' : 'not_active' };
+    }
+
+    const sanction = this.formatSanction(result.rows[0]);
+    this.notifyLifted([sanction]);
+    return { sanction };
+  }
+
+  // Undo a strike whose decision was overturned: reverse its trust events and
+  // lift any sanctions it led to. Returns the lifted sanctions.
+  async reverseSource(client, sourceType, sourceId, liftedBy, reason) {
+    await trustService.reverseSource(client, sourceType, sourceId, reason);
+
+    const result = await client.query(`
+      UPDATE user_sanctions
+      SET lifted_at = NOW(), lifted_by = $3, lift_reason = $4
+      WHERE source_type = $1 AND source_id = $2 AND lifted_at IS NULL
+      RETURNING ${SANCTION_COLUMNS}
+    `, [sourceType, sourceId, liftedBy, reason]);
+
+    return result.rows.map(row => this.formatSanction(row));
+  }
+
+  // Subject loader for appeals against a sanction ('account_restriction')
+  async loadForAppeal(sanctionId) {
+    const pool = getPool();
+    const result = await pool.query(`SELECT ${SANCTION_COLUMNS} FROM user_sanctions WHERE id = $1`, [sanctionId]);
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      ownerId: row.user_id,
+      groupId: row.group_id,
+      decision: row.sanction_type,
+      deciderId: row.issued_by,
+      decidedAt: row.created_at,
+      appealable: row.lifted_at === null
+    };
+  }
+
+  // An overturned appeal lifts the sanction. The strike behind it stands unless
+  // the content itself is restored on appeal.
+  async liftForAppeal(client, subject, appeal) {
+    const result = await client.query(`
+      UPDATE user_sanctions
+      SET lifted_at = NOW(), lifted_by = $2, lift_reason = 'appeal_overturned'
+      WHERE id = $1 AND lifted_at IS NULL
+      RETURNING ${SANCTION_COLUMNS}
+    `, [subject.id, appeal.assigned_to]);
+
+    return result.rows.length > 0 ? result.rows.map(row => this.formatSanction(row)) : null;
+  }
+
+  async notifyIssued(sanction) {
+    groupMessageService.emitToUser(sanction.userId, 'sanction:issued', sanction);
+    if (BLOCKING_TYPES.includes(sanction.type)) {
+      await groupMessageService.removeFromAllGroups(sanction.userId).catch(error => {
+        logger.error('Failed to remove sanctioned user from group rooms:', { userId: sanction.userId, error: error.message });
+      });
+    }
+  }
+
+  notifyLifted(sanctions) {
+    sanctions.forEach(sanction => {
+      groupMessageService.emitToUser(sanction.userId, 'sanction:lifted', sanction);
+    });
+  }
+
+  formatSanction(row) {
+    const now = new Date();
+    return {
+      id: row.id,
+      userId: row.user_id,
+      type: row.sanction_type,
+      groupId: row.group_id,
+      reason: row.reason,
+      strikeCount: row.strike_count,
+      automatic: row.issued_by === null,
+      startsAt: row.starts_at,
+      expiresAt: row.expires_at,
+      liftedAt: row.lifted_at,
+      liftReason: row.lift_reason,
+      active: row.lifted_at === null && new Date(row.starts_at) <= now &&
+        (row.expires_at === null || new Date(row.expires_at) > now),
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new SanctionService();
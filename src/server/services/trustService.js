@@ -0,0 +1,114 @@
+const { getPool } = require('../config/database');
+
+// How far each recorded outcome moves a member's trust score. Strikes also count
+// towards the sanctions ladder (see sanctionService).
+const TRUST_EVENTS = {
+  message_approved: { delta: 0.5, strike: false },
+  message_rejected: { delta: -8, strike: true },
+  // Reports about a member that a moderator upheld (see reportService)
+  report_upheld: { delta: -10, strike: true }
+};
+
+const BASE_SCORE = 50;
+// One point per month of membership, up to MAX_TENURE_BONUS
+const TENURE_DAYS_PER_POINT = 30;
+const MAX_TENURE_BONUS = 15;
+// Good behaviour helps, but chatting a lot can't bank unlimited credit
+const MAX_POSITIVE_POINTS = 20;
+// Events older than this no longer affect the score
+const HISTORY_DAYS = 180;
+
+// Per-member trust score between 0 and 100, built from tenure and the
+// trust_events ledger. Events are never deleted; a successful appeal marks the
+// events it undoes as reversed.
+class TrustService {
+  constructor() {
+    this.lowTrustThreshold = parseInt(process.env.TRUST_HOLD_THRESHOLD) || 30;
+  }
+
+  // Record an outcome once per source. Returns the event, or null when that
+  // outcome was already counted. client may be a pool or a transaction client.
+  async recordEvent(client, userId, eventType, { sourceType, sourceId, groupId = null }) {
+    const definition = TRUST_EVENTS[eventType];
+    if (!definition) {
+      throw new Error(`Unknown trust event type: ${eventType}`);
+    }
+
+    const result = await client.query(`
+      INSERT INTO trust_events (user_id, event_type, delta, is_strike, source_type, source_id, group_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (user_id, event_type, source_type, source_id) DO NOTHING
+      RETURNING id, user_id, event_type, delta, is_strike, group_id, created_at
+    `, [userId, eventType, definition.delta, definition.strike, sourceType, sourceId, groupId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Undo every event recorded against a source, e.g. a message restored on appeal
+  async reverseSource(client, sourceType, sourceId, reason) {
+    const result = await client.query(`
+      UPDATE trust_events
+      SET reversed_at = NOW(), reversal_reason = $3
+      WHERE source_type = $1 AND source_id = $2 AND reversed_at IS NULL
+      RETURNING id, user_id, event_type
+    `, [sourceType, sourceId, reason]);
+
+    return result.rows;
+  }
+
+  async countStrikes(client, userId, windowDays) {
+    const result = await client.query(`
+      SELECT COUNT(*)::int as strikes
+      FROM trust_events
+      WHERE user_id = $1 AND is_strike AND reversed_at IS NULL
+        AND created_at >= NOW() - make_interval(days => $2)
+    `, [userId, windowDays]);
+
+    return result.rows[0].strikes;
+  }
+
+  // The score with its components, or null for an unknown user
+  async getScore(userId) {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT
+        EXTRACT(EPOCH FROM (NOW() - u.created_at)) / 86400 as tenure_days,
+        COALESCE(SUM(e.delta) FILTER (WHERE e.delta > 0), 0) as positive,
+        COALESCE(SUM(e.delta) FILTER (WHERE e.delta < 0), 0) as negative
+      FROM users u
+      LEFT JOIN trust_events e ON e.user_id = u.id
+        AND e.reversed_at IS NULL
+        AND e.created_at >= NOW() - make_interval(days => $2)
+      WHERE u.id = $1
+      GROUP BY u.id
+    `, [userId, HISTORY_DAYS]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return this.computeScore(result.rows[0]);
+  }
+
+  computeScore({ tenure_days, positive, negative }) {
+    const tenure = Math.min(MAX_TENURE_BONUS, Math.floor(parseFloat(tenure_days) / TENURE_DAYS_PER_POINT));
+    const earned = Math.min(MAX_POSITIVE_POINTS, parseFloat(positive));
+    const lost = parseFloat(negative);
+    const score = Math.max(0, Math.min(100, BASE_SCORE + tenure + earned + lost));
+
+    return {
+      score: Math.round(score * 10) / 10,
+      components: {
+        base: BASE_SCORE,
+        tenure,
+        positive: earned,
+        negative: lost
+      }
+    };
+  }
+
+  isLowTrust(trust) {
+    return !!trust && trust.score < this.lowTrustThreshold;
+  }
+}
+
+module.exports = new TrustService();
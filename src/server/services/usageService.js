@@ -0,0 +1,329 @@
+const { getPool } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+// USD per million tokens; override or extend with AI_MODEL_PRICING (same JSON shape)
+const DEFAULT_PRICING = {
+  'claude-3-sonnet-20240229': { input: 3, output: 15 },
+  'gpt-4': { input: 30, output: 60 },
+  'mock-coach-v1': { input: 0, output: 0 }
+};
+
+// Offered instead of a model reply once a user has used up their quota
+const STATIC_PRACTICES = [
+  {
+    title: 'Three-Breath Reset',
+    instructions: "You've reached today's coaching limit, but your practice doesn't have to pause. Try a three-breath reset: on the first breath, notice your posture. On the second, soften your shoulders and jaw. On the third, ask yourself what you need right now."
+  },
+  {
+    title: 'Five Senses Grounding',
+    instructions: "You've reached today's coaching limit, so let's practice together without words for a moment. Notice five things you can see, four you can touch, three you can hear, two you can smell, and one you can taste."
+  },
+  {
+    title: 'Noting Practice',
+    instructions: "You've reached today's coaching limit. Here's a practice to carry with you: for the next two minutes, silently note each experience as it arises - \"thinking\", \"hearing\", \"feeling\" - and gently return to the breath."
+  }
+];
+
+class UsageService {
+  constructor() {
+    this.pricing = { ...DEFAULT_PRICING, ...this.loadPricingOverrides() };
+    this.defaultLimits = {
+      daily: parseInt(process.env.AI_DEFAULT_DAILY_TOKEN_LIMIT) || 20000,
+      monthly: parseInt(process.env.AI_DEFAULT_MONTHLY_TOKEN_LIMIT) || 300000
+    };
+    this.reservationTokens = parseInt(process.env.AI_QUOTA_RESERVATION_TOKENS) || 2000;
+    this.reservationMinutes = 5;
+  }
+
+  loadPricingOverrides() {
+    if (!process.env.AI_MODEL_PRICING) return {};
+    try {
+      return JSON.parse(process.env.AI_MODEL_PRICING);
+    } catch (error) {
+      logger.error('Invalid AI_MODEL_PRICING, using defaults:', { error: error.message });
+      return {};
+    }
+  }
+
+  estimateCost(model, inputTokens, outputTokens) {
+    const price = this.pricing[model];
+    if (!price) return 0;
+    return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+  }
+
+  // Normalize a provider response into the usage fields we store
+  describeUsage(result) {
+    const usage = result.usage || { inputTokens: 0, outputTokens: result.tokens || 0 };
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+
+    return {
+      provider: result.provider || null,
+      model: result.model || null,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      costUsd: this.estimateCost(result.model, inputTokens, outputTokens)
+    };
+  }
+
+  // Settles the reservation from reserveQuota when one is given. Calls that used
+  // no tokens release it instead; a provider we couldn't identify is still billed.
+  async recordUsage({ userId, conversationId = null, messageId = null, purpose = 'chat', usage, reservationId = null }) {
+    if (!usage || !usage.totalTokens) {
+      await this.releaseReservation(reservationId);
+      return;
+    }
+
+    const pool = getPool();
+    const values = [
+      userId,
+      conversationId,
+      messageId,
+      purpose,
+      usage.provider || 'unknown',
+      usage.model,
+      usage.inputTokens,
+      usage.outputTokens,
+      usage.totalTokens,
+      usage.costUsd
+    ];
+
+    if (reservationId) {
+      const settled = await pool.query(`
+        UPDATE ai_usage_ledger
+        SET conversation_id = $2, message_id = $3, purpose = $4, provider = $5, model = $6,
+          input_tokens = $7, output_tokens = $8, total_tokens = $9, cost_usd = $10,
+          status = 'recorded', reserved_until = NULL
+        WHERE id = $11 AND user_id = $1 AND status = 'reserved'
+        RETURNING id
+      `, [...values, reservationId]);
+
+      // An expired reservation may already have been swept; record the usage anyway
+      if (settled.rows.length > 0) return;
+    }
+
+    await pool.query(`
+      INSERT INTO ai_usage_ledger (
+        user_id, conversation_id, message_id, purpose, provider, model,
+        input_tokens, output_tokens, total_tokens, cost_usd
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, values);
+  }
+
+  async releaseReservation(reservationId) {
+    if (!reservationId) return;
+
+    const pool = getPool();
+    await pool.query(`
+      DELETE FROM ai_usage_ledger
+      WHERE id = $1 AND status = 'reserved'
+    `, [reservationId]);
+  }
+
+  // Effective limits across the user's role and tier policies: the most generous
+  // value wins, and NULL (unlimited) beats any number
+  async resolveLimits(user) {
+    const pool = getPool();
+    const tier = user.subscriptionTier || 'free';
+
+    const result = await pool.query(`
+      SELECT scope_type, scope_value, daily_token_limit, monthly_token_limit
+      FROM ai_quota_policies
+      WHERE (scope_type = 'role' AND scope_value = $1)
+        OR (scope_type = 'tier' AND scope_value = $2)
+    `, [user.role, tier]);
+
+    if (result.rows.length === 0) {
+      return { ...this.defaultLimits, tier };
+    }
+
+    const pick = (field) => {
+      const values = result.rows.map(row => row[field]);
+      return values.some(value => value === null) ? null : Math.max(...values);
+    };
+
+    return {
+      daily: pick('daily_token_limit'),
+      monthly: pick('monthly_token_limit'),
+      tier
+    };
+  }
+
+  // Recorded usage plus live reservations. Pass a transaction client to read
+  // under the quota lock.
+  async getUsageTotals(userId, db = getPool()) {
+    const result = await db.query(`
+      SELECT
+        COALESCE(SUM(total_tokens) FILTER (WHERE created_at >= date_trunc('day', NOW())), 0) as day_tokens,
+        COALESCE(SUM(cost_usd) FILTER (WHERE created_at >= date_trunc('day', NOW())), 0) as day_cost,
+        COUNT(*) FILTER (WHERE created_at >= date_trunc('day', NOW()) AND purpose = 'chat') as day_messages,
+        COALESCE(SUM(total_tokens), 0) as month_tokens,
+        COALESCE(SUM(cost_usd), 0) as month_cost,
+        COUNT(*) FILTER (WHERE purpose = 'chat') as month_messages
+      FROM ai_usage_ledger
+      WHERE user_id = $1 AND created_at >= date_trunc('month', NOW())
+        AND (status = 'recorded' OR reserved_until >= NOW())
+    `, [userId]);
+
+    const row = result.rows[0];
+    return {
+      today: {
+        tokens: parseInt(row.day_tokens),
+        costUsd: parseFloat(row.day_cost),
+        messages: parseInt(row.day_messages)
+      },
+      month: {
+        tokens: parseInt(row.month_tokens),
+        costUsd: parseFloat(row.month_cost),
+        messages: parseInt(row.month_messages)
+      }
+    };
+  }
+
+  evaluateQuota(limits, usage) {
+    const dailyExceeded = limits.daily !== null && usage.today.tokens >= limits.daily;
+    const monthlyExceeded = limits.monthly !== null && usage.month.tokens >= limits.monthly;
+
+    return {
+      allowed: !dailyExceeded && !monthlyExceeded,
+      exceeded: monthlyExceeded ? 'monthly' : (dailyExceeded ? 'daily' : null),
+      limits,
+      usage
+    };
+  }
+
+  // Read-only view of the user's quota, for reports
+  async checkQuota(user) {
+    const [limits, usage] = await Promise.all([
+      this.resolveLimits(user),
+      this.getUsageTotals(user.id)
+    ]);
+
+    return this.evaluateQuota(limits, usage);
+  }
+
+  // Check the quota and, when allowed, hold an estimated share of it until the
+  // call's usage is recorded (pass reservationId to recordUsage) or released.
+  // The per-user advisory lock makes concurrent requests check one at a time,
+  // so they can't all pass against the same remaining balance.
+  async reserveQuota(user, purpose = 'chat', estimatedTokens = this.reservationTokens) {
+    const limits = await this.resolveLimits(user);
+    const pool = getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`ai_quota:${user.id}`]);
+      await client.query(`
+        DELETE FROM ai_usage_ledger
+        WHERE user_id = $1 AND status = 'reserved' AND reserved_until < NOW()
+      `, [user.id]);
+
+      const quota = this.evaluateQuota(limits, await this.getUsageTotals(user.id, client));
+      let reservationId = null;
+
+      if (quota.allowed) {
+        const result = await client.query(`
+          INSERT INTO ai_usage_ledger (user_id, purpose, provider, total_tokens, status, reserved_until)
+          VALUES ($1, $2, 'unknown', $3, 'reserved', NOW() + make_interval(mins => $4))
+          RETURNING id
+        `, [user.id, purpose, estimatedTokens, this.reservationMinutes]);
+        reservationId = result.rows[0].id;
+      }
+
+      await client.query('COMMIT');
+      return { ...quota, reservationId };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getUsageReport(user) {
+    const pool = getPool();
+    const quota = await this.checkQuota(user);
+
+    const byProvider = await pool.query(`
+      SELECT provider, model, SUM(total_tokens) as tokens, SUM(cost_usd) as cost_usd, COUNT(*) as calls
+      FROM ai_usage_ledger
+      WHERE user_id = $1 AND created_at >= date_trunc('month', NOW()) AND status = 'recorded'
+      GROUP BY provider, model
+      ORDER BY tokens DESC
+    `, [user.id]);
+
+    const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+    return {
+      tier: quota.limits.tier,
+      role: user.role,
+      limits: {
+        dailyTokens: quota.limits.daily,
+        monthlyTokens: quota.limits.monthly
+      },
+      usage: quota.usage,
+      remaining: {
+        dailyTokens: remaining(quota.limits.daily, quota.usage.today.tokens),
+        monthlyTokens: remaining(quota.limits.monthly, quota.usage.month.tokens)
+      },
+      quotaExceeded: quota.exceeded,
+      byProvider: byProvider.rows.map(row => ({
+        provider: row.provider,
+        model: row.model,
+        tokens: parseInt(row.tokens),
+        costUsd: parseFloat(row.cost_usd),
+        calls: parseInt(row.calls)
+      }))
+    };
+  }
+
+  getStaticPractice(seed = new Date().getUTCDate()) {
+    return STATIC_PRACTICES[seed % STATIC_PRACTICES.length];
+  }
+
+  async listPolicies() {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT scope_type, scope_value, daily_token_limit, monthly_token_limit, updated_at
+      FROM ai_quota_policies
+      ORDER BY scope_type, scope_value
+    `);
+
+    return result.rows.map(row => ({
+      scopeType: row.scope_type,
+      scopeValue: row.scope_value,
+      dailyTokenLimit: row.daily_token_limit,
+      monthlyTokenLimit: row.monthly_token_limit,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  async upsertPolicy({ scopeType, scopeValue, dailyTokenLimit, monthlyTokenLimit }, updatedBy) {
+    const pool = getPool();
+    const result = await pool.query(`
+      INSERT INTO ai_quota_policies (
+        scope_type, scope_value, daily_token_limit, monthly_token_limit, updated_by, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, NOW())
+      ON CONFLICT (scope_type, scope_value)
+      DO UPDATE SET
+        daily_token_limit = EXCLUDED.daily_token_limit,
+        monthly_token_limit = EXCLUDED.monthly_token_limit,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+      RETURNING scope_type, scope_value, daily_token_limit, monthly_token_limit, updated_at
+    `, [scopeType, scopeValue, dailyTokenLimit, monthlyTokenLimit, updatedBy]);
+
+    const row = result.rows[0];
+    return {
+      scopeType: row.scope_type,
+      scopeValue: row.scope_value,
+      dailyTokenLimit: row.daily_token_limit,
+      monthlyTokenLimit: row.monthly_token_limit,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new UsageService();
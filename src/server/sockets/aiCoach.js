@@ -0,0 +1,47 @@
+const conversationService = require('../services/conversationService');
+const { aiCoachRateLimit } = require('../middleware/auth');
+const { logger, logSecurityEvent } = require('../utils/logger');
+
+// Streams AI coach replies over Socket.IO. Mirrors POST /api/ai-coach/chat/stream:
+// ai-coach:start, ai-coach:token (deltas), then ai-coach:done with citations and IDs.
+const registerAiCoachHandlers = (io, socket) => {
+  socket.on('ai-coach:message', async (payload = {}) => {
+    const user = socket.data.user;
+    if (!user) {
+      return socket.emit('ai-coach:error', { message: 'Authentication required' });
+    }
+
+    const { message, conversationId, requestId } = payload;
+    if (typeof message !== 'string' || message.trim().length === 0 || message.length > 2000) {
+      return socket.emit('ai-coach:error', {
+        requestId,
+        message: 'Message is required and must be less than 2000 characters'
+      });
+    }
+
+    // Same per-user budget as the HTTP routes, so the socket is no way around it
+    const { allowed, attempts } = aiCoachRateLimit(user.id);
+    if (!allowed) {
+      logSecurityEvent('rate_limit_exceeded', { userId: user.id, attempts, socketId: socket.id });
+      return socket.emit('ai-coach:error', { requestId, message: 'Too many requests, please slow down' });
+    }
+
+    try {
+      const result = await conversationService.processMessage(user, { message, conversationId }, {
+        onStart: (meta) => socket.emit('ai-coach:start', { requestId, ...meta }),
+        onToken: (delta) => socket.emit('ai-coach:token', { requestId, delta })
+      });
+
+      if (!result) {
+        return socket.emit('ai-coach:error', { requestId, message: 'Conversation not found' });
+      }
+
+      socket.emit('ai-coach:done', { requestId, ...result });
+    } catch (error) {
+      logger.error('AI coach socket error:', { error: error.message, userId: user.id });
+      socket.emit('ai-coach:error', { requestId, message: 'Unable to complete response' });
+    }
+  });
+};
+
+module.exports = { registerAiCoachHandlers };
@@ -0,0 +1,72 @@
+const groupService = require('../services/groupService');
+const groupMessageService = require('../services/groupMessageService');
+const sanctionService = require('../services/sanctionService');
+const { logger, logSecurityEvent } = require('../utils/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Group chat rooms. join-group subscribes an authenticated member to group:message
+// broadcasts for that group; anyone else gets group:error. Both events accept the
+// group ID or { groupId } and an optional acknowledgement callback. Authenticated
+// sockets also join their user room for group:message:status updates on their
+// own messages (and group:crisis-support) and sanction:issued / sanction:lifted.
+// Suspended members can't join group rooms, and are dropped from them when a
+// suspension is issued.
+const registerCommunityHandlers = (io, socket) => {
+  if (socket.data.user) {
+    socket.join(groupMessageService.userRoom(socket.data.user.id));
+  }
+
+  const reply = (ack, event, data) => {
+    if (typeof ack === 'function') {
+      ack(data);
+    } else {
+      socket.emit(event, data);
+    }
+  };
+
+  socket.on('join-group', async (payload, ack) => {
+    const user = socket.data.user;
+    const groupId = payload && typeof payload === 'object' ? payload.groupId : payload;
+
+    if (!user) {
+      return reply(ack, 'group:error', { groupId, message: 'Authentication required' });
+    }
+    if (typeof groupId !== 'string' || !UUID_PATTERN.test(groupId)) {
+      return reply(ack, 'group:error', { groupId, message: 'Valid group ID required' });
+    }
+
+    try {
+      const blocking = sanctionService.findBlocking(await sanctionService.getActive(user.id));
+      if (blocking) {
+        return reply(ack, 'group:error', { groupId, message: 'Your community access is restricted', sanction: blocking });
+      }
+
+      const membership = await groupService.getMembership(groupId, user.id);
+      if (!membership) {
+        logSecurityEvent('group_room_join_denied', { userId: user.id, groupId, socketId: socket.id });
+        return reply(ack, 'group:error', { groupId, message: 'You are not a member of this group' });
+      }
+
+      socket.join(groupMessageService.roomFor(groupId));
+      logger.info('User joined group', { socketId: socket.id, userId: user.id, groupId });
+      reply(ack, 'group:joined', { groupId, joined: true });
+    } catch (error) {
+      logger.error('Group room join error:', { error: error.message, userId: user.id, groupId });
+      reply(ack, 'group:error', { groupId, message: 'Unable to join group' });
+    }
+  });
+
+  socket.on('leave-group', (payload, ack) => {
+    const groupId = payload && typeof payload === 'object' ? payload.groupId : payload;
+    if (typeof groupId !== 'string') {
+      return reply(ack, 'group:error', { groupId, message: 'Valid group ID required' });
+    }
+
+    socket.leave(groupMessageService.roomFor(groupId));
+    logger.info('User left group', { socketId: socket.id, groupId });
+    reply(ack, 'group:left', { groupId, left: true });
+  });
+};
+
+module.exports = { registerCommunityHandlers };
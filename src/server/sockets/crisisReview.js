@@ -0,0 +1,41 @@
+const crisisEscalationService = require('../services/crisisEscalationService');
+const { logger, logSecurityEvent } = require('../utils/logger');
+
+const REVIEWER_ROLES = ['coach', 'admin'];
+
+// Coaches and admins join the reviewer room on connect and receive crisis:alert
+// and crisis:updated events. crisis:acknowledge stops re-paging for an item.
+const registerCrisisReviewHandlers = (io, socket) => {
+  const user = socket.data.user;
+  if (!user || !REVIEWER_ROLES.includes(user.role)) {
+    return;
+  }
+
+  socket.join(crisisEscalationService.reviewerRoom);
+
+  socket.on('crisis:acknowledge', async (payload = {}) => {
+    const { itemId } = payload;
+    if (typeof itemId !== 'string') {
+      return socket.emit('crisis:error', { message: 'Item ID is required' });
+    }
+
+    try {
+      const item = await crisisEscalationService.acknowledge(itemId, user, 'socket');
+
+      logSecurityEvent('crisis_review_acknowledged', {
+        reviewerId: user.id,
+        reviewerRole: user.role,
+        itemId,
+        via: 'socket',
+        alreadyAcknowledged: !item
+      });
+
+      socket.emit('crisis:acknowledged', { itemId, acknowledged: !!item });
+    } catch (error) {
+      logger.error('Crisis acknowledge error:', { error: error.message, userId: user.id, itemId });
+      socket.emit('crisis:error', { itemId, message: 'Unable to acknowledge item' });
+    }
+  });
+};
+
+module.exports = { registerCrisisReviewHandlers };
@@ -0,0 +1,144 @@
+const groupSessionService = require('../services/groupSessionService');
+const sanctionService = require('../services/sanctionService');
+const { logger, logSecurityEvent } = require('../utils/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SESSION_ERRORS = {
+  not_found: 'Session not found',
+  not_member: 'You are not a member of this group',
+  not_open: 'This session is not open yet, or has finished',
+  forbidden: 'Only the facilitator or a group leader can do this',
+  not_startable: 'This session can only be started from shortly before its start time until its end',
+  not_live: 'This session is not live'
+};
+
+// Live practice sessions. session:join puts a group member in the session's
+// room from shortly before the start until it ends and replies with
+// session:state (the shared timer); everyone in the room gets session:presence
+// whenever someone arrives or leaves. The facilitator or a group leader sends
+// session:start, session:bell and session:end, which reach the room as
+// session:bell and session:state. Every event accepts the session ID or
+// { sessionId } and an optional acknowledgement callback; failures come back as
+// session:error.
+const registerGroupSessionHandlers = (io, socket) => {
+  // Sessions this socket is in, for updating presence when it disconnects
+  const joined = new Set();
+
+  const reply = (ack, event, data) => {
+    if (typeof ack === 'function') {
+      ack(data);
+    } else {
+      socket.emit(event, data);
+    }
+  };
+
+  const replyError = (ack, sessionId, error) => {
+    reply(ack, 'session:error', { sessionId, message: SESSION_ERRORS[error] || 'Unable to update session' });
+  };
+
+  // Validates the payload and the user, then runs the handler with the session ID
+  const handle = (event, handler) => {
+    socket.on(event, async (payload, ack) => {
+      const user = socket.data.user;
+      const sessionId = payload && typeof payload === 'object' ? payload.sessionId : payload;
+
+      if (!user) {
+        return reply(ack, 'session:error', { sessionId, message: 'Authentication required' });
+      }
+      if (typeof sessionId !== 'string' || !UUID_PATTERN.test(sessionId)) {
+        return reply(ack, 'session:error', { sessionId, message: 'Valid session ID required' });
+      }
+
+      try {
+        await handler(user, sessionId, ack);
+      } catch (error) {
+        logger.error('Group session socket error:', { event, error: error.message, userId: user.id, sessionId });
+        reply(ack, 'session:error', { sessionId, message: 'Unable to update session' });
+      }
+    });
+  };
+
+  handle('session:join', async (user, sessionId, ack) => {
+    const blocking = sanctionService.findBlocking(await sanctionService.getActive(user.id));
+    if (blocking) {
+      return reply(ack, 'session:error', { sessionId, message: 'Your community access is restricted', sanction: blocking });
+    }
+
+    const { session, canRun, error } = await groupSessionService.joinLive(sessionId, user);
+    if (error) {
+      if (error === 'not_member') {
+        logSecurityEvent('group_session_join_denied', { userId: user.id, sessionId, socketId: socket.id });
+      }
+      return replyError(ack, sessionId, error);
+    }
+
+    socket.join(groupSessionService.roomFor(sessionId));
+    joined.add(sessionId);
+    logger.info('User joined group session', { socketId: socket.id, userId: user.id, sessionId });
+
+    reply(ack, 'session:state', { ...groupSessionService.formatState(session), canRun });
+    await groupSessionService.emitPresence(sessionId);
+  });
+
+  handle('session:leave', async (user, sessionId, ack) => {
+    socket.leave(groupSessionService.roomFor(sessionId));
+    joined.delete(sessionId);
+
+    await groupSessionService.markSeen(sessionId, user.id);
+    reply(ack, 'session:left', { sessionId, left: true });
+    await groupSessionService.emitPresence(sessionId);
+  });
+
+  handle('session:start', async (user, sessionId, ack) => {
+    const { session, error } = await groupSessionService.startLive(sessionId, user);
+    if (error) {
+      return replyError(ack, sessionId, error);
+    }
+
+    logger.info('Group session started', { userId: user.id, sessionId, groupId: session.groupId });
+    if (typeof ack === 'function') {
+      ack(groupSessionService.formatState(session));
+    }
+  });
+
+  handle('session:bell', async (user, sessionId, ack) => {
+    const { error } = await groupSessionService.ringIntervalBell(sessionId, user);
+    if (error) {
+      return replyError(ack, sessionId, error);
+    }
+
+    if (typeof ack === 'function') {
+      ack({ sessionId, rung: true });
+    }
+  });
+
+  handle('session:end', async (user, sessionId, ack) => {
+    const { session, error } = await groupSessionService.endLive(sessionId, user);
+    if (error) {
+      return replyError(ack, sessionId, error);
+    }
+
+    logger.info('Group session ended', { userId: user.id, sessionId, groupId: session.groupId });
+    if (typeof ack === 'function') {
+      ack(groupSessionService.formatState(session));
+    }
+  });
+
+  // By now the socket has left its rooms, so presence no longer includes it
+  socket.on('disconnect', () => {
+    const user = socket.data.user;
+    if (!user) return;
+
+    joined.forEach(sessionId => {
+      Promise.all([
+        groupSessionService.markSeen(sessionId, user.id),
+        groupSessionService.emitPresence(sessionId)
+      ]).catch(error => {
+        logger.error('Group session presence update failed:', { error: error.message, userId: user.id, sessionId });
+      });
+    });
+  });
+};
+
+module.exports = { registerGroupSessionHandlers };
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+// Keys are 32 bytes, base64-encoded. DATA_ENCRYPTION_KEYS holds retired keys as
+// JSON { "<keyId>": "<base64>" } so rows written under them still decrypt after rotation.
+const loadKeys = () => {
+  const keys = new Map();
+
+  if (process.env.DATA_ENCRYPTION_KEYS) {
+    let retired;
+    try {
+      retired = JSON.parse(process.env.DATA_ENCRYPTION_KEYS);
+    } catch (error) {
+      throw new Error('DATA_ENCRYPTION_KEYS must be a JSON object of base64-encoded keys');
+    }
+    Object.entries(retired).forEach(([keyId, value]) => {
+      keys.set(keyId, Buffer.from(value, 'base64'));
+    });
+  }
+
+  const currentId = process.env.DATA_ENCRYPTION_KEY_ID || 'default';
+  if (process.env.DATA_ENCRYPTION_KEY) {
+    keys.set(currentId, Buffer.from(process.env.DATA_ENCRYPTION_KEY, 'base64'));
+  }
+
+  keys.forEach((key, keyId) => {
+    if (key.length !== 32) {
+      throw new Error(`Encryption key ${keyId} must be 32 bytes (base64-encoded)`);
+    }
+  });
+
+  return { keys, currentId: keys.has(currentId) ? currentId : null };
+};
+
+let keyring = null;
+
+const getKeyring = () => {
+  if (!keyring) {
+    keyring = loadKeys();
+  }
+  return keyring;
+};
+
+const isEncryptionConfigured = () => getKeyring().currentId !== null;
+
+// Load the keys at startup so a malformed key fails the boot instead of the
+// first request that needs it. Returns whether a current key is configured.
+const validateEncryptionKeys = () => isEncryptionConfigured();
+
+// Encrypt a JSON-serializable value. `context` (e.g. the owner's user ID) is bound as
+// associated data, so a ciphertext copied onto another row fails to decrypt.
+const encryptJson = (value, context = '') => {
+  const { keys, currentId } = getKeyring();
+  if (!currentId) {
+    throw new Error('DATA_ENCRYPTION_KEY is not configured');
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentId), iv);
+  cipher.setAAD(Buffer.from(String(context)));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    keyId: currentId,
+    ciphertext: [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.')
+  };
+};
+
+const decryptJson = ({ keyId, ciphertext }, context = '') => {
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key ${keyId} is not available`);
+  }
+
+  const [iv, tag, data] = ciphertext.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(String(context)));
+  decipher.setAuthTag(tag);
+
+  return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+};
+
+module.exports = {
+  encryptJson,
+  decryptJson,
+  isEncryptionConfigured,
+  validateEncryptionKeys
+};
@@ -0,0 +1,130 @@
+// Minimal JSON Schema support for structured model output: the subset we put in
+// prompts (type, properties, required, additionalProperties, items, enum, string
+// lengths, numeric ranges, array sizes) is enough to check what comes back.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (expected, value) => {
+  const actual = typeOf(value);
+  const types = Array.isArray(expected) ? expected : [expected];
+  return types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+};
+
+// Returns a list of error strings such as "steps[2].durationSeconds must be <= 600";
+// an empty list means the value is valid
+const validate = (schema, value, path = '') => {
+  const label = path || 'value';
+  const errors = [];
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${label} must be of type ${[].concat(schema.type).join(' or ')}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${label} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${label} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${label} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${label}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validate(properties[key], value[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Pull the outermost JSON object out of model text, which may be wrapped in prose
+// or a code fence. Returns null when there is nothing parseable.
+const extractJson = (text) => {
+  const start = (text || '').indexOf('{');
+  const end = (text || '').lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Smallest value that satisfies a schema, preferring its `examples` and `default`.
+// Used by the mock provider so structured requests work offline.
+const sample = (schema) => {
+  if (schema.examples && schema.examples.length > 0) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum) return schema.enum[0];
+
+  const type = [].concat(schema.type || 'null')[0];
+  switch (type) {
+    case 'object':
+      return (schema.required || Object.keys(schema.properties || {})).reduce((acc, key) => {
+        acc[key] = sample(schema.properties[key]);
+        return acc;
+      }, {});
+    case 'array':
+      return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () => sample(schema.items || {}));
+    case 'string':
+      return 'x'.repeat(schema.minLength || 1);
+    case 'integer':
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  validate,
+  extractJson,
+  sample
+};
@@ -0,0 +1,22 @@
+// Identity verification levels, shared by the route middleware and services
+// that gate actions on them (e.g. joining groups)
+
+const verificationLevels = {
+  'basic': 1,
+  'identity': 2,
+  'professional': 3
+};
+
+// Whether a user's verification level is at least minLevel. A member sanctioned
+// with re-verification counts as basic until a moderator lifts it.
+const meetsVerification = (user, minLevel) => {
+  const storedLevel = verificationLevels[user.verificationLevel] || 0;
+  const userLevel = user.reverificationRequired ? Math.min(storedLevel, verificationLevels.basic) : storedLevel;
+  const requiredLevel = verificationLevels[minLevel] || 1;
+  return userLevel >= requiredLevel;
+};
+
+module.exports = {
+  verificationLevels,
+  meetsVerification
+};